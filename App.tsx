@@ -1,320 +1,35 @@
 import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
-import { Sender, MessageType, ConversationStep, type Message, type SkinConditionCategory, type Goal, type ProductRecommendation, type HairQuestion, type Product, type HairProfileData, type UserInfo } from './types';
-import { CameraIcon, CheckCircleIcon, LoadingDots, UploadIcon, TrashIcon, CartIcon, AnalyzeIcon, GoalAcneIcon, GoalOilIcon, GoalTextureIcon, GoalPoresIcon, GoalToneIcon, GoalHydrationIcon, GoalAgingIcon, GoalRednessIcon, GoalBarrierIcon, GoalHealthyIcon, GoalNoneIcon, PlusIcon, AppIcon, UserIcon, BotIcon, DownloadIcon } from './components/icons';
-import { analyzeSkin, analyzeHair, getSkincareRoutine, getHairCareRoutine, chatWithAI } from './services/geminiService';
-import { generatePDF } from './utils/pdfGenerator';
+import { Sender, MessageType, ConversationStep, type Message, type SkinConditionCategory, type Goal, type ProductRecommendation, type HairQuestion, type HairQuestionnaire, type Product, type HairProfileData, type UserInfo, type ProductUsage, type ChatTurn, type CaptureAngle, type TriageResult, type AssessmentType, type UploadedImage, type CartItem, type Language, type SafetyProfile, type SafetyWarning, type RoutineTier, type RoutineOverlap, type AnalysisCorrection, type BoundingBox, type SkinCondition } from './types';
+import { CameraIcon, CheckCircleIcon, LoadingDots, UploadIcon, TrashIcon, CartIcon, AnalyzeIcon, GoalAcneIcon, GoalOilIcon, GoalTextureIcon, GoalPoresIcon, GoalToneIcon, GoalHydrationIcon, GoalAgingIcon, GoalRednessIcon, GoalBarrierIcon, GoalHealthyIcon, GoalNoneIcon, PlusIcon, AppIcon, UserIcon, BotIcon } from './components/icons';
+import { analyzeSkin, analyzeHair, getSkincareRoutine, getHairCareRoutine, streamChatWithAI, CHAT_HISTORY_LIMIT, ApiError, type AnalysisResponse } from './services/geminiService';
+import { downloadFile, generatePDF, reportFileName } from './utils/pdfGenerator';
 import { CameraCapture } from './components/CameraCapture';
-
-// Helper function to convert file to base64
-const fileToBase64 = (file: File): Promise<string> =>
-    new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.readAsDataURL(file);
-        reader.onload = () => resolve((reader.result as string).split(',')[1]);
-        reader.onerror = (error) => reject(error);
-    });
-
-// --- Data for Male Hair Flow ---
-const maleHairQuestions: HairQuestion[] = [
-    {
-        id: 1,
-        totalQuestions: 10,
-        type: MessageType.HairQuestionRadio,
-        question: "How much hair do you lose on an average day?",
-        options: [
-            { label: "Less than 50 strands" },
-            { label: "50-100 strands" },
-            { label: "100-200 strands" },
-            { label: "More than 200 strands / In clumps" }
-        ]
-    },
-    {
-        id: 2,
-        totalQuestions: 10,
-        type: MessageType.HairQuestionImageGrid,
-        question: "Which image best describes your hair loss?",
-        options: [
-            { label: "Stage - 1", image: "/Stage - 01.png" },
-            { label: "Stage - 2", image: "/Stage - 02.png" },
-            { label: "Stage - 3", image: "/Stage - 03.png" },
-            { label: "Stage - 4", image: "/Stage - 04.png" },
-            { label: "Stage - 5", image: "/Stage - 05.png" },
-            { label: "Stage - 6", image: "/Stage - 06.png" },
-            { label: "Coin Size Patch", image: "/Stage - 07.png" },
-            { label: "Heavy Hair Fall", image: "/Stage - 08.png" }
-        ]
-    },
-    {
-        id: 3,
-        totalQuestions: 10,
-        type: MessageType.HairQuestionRadio,
-        question: "Where are you primarily experiencing hair loss?",
-        options: [
-            { label: "Hairline/Temples" },
-            { label: "Crown/Top of head" },
-            { label: "Overall thinning" },
-            { label: "All of the above" }
-        ]
-    },
-    {
-        id: 4,
-        totalQuestions: 10,
-        type: MessageType.HairQuestionRadio,
-        question: "Do you have a family history of baldness (from either parent's side)?",
-        options: [
-            { label: "Yes" },
-            { label: "No" },
-            { label: "I'm not sure" }
-        ]
-    },
-    {
-        id: 5,
-        totalQuestions: 10,
-        type: MessageType.HairQuestionRadio,
-        question: "Do you experience dandruff?",
-        options: [
-            { label: "Never" },
-            { label: "Occasionally" },
-            { label: "Frequently (visible flakes)" }
-        ]
-    },
-    {
-        id: 6,
-        totalQuestions: 10,
-        type: MessageType.HairQuestionRadio,
-        question: "How would you describe your scalp?",
-        options: [
-            { label: "Oily (gets greasy within a day)" },
-            { label: "Dry and flaky" },
-            { label: "Normal (balanced)" },
-            { label: "Itchy or irritated" }
-        ]
-    },
-    {
-        id: 7,
-        totalQuestions: 10,
-        type: MessageType.HairQuestionRadio,
-        question: "How would you rate your current stress levels?",
-        options: [
-            { label: "Low" },
-            { label: "Moderate" },
-            { label: "High" },
-            { label: "Very High" }
-        ]
-    },
-    {
-        id: 8,
-        totalQuestions: 10,
-        type: MessageType.HairQuestionCheckbox,
-        question: "Have you experienced any of the following recently?",
-        options: [
-            { label: "Major illness or surgery" },
-            { label: "Significant weight loss or gain" },
-            { label: "Started or stopped new medication" },
-            { label: "None of the above" }
-        ]
-    },
-    {
-        id: 9,
-        totalQuestions: 10,
-        type: MessageType.HairQuestionRadio,
-        question: "What is your typical diet like?",
-        options: [
-            { label: "Rich in protein (meat, fish, eggs, legumes)" },
-            { label: "Balanced diet" },
-            { label: "Mostly vegetarian/vegan" },
-            { label: "High in processed/junk food" }
-        ]
-    },
-    {
-        id: 10,
-        totalQuestions: 10,
-        type: MessageType.HairQuestionRadio,
-        question: "How often do you wash your hair?",
-        options: [
-            { label: "Daily" },
-            { label: "Every 2-3 days" },
-            { label: "Once a week" },
-            { label: "Less than once a week" }
-        ]
-    },
-];
-
-// --- Data for Female Hair Flow ---
-const femaleHairQuestions: HairQuestion[] = [
-    {
-        id: 1,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "How much hairfall do you experience while oiling, combing or washing your hair?",
-        options: [
-            { label: "Normal hairfall ~20 strands", image: "/01.png" },
-            { label: "I notice a bigger clump than normal ~40-50 strands", image: "/02.png" },
-            { label: "I get very big clumps of hair, more than 100 hair strands", image: "/03.png" },
-        ]
-    },
-    {
-        id: 2,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "How long have you been experiencing increased hairfall?",
-        options: [
-            { label: "Less than 6 months" },
-            { label: "6 months to 2 years" },
-            { label: "2 years to 5 years" },
-            { label: "More than 5 years" },
-            { label: "Not Applicable" },
-        ]
-    },
-    {
-        id: 3,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionCheckbox,
-        question: "What does your hair feel like, when you touch it?",
-        options: [
-            { label: "Feels frizzy, dry, or rough to touch" },
-            { label: "Breaks easily" },
-            { label: "Smooth or Silky" },
-            { label: "Limp or flat" }
-        ]
-    },
-    {
-        id: 4,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionCheckbox,
-        question: "What hair treatments have you done in the past 2 years?",
-        options: [
-            { label: "None" },
-            { label: "Smoothening or Straightening treatment" },
-            { label: "Hair repair treatment" },
-            { label: "Chemical hair coloring" },
-            { label: "Natural hair coloring" },
-            { label: "Other hair treatments" }
-        ]
-    },
-    {
-        id: 5,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "What is your experience with dandruff these days?",
-        options: [
-            { label: "No dandruff at all" },
-            { label: "No dandruff on wash day, but appears 2-3 days after" },
-            { label: "Always see visible dandruff flakes or powder on hair or shoulder" },
-            { label: "Scalp is always itchy (sticky dandruff under nails upon scratching)" },
-            { label: "Persistent red, dry patches on your scalp" }
-        ]
-    },
-    {
-        id: 6,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "Are you going through any of these life stages currently?",
-        options: [
-            { label: "None" },
-            { label: "Planning to get pregnant sometime soon" },
-            { label: "Currently pregnant" },
-            { label: "Post pregnancy (My baby is less than 1 year old)" },
-            { label: "I don't get my periods anymore" }
-        ]
-    },
-    {
-        id: 7,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "How well do you sleep these days?",
-        options: [
-            { label: "Peacefully for 6-8 hours" },
-            { label: "I have difficulty falling asleep" },
-            { label: "Disturbed sleep (I wake up at least once a night)" },
-            { label: "I sleep for less than 5 hours, as I am very busy" },
-            { label: "It varies (Some days I get good sleep, some days I don't)" }
-        ]
-    },
-    {
-        id: 8,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "How would you describe your stress level these days?",
-        options: [
-            { label: "I feel calm and relaxed most days, with no major worries" },
-            { label: "I feel tensed 1-2 times a week, but it's manageable" },
-            { label: "I feel tensed 3-5 times a week, and it affects my mood or focus" },
-            { label: "I feel tensed almost every day, and it disrupts my sleep or daily life" }
-        ]
-    },
-    {
-        id: 9,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "How would you describe your typical energy during the day?",
-        options: [
-            { label: "I always feel energetic" },
-            { label: "Energetic during the day, but low/tired by evening/night" },
-            { label: "Low/tired when I wake up, but gradually feel more energetic" },
-            { label: "Experience occasional instances of low energy" },
-            { label: "I always feel tired and low on energy" }
-        ]
-    },
-    {
-        id: 10,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "How often do you wash your hair?",
-        options: [
-            { label: "Daily" },
-            { label: "Every 2-3 days" },
-            { label: "Once a week" },
-            { label: "Less than once a week" }
-        ]
-    },
-    {
-        id: 11,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "Which of these best describe your food habits on most days?",
-        options: [
-            { label: "I mostly eat healthy homely meals, on time" },
-            { label: "I mostly eat healthy homely food, but often skip meals" },
-            { label: "I often eat junk food (more than 5 times a week)" }
-        ]
-    },
-    {
-        id: 12,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "Do you experience scalp itching or redness frequently?",
-        options: [
-            { label: "Never" },
-            { label: "Occasionally (once in a while)" },
-            { label: "Frequently (at least once a week)" },
-            { label: "Almost every day" }
-        ]
-    },
-    {
-        id: 13,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "Do you notice any flakes, buildup, or oily patches on your scalp?",
-        options: [
-            { label: "No flakes or buildup" },
-            { label: "Mild flakes occasionally" },
-            { label: "Frequent flakes or oiliness" },
-            { label: "Thick buildup and greasy scalp" }
-        ]
-    },
-    {
-        id: 14,
-        totalQuestions: 14,
-        type: MessageType.HairQuestionRadio,
-        question: "Do you feel your scalp is dry or tight after washing?",
-        options: [
-            { label: "Never" },
-            { label: "Sometimes, especially in winter" },
-            { label: "Always" }
-        ]
-    }
-];
+import { ProgressView } from './components/ProgressView';
+import { RoutineEditor } from './components/RoutineEditor';
+import { ReportButton } from './components/ReportButton';
+import { isAvailable, routineProducts, variantLabel } from './utils/routineEditing';
+import { formatPrice, routineCost } from './utils/pricing';
+import { addCondition, applyCorrections, dismissCondition, hasCondition, renameCondition } from './utils/analysisCorrections';
+import { createCheckout } from './services/cartService';
+import { angleLabel } from './utils/captureGuides';
+import { preparePhoto, PhotoIssue, PhotoVerdict } from './utils/photoQuality';
+import { listAssessments, saveAssessment } from './services/assessmentService';
+import { submitAnalysisFeedback } from './services/feedbackService';
+import { createDoctorReport, deleteReport, ReportInput, ReportSection } from './services/reportService';
+import { getHairQuestionnaire } from './services/questionnaireService';
+import { HairAnswer, HairQuestionStep } from './utils/hairQuestionnaire';
+import { ConversationEvent, isEditable, MachineContext, normalize, replaceEvent, SessionState, settle, transition } from './utils/conversationMachine';
+import { clearSession, EMPTY_SESSION, loadSession, saveSession, SessionNote, StoredSession } from './utils/sessionPersistence';
+import { buildTranscript, NO_PRODUCT } from './utils/transcript';
+import { LANGUAGES, Translate, translator, valueLabel } from './utils/i18n';
+
+// User-facing text for a failed API call
+const describeError = (error: unknown, t: Translate): string =>
+    error instanceof ApiError ? error.message : t('common.errorGeneric');
+
+// One cart line per variant: two sizes of a product are separate lines.
+const sameCartItem = (item: CartItem, product: Product) =>
+    item.variantId ? item.variantId === product.variantId : item.name === product.name;
 
 const allGoals: Goal[] = [
     { id: 'suggestion-acne', text: 'Clear Acne & Breakouts', icon: <GoalAcneIcon />, isSuggestion: false },
@@ -356,20 +71,35 @@ const getDynamicSuggestions = (analysis: SkinConditionCategory[]): Goal[] => {
     return suggestions.length > 0 ? suggestions : [allGoals.find(g => g.id === 'healthy')!];
 };
 
-type UploadedImage = { name: string; url: string; base64: string; };
+// Quality-gate feedback for the latest batch of photos.
+type PhotoNotice = { name: string; verdict: Exclude<PhotoVerdict, 'ok'>; issues: PhotoIssue[] };
+
+const PhotoNoticeList: React.FC<{ notices: PhotoNotice[]; t: Translate }> = ({ notices, t }) => notices.length === 0 ? null : (
+    <div className="space-y-2">
+        {notices.map((notice, i) => (
+            <div key={i} className={`text-xs rounded-lg p-2 border ${notice.verdict === 'reject' ? 'bg-red-50 border-red-200 text-red-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'}`}>
+                <p className="font-semibold">{t(notice.verdict === 'reject' ? 'photos.rejected' : 'photos.warned', { name: notice.name })}</p>
+                <ul className="list-disc pl-4 mt-1 space-y-0.5">
+                    {notice.issues.map(issue => <li key={issue.code}>{t(`photoIssue.${issue.code}`)}</li>)}
+                </ul>
+            </div>
+        ))}
+    </div>
+);
 
-interface CartItem extends Product {
-    quantity: number;
-}
+// Which guided-camera view a thumbnail shows; uploads have no angle and no badge.
+const AngleBadge: React.FC<{ angle?: CaptureAngle; t: Translate }> = ({ angle, t }) => angle ? (
+    <span className="absolute bottom-0 inset-x-0 bg-black/60 text-white text-[9px] font-semibold text-center leading-4 truncate">{angleLabel(angle, t)}</span>
+) : null;
 
-const ProductSelector: React.FC<{ onSelect: (product: string) => void, prompt: string, disabled?: boolean, selectedProduct?: string, isUser?: boolean }> = ({ onSelect, prompt, disabled = false, selectedProduct, isUser = false }) => {
+const ProductSelector: React.FC<{ onSelect: (product: string) => void, prompt: string, t: Translate, disabled?: boolean, selectedProduct?: string, isUser?: boolean }> = ({ onSelect, prompt, t, disabled = false, selectedProduct, isUser = false }) => {
     const [showOtherInput, setShowOtherInput] = useState(false);
     const [otherValue, setOtherValue] = useState('');
 
     const products = ["Broad-Spectrum Sunscreen SPF 50", "Gentle Hydrating Cleanser", "Lightweight Moisturizer", "Hyaluronic Acid Serum", "Salicylic Acid Cleanser", "Glycolic Acid Toner", "Niacinamide Serum", "Vitamin C Serum", "Rich Moisturizer", "Retinol Cream", "Other", "None of these"];
 
     if (selectedProduct) {
-        return <p>{selectedProduct}</p>;
+        return <p>{valueLabel(selectedProduct, t)}</p>;
     }
 
     if (showOtherInput) {
@@ -380,12 +110,12 @@ const ProductSelector: React.FC<{ onSelect: (product: string) => void, prompt: s
                         type="text"
                         value={otherValue}
                         onChange={(e) => setOtherValue(e.target.value)}
-                        placeholder="Enter product name..."
+                        placeholder={t('products.otherPlaceholder')}
                         className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white text-black"
                         autoFocus
                         disabled={disabled}
                     />
-                    <button type="submit" className="px-4 py-2 font-semibold rounded-lg transition-colors bg-blue-600 text-white hover:bg-blue-700" disabled={disabled}>Submit</button>
+                    <button type="submit" className="px-4 py-2 font-semibold rounded-lg transition-colors bg-blue-600 text-white hover:bg-blue-700" disabled={disabled}>{t('common.submit')}</button>
                 </form>
             </div>
         )
@@ -394,7 +124,7 @@ const ProductSelector: React.FC<{ onSelect: (product: string) => void, prompt: s
         <div className="p-4">
             <div className="mb-4">
                 <p className={`font-bold ${isUser ? 'text-blue-600' : 'text-gray-800'}`}>{prompt}</p>
-                <p className="text-sm mt-1 text-red-500">This helps us avoid recommending things that didn't work for you.</p>
+                <p className="text-sm mt-1 text-red-500">{t('chat.productsWhy')}</p>
             </div>
             <div className="flex flex-wrap gap-2">
                 {products.map(p => {
@@ -412,7 +142,7 @@ const ProductSelector: React.FC<{ onSelect: (product: string) => void, prompt: s
                             disabled={disabled}
                             className={`px-4 py-2 text-sm rounded-full transition-colors ${btnClass}`}
                         >
-                            {p}
+                            {p === "Other" ? t('products.other') : valueLabel(p, t)}
                         </button>
                     )
                 })}
@@ -421,89 +151,213 @@ const ProductSelector: React.FC<{ onSelect: (product: string) => void, prompt: s
     );
 };
 
-const UserInfoForm: React.FC<{ onSubmit: (info: UserInfo) => void }> = ({ onSubmit }) => {
+type SafetyFlag = Exclude<keyof SafetyProfile, 'allergies'>;
+const SAFETY_FLAGS: SafetyFlag[] = ['pregnant', 'breastfeeding', 'sensitiveSkin'];
+
+const UserInfoForm: React.FC<{
+    onSubmit: (info: UserInfo) => void;
+    language: Language;
+    onLanguageChange: (language: Language) => void;
+    t: Translate;
+}> = ({ onSubmit, language, onLanguageChange, t }) => {
     const [name, setName] = useState('');
     const [age, setAge] = useState('');
     const [phone, setPhone] = useState('');
     const [email, setEmail] = useState('');
+    const [safetyFlags, setSafetyFlags] = useState<Record<SafetyFlag, boolean>>({ pregnant: false, breastfeeding: false, sensitiveSkin: false });
+    const [allergies, setAllergies] = useState('');
 
+    // The safety answers are optional and only sent when something is set.
     const handleSubmit = (e: React.FormEvent) => {
         e.preventDefault();
         if (name && age && phone && email) {
-            onSubmit({ name, age, phone, email });
+            const safety: SafetyProfile = {
+                ...Object.fromEntries(SAFETY_FLAGS.filter(flag => safetyFlags[flag]).map(flag => [flag, true])),
+                ...(allergies.trim() ? { allergies: allergies.split(',').map(a => a.trim()).filter(Boolean) } : {}),
+            };
+            onSubmit({ name, age, phone, email, ...(Object.keys(safety).length > 0 ? { safety } : {}) });
         }
     };
 
     return (
         <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 max-w-md mx-auto my-4">
-            <h2 className="text-xl font-bold text-gray-800 mb-4">Personal Information</h2>
+            <h2 className="text-xl font-bold text-gray-800 mb-4">{t('userInfo.title')}</h2>
             <form onSubmit={handleSubmit} className="space-y-4">
                 <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Full Name</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('userInfo.language')}</label>
+                    <select
+                        value={language}
+                        onChange={(e) => onLanguageChange(e.target.value as Language)}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all bg-white"
+                    >
+                        {(Object.keys(LANGUAGES) as Language[]).map(code => (
+                            <option key={code} value={code}>{LANGUAGES[code].name}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('userInfo.name')}</label>
                     <input
                         type="text"
                         required
                         value={name}
                         onChange={(e) => setName(e.target.value)}
                         className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
-                        placeholder="Enter your name"
+                        placeholder={t('userInfo.namePlaceholder')}
                     />
                 </div>
                 <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Age</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('userInfo.age')}</label>
                     <input
                         type="number"
                         required
                         value={age}
                         onChange={(e) => setAge(e.target.value)}
                         className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
-                        placeholder="Enter your age"
+                        placeholder={t('userInfo.agePlaceholder')}
                     />
                 </div>
                 <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Phone Number</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('userInfo.phone')}</label>
                     <input
                         type="tel"
                         required
                         value={phone}
                         onChange={(e) => setPhone(e.target.value)}
                         className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
-                        placeholder="Enter your phone number"
+                        placeholder={t('userInfo.phonePlaceholder')}
                     />
                 </div>
                 <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Email Address</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{t('userInfo.email')}</label>
                     <input
                         type="email"
                         required
                         value={email}
                         onChange={(e) => setEmail(e.target.value)}
                         className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
-                        placeholder="Enter your email"
+                        placeholder={t('userInfo.emailPlaceholder')}
                     />
                 </div>
+                <fieldset className="border-t border-gray-100 pt-4">
+                    <legend className="text-sm font-medium text-gray-700">{t('userInfo.safetyTitle')}</legend>
+                    <p className="text-xs text-gray-500 mb-2">{t('userInfo.safetyHint')}</p>
+                    <div className="space-y-1">
+                        {SAFETY_FLAGS.map(flag => (
+                            <label key={flag} className="flex items-center gap-2 text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={safetyFlags[flag]}
+                                    onChange={(e) => setSafetyFlags(flags => ({ ...flags, [flag]: e.target.checked }))}
+                                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                />
+                                {t(`userInfo.safety.${flag}`)}
+                            </label>
+                        ))}
+                    </div>
+                    <label className="block text-sm font-medium text-gray-700 mt-3 mb-1">{t('userInfo.allergies')}</label>
+                    <input
+                        type="text"
+                        value={allergies}
+                        onChange={(e) => setAllergies(e.target.value)}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
+                        placeholder={t('userInfo.allergiesPlaceholder')}
+                    />
+                </fieldset>
                 <button
                     type="submit"
                     className="w-full bg-blue-600 text-white font-bold py-3 rounded-xl hover:bg-blue-700 transition-colors shadow-lg shadow-blue-200 mt-2"
                 >
-                    Start Assessment
+                    {t('userInfo.start')}
                 </button>
             </form>
         </div>
     );
 };
 
+type NewCondition = { name: string; category: string; location: string; boundingBoxes: BoundingBox[] };
+
+// Shows the analysis with the user's corrections. While correcting, conditions can be removed or
+// renamed and missed ones added, with boxes dragged out on the photo. Conditions behind a triage
+// finding (`flagged`) stay as they are: a doctor should look at those.
 const AnalysisResultView: React.FC<{
     images: UploadedImage[],
     analysis: SkinConditionCategory[],
+    corrections: AnalysisCorrection[],
+    flagged: string[],
     onReAnalyze: () => void,
+    onCorrect?: (corrections: AnalysisCorrection[], sharePhotos: boolean) => void,
     onNext: () => void,
-    nextLabel?: string
-}> = ({ images, analysis, onReAnalyze, onNext, nextLabel = "Next: Set My Goals" }) => {
+    nextLabel: string,
+    t: Translate
+}> = ({ images, analysis: modelAnalysis, corrections, flagged, onReAnalyze, onCorrect, onNext, nextLabel, t }) => {
     const [showLabels, setShowLabels] = useState(true);
     const [activeConditionName, setActiveConditionName] = useState<string | null>(null);
     const [activeImageIndex, setActiveImageIndex] = useState(0);
+    const [draft, setDraft] = useState<AnalysisCorrection[] | null>(null);
+    const [sharePhotos, setSharePhotos] = useState(false);
+    const [renaming, setRenaming] = useState<{ condition: SkinCondition; name: string } | null>(null);
+    const [adding, setAdding] = useState<NewCondition | null>(null);
+    const [drag, setDrag] = useState<BoundingBox['box'] | null>(null);
+    const imageRef = useRef<HTMLImageElement>(null);
     const mainImage = images[activeImageIndex];
+    const isCorrecting = draft !== null;
+    const analysis = useMemo(() => applyCorrections(modelAnalysis, draft ?? corrections), [modelAnalysis, draft, corrections]);
+
+    const isFlagged = (condition: SkinCondition) => !condition.userAdded && flagged.includes(condition.originalName ?? condition.name);
+    const nameTaken = (name: string) => !name.trim() || hasCondition(analysis, name);
+
+    const stopCorrecting = () => {
+        setDraft(null);
+        setRenaming(null);
+        setAdding(null);
+    };
+
+    const saveCorrections = () => {
+        if (draft && JSON.stringify(draft) !== JSON.stringify(corrections)) onCorrect?.(draft, sharePhotos);
+        stopCorrecting();
+    };
+
+    const startAdding = () => setAdding({ name: '', category: analysis[0]?.category || '', location: '', boundingBoxes: [] });
+
+    const confirmAdding = () => {
+        if (!adding || nameTaken(adding.name) || !adding.category.trim()) return;
+        setDraft(addCondition(draft || [], { ...adding, category: adding.category.trim() }));
+        setAdding(null);
+    };
+
+    // Boxes are drawn in the image's own 0-1 coordinates, like the model's.
+    const pointAt = (e: React.PointerEvent) => {
+        const rect = imageRef.current!.getBoundingClientRect();
+        const clamp = (v: number) => Math.min(1, Math.max(0, v));
+        return { x: clamp((e.clientX - rect.left) / rect.width), y: clamp((e.clientY - rect.top) / rect.height) };
+    };
+
+    const startBox = (e: React.PointerEvent<HTMLDivElement>) => {
+        if (!adding || !imageRef.current) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const { x, y } = pointAt(e);
+        setDrag({ x1: x, y1: y, x2: x, y2: y });
+    };
+
+    const moveBox = (e: React.PointerEvent<HTMLDivElement>) => {
+        if (!drag) return;
+        const { x, y } = pointAt(e);
+        setDrag({ ...drag, x2: x, y2: y });
+    };
+
+    const endBox = () => {
+        if (!drag || !adding) return;
+        const box = { x1: Math.min(drag.x1, drag.x2), y1: Math.min(drag.y1, drag.y2), x2: Math.max(drag.x1, drag.x2), y2: Math.max(drag.y1, drag.y2) };
+        setDrag(null);
+        // A tap rather than a drag marks nothing.
+        if (box.x2 - box.x1 < 0.02 || box.y2 - box.y1 < 0.02) return;
+        setAdding({ ...adding, boundingBoxes: [...adding.boundingBoxes, { imageId: activeImageIndex, box }] });
+    };
+
+    const boxStyle = (box: BoundingBox['box']) => ({
+        left: `${box.x1 * 100}%`, top: `${box.y1 * 100}%`, width: `${(box.x2 - box.x1) * 100}%`, height: `${(box.y2 - box.y1) * 100}%`
+    });
 
     const getCategoryStyles = (category: string) => {
         const catLower = category.toLowerCase();
@@ -550,7 +404,7 @@ const AnalysisResultView: React.FC<{
             <div className="flex justify-between items-center px-2 pt-1">
                 <div className="flex items-center gap-2">
                     <div className="text-green-500"><CheckCircleIcon /></div>
-                    <span className="font-bold text-gray-800 text-sm">Analysis Complete!</span>
+                    <span className="font-bold text-gray-800 text-sm">{t('analysis.complete')}</span>
                 </div>
                 <div className="flex items-center gap-3">
                     <label className="flex items-center gap-1 text-xs text-gray-600 cursor-pointer select-none">
@@ -560,22 +414,37 @@ const AnalysisResultView: React.FC<{
                             onChange={(e) => setShowLabels(e.target.checked)}
                             className="w-3 h-3 text-blue-600 rounded focus:ring-blue-500"
                         />
-                        Show labels
+                        {t('analysis.showLabels')}
                     </label>
+                    {onCorrect && !isCorrecting && (
+                        <button onClick={() => setDraft(corrections)} className="border border-blue-600 text-blue-600 text-xs px-3 py-1.5 rounded-full font-semibold hover:bg-blue-50 transition-colors">
+                            {t('analysis.correct')}
+                        </button>
+                    )}
                     <button onClick={onReAnalyze} className="bg-blue-600 text-white text-xs px-3 py-1.5 rounded-full font-semibold hover:bg-blue-700 transition-colors">
-                        Re-analyze
+                        {t('analysis.reAnalyze')}
                     </button>
                 </div>
             </div>
 
             <p className="px-2 text-xs text-blue-500">
-                To see highlights on the image, click the problems listed below.
+                {t(isCorrecting ? (adding ? 'analysis.drawHint' : 'analysis.correctHint') : 'analysis.highlightHint')}
             </p>
+            {!isCorrecting && corrections.length > 0 && (
+                <p className="px-2 text-xs text-gray-500">{t('analysis.correctedNote')}</p>
+            )}
 
             {mainImage && (
                 <div className="relative rounded-xl overflow-hidden bg-gray-50 mx-1 flex justify-center">
-                    <div className="relative inline-block">
-                        <img src={mainImage.url} alt="Analyzed skin" className="max-h-96 w-auto max-w-full block" />
+                    <div
+                        className={`relative inline-block ${adding ? 'cursor-crosshair' : ''}`}
+                        style={adding ? { touchAction: 'none' } : undefined}
+                        onPointerDown={startBox}
+                        onPointerMove={moveBox}
+                        onPointerUp={endBox}
+                        onPointerCancel={() => setDrag(null)}
+                    >
+                        <img ref={imageRef} src={mainImage.url} alt="Analyzed skin" className="max-h-96 w-auto max-w-full block select-none" draggable={false} />
 
                         {analysis.flatMap(cat =>
                             cat.conditions.flatMap((cond, condIdx) => {
@@ -590,21 +459,16 @@ const AnalysisResultView: React.FC<{
                                 return cond.boundingBoxes.map((box, boxIdx) => {
                                     if (box.imageId !== activeImageIndex) return null;
 
-                                    const left = box.box.x1 * 100;
-                                    const top = box.box.y1 * 100;
-                                    const width = (box.box.x2 - box.box.x1) * 100;
-                                    const height = (box.box.y2 - box.box.y1) * 100;
-
                                     return (
                                         <div
                                             key={`${cond.name}-${boxIdx}`}
-                                            className={`absolute border-2 rounded-lg ${styles.borderColor} z-10 box-border transition-opacity duration-300 ${opacityClass}`}
-                                            style={{ left: `${left}%`, top: `${top}%`, width: `${width}%`, height: `${height}%` }}
+                                            className={`absolute border-2 rounded-lg ${styles.borderColor} z-10 box-border transition-opacity duration-300 pointer-events-none ${opacityClass}`}
+                                            style={boxStyle(box.box)}
                                         >
                                             {boxIdx === 0 && (
                                                 <div className={`absolute -bottom-6 left-1/2 transform -translate-x-1/2 px-2 py-1 rounded-md text-xs font-bold text-white whitespace-nowrap shadow-md z-20 ${styles.bgColor} flex items-center gap-1`}>
                                                     <span>{cond.name}</span>
-                                                    <span className="opacity-90">({Math.round(cond.confidence)}%)</span>
+                                                    {!cond.userAdded && <span className="opacity-90">({Math.round(cond.confidence)}%)</span>}
                                                 </div>
                                             )}
                                         </div>
@@ -612,6 +476,16 @@ const AnalysisResultView: React.FC<{
                                 });
                             })
                         )}
+
+                        {adding?.boundingBoxes.filter(box => box.imageId === activeImageIndex).map((box, boxIdx) => (
+                            <div key={`new-${boxIdx}`} className="absolute border-2 border-dashed border-blue-600 rounded-lg z-10 box-border pointer-events-none" style={boxStyle(box.box)} />
+                        ))}
+                        {drag && (
+                            <div
+                                className="absolute border-2 border-dashed border-blue-400 rounded-lg z-10 box-border pointer-events-none"
+                                style={boxStyle({ x1: Math.min(drag.x1, drag.x2), y1: Math.min(drag.y1, drag.y2), x2: Math.max(drag.x1, drag.x2), y2: Math.max(drag.y1, drag.y2) })}
+                            />
+                        )}
                     </div>
                 </div>
             )}
@@ -620,6 +494,7 @@ const AnalysisResultView: React.FC<{
                 {images.map((img, idx) => (
                     <div key={idx} onClick={() => setActiveImageIndex(idx)} className={`relative flex-shrink-0 w-14 h-14 rounded-lg overflow-hidden border-2 cursor-pointer ${idx === activeImageIndex ? 'border-blue-500 ring-2 ring-blue-500' : 'border-transparent'}`}>
                         <img src={img.url} alt="thumbnail" className="w-full h-full object-cover" />
+                        <AngleBadge angle={img.angle} t={t} />
                     </div>
                 ))}
             </div>
@@ -642,13 +517,51 @@ const AnalysisResultView: React.FC<{
                                         className={`flex justify-between items-start border-b border-gray-50 pb-2 cursor-pointer hover:bg-gray-50 rounded px-1 transition-colors ${activeConditionName === cond.name ? 'bg-blue-50' : ''}`}
                                         onClick={() => setActiveConditionName(activeConditionName === cond.name ? null : cond.name)}
                                     >
-                                        <div>
-                                            <p className="font-bold text-gray-800 text-sm">{cond.name}</p>
-                                            <p className="text-xs text-gray-500">{cond.location}</p>
-                                        </div>
-                                        <div className={`font-bold text-sm ${styles.textColor}`}>
-                                            {Math.round(cond.confidence)}%
-                                        </div>
+                                        {renaming?.condition === cond ? (
+                                            <div className="flex-1 space-y-1" onClick={(e) => e.stopPropagation()}>
+                                                <input
+                                                    type="text"
+                                                    value={renaming.name}
+                                                    autoFocus
+                                                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                                    className="w-full px-2 py-1 border border-gray-300 rounded text-sm outline-none focus:ring-2 focus:ring-blue-500"
+                                                />
+                                                <div className="flex gap-2 text-xs">
+                                                    <button
+                                                        disabled={!renaming.name.trim() || (renaming.name.trim().toLowerCase() !== cond.name.toLowerCase() && nameTaken(renaming.name))}
+                                                        onClick={() => {
+                                                            setDraft(renameCondition(draft || [], cond, renaming.name));
+                                                            setRenaming(null);
+                                                        }}
+                                                        className="text-blue-600 font-semibold disabled:text-gray-400"
+                                                    >
+                                                        {t('analysis.rename')}
+                                                    </button>
+                                                    <button onClick={() => setRenaming(null)} className="text-gray-500">{t('common.cancel')}</button>
+                                                </div>
+                                            </div>
+                                        ) : (
+                                            <div>
+                                                <p className="font-bold text-gray-800 text-sm">{cond.name}</p>
+                                                <p className="text-xs text-gray-500">{cond.location}</p>
+                                                {cond.originalName && <p className="text-xs text-gray-400">{t('analysis.wasNamed', { name: cond.originalName })}</p>}
+                                                {cond.userAdded && <p className="text-xs text-gray-400">{t('analysis.addedByYou')}</p>}
+                                            </div>
+                                        )}
+                                        {isCorrecting && renaming?.condition !== cond ? (
+                                            isFlagged(cond) ? (
+                                                <span className="text-xs text-red-600 max-w-[45%] text-right">{t('analysis.flaggedLocked')}</span>
+                                            ) : (
+                                                <div className="flex gap-2 text-xs shrink-0" onClick={(e) => e.stopPropagation()}>
+                                                    <button onClick={() => setRenaming({ condition: cond, name: cond.name })} className="text-blue-600 font-semibold">{t('analysis.rename')}</button>
+                                                    <button onClick={() => setDraft(dismissCondition(draft || [], cond))} className="text-red-600 font-semibold">{t('analysis.remove')}</button>
+                                                </div>
+                                            )
+                                        ) : !cond.userAdded && (
+                                            <div className={`font-bold text-sm ${styles.textColor}`}>
+                                                {Math.round(cond.confidence)}%
+                                            </div>
+                                        )}
                                     </div>
                                 ))}
                             </div>
@@ -657,9 +570,106 @@ const AnalysisResultView: React.FC<{
                 })}
             </div>
 
-            <button onClick={onNext} className="w-full mt-2 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-sm">
-                {nextLabel}
-            </button>
+            {isCorrecting ? (
+                <div className="px-2 space-y-3">
+                    {adding ? (
+                        <div className="space-y-2 border border-blue-100 rounded-lg p-3 bg-blue-50/40">
+                            <input
+                                type="text"
+                                value={adding.name}
+                                onChange={(e) => setAdding({ ...adding, name: e.target.value })}
+                                placeholder={t('analysis.conditionName')}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                            <input
+                                type="text"
+                                list="analysis-categories"
+                                value={adding.category}
+                                onChange={(e) => setAdding({ ...adding, category: e.target.value })}
+                                placeholder={t('analysis.conditionCategory')}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                            <datalist id="analysis-categories">
+                                {[...new Set([...modelAnalysis, ...analysis].map(cat => cat.category))].map(category => <option key={category} value={category} />)}
+                            </datalist>
+                            <input
+                                type="text"
+                                value={adding.location}
+                                onChange={(e) => setAdding({ ...adding, location: e.target.value })}
+                                placeholder={t('analysis.conditionLocation')}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                            <div className="flex justify-between items-center text-xs text-gray-600">
+                                <span>{t('analysis.boxesDrawn', { count: adding.boundingBoxes.length })}</span>
+                                {adding.boundingBoxes.length > 0 && (
+                                    <button onClick={() => setAdding({ ...adding, boundingBoxes: [] })} className="text-gray-500 underline">{t('analysis.clearBoxes')}</button>
+                                )}
+                            </div>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={confirmAdding}
+                                    disabled={nameTaken(adding.name) || !adding.category.trim()}
+                                    className="flex-1 py-2 bg-blue-600 text-white text-sm font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+                                >
+                                    {t('analysis.addCondition')}
+                                </button>
+                                <button onClick={() => setAdding(null)} className="flex-1 py-2 border border-gray-300 text-gray-600 text-sm rounded-lg hover:bg-gray-50">
+                                    {t('common.cancel')}
+                                </button>
+                            </div>
+                        </div>
+                    ) : (
+                        <button onClick={startAdding} className="flex items-center gap-1 text-sm text-blue-600 font-semibold">
+                            <PlusIcon /> {t('analysis.addMissed')}
+                        </button>
+                    )}
+                    <label className="flex items-start gap-2 text-xs text-gray-600 cursor-pointer select-none">
+                        <input
+                            type="checkbox"
+                            checked={sharePhotos}
+                            onChange={(e) => setSharePhotos(e.target.checked)}
+                            className="mt-0.5 w-3 h-3 text-blue-600 rounded focus:ring-blue-500"
+                        />
+                        {t('analysis.sharePhotos')}
+                    </label>
+                    <div className="flex gap-2">
+                        <button onClick={saveCorrections} disabled={!!adding || !!renaming} className="flex-1 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:bg-gray-300">
+                            {t('analysis.saveCorrections')}
+                        </button>
+                        <button onClick={stopCorrecting} className="py-3 px-4 border border-gray-300 text-gray-600 rounded-lg hover:bg-gray-50 text-sm">
+                            {t('common.cancel')}
+                        </button>
+                    </div>
+                    {draft.length > 0 && (
+                        <button onClick={() => setDraft([])} className="w-full text-xs text-gray-500 underline">{t('analysis.resetCorrections')}</button>
+                    )}
+                </div>
+            ) : (
+                <button onClick={onNext} className="w-full mt-2 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-sm">
+                    {nextLabel}
+                </button>
+            )}
+        </div>
+    );
+};
+
+// The hair flow's optional monthly budget (the skin flow asks for it with the goals). Empty means no limit.
+const BudgetForm: React.FC<{ onSubmit: (budget: number | null) => void; t: Translate }> = ({ onSubmit, t }) => {
+    const [budget, setBudget] = useState('');
+    return (
+        <div className="p-1">
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('goals.budget')}</label>
+            <input
+                type="number"
+                min="1"
+                inputMode="numeric"
+                value={budget}
+                onChange={(e) => setBudget(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
+                placeholder={t('goals.budgetPlaceholder')}
+            />
+            <p className="text-xs text-gray-500 mt-1">{t('goals.budgetHint')}</p>
+            <button onClick={() => onSubmit(Number(budget) > 0 ? Number(budget) : null)} className="mt-4 w-full px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-base">{t('common.submit')}</button>
         </div>
     );
 };
@@ -669,30 +679,30 @@ const CartView: React.FC<{
     onClose: () => void;
     onRemove: (index: number) => void;
     onUpdateQuantity: (index: number, delta: number) => void;
-}> = ({ items, onClose, onRemove, onUpdateQuantity }) => {
-    const checkoutUrl = useMemo(() => {
-        if (items.length === 0) return 'https://dermatics.in/account/login';
-
-        // Convert variant GIDs (gid://shopify/ProductVariant/123) to numeric IDs if needed
-        const itemsString = items
-            .map(item => {
-                const variantId = item.variantId?.includes('ProductVariant/')
-                    ? item.variantId.split('ProductVariant/')[1]
-                    : item.variantId;
-                return `${variantId}:${item.quantity}`;
-            })
-            .join(',');
-
-        const cartPath = `/cart/${itemsString}`;
-        return `https://dermatics.in/account/login?checkout_url=${encodeURIComponent(cartPath)}`;
-    }, [items]);
+    /** Creates the store cart and leaves for its checkout; a rejection is shown above the button. */
+    onCheckout: () => Promise<void>;
+    t: Translate;
+}> = ({ items, onClose, onRemove, onUpdateQuantity, onCheckout, t }) => {
+    const [checkingOut, setCheckingOut] = useState(false);
+    const [checkoutError, setCheckoutError] = useState<string | null>(null);
+
+    const handleCheckout = async () => {
+        setCheckingOut(true);
+        setCheckoutError(null);
+        try {
+            await onCheckout();
+        } catch (error) {
+            setCheckoutError(describeError(error, t));
+            setCheckingOut(false);
+        }
+    };
 
     return (
         <div className="absolute inset-0 z-50 bg-black bg-opacity-50 flex justify-end">
             <div className="w-4/5 max-w-sm bg-white h-full shadow-xl flex flex-col animate-fadeIn">
                 <div className="p-4 border-b flex justify-between items-center bg-blue-600 text-white">
                     <h2 className="font-bold text-lg flex items-center gap-2">
-                        <CartIcon /> My Cart ({items.reduce((sum, item) => sum + item.quantity, 0)})
+                        <CartIcon /> {t('cart.title', { count: items.reduce((sum, item) => sum + item.quantity, 0) })}
                     </h2>
                     <button onClick={onClose} className="p-1 hover:bg-blue-700 rounded-full">
                         <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -705,24 +715,25 @@ const CartView: React.FC<{
                     {items.length === 0 ? (
                         <div className="text-center text-gray-500 mt-10">
                             <CartIcon />
-                            <p className="mt-2">Your bucket is empty</p>
+                            <p className="mt-2">{t('cart.empty')}</p>
                         </div>
                     ) : (
                         items.map((item, idx) => (
-                            <div key={item.name} className="flex gap-3 border-b pb-3">
+                            <div key={item.variantId || item.name} className="flex gap-3 border-b pb-3">
                                 <div className="w-16 h-16 rounded-md bg-gray-100 overflow-hidden flex-shrink-0">
                                     <img src={item.image} alt={item.name} className="w-full h-full object-cover" />
                                 </div>
                                 <div className="flex-1">
                                     <h4 className="font-semibold text-sm line-clamp-2">{item.name}</h4>
-                                    <p className="text-sm text-gray-600 mt-1">{item.price}</p>
+                                    {variantLabel(item) && <p className="text-xs text-gray-500">{variantLabel(item)}</p>}
+                                    <p className="text-sm text-gray-600 mt-1">{formatPrice(item.price)}</p>
                                     <div className="flex justify-between items-center mt-2">
                                         <div className="flex items-center border rounded bg-gray-50">
                                             <button onClick={() => onUpdateQuantity(idx, -1)} className="px-2 py-0.5 text-gray-600 hover:bg-gray-200 font-medium">-</button>
                                             <span className="px-2 text-xs font-semibold">{item.quantity}</span>
                                             <button onClick={() => onUpdateQuantity(idx, 1)} className="px-2 py-0.5 text-gray-600 hover:bg-gray-200 font-medium">+</button>
                                         </div>
-                                        <button onClick={() => onRemove(idx)} className="text-red-500 text-xs font-medium hover:text-red-700">Remove</button>
+                                        <button onClick={() => onRemove(idx)} className="text-red-500 text-xs font-medium hover:text-red-700">{t('cart.remove')}</button>
                                     </div>
                                 </div>
                             </div>
@@ -731,14 +742,14 @@ const CartView: React.FC<{
                 </div>
 
                 <div className="p-4 border-t bg-gray-50">
-                    <a
-                        href={items.length > 0 ? checkoutUrl : '#'}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className={`block w-full py-3 bg-blue-600 text-white text-center font-bold rounded-lg hover:bg-blue-700 transition-colors ${items.length === 0 ? 'opacity-50 cursor-not-allowed pointer-events-none' : ''}`}
+                    {checkoutError && <p className="mb-2 text-xs text-red-600 text-center">{checkoutError}</p>}
+                    <button
+                        onClick={handleCheckout}
+                        disabled={items.length === 0 || checkingOut}
+                        className="w-full py-3 bg-blue-600 text-white text-center font-bold rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
                     >
-                        Checkout Now
-                    </a>
+                        {checkingOut ? <><LoadingDots /> {t('cart.checkingOut')}</> : t('cart.checkout')}
+                    </button>
                 </div>
             </div>
         </div>
@@ -746,32 +757,75 @@ const CartView: React.FC<{
 };
 
 const App: React.FC = () => {
-    const [messages, setMessages] = useState<Message[]>([]);
+    // The conversation is an event log replayed through utils/conversationMachine.ts. It is saved in
+    // this browser, so a refresh resumes the assessment exactly where it stopped.
+    const [session, setSession] = useState<StoredSession>(() => loadSession() || EMPTY_SESSION);
+    useEffect(() => { saveSession(session); }, [session]);
+    const language = session.language;
+    const t = useMemo(() => translator(language), [language]);
+    useEffect(() => { document.documentElement.lang = language; }, [language]);
+    // Log index of the answer being changed: the chat rewinds to that question until it's answered again.
+    const [editingIndex, setEditingIndex] = useState<number | null>(null);
+
     const [uploadedImages, setUploadedImages] = useState<UploadedImage[]>([]);
-    const [skinAnalysisResult, setSkinAnalysisResult] = useState<SkinConditionCategory[] | null>([]);
     const [isAnalyzing, setIsAnalyzing] = useState(false);
+    const [isThinking, setIsThinking] = useState(false);
+    const [isCheckingPhotos, setIsCheckingPhotos] = useState(false);
+    const [photoNotices, setPhotoNotices] = useState<PhotoNotice[]>([]);
     const [activeImageIndex, setActiveImageIndex] = useState(0);
+    const [routineError, setRoutineError] = useState<string | null>(null);
+    const [routineAttempt, setRoutineAttempt] = useState(0);
+    const [isDeletingReports, setIsDeletingReports] = useState(false);
 
-    // Cart State
-    const [cartItems, setCartItems] = useState<CartItem[]>([]);
-    const [userInfo, setUserInfo] = useState<UserInfo | null>(null);
+    // Cart State (saved with the session)
+    const cartItems = session.cart;
+    const setCartItems = (update: (prev: CartItem[]) => CartItem[]) => setSession(s => ({ ...s, cart: update(s.cart) }));
     const [isCartOpen, setIsCartOpen] = useState(false);
     const [isCameraOpen, setIsCameraOpen] = useState(false);
-
-    const [conversationState, setConversationState] = useState({
-        assessmentType: null as 'skin' | 'hair' | null,
-        step: ConversationStep.UserDetails,
-        hairQuestionIndex: 0,
-        hairAnswers: {} as Record<number, string | string[]>,
-        skinProducts: [] as { name: string, currentlyUsing?: boolean, duration?: string }[],
-        skinGoals: [] as string[],
-    });
+    const [isProgressOpen, setIsProgressOpen] = useState(false);
+
+    // The hair questionnaire is served by the backend, in the session's language, and fetched once a hair assessment starts.
+    const [hairQuestionnaires, setHairQuestionnaires] = useState<Partial<Record<Language, HairQuestionnaire>>>({});
+    const hairQuestionnaire = hairQuestionnaires[language] ?? null;
+    const [questionnaireError, setQuestionnaireError] = useState<string | null>(null);
+    const [questionnaireAttempt, setQuestionnaireAttempt] = useState(0);
+    const hairQuestionnaireRequests = useRef<Partial<Record<Language, Promise<HairQuestionnaire>>>>({});
+
+    const machineContext = useMemo<MachineContext>(() => ({ hairQuestionnaire }), [hairQuestionnaire]);
+    const settled = useMemo(
+        () => settle(editingIndex === null ? session.events : session.events.slice(0, editingIndex), machineContext),
+        [session.events, editingIndex, machineContext]
+    );
+    const flow = settled.state;
+    const userInfo = flow.userInfo;
+    const skinAnalysisResult = flow.analysis;
+
+    const messages = useMemo(() => buildTranscript(
+        settled,
+        editingIndex === null ? session.notes : session.notes.filter(note => note.afterEvent <= editingIndex),
+        machineContext,
+        {
+            busy: isAnalyzing
+                ? t(flow.assessmentType === 'hair' ? 'chat.analyzingHair' : 'chat.analyzingSkin')
+                : isThinking ? t('chat.thinking') : null,
+            routineError,
+            questionnaireError,
+            chatOpen: session.chatOpen && editingIndex === null,
+        },
+        t
+    ), [settled, session.notes, session.chatOpen, editingIndex, machineContext, isAnalyzing, isThinking, routineError, questionnaireError, flow.assessmentType, t]);
 
     const chatEndRef = useRef<HTMLDivElement>(null);
     const uploadInputRef = useRef<HTMLInputElement>(null);
     const cameraInputRef = useRef<HTMLInputElement>(null);
-    const conversationStateRef = useRef(conversationState);
-    useEffect(() => { conversationStateRef.current = conversationState; }, [conversationState]);
+    const machineContextRef = useRef(machineContext);
+    useEffect(() => { machineContextRef.current = machineContext; }, [machineContext]);
+    const flowRef = useRef(flow);
+    useEffect(() => { flowRef.current = flow; }, [flow]);
+    const sessionEventsRef = useRef(session.events);
+    useEffect(() => { sessionEventsRef.current = session.events; }, [session.events]);
+    const editingIndexRef = useRef(editingIndex);
+    useEffect(() => { editingIndexRef.current = editingIndex; }, [editingIndex]);
     const uploadedImagesRef = useRef(uploadedImages);
     useEffect(() => { uploadedImagesRef.current = uploadedImages; }, [uploadedImages]);
 
@@ -783,19 +837,78 @@ const App: React.FC = () => {
         scrollToBottom();
     }, [messages]);
 
-    const addMessage = (sender: Sender, type: MessageType, content: any, payload?: any, step?: ConversationStep) => {
-        setMessages(prev => [...prev, { id: Date.now() + Math.random(), sender, type, content, payload, step }]);
+    // Appends an event to the live log. Events the current step doesn't accept (stale buttons) are ignored.
+    const dispatch = useCallback((event: ConversationEvent) => {
+        setSession(s => {
+            const ctx = machineContextRef.current;
+            if (!transition(settle(s.events, ctx).state, event, ctx)) return s;
+            return { ...s, events: normalize([...s.events, event], ctx) };
+        });
+    }, []);
+
+    // Every user answer goes through here. While editing, the new answer replaces the old one and
+    // the rest of the log is replayed; notes and chat from after that point are dropped.
+    const answer = (event: ConversationEvent) => {
+        const index = editingIndex;
+        if (index === null) {
+            dispatch(event);
+            return;
+        }
+        const ctx = machineContextRef.current;
+        if (!transition(flow, event, ctx)) return;
+        setSession(s => ({
+            ...s,
+            events: normalize(replaceEvent(s.events, index, event), ctx),
+            notes: s.notes.filter(note => note.afterEvent <= index),
+            chatOpen: false,
+        }));
+        setEditingIndex(null);
+        setRoutineError(null);
     };
 
-    const addToCart = (product: Product) => {
+    const startEdit = (index: number) => {
+        setEditingIndex(index);
+        setUploadedImages([]);
+        setPhotoNotices([]);
+        setActiveImageIndex(0);
+        setRoutineError(null);
+    };
+
+    const cancelEdit = () => {
+        setEditingIndex(null);
+        setUploadedImages([]);
+        setPhotoNotices([]);
+    };
+
+    // "Back" changes the most recent answer still shown. Neither it nor "Edit" is offered mid-request.
+    const isBusy = isAnalyzing || isThinking || isCheckingPhotos;
+    const backIndex = settled.entries.map(entry => isEditable(entry.event)).lastIndexOf(true);
+
+    // Adds a bubble outside the scripted flow after the events shown so far (or after `afterEvent`).
+    const addNote = (sender: Sender, text: string, extra: Partial<SessionNote> = {}) => {
+        const id = Date.now() + Math.random();
+        setSession(s => {
+            const shown = editingIndexRef.current ?? settle(s.events, machineContextRef.current).entries.length;
+            return { ...s, notes: [...s.notes, { id, afterEvent: shown, sender, text, ...extra }] };
+        });
+        return id;
+    };
+
+    const updateNote = (id: number, update: Partial<SessionNote>) => {
+        setSession(s => ({ ...s, notes: s.notes.map(note => (note.id === id ? { ...note, ...update } : note)) }));
+    };
+
+    const openChat = () => setSession(s => ({ ...s, chatOpen: true }));
+
+    const addToCart = (product: Product, assessmentType: AssessmentType) => {
         setCartItems(prev => {
-            const existingIndex = prev.findIndex(item => item.name === product.name);
+            const existingIndex = prev.findIndex(item => sameCartItem(item, product));
             if (existingIndex > -1) {
                 const newCart = [...prev];
                 newCart[existingIndex] = { ...newCart[existingIndex], quantity: newCart[existingIndex].quantity + 1 };
                 return newCart;
             }
-            return [...prev, { ...product, quantity: 1 }];
+            return [...prev, { ...product, quantity: 1, assessmentType }];
         });
         setIsCartOpen(true);
     };
@@ -819,177 +932,224 @@ const App: React.FC = () => {
         });
     };
 
-    const advanceConversation = useCallback((nextStep: ConversationStep, payload?: any) => {
-        setConversationState(s => ({ ...s, step: nextStep }));
+    // Saves the finished assessment to the user's history. Failures only lose history, so they don't interrupt the flow.
+    const persistAssessment = (state: SessionState, recommendations: ProductRecommendation[]) => {
+        if (!state.userInfo || !state.assessmentType) return;
+        // The safety answers are health data the history doesn't need.
+        const { safety, ...userInfo } = state.userInfo;
+        saveAssessment({
+            userInfo,
+            type: state.assessmentType,
+            analysis: state.analysis || [],
+            goals: state.skinGoals.filter(g => g !== NO_PRODUCT),
+            recommendations,
+            images: state.photos.map(photo => photo.base64)
+        })
+            .then(saved => setSession(s => ({ ...s, assessmentId: saved.id })))
+            .catch(error => console.warn('Could not save assessment:', error));
+    };
 
-        switch (nextStep) {
-            case ConversationStep.Skin_ProductUsage_Start:
-                addMessage(Sender.Bot, MessageType.Text,
-                    <div className="space-y-1">
-                        <p className="font-bold">
-                            <span className="text-blue-700">Step 1:</span>
-                            <span className="text-gray-800"> Past Product Usage</span>
-                        </p>
-                        <p className="text-sm text-gray-600">Tell us about products you've used. This helps us avoid recommending things that didn't work for you.</p>
-                    </div>
-                );
-                setTimeout(() => addMessage(Sender.User, MessageType.ProductOptions, "Tell us about products you've used."), 200);
-                break;
-            case ConversationStep.Skin_ProductUsage_Loop:
-                addMessage(Sender.User, MessageType.ProductOptions, "What other product have you used?");
-                break;
-            case ConversationStep.Skin_ProductUsage_AskCurrentlyUsing:
-                setTimeout(() => addMessage(Sender.Bot, MessageType.YesNo, "Are you currently using it?"), 500);
-                break;
-            case ConversationStep.Skin_ProductUsage_AskDuration:
-                setTimeout(() => addMessage(Sender.Bot, MessageType.DurationOptions, "How long have you used it?"), 500);
-                break;
-            case ConversationStep.Skin_ProductUsage_AskOther:
-                setTimeout(() => addMessage(Sender.Bot, MessageType.YesNo, "Using any other products?"), 500);
-                break;
-            case ConversationStep.Skin_Analysis:
-                addMessage(Sender.Bot, MessageType.ImageUpload, null);
-                break;
-            case ConversationStep.Skin_Goals:
-                addMessage(Sender.User, MessageType.Text, "Set My Goals");
-                setTimeout(() => addMessage(Sender.Bot, MessageType.GoalSelection, null), 500);
-                break;
-            case ConversationStep.Hair_Gender:
-                addMessage(Sender.Bot, MessageType.Text, "AI Haircare Treatment Finder");
-                setTimeout(() => addMessage(Sender.Bot, MessageType.Text, "We'd love to personalize your care experience. Could you tell us your gender?"), 300);
-                setTimeout(() => addMessage(Sender.Bot, MessageType.GenderOptions, "Please select your gender."), 800);
-                break;
-            case ConversationStep.Hair_Questioning:
-                addMessage(Sender.User, MessageType.Text, payload.gender);
-
-                let firstQuestion;
-                if (payload.gender === 'Male') {
-                    firstQuestion = maleHairQuestions[0];
-                } else {
-                    // Trigger Female Flow
-                    firstQuestion = femaleHairQuestions[0];
-                }
-                setConversationState(s => ({ ...s, hairQuestionIndex: 0 }));
-                setTimeout(() => addMessage(Sender.Bot, firstQuestion.type, firstQuestion), 500);
-                break;
-        }
-    }, []);
+    // The cart becomes a Shopify cart tagged with the saved assessment and the session's assessment
+    // types, each line with the routine it came from; then the browser leaves for its checkout. The
+    // session is saved, so coming back resumes the conversation.
+    const handleCheckout = async () => {
+        const { checkoutUrl } = await createCheckout({
+            lines: cartItems.map(item => ({ variantId: item.variantId!, quantity: item.quantity, recommendationType: item.recommendationType, assessmentType: item.assessmentType })),
+            assessmentId: session.assessmentId ?? undefined,
+            assessmentTypes: [...flow.completed.map(c => c.assessmentType), ...(flow.assessmentType ? [flow.assessmentType] : [])],
+        });
+        window.location.assign(checkoutUrl);
+    };
 
-    const runSkinAnalysis = useCallback(async () => {
-        setIsAnalyzing(true);
-        addMessage(Sender.Bot, MessageType.Loading, "Analyzing your skin...");
-        const result = await analyzeSkin(uploadedImages.map(img => img.base64));
-        setSkinAnalysisResult(result);
+    // Report contents for the session: the `type` assessment first, then the other one of a combined
+    // session. Routines come from the event log, so they include the user's edits. Only the name and
+    // age of the user go into the PDF; the safety answers are sent so the server can note conflicts.
+    const reportInput = (type: AssessmentType): ReportInput => {
+        const sections: ReportSection[] = [
+            ...flow.completed.map(c => ({ type: c.assessmentType, analysis: c.analysis || [], recommendations: c.routine.recommendations, goals: c.goals, image: c.photos[0]?.base64 })),
+            ...(flow.assessmentType && flow.routine ? [{
+                type: flow.assessmentType,
+                analysis: skinAnalysisResult || [],
+                recommendations: flow.routine.recommendations,
+                goals: flow.assessmentType === 'hair' ? [] : flow.skinGoals,
+                image: flow.photos[0]?.base64,
+            }] : []),
+        ];
+        const main = sections.find(section => section.type === type) || { type, analysis: [], recommendations: [], goals: [] };
+        return {
+            ...main,
+            otherAssessments: sections.filter(section => section !== main),
+            userInfo: userInfo ? { name: userInfo.name, age: userInfo.age } : undefined,
+            safety: userInfo?.safety,
+            language,
+        };
+    };
 
-        setMessages(prev => prev.filter(msg => msg.type !== MessageType.Loading));
+    // The doctor's report adds an AI summary: it is saved as a PDF on the server (behind an expiring
+    // link), downloaded, and shown in the chat. Its token is kept so the user can delete it later.
+    const handleDoctorReport = async (type: AssessmentType) => {
+        const input = reportInput(type);
+        const { url, summary, token, expiresAt } = await createDoctorReport(input);
+        setSession(s => ({ ...s, reports: [...s.reports, { token, expiresAt }] }));
+        downloadFile(url, reportFileName(input));
+        addNote(Sender.Bot, summary);
+    };
 
-        setMessages(prev => prev.map(msg =>
-            msg.type === MessageType.ImageUpload
-                ? { ...msg, payload: { ...msg.payload, submitted: true } }
-                : msg
+    // A report the server no longer has (404) was already purged, which is what the user asked for.
+    const handleDeleteReports = async () => {
+        setIsDeletingReports(true);
+        const results = await Promise.all(session.reports.map(report =>
+            deleteReport(report.token).then(() => true, error => error instanceof ApiError && error.status === 404)
         ));
+        const kept = session.reports.filter((_, index) => !results[index]);
+        setSession(s => ({ ...s, reports: s.reports.filter(report => kept.some(k => k.token === report.token)) }));
+        addNote(Sender.Bot, t(kept.length > 0 ? 'report.deleteFailed' : 'report.deleted'));
+        setIsDeletingReports(false);
+    };
 
-        addMessage(Sender.User, MessageType.Image, uploadedImages);
+    // Shared by every hair assessment in the session (one request per language); a failed request is retried on the next call.
+    const loadHairQuestionnaire = (requested: Language) => {
+        const requests = hairQuestionnaireRequests.current;
+        if (!requests[requested]) {
+            requests[requested] = getHairQuestionnaire(requested).catch(error => {
+                delete requests[requested];
+                throw error;
+            });
+        }
+        return requests[requested]!;
+    };
 
-        addMessage(Sender.Bot, MessageType.AnalysisResult, { images: uploadedImages, analysis: result });
-        setIsAnalyzing(false);
-    }, [uploadedImages]);
+    useEffect(() => {
+        if (flow.assessmentType !== 'hair' || hairQuestionnaire) return;
+        loadHairQuestionnaire(language)
+            .then(questionnaire => {
+                setHairQuestionnaires(loaded => ({ ...loaded, [language]: questionnaire }));
+                setQuestionnaireError(null);
+            })
+            .catch(error => setQuestionnaireError(describeError(error, t)));
+    }, [flow.assessmentType, hairQuestionnaire, language, questionnaireAttempt]);
 
-    const runHairAnalysis = useCallback(async () => {
+    // Routine steps ask the server as soon as they are reached, including after an edit or a refresh.
+    const routineRequestRef = useRef(false);
+    useEffect(() => {
+        const isRoutineStep = flow.step === ConversationStep.Skin_Recommendations || flow.step === ConversationStep.Hair_Recommendations;
+        if (!isRoutineStep || flow.routine || editingIndex !== null || routineError || routineRequestRef.current) return;
+
+        routineRequestRef.current = true;
+        const state = flow;
+        const requestedEvents = session.events;
+        // The second routine of a combined session leaves out what the first one already covers.
+        const otherRoutineProducts = state.completed
+            .flatMap(c => routineProducts(c.routine.recommendations).map(p => p.variantId))
+            .filter((id): id is string => Boolean(id));
+        const request = state.assessmentType === 'hair'
+            ? getHairCareRoutine(state.hairAnswers as HairProfileData, state.analysis || [], [], hairQuestionnaire?.version ?? 0, language, state.userInfo?.safety, state.budget, otherRoutineProducts)
+            : getSkincareRoutine(state.analysis || [], state.skinGoals, state.skinProducts, language, state.userInfo?.safety, state.budget, otherRoutineProducts);
+        request
+            .then(({ routine, triage, warnings, tiers, tier, overlaps }) => {
+                routineRequestRef.current = false;
+                // An answer changed while the request was out: this routine is stale, so ask again.
+                if (sessionEventsRef.current !== requestedEvents) {
+                    setRoutineAttempt(n => n + 1);
+                    return;
+                }
+                dispatch({ type: 'routineReady', recommendations: routine, triage, warnings, tiers, tier, overlaps });
+                persistAssessment(state, routine);
+            })
+            .catch(error => {
+                routineRequestRef.current = false;
+                if (sessionEventsRef.current !== requestedEvents) {
+                    setRoutineAttempt(n => n + 1);
+                    return;
+                }
+                setRoutineError(describeError(error, t));
+            });
+    }, [flow, editingIndex, routineError, routineAttempt]);
+
+    // Shared by the skin and hair analyses: records the result, or asks for new photos when the
+    // model couldn't use them. Triage findings are shown with the result (see utils/transcript.ts).
+    // A re-analysis (the photos answer being edited) skips the server's cache of earlier analyses.
+    const runAnalysis = async (type: AssessmentType) => {
         setIsAnalyzing(true);
-        addMessage(Sender.Bot, MessageType.Loading, "Analyzing your hair & scalp...");
-        const response = await analyzeHair(uploadedImages.map(img => img.base64));
-
-        const result = response.analysis || [];
-        setSkinAnalysisResult(result);
-
-        setMessages(prev => prev.filter(msg => msg.type !== MessageType.Loading));
-
-        setMessages(prev => prev.map(msg =>
-            msg.type === MessageType.ImageUpload
-                ? { ...msg, payload: { ...msg.payload, submitted: true } }
-                : msg
-        ));
-
-        addMessage(Sender.User, MessageType.Image, uploadedImages);
-
-        // Reusing AnalysisResultView as the structure is compatible
-        addMessage(Sender.Bot, MessageType.AnalysisResult, { images: uploadedImages, analysis: result });
+        const bypassCache = editingIndex !== null;
+        let response: AnalysisResponse;
+        try {
+            response = type === 'hair' ? await analyzeHair(uploadedImages, language, bypassCache) : await analyzeSkin(uploadedImages, language, bypassCache);
+        } catch (error) {
+            setIsAnalyzing(false);
+            addNote(Sender.Bot, t('chat.analysisFailed', { error: describeError(error, t) }));
+            return;
+        }
         setIsAnalyzing(false);
-    }, [uploadedImages]);
 
-    const handleReAnalyze = useCallback(() => {
+        if (response.error || !response.analysis) {
+            addNote(Sender.Bot, response.message || t(type === 'hair' ? 'chat.photosUnclearHair' : 'chat.photosUnclearSkin'));
+            setUploadedImages([]);
+            setPhotoNotices([]);
+            return;
+        }
+
+        answer({
+            type: 'analysisReady',
+            assessmentType: type,
+            photos: uploadedImages.map(({ name, base64, angle, warning }) => ({ name, base64, angle, warning })),
+            analysis: response.analysis,
+            triage: response.triage
+        });
         setUploadedImages([]);
-        setSkinAnalysisResult(null);
-        setIsAnalyzing(false);
+        setPhotoNotices([]);
         setActiveImageIndex(0);
-        // Determine if we were in Skin or Hair flow to restart correctly
-        if (conversationStateRef.current.assessmentType === 'hair') {
-            // Re-trigger Hair Upload Step. Correctly passing payload.
-            addMessage(Sender.Bot, MessageType.ImageUpload, null, { isHair: true });
-        } else {
-            advanceConversation(ConversationStep.Skin_Analysis);
-        }
-    }, [advanceConversation]);
+    };
 
-    const handleReset = useCallback(() => {
-        // Reset all state variables to initial values
+    const handleReset = () => {
+        // Reset all state variables to initial values, and forget the saved session (but keep the language)
+        clearSession();
+        setSession({ ...EMPTY_SESSION, language });
+        setEditingIndex(null);
         setUploadedImages([]);
-        setSkinAnalysisResult(null);
+        setPhotoNotices([]);
         setIsAnalyzing(false);
+        setIsThinking(false);
         setActiveImageIndex(0);
-        setCartItems([]); // Reset Cart too
-        setUserInfo(null);
+        setRoutineError(null);
         setIsCartOpen(false);
-        setConversationState({
-            assessmentType: null,
-            step: ConversationStep.UserDetails,
-            hairQuestionIndex: 0,
-            hairAnswers: {},
-            skinProducts: [],
-            skinGoals: [],
-        });
+        setIsProgressOpen(false);
+    };
 
-        // Reset messages manually
-        setMessages([
-            { id: Date.now(), sender: Sender.Bot, type: MessageType.Text, content: "Hello! I'm your AI Dermatologist assistant." }
-        ]);
+    // Every photo passes the local quality gate (utils/photoQuality.ts) first: rejected ones are
+    // never added, and each problem comes back to the user as retake advice.
+    const addPhotos = useCallback(async (photos: { file: File; angle?: CaptureAngle }[]) => {
+        const mode = flowRef.current.assessmentType === 'hair' ? 'hair' : 'skin';
+        setIsCheckingPhotos(true);
+        const added: UploadedImage[] = [];
+        const notices: PhotoNotice[] = [];
+        // One at a time: decoding several full-size photos at once can exhaust memory on phones.
+        for (const { file, angle } of photos) {
+            const { quality, image } = await preparePhoto(file, { mode, angle });
+            const name = angle ? t('photos.angleName', { angle: angleLabel(angle, t)! }) : file.name;
+            if (quality.verdict !== 'ok') notices.push({ name, verdict: quality.verdict, issues: quality.issues });
+            if (image) added.push({ name: file.name, url: image.url, base64: image.base64, angle, warning: quality.verdict === 'warn' });
+        }
+        setIsCheckingPhotos(false);
+        setPhotoNotices(notices);
+        if (added.length === 0) return;
 
-        // Re-trigger the user info form
-        setTimeout(() => {
-            setMessages(prev => [...prev, { id: Date.now(), sender: Sender.Bot, type: MessageType.UserInfo, content: null }]);
-        }, 600);
-    }, []);
+        const allImages = [...uploadedImagesRef.current, ...added];
+        setUploadedImages(allImages);
+        setActiveImageIndex(allImages.length - 1);
+    }, [t]);
 
     const handleFileSelect = useCallback(async (e: React.ChangeEvent<HTMLInputElement>) => {
         if (!e.target.files || e.target.files.length === 0) return;
 
         const files = Array.from(e.target.files);
-        const newImagesBase64 = await Promise.all(files.map(fileToBase64));
-        const newImages = files.map((file: File, index) => ({
-            name: file.name,
-            url: URL.createObjectURL(file),
-            base64: newImagesBase64[index],
-        }));
-
-        const allImages = [...uploadedImagesRef.current, ...newImages];
-        setUploadedImages(allImages);
-        setActiveImageIndex(allImages.length - 1);
         e.target.value = '';
-    }, []);
+        await addPhotos(files.map(file => ({ file })));
+    }, [addPhotos]);
 
-    const handleCameraCapture = useCallback(async (file: File) => {
-        const base64 = await fileToBase64(file);
-        const newImage = {
-            name: file.name,
-            url: URL.createObjectURL(file),
-            base64: base64,
-        };
-
-        const allImages = [...uploadedImagesRef.current, newImage];
-        setUploadedImages(allImages);
-        setActiveImageIndex(allImages.length - 1);
-    }, []);
+    const handleCameraCapture = useCallback(async (file: File, angle: CaptureAngle) => {
+        await addPhotos([{ file, angle }]);
+    }, [addPhotos]);
 
     const handleRemoveImage = (indexToRemove: number) => {
         const updatedImages = uploadedImages.filter((_, index) => index !== indexToRemove);
@@ -1001,222 +1161,127 @@ const App: React.FC = () => {
         }
     };
 
-    const handleNextStep = useCallback(async (step: ConversationStep | string, payload?: any) => {
-        setMessages(prev => prev.filter(msg => msg.type !== MessageType.NextStep));
-
-        switch (step) {
-            case ConversationStep.Skin_Goals:
-                advanceConversation(ConversationStep.Skin_Goals);
-                break;
-            case ConversationStep.Skin_Recommendations:
-                const selectedGoals = payload.goals.filter((g: string) => g !== 'None of these');
-                if (selectedGoals.length > 0) {
-                    addMessage(Sender.User, MessageType.Text, `My goals: ${selectedGoals.join(', ')}`);
-                } else {
-                    addMessage(Sender.User, MessageType.Text, `No specific goals selected.`);
-                }
-                setConversationState(s => ({ ...s, skinGoals: payload.goals }));
-                addMessage(Sender.Bot, MessageType.Loading, "Generating your personalized skincare...");
-                const recs = await getSkincareRoutine(skinAnalysisResult!, payload.goals);
-                setMessages(prev => prev.filter(msg => msg.type !== MessageType.Loading));
-                addMessage(Sender.Bot, MessageType.ProductRecommendation, recs);
-                break;
-            case ConversationStep.Hair_Gender:
-                advanceConversation(ConversationStep.Hair_Gender);
-                break;
-            case ConversationStep.Hair_Questioning:
-                advanceConversation(ConversationStep.Hair_Questioning, payload);
-                break;
-            case ConversationStep.Hair_Analysis:
-                // Trigger Hair Analysis Upload Step. Correctly passing payload.
-                addMessage(Sender.Bot, MessageType.ImageUpload, null, { isHair: true });
-                break;
-            case ConversationStep.Hair_Recommendations:
-                addMessage(Sender.Bot, MessageType.Loading, "Generating your personalized hair care routine...");
-
-                const hairProfile: Partial<HairProfileData> = {
-                    ...conversationState.hairAnswers
-                };
-
-                const hairRecs = await getHairCareRoutine(hairProfile, skinAnalysisResult || [], []);
-                setMessages(prev => prev.filter(msg => msg.type !== MessageType.Loading));
-                addMessage(Sender.Bot, MessageType.ProductRecommendation, hairRecs);
-                break;
-            case ConversationStep.Skin_Report:
-                addMessage(Sender.User, MessageType.Text, "AI Doctor's Report");
-                setConversationState(s => ({ ...s, step: ConversationStep.Skin_Report }));
-                setTimeout(() => addMessage(Sender.Bot, MessageType.DoctorReport, null), 500);
-                break;
-        }
-    }, [skinAnalysisResult, conversationState, advanceConversation]);
-
-    const handleProductSelection = useCallback((product: string) => {
-        setMessages(prev => {
-            const lastOptionsIndex = prev.map(m => m.type).lastIndexOf(MessageType.ProductOptions);
-            if (lastOptionsIndex > -1) {
-                const newMessages = [...prev];
-                const originalMessage = newMessages[lastOptionsIndex];
-                newMessages[lastOptionsIndex] = {
-                    ...originalMessage,
-                    payload: { ...originalMessage.payload, disabled: true, selectedProduct: product }
-                };
-                return newMessages;
-            }
-            return prev;
-        });
+    // Routine edits are written back into the routineReady event, so the cart, PDF, doctor report,
+    // chat and saved session all use the edited routine.
+    const updateRoutine = (eventIndex: number, edited: ProductRecommendation[]) => {
+        setSession(s => ({
+            ...s,
+            events: s.events.map((event, i) => (i === eventIndex && event.type === 'routineReady' ? { ...event, recommendations: edited } : event))
+        }));
+    };
 
-        if (product === "None of these") {
-            advanceConversation(ConversationStep.Skin_Analysis);
-        } else {
-            setConversationState(s => ({
-                ...s,
-                skinProducts: [...s.skinProducts, { name: product }],
-            }));
-            advanceConversation(ConversationStep.Skin_ProductUsage_AskCurrentlyUsing);
-        }
-    }, [advanceConversation]);
-
-    const handleInteractiveResponse = useCallback((value: string) => {
-        const { step } = conversationStateRef.current;
-        // Instead of removing the message, convert it to a Text message to preserve history
-        setMessages(prev => prev.map(msg => {
-            if (msg.type === MessageType.YesNo || msg.type === MessageType.DurationOptions) {
-                return { ...msg, type: MessageType.Text };
-            }
-            return msg;
+    // Picking another budget tier replaces the routine and its safety notes with that tier's, so
+    // edits made to the previous tier are dropped.
+    const selectTier = (eventIndex: number, tier: RoutineTier) => {
+        setSession(s => ({
+            ...s,
+            events: s.events.map((event, i) => (i === eventIndex && event.type === 'routineReady'
+                ? { ...event, recommendations: tier.routine, warnings: tier.warnings, tier: tier.id }
+                : event))
         }));
+    };
 
-        addMessage(Sender.User, MessageType.Text, value);
+    // Corrections are written into the analysisReady event next to the model's result, and the
+    // analysis goes to the server as labelled feedback, with the photos only if the user agreed to
+    // share them. A routine made from the uncorrected analysis is dropped, so it is asked for again.
+    const correctAnalysis = (eventIndex: number, corrections: AnalysisCorrection[], sharePhotos: boolean) => {
+        const event = session.events[eventIndex];
+        if (event?.type !== 'analysisReady') return;
+        setSession(s => ({ ...s, events: normalize(replaceEvent(s.events, eventIndex, { ...event, corrections }), machineContextRef.current) }));
+        setRoutineError(null);
+        submitAnalysisFeedback({
+            type: event.assessmentType,
+            analysis: event.analysis,
+            corrections,
+            images: sharePhotos ? event.photos.map(photo => photo.base64) : [],
+            angles: sharePhotos ? event.photos.map(photo => photo.angle || null) : [],
+            photoConsent: sharePhotos,
+            language,
+        }).catch(error => console.warn('Could not save analysis feedback:', error));
+    };
 
-        switch (step) {
-            case ConversationStep.Skin_ProductUsage_AskCurrentlyUsing:
-                const isCurrentlyUsing = value === 'Yes';
-                setConversationState(s => {
-                    const updatedProducts = [...s.skinProducts];
-                    const lastProductIndex = updatedProducts.length - 1;
-                    if (lastProductIndex >= 0) {
-                        updatedProducts[lastProductIndex].currentlyUsing = isCurrentlyUsing;
-                    }
-                    return { ...s, skinProducts: updatedProducts };
-                });
+    const handleProductSelection = (product: string) => {
+        answer({ type: 'pickProduct', product: product === NO_PRODUCT ? null : product });
+    };
 
-                if (isCurrentlyUsing) {
-                    advanceConversation(ConversationStep.Skin_ProductUsage_AskDuration);
-                } else {
-                    advanceConversation(ConversationStep.Skin_ProductUsage_AskOther);
-                }
+    const handleInteractiveResponse = (value: string) => {
+        switch (flow.step) {
+            case ConversationStep.Skin_ProductUsage_AskCurrentlyUsing:
+                answer({ type: 'answerCurrentlyUsing', currentlyUsing: value === 'Yes' });
                 break;
             case ConversationStep.Skin_ProductUsage_AskDuration:
-                setConversationState(s => {
-                    const updatedProducts = [...s.skinProducts];
-                    const lastProductIndex = updatedProducts.length - 1;
-                    if (lastProductIndex >= 0) {
-                        updatedProducts[lastProductIndex].duration = value;
-                    }
-                    return { ...s, skinProducts: updatedProducts };
-                });
-                advanceConversation(ConversationStep.Skin_ProductUsage_AskOther);
+                answer({ type: 'answerDuration', duration: value });
                 break;
             case ConversationStep.Skin_ProductUsage_AskOther:
-                if (value === 'Yes') {
-                    advanceConversation(ConversationStep.Skin_ProductUsage_Loop);
-                } else {
-                    advanceConversation(ConversationStep.Skin_Analysis);
-                }
+                answer({ type: 'answerAnotherProduct', another: value === 'Yes' });
                 break;
         }
-    }, [advanceConversation]);
-
-    const handleChatSubmit = useCallback(async (query: string) => {
-        // Replace ChatInput with User Text
-        setMessages(prev => {
-            const newMessages = [...prev];
-            const lastMsg = newMessages[newMessages.length - 1];
-            if (lastMsg.type === MessageType.ChatInput) {
-                newMessages[newMessages.length - 1] = { ...lastMsg, type: MessageType.Text, content: query, sender: Sender.User };
-            } else {
-                // Fallback if for some reason the last message wasn't ChatInput
-                newMessages.push({ id: Date.now(), sender: Sender.User, type: MessageType.Text, content: query });
-            }
-            return newMessages;
-        });
-
-        addMessage(Sender.Bot, MessageType.Loading, "Thinking...");
+    };
 
-        // Gather context
-        const recommendationsMsg = messages.find(m => m.type === MessageType.ProductRecommendation);
-        const recommendations = recommendationsMsg ? recommendationsMsg.content : null;
+    const handleChatSubmit = async (query: string) => {
+        // Completed turns go back as history so follow-ups keep their context.
+        const history: ChatTurn[] = session.notes
+            .filter(note => note.chat)
+            .map(note => ({ role: note.sender === Sender.User ? 'user' as const : 'assistant' as const, content: note.text }))
+            .slice(-CHAT_HISTORY_LIMIT);
+        const queryId = addNote(Sender.User, query, { chat: true });
+        setIsThinking(true);
 
         const context = {
             analysis: skinAnalysisResult,
-            recommendations: recommendations
+            recommendations: flow.routine?.recommendations || null
         };
 
-        const response = await chatWithAI(query, context);
-
-        setMessages(prev => prev.filter(msg => msg.type !== MessageType.Loading));
-        addMessage(Sender.Bot, MessageType.Text, response);
-        addMessage(Sender.Bot, MessageType.ChatInput, null);
+        // The reply replaces the loading bubble on its first chunk and then grows in place.
+        let replyId: number | null = null;
+        const showReply = (text: string, update: Partial<SessionNote>) => {
+            if (replyId === null) {
+                setIsThinking(false);
+                replyId = addNote(Sender.Bot, text, update);
+            } else {
+                updateNote(replyId, { text, ...update });
+            }
+        };
 
-    }, [messages, skinAnalysisResult]);
+        try {
+            const response = await streamChatWithAI(query, context, history, language, partial => showReply(partial, { streaming: true }));
+            showReply(response, { streaming: false, chat: true });
+        } catch (error) {
+            updateNote(queryId, { chat: false });
+            showReply(t('chat.chatFailed'), { streaming: false });
+        }
+    };
 
     const handleUserInfoSubmit = (info: UserInfo) => {
-        setUserInfo(info);
-        addMessage(Sender.User, MessageType.UserInfo, info);
-        setTimeout(() => {
-            addMessage(Sender.Bot, MessageType.Text, `Thank you, ${info.name.split(' ')[0]}! Now, please select a concern to begin.`);
-            setTimeout(() => {
-                addMessage(Sender.Bot, MessageType.AssessmentOptions, null);
-            }, 600);
-        }, 500);
-        setConversationState(s => ({ ...s, step: ConversationStep.Initial }));
+        answer({ type: 'submitUserInfo', userInfo: info });
+
+        listAssessments(info)
+            .then(history => {
+                if (history.length > 0) {
+                    addNote(Sender.Bot, history.length > 1 ? t('chat.welcomeBackMany', { count: history.length }) : t('chat.welcomeBackOne'), { afterEvent: 1 });
+                }
+            })
+            .catch(error => console.warn('Could not load assessment history:', error));
     };
 
-    const handleInitialChoice = (choice: 'skin' | 'hair') => {
-        // Clear previous analysis data when switching context
+    // Also used to go on to the other assessment once a routine is ready (a combined session).
+    const handleInitialChoice = (choice: AssessmentType) => {
+        // Clear photos picked for the previous assessment
         setUploadedImages([]);
-        setSkinAnalysisResult(null);
-        setConversationState({ ...conversationState, assessmentType: choice, step: choice === 'skin' ? ConversationStep.Skin_ProductUsage_Start : ConversationStep.Hair_Gender });
-        const content = choice === 'skin' ? 'Skin Assessment' : 'Hair Assessment';
-        const image = choice === 'skin' ? '/skin_assessment.png' : '/hair_assessment.png';
-
-        if (choice === 'hair') {
-            // Show the specific Hair Assessment Card
-            addMessage(Sender.User, MessageType.HairAssessmentStart, null);
-        } else {
-            addMessage(Sender.User, MessageType.AssessmentOptions, { content, image });
-        }
-
-        const nextStep = choice === 'skin' ? ConversationStep.Skin_ProductUsage_Start : ConversationStep.Hair_Gender;
-        setTimeout(() => advanceConversation(nextStep), 500);
+        setPhotoNotices([]);
+        answer({ type: 'chooseAssessment', assessmentType: choice });
     };
 
-    const handleHairAnswer = (questionId: number, answer: string | string[]) => {
-        const answerText = Array.isArray(answer) ? answer.join(', ') : answer;
-        addMessage(Sender.User, MessageType.Text, answerText);
-        const newAnswers = { ...conversationState.hairAnswers, [questionId]: answer };
-        setConversationState(s => ({ ...s, hairAnswers: newAnswers }));
-
-        // Check gender from state/history to pick correct question set
-        const genderMessage = messages.find(m => m.type === MessageType.Text && (m.content === 'Male' || m.content === 'Female'));
-        const gender = genderMessage ? genderMessage.content : 'Male';
-
-        const activeQuestions = gender === 'Female' ? femaleHairQuestions : maleHairQuestions;
-
-        const nextQuestionIndex = conversationState.hairQuestionIndex + 1;
-        if (nextQuestionIndex < activeQuestions.length) {
-            setConversationState(s => ({ ...s, hairQuestionIndex: nextQuestionIndex }));
-            const nextQuestion = activeQuestions[nextQuestionIndex];
-            setTimeout(() => addMessage(Sender.Bot, nextQuestion.type, nextQuestion), 500);
-        } else {
-            // End of Questions, proceed to Hair Analysis Upload DIRECTLY
-            setConversationState(s => ({ ...s, step: ConversationStep.Hair_Analysis }));
-            setTimeout(() => addMessage(Sender.Bot, MessageType.ImageUpload, null, { isHair: true }), 500);
-        }
+    const handleHairAnswer = (question: HairQuestion, value: HairAnswer) => {
+        answer({ type: 'answerHairQuestion', field: question.field, answer: value });
     };
 
-    const FormattedText: React.FC<{ text: string }> = ({ text }) => {
-        const lines = text.split('\n');
+    const FormattedText: React.FC<{ text: string; streaming?: boolean }> = ({ text, streaming }) => {
+        // While streaming, drop an unclosed "**" so half-finished bold text doesn't show raw asterisks.
+        const boldMarkers = text.split('**').length - 1;
+        const cut = text.lastIndexOf('**');
+        const visibleText = streaming && boldMarkers % 2 === 1 ? text.slice(0, cut) + text.slice(cut + 2) : text;
+        const lines = visibleText.split('\n');
         return (
             <div className="space-y-2">
                 {lines.map((line, i) => {
@@ -1241,6 +1306,7 @@ const App: React.FC = () => {
                         </p>
                     );
                 })}
+                {streaming && <span className="inline-block w-2 h-4 bg-blue-400 animate-pulse align-middle" />}
             </div>
         );
     };
@@ -1260,21 +1326,39 @@ const App: React.FC = () => {
         switch (message.type) {
             case MessageType.Text:
                 if (typeof message.content === 'string') {
-                    return <FormattedText text={message.content} />;
+                    return <FormattedText text={message.content} streaming={message.payload?.streaming} />;
                 }
                 return <div>{message.content}</div>;
+            case MessageType.StepIntro: {
+                // Stored as data rather than JSX so the transcript can be saved with the session.
+                const intro = message.content as { step: string; title: string; text: string };
+                return (
+                    <div className="space-y-1">
+                        <p className="font-bold">
+                            <span className="text-blue-700">{intro.step}</span>
+                            <span className="text-gray-800"> {intro.title}</span>
+                        </p>
+                        <p className="text-sm text-gray-600">{intro.text}</p>
+                    </div>
+                );
+            }
             case MessageType.Loading: return <div className="flex items-center gap-2"><LoadingDots /> <p>{message.content}</p></div>;
             case MessageType.UserInfo:
                 if (message.sender === Sender.User) {
                     return (
                         <div className="space-y-1">
                             <p className="font-semibold">{message.content.name}</p>
-                            <p className="text-xs opacity-80">{message.content.age} years | {message.content.phone}</p>
+                            <p className="text-xs opacity-80">{t('userInfo.ageYears', { age: message.content.age })} | {message.content.phone}</p>
                             <p className="text-xs opacity-80">{message.content.email}</p>
                         </div>
                     );
                 }
-                return <UserInfoForm onSubmit={handleUserInfoSubmit} />;
+                return <UserInfoForm
+                    onSubmit={handleUserInfoSubmit}
+                    language={language}
+                    onLanguageChange={selected => setSession(s => ({ ...s, language: selected }))}
+                    t={t}
+                />;
             case MessageType.AssessmentOptions:
                 if (message.sender === Sender.User) {
                     return (
@@ -1286,15 +1370,15 @@ const App: React.FC = () => {
                 }
                 return (
                     <div>
-                        <p className="mb-4 text-center font-semibold">Please select a concern to begin.</p>
+                        <p className="mb-4 text-center font-semibold">{t('chat.selectConcern')}</p>
                         <div className="flex justify-center gap-4">
                             <button onClick={() => handleInitialChoice('skin')} className="flex flex-col items-center p-4 border rounded-lg hover:bg-gray-100 transition-colors shadow-sm">
-                                <img src="/skin_assessment.png" alt="Skin Assessment" className="w-20 h-20 mb-2" />
-                                <span className="font-semibold">Skin Assessment</span>
+                                <img src="/skin_assessment.png" alt={t('assessment.skin')} className="w-20 h-20 mb-2" />
+                                <span className="font-semibold">{t('assessment.skin')}</span>
                             </button>
                             <button onClick={() => handleInitialChoice('hair')} className="flex flex-col items-center p-4 border rounded-lg hover:bg-gray-100 transition-colors shadow-sm">
-                                <img src="/hair_assessment.png" alt="Hair Assessment" className="w-20 h-20 mb-2" />
-                                <span className="font-semibold">Hair Assessment</span>
+                                <img src="/hair_assessment.png" alt={t('assessment.hair')} className="w-20 h-20 mb-2" />
+                                <span className="font-semibold">{t('assessment.hair')}</span>
                             </button>
                         </div>
                     </div>
@@ -1304,15 +1388,16 @@ const App: React.FC = () => {
                 return (
                     <div className="flex items-center gap-3">
                         <div className="w-10 h-10 rounded-full bg-blue-100 flex items-center justify-center overflow-hidden border border-blue-200">
-                            <img src="/hair_assessment.png" alt="Hair Assessment" className="w-full h-full object-cover" />
+                            <img src="/hair_assessment.png" alt={t('assessment.hair')} className="w-full h-full object-cover" />
                         </div>
-                        <span className="font-semibold text-white">Hair Assessment</span>
+                        <span className="font-semibold text-white">{t('assessment.hair')}</span>
                     </div>
                 );
             case MessageType.ProductOptions: {
                 return <ProductSelector
                     onSelect={handleProductSelection}
                     prompt={message.content}
+                    t={t}
                     disabled={message.payload?.disabled}
                     selectedProduct={message.payload?.selectedProduct}
                     isUser={message.sender === Sender.User}
@@ -1323,8 +1408,8 @@ const App: React.FC = () => {
                     <div className="space-y-3 p-2">
                         <p className="font-semibold">{message.content}</p>
                         <div className="flex flex-col gap-2">
-                            <button onClick={() => handleInteractiveResponse('Yes')} className="px-4 py-2.5 text-center border-2 border-gray-200 text-blue-600 font-semibold rounded-lg hover:bg-blue-50 transition-colors">Yes</button>
-                            <button onClick={() => handleInteractiveResponse('No')} className="px-4 py-2.5 text-center border-2 border-gray-200 text-blue-600 font-semibold rounded-lg hover:bg-blue-50 transition-colors">No</button>
+                            <button onClick={() => handleInteractiveResponse('Yes')} className="px-4 py-2.5 text-center border-2 border-gray-200 text-blue-600 font-semibold rounded-lg hover:bg-blue-50 transition-colors">{t('value.yes')}</button>
+                            <button onClick={() => handleInteractiveResponse('No')} className="px-4 py-2.5 text-center border-2 border-gray-200 text-blue-600 font-semibold rounded-lg hover:bg-blue-50 transition-colors">{t('value.no')}</button>
                         </div>
                     </div>
                 );
@@ -1335,7 +1420,7 @@ const App: React.FC = () => {
                         <p className="font-semibold mb-3">{message.content}</p>
                         <div className="flex flex-wrap gap-2">
                             {durations.map(d =>
-                                <button key={d} onClick={() => handleInteractiveResponse(d)} className="px-4 py-2 text-sm rounded-full transition-colors bg-blue-50 text-blue-700 hover:bg-blue-100">{d}</button>
+                                <button key={d} onClick={() => handleInteractiveResponse(d)} className="px-4 py-2 text-sm rounded-full transition-colors bg-blue-50 text-blue-700 hover:bg-blue-100">{valueLabel(d, t)}</button>
                             )}
                         </div>
                     </div>
@@ -1345,11 +1430,11 @@ const App: React.FC = () => {
                     return (
                         <div className="space-y-2 p-3">
                             <p className="font-bold">
-                                <span className="text-blue-700">Step 2:</span>
-                                <span className="text-gray-800"> AI Face Analysis</span>
+                                <span className="text-blue-700">{t('chat.step', { number: 2 })}</span>
+                                <span className="text-gray-800"> {t(message.payload?.isHair ? 'photos.hairAnalysis' : 'photos.faceAnalysis')}</span>
                             </p>
                             <p className="text-sm text-gray-600">
-                                For best results, upload clear, well-lit photos from different angles. <span className="text-blue-600 font-semibold">More images ensure a more accurate analysis.</span>
+                                {t('photos.tips')} <span className="text-blue-600 font-semibold">{t('photos.moreImages')}</span>
                             </p>
                         </div>
                     );
@@ -1362,11 +1447,11 @@ const App: React.FC = () => {
                     return (
                         <div className="space-y-3 p-2 w-full">
                             <p className="font-bold">
-                                <span className="text-blue-700">Step 2:</span>
-                                <span className="text-gray-800"> {isHairContext ? 'AI Hair & Scalp Analysis' : 'AI Face Analysis'}</span>
+                                <span className="text-blue-700">{t('chat.step', { number: 2 })}</span>
+                                <span className="text-gray-800"> {t(isHairContext ? 'photos.hairAnalysis' : 'photos.faceAnalysis')}</span>
                             </p>
                             <p className="text-sm text-gray-600">
-                                For best results, upload clear, well-lit photos from different angles. <span className="text-blue-600 font-semibold cursor-pointer">More images ensure a more accurate analysis.</span>
+                                {t('photos.tips')} <span className="text-blue-600 font-semibold cursor-pointer">{t('photos.moreImages')}</span>
                             </p>
 
                             <div className="relative w-full bg-gray-100 rounded-xl overflow-hidden flex justify-center">
@@ -1390,32 +1475,37 @@ const App: React.FC = () => {
                                 {uploadedImages.map((img, idx) => (
                                     <div key={idx} onClick={() => setActiveImageIndex(idx)} className={`relative flex-shrink-0 w-14 h-14 rounded-lg overflow-hidden border-2 cursor-pointer ${idx === activeImageIndex ? 'border-blue-500 ring-2 ring-blue-500' : 'border-transparent'}`}>
                                         <img src={img.url} alt="thumbnail" className="w-full h-full object-cover" />
+                                        <AngleBadge angle={img.angle} t={t} />
+                                        {img.warning && <span className="absolute top-0.5 right-0.5 w-4 h-4 rounded-full bg-yellow-400 text-[10px] font-bold text-yellow-900 flex items-center justify-center" title={t('photos.qualityWarning')}>!</span>}
                                     </div>
                                 ))}
 
                                 <button disabled={isAnalyzing} onClick={() => uploadInputRef.current?.click()} className="flex-shrink-0 w-14 h-14 border-2 border-dashed border-gray-300 rounded-lg flex flex-col items-center justify-center text-gray-400 hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
                                     <PlusIcon />
-                                    <span className="text-[10px] font-medium mt-0.5">Add</span>
+                                    <span className="text-[10px] font-medium mt-0.5">{t('photos.add')}</span>
                                 </button>
 
                                 <button disabled={isAnalyzing} onClick={() => setIsCameraOpen(true)} className="flex-shrink-0 w-14 h-14 border-2 border-dashed border-gray-300 rounded-lg flex flex-col items-center justify-center text-gray-400 hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
                                     <CameraIcon className="w-5 h-5 text-gray-400 mb-0" />
-                                    <span className="text-[10px] font-medium mt-0.5">Camera</span>
+                                    <span className="text-[10px] font-medium mt-0.5">{t('photos.camera')}</span>
                                 </button>
                             </div>
 
+                            <PhotoNoticeList notices={photoNotices} t={t} />
+                            {isCheckingPhotos && <div className="flex items-center gap-2 text-xs text-gray-500"><LoadingDots /> {t('photos.checking')}</div>}
+
                             {/* UPDATED: Dynamic Button Logic */}
                             <button
-                                disabled={isAnalyzing}
-                                onClick={isHairContext ? runHairAnalysis : runSkinAnalysis}
+                                disabled={isAnalyzing || isCheckingPhotos}
+                                onClick={() => runAnalysis(isHairContext ? 'hair' : 'skin')}
                                 className="w-full mt-2 px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-base flex justify-center items-center disabled:bg-blue-400 disabled:cursor-not-allowed"
                             >
                                 {isAnalyzing ? (
                                     <>
-                                        <LoadingDots /> <span className="ml-2">Scanning...</span>
+                                        <LoadingDots /> <span className="ml-2">{t('photos.scanning')}</span>
                                     </>
                                 ) : (
-                                    isHairContext ? "Analyze My Hair" : "Analyze My Skin"
+                                    t(isHairContext ? 'photos.analyzeHair' : 'photos.analyzeSkin')
                                 )}
                             </button>
                         </div>
@@ -1426,27 +1516,29 @@ const App: React.FC = () => {
                     return (
                         <div className="space-y-3 p-2">
                             <p className="font-bold">
-                                <span className="text-blue-700">Hair & Scalp Analysis</span>
+                                <span className="text-blue-700">{t('photos.hairScalpAnalysis')}</span>
                             </p>
-                            <p className="text-sm text-gray-600">Upload photos for our AI to analyze, or skip to continue.</p>
+                            <p className="text-sm text-gray-600">{t('photos.hairIntro')}</p>
                             <div className="bg-blue-50 p-2 rounded text-xs text-blue-800 mb-2">
-                                <p><strong>Photo upload is optional</strong></p>
-                                <p>No photo? No problem. We can generate a personalized plan based on your questionnaire answers. Simply use the "Skip & Continue" button below to proceed.</p>
+                                <p><strong>{t('photos.optional')}</strong></p>
+                                <p>{t('photos.optionalText')}</p>
                             </div>
 
                             {/* UPDATED: Dual buttons for Upload/Camera clarity */}
                             <div className="flex flex-col sm:flex-row gap-3">
                                 <button onClick={() => uploadInputRef.current?.click()} className="flex-1 w-full text-blue-600 font-semibold py-3 bg-blue-50 border-2 border-dashed border-blue-200 rounded-lg hover:bg-blue-100 transition-colors flex items-center justify-center">
-                                    <UploadIcon /> Upload Photos
+                                    <UploadIcon /> {t('photos.upload')}
                                 </button>
                                 <button onClick={() => setIsCameraOpen(true)} className="flex-1 w-full text-blue-600 font-semibold py-3 bg-blue-50 border-2 border-dashed border-blue-200 rounded-lg hover:bg-blue-100 transition-colors flex items-center justify-center">
-                                    <CameraIcon /> Use Camera
+                                    <CameraIcon /> {t('photos.useCamera')}
                                 </button>
                             </div>
+                            <PhotoNoticeList notices={photoNotices} t={t} />
+                            {isCheckingPhotos && <div className="flex items-center gap-2 text-xs text-gray-500"><LoadingDots /> {t('photos.checking')}</div>}
 
                             <div className="pt-2 border-t border-gray-100 mt-2">
-                                <button onClick={() => handleNextStep(ConversationStep.Hair_Recommendations)} className="w-full text-gray-500 font-medium py-2 hover:text-gray-700 transition-colors flex items-center justify-center text-sm">
-                                    Skip & Continue
+                                <button onClick={() => answer({ type: 'skipPhotos' })} className="w-full text-gray-500 font-medium py-2 hover:text-gray-700 transition-colors flex items-center justify-center text-sm">
+                                    {t('photos.skip')}
                                 </button>
                             </div>
                         </div>
@@ -1456,18 +1548,20 @@ const App: React.FC = () => {
                 return (
                     <div className="space-y-3 p-2">
                         <p className="font-bold">
-                            <span className="text-blue-700">Step 2:</span>
-                            <span className="text-gray-800"> AI Face Analysis</span>
+                            <span className="text-blue-700">{t('chat.step', { number: 2 })}</span>
+                            <span className="text-gray-800"> {t('photos.faceAnalysis')}</span>
                         </p>
-                        <p className="text-sm text-gray-600">For best results, upload clear, well-lit photos of your face — including front, left, and right views. <span className="text-red-500">Adding multiple images will help ensure more accurate results.</span></p>
+                        <p className="text-sm text-gray-600">{t('photos.faceTips')} <span className="text-red-500">{t('photos.faceMoreImages')}</span></p>
                         <div className="flex flex-col sm:flex-row gap-3">
                             <button onClick={() => uploadInputRef.current?.click()} className="flex-1 w-full text-blue-600 font-semibold py-3 bg-blue-50 border-2 border-dashed border-blue-200 rounded-lg hover:bg-blue-100 transition-colors flex items-center justify-center">
-                                <UploadIcon /> Upload Photos
+                                <UploadIcon /> {t('photos.upload')}
                             </button>
                             <button onClick={() => setIsCameraOpen(true)} className="flex-1 w-full text-blue-600 font-semibold py-3 bg-blue-50 border-2 border-dashed border-blue-200 rounded-lg hover:bg-blue-100 transition-colors flex items-center justify-center">
-                                <CameraIcon /> Use Camera
+                                <CameraIcon /> {t('photos.useCamera')}
                             </button>
                         </div>
+                        <PhotoNoticeList notices={photoNotices} t={t} />
+                        {isCheckingPhotos && <div className="flex items-center gap-2 text-xs text-gray-500"><LoadingDots /> {t('photos.checking')}</div>}
                     </div>
                 );
             case MessageType.Image:
@@ -1482,18 +1576,24 @@ const App: React.FC = () => {
                     </div>
                 );
             case MessageType.AnalysisResult:
-                const { images: analysisImages, analysis } = message.content as { images: UploadedImage[], analysis: SkinConditionCategory[] };
-                const isHairAssessment = conversationState.assessmentType === 'hair';
+                const { images: analysisImages, analysis, corrections, triage: analysisTriage } = message.content as { images: UploadedImage[], analysis: SkinConditionCategory[], corrections: AnalysisCorrection[], triage: TriageResult };
+                const isHairAssessment = flow.assessmentType === 'hair';
 
+                // Re-analyzing is an edit of the photos answer: the flow rewinds to the upload step.
                 return <AnalysisResultView
                     images={analysisImages}
                     analysis={analysis}
-                    onReAnalyze={handleReAnalyze}
-                    onNext={() => handleNextStep(isHairAssessment ? ConversationStep.Hair_Recommendations : ConversationStep.Skin_Goals)}
-                    nextLabel={isHairAssessment ? "Next: Get My Routine" : "Next: Set My Goals"}
+                    corrections={corrections}
+                    flagged={analysisTriage.findings.map(finding => finding.condition)}
+                    onReAnalyze={() => startEdit(message.payload.eventIndex)}
+                    onCorrect={isBusy || editingIndex !== null ? undefined : (edited, sharePhotos) => correctAnalysis(message.payload.eventIndex, edited, sharePhotos)}
+                    onNext={() => answer({ type: 'proceed' })}
+                    nextLabel={t(isHairAssessment ? 'analysis.nextRoutine' : 'analysis.nextGoals')}
+                    t={t}
                 />;
             case MessageType.GoalSelection:
                 const [selectedGoals, setSelectedGoals] = useState<string[]>([]);
+                const [budget, setBudget] = useState('');
                 const dynamicSuggestions = getDynamicSuggestions(skinAnalysisResult || []);
                 const otherGoals = allGoals.filter(g => !dynamicSuggestions.some(s => s.id === g.id));
 
@@ -1510,17 +1610,17 @@ const App: React.FC = () => {
                 return (
                     <div className="p-1">
                         <p className="font-bold mb-1">
-                            <span className="text-blue-700">Step 3:</span>
-                            <span className="text-gray-800"> Select Your Skincare Goals</span>
+                            <span className="text-blue-700">{t('chat.step', { number: 3 })}</span>
+                            <span className="text-gray-800"> {t('goals.title')}</span>
                         </p>
-                        <p className="text-sm text-gray-600 mb-4">Choose what you'd like to focus on. We've highlighted a few suggestions based on your skin analysis.</p>
+                        <p className="text-sm text-gray-600 mb-4">{t('goals.intro')}</p>
 
-                        <p className="text-xs font-bold text-yellow-600 mb-2">⭐ SUGGESTION</p>
+                        <p className="text-xs font-bold text-yellow-600 mb-2">⭐ {t('goals.suggestion')}</p>
                         <div className="space-y-2 mb-4">
                             {dynamicSuggestions.map(goal => (
                                 <button key={goal.id} onClick={() => toggleGoal(goal.text)} className={`w-full p-3 border rounded-lg text-left flex items-center gap-3 transition-all ${selectedGoals.includes(goal.text) ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-50'}`}>
                                     {goal.icon}
-                                    <span className="font-medium text-sm flex-1">{goal.text}</span>
+                                    <span className="font-medium text-sm flex-1">{valueLabel(goal.text, t)}</span>
                                     <span className="text-yellow-500 text-lg">⭐</span>
                                 </button>
                             ))}
@@ -1530,28 +1630,43 @@ const App: React.FC = () => {
                             {otherGoals.map(goal => (
                                 <button key={goal.id} onClick={() => toggleGoal(goal.text)} className={`w-full p-3 border rounded-lg text-left flex items-center gap-3 transition-all ${selectedGoals.includes(goal.text) ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-50'}`}>
                                     {goal.icon}
-                                    <span className="font-medium text-sm">{goal.text}</span>
+                                    <span className="font-medium text-sm">{valueLabel(goal.text, t)}</span>
                                 </button>
                             ))}
                         </div>
-                        <button onClick={() => handleNextStep(ConversationStep.Skin_Recommendations, { goals: selectedGoals })} className="mt-4 w-full px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-base">Submit</button>
+                        <label className="block text-sm font-medium text-gray-700 mt-4 mb-1">{t('goals.budget')}</label>
+                        <input
+                            type="number"
+                            min="1"
+                            inputMode="numeric"
+                            value={budget}
+                            onChange={(e) => setBudget(e.target.value)}
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
+                            placeholder={t('goals.budgetPlaceholder')}
+                        />
+                        <p className="text-xs text-gray-500 mt-1">{t('goals.budgetHint')}</p>
+                        <button onClick={() => answer({ type: 'chooseGoals', goals: selectedGoals, budget: Number(budget) > 0 ? Number(budget) : null })} className="mt-4 w-full px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-base">{t('common.submit')}</button>
                     </div>
                 );
             case MessageType.ProductRecommendation:
                 const recommendations = message.content as ProductRecommendation[];
+                const routineType = message.payload?.routineType === 'hair' ? 'hair' : 'skin';
+
+                const handleRoutineChange = (edited: ProductRecommendation[]) => updateRoutine(message.payload.eventIndex, edited);
+                const tiers: RoutineTier[] = message.payload?.tiers || [];
+                const overlaps: RoutineOverlap[] = message.payload?.overlaps || [];
+                const cost = routineCost(recommendations);
 
                 const handleAddAll = () => {
                     setCartItems(prev => {
                         let newCart = [...prev];
-                        recommendations.forEach(cat => {
-                            cat.products.forEach(p => {
-                                const existingIndex = newCart.findIndex(item => item.name === p.name);
-                                if (existingIndex > -1) {
-                                    newCart[existingIndex] = { ...newCart[existingIndex], quantity: newCart[existingIndex].quantity + 1 };
-                                } else {
-                                    newCart.push({ ...p, quantity: 1 });
-                                }
-                            });
+                        routineProducts(recommendations).filter(isAvailable).forEach(p => {
+                            const existingIndex = newCart.findIndex(item => sameCartItem(item, p));
+                            if (existingIndex > -1) {
+                                newCart[existingIndex] = { ...newCart[existingIndex], quantity: newCart[existingIndex].quantity + 1 };
+                            } else {
+                                newCart.push({ ...p, quantity: 1, assessmentType: routineType });
+                            }
                         });
                         return newCart;
                     });
@@ -1560,101 +1675,178 @@ const App: React.FC = () => {
 
                 return (
                     <div className="space-y-5 p-1">
-                        <p className="font-bold text-lg text-gray-800">Your Personalized Skincare</p>
-                        {recommendations.map(rec => (
-                            <div key={rec.category}>
-                                <h4 className="font-semibold text-md mb-3 text-gray-700">{rec.category}</h4>
-                                <div className="grid grid-cols-2 gap-3">
-                                    {rec.products.map((product, index) => (
-                                        <div key={`${product.name}-${index}`} className="border rounded-xl p-3 flex flex-col gap-2 bg-white relative">
-                                            {/* Recommendation Tag */}
-                                            {product.recommendationType && (
-                                                <div className={`absolute top-2 left-2 px-2 py-0.5 rounded-md text-[10px] font-bold uppercase tracking-wider z-10 shadow-sm ${product.recommendationType === 'Recommended'
-                                                    ? 'bg-blue-600 text-white border border-blue-400'
-                                                    : 'bg-indigo-50 text-indigo-600 border border-indigo-200'
-                                                    }`}>
-                                                    {product.recommendationType}
-                                                </div>
-                                            )}
-
-                                            {/* Make image clickable */}
-                                            <a href={product.url} target="_blank" rel="noopener noreferrer" className="block">
-                                                <img src={product.image} alt={product.name} className="w-full h-24 object-cover rounded-md" />
-                                            </a>
-                                            <div className="flex-1">
-                                                {/* Make name clickable */}
-                                                <a href={product.url} target="_blank" rel="noopener noreferrer" className="block hover:text-blue-600 hover:underline">
-                                                    <p className="font-bold text-sm leading-tight">{product.name}</p>
-                                                </a>
-                                                <p className="text-sm text-gray-700 my-1">{product.price}</p>
-                                                <div className="flex flex-wrap gap-1">
-                                                    {product.tags.map((tag, i) => (
-                                                        <span key={`${tag}-${i}`} className={`text-[10px] font-semibold px-2 py-0.5 rounded-full ${tag === 'On Sale' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-50 text-green-700 border border-green-100'
-                                                            }`}>
-                                                            {tag}
-                                                        </span>
-                                                    ))}
-                                                </div>
-                                            </div>
-                                            <button onClick={() => addToCart(product)} className="w-full mt-1 py-2 bg-green-50 text-green-700 font-bold rounded-lg text-sm border border-green-200 hover:bg-green-100 transition-colors">ADD</button>
-                                        </div>
-                                    ))}
-                                </div>
-                            </div >
-                        ))}
+                        <p className="font-bold text-lg text-gray-800">{t(routineType === 'hair' ? 'routine.titleHair' : 'routine.titleSkin')}</p>
+                        <p className="text-xs text-gray-500 -mt-3">{t('routine.editHint')}</p>
+                        {overlaps.length > 0 && (
+                            <p className="text-xs text-gray-600 bg-gray-50 rounded-lg p-2">
+                                {t(routineType === 'hair' ? 'routine.overlapsSkin' : 'routine.overlapsHair', { products: overlaps.map(o => o.product).join(', ') })}
+                            </p>
+                        )}
+                        {tiers.length > 1 && (
+                            <div className={`grid gap-2 ${tiers.length === 3 ? 'grid-cols-3' : 'grid-cols-2'}`}>
+                                {tiers.map(tier => (
+                                    <button
+                                        key={tier.id}
+                                        onClick={() => selectTier(message.payload.eventIndex, tier)}
+                                        className={`p-2 border rounded-lg text-left transition-colors ${message.payload.tier === tier.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white hover:bg-gray-50'}`}
+                                    >
+                                        <span className="block font-bold text-sm">{t(`tier.${tier.id}`)}</span>
+                                        <span className="block text-xs">{t('tier.products', { count: tier.productCount })}</span>
+                                        {tier.monthlyCost && <span className="block text-xs">{t('tier.perMonth', { price: formatPrice(tier.monthlyCost) })}</span>}
+                                        {tier.withinBudget === false && <span className="block text-xs font-medium">{t('tier.overBudget')}</span>}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        <RoutineEditor
+                            recommendations={recommendations}
+                            routineType={routineType}
+                            onChange={handleRoutineChange}
+                            onAddToCart={product => addToCart(product, routineType)}
+                            t={t}
+                        />
+                        {cost.total && (
+                            <div className="text-sm text-gray-700 bg-gray-50 rounded-lg p-3">
+                                <p className="font-bold">{t('routine.total', { total: formatPrice(cost.total) })}</p>
+                                <p className="text-xs text-gray-500 mt-0.5">{t('routine.upkeep', { monthly: formatPrice(cost.monthlyCost), days: cost.lastsDays ?? '?' })}</p>
+                            </div>
+                        )}
                         <div className="space-y-3 pt-3">
-                            <button onClick={handleAddAll} className="w-full px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-base">Add All to Cart</button>
-                            <button onClick={() => addMessage(Sender.Bot, MessageType.ChatInput, null)} className="w-full px-4 py-3 bg-purple-600 text-white font-bold rounded-lg hover:bg-purple-700 transition-colors text-base flex items-center justify-center gap-2">
-                                <BotIcon /> Chat with AI Expert
-                            </button>
-                            <button onClick={() => generatePDF(skinAnalysisResult, recommendations, conversationState.goals, userInfo, uploadedImages[0]?.base64)} className="w-full px-4 py-3 bg-blue-50 text-blue-700 font-bold rounded-lg border-2 border-blue-200 hover:bg-blue-100 transition-colors text-base flex items-center justify-center gap-2">
-                                <DownloadIcon /> Download Report (PDF)
+                            <button onClick={handleAddAll} className="w-full px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-base">{t('routine.addAll')}</button>
+                            <button onClick={openChat} className="w-full px-4 py-3 bg-purple-600 text-white font-bold rounded-lg hover:bg-purple-700 transition-colors text-base flex items-center justify-center gap-2">
+                                <BotIcon /> {t('routine.chat')}
                             </button>
-                            <button onClick={() => handleNextStep(ConversationStep.Skin_Report)} className="w-full px-4 py-3 bg-gray-100 text-gray-800 font-bold rounded-lg hover:bg-gray-200 transition-colors text-base">Next: AI Doctor's Report</button>
+                            <ReportButton
+                                label={t('routine.downloadReport')}
+                                onDownload={() => generatePDF(reportInput(routineType))}
+                                t={t}
+                                className="w-full px-4 py-3 bg-blue-50 text-blue-700 font-bold rounded-lg border-2 border-blue-200 hover:bg-blue-100 transition-colors text-base flex items-center justify-center gap-2"
+                            />
+                            <button onClick={() => answer({ type: 'openReport' })} className="w-full px-4 py-3 bg-gray-100 text-gray-800 font-bold rounded-lg hover:bg-gray-200 transition-colors text-base">{t('routine.nextDoctorReport')}</button>
                         </div>
                     </div >
                 );
             case MessageType.NextStep:
-                return <button onClick={() => handleNextStep(message.payload.nextStep, message.payload)} className="w-full px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">{message.payload.buttonText}</button>;
+                // Retry buttons for a routine or questionnaire request that failed (see utils/transcript.ts).
+                const retry = message.payload.action === 'retryQuestionnaire'
+                    ? () => { setQuestionnaireError(null); setQuestionnaireAttempt(n => n + 1); }
+                    : () => setRoutineError(null);
+                return <button onClick={retry} className="w-full px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">{message.payload.buttonText}</button>;
+            case MessageType.BudgetInput:
+                return <BudgetForm onSubmit={budget => answer({ type: 'chooseBudget', budget })} t={t} />;
             case MessageType.GenderOptions:
                 return (
                     <div>
                         <p className="mb-2 text-center font-semibold">{message.content}</p>
                         <div className="flex justify-center gap-4">
-                            <button onClick={() => handleNextStep(ConversationStep.Hair_Questioning, { gender: 'Male' })} className="px-6 py-2 border rounded-lg hover:bg-gray-100 flex flex-col items-center">
+                            <button onClick={() => answer({ type: 'pickGender', gender: 'Male' })} className="px-6 py-2 border rounded-lg hover:bg-gray-100 flex flex-col items-center">
                                 <div className="w-12 h-12 mb-1 rounded-full bg-blue-100 flex items-center justify-center overflow-hidden">
-                                    <img src="/gender_male.png" alt="Male" className="w-full h-full object-cover" />
+                                    <img src="/gender_male.png" alt={t('value.male')} className="w-full h-full object-cover" />
                                 </div>
-                                <span className="font-semibold text-sm">Male</span>
+                                <span className="font-semibold text-sm">{t('value.male')}</span>
                             </button>
-                            <button onClick={() => handleNextStep(ConversationStep.Hair_Questioning, { gender: 'Female' })} className="px-6 py-2 border rounded-lg hover:bg-gray-100 flex flex-col items-center">
+                            <button onClick={() => answer({ type: 'pickGender', gender: 'Female' })} className="px-6 py-2 border rounded-lg hover:bg-gray-100 flex flex-col items-center">
                                 <div className="w-12 h-12 mb-1 rounded-full bg-pink-100 flex items-center justify-center overflow-hidden">
-                                    <img src="/gender_female.png" alt="Female" className="w-full h-full object-cover" />
+                                    <img src="/gender_female.png" alt={t('value.female')} className="w-full h-full object-cover" />
                                 </div>
-                                <span className="font-semibold text-sm">Female</span>
+                                <span className="font-semibold text-sm">{t('value.female')}</span>
                             </button>
                         </div>
                     </div>
                 );
+            case MessageType.Consultation: {
+                const triage = message.content as TriageResult;
+                const isUrgent = triage.level === 'urgent';
+                const routineBlocked = isUrgent && message.payload?.withRoutine === false;
+                return (
+                    <div className={`p-3 space-y-3 rounded-xl border ${isUrgent ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'}`}>
+                        <p className={`font-bold text-lg ${isUrgent ? 'text-red-800' : 'text-amber-800'}`}>
+                            {t(isUrgent ? 'consult.urgentTitle' : 'consult.recommendTitle')}
+                        </p>
+                        <p className="text-sm text-gray-700">
+                            {t(isUrgent
+                                ? (routineBlocked ? 'consult.urgentTextBlocked' : 'consult.urgentText')
+                                : message.payload?.withRoutine ? 'consult.supportiveCare' : 'consult.needsPrescription')}
+                        </p>
+                        <ul className="text-sm space-y-2">
+                            {triage.findings.map((finding, i) => (
+                                <li key={i} className="bg-white/70 rounded-lg p-2">
+                                    <span className="font-semibold text-gray-800">{finding.condition}</span>
+                                    {finding.location && <span className="text-gray-500"> ({finding.location})</span>}
+                                    <p className="text-xs text-gray-600 mt-0.5">{finding.reason}</p>
+                                </li>
+                            ))}
+                        </ul>
+                        {triage.bookingUrl && (
+                            <a href={triage.bookingUrl} target="_blank" rel="noopener noreferrer" className={`block w-full text-center px-4 py-3 text-white font-bold rounded-lg transition-colors text-base ${isUrgent ? 'bg-red-600 hover:bg-red-700' : 'bg-amber-600 hover:bg-amber-700'}`}>
+                                {t('consult.book')}
+                            </a>
+                        )}
+                        {routineBlocked && (
+                            <button onClick={openChat} className="w-full px-4 py-3 bg-white text-purple-700 font-bold rounded-lg border-2 border-purple-200 hover:bg-purple-50 transition-colors text-base flex items-center justify-center gap-2">
+                                <BotIcon /> {t('consult.askExpert')}
+                            </button>
+                        )}
+                    </div>
+                );
+            }
+            case MessageType.SafetyNotes: {
+                const warnings = message.content as SafetyWarning[];
+                return (
+                    <div className="p-3 space-y-3 rounded-xl border bg-amber-50 border-amber-200">
+                        <p className="font-bold text-lg text-amber-800">{t('safety.title')}</p>
+                        <ul className="text-sm space-y-2">
+                            {warnings.map((warning, i) => (
+                                <li key={i} className="bg-white/70 rounded-lg p-2">
+                                    <p className="text-gray-700">{warning.message}</p>
+                                    {warning.products.length > 0 && (
+                                        <p className="text-xs text-gray-500 mt-0.5">
+                                            {warning.action === 'replaced' && warning.replacement
+                                                ? t('safety.replaced', { product: warning.products[0], replacement: warning.replacement })
+                                                : t('safety.products', { products: warning.products.join(', ') })}
+                                        </p>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                );
+            }
             case MessageType.DoctorReport:
-                const recommendationsMsg = messages.find(m => m.type === MessageType.ProductRecommendation);
-                const recs = recommendationsMsg ? recommendationsMsg.content as ProductRecommendation[] : [];
-
                 return (
                     <div className="p-4 space-y-4 text-center">
                         <p className="font-bold text-lg">
-                            <span className="text-blue-700">Step 5:</span>
-                            <span className="text-gray-800"> AI Doctor's Report</span>
+                            <span className="text-blue-700">{t('chat.step', { number: 5 })}</span>
+                            <span className="text-gray-800"> {t('chat.doctorReport')}</span>
                         </p>
-                        <p className="text-sm text-gray-600 px-4">Here is a summary of your analysis and personalized plan.</p>
-                        <button
-                            onClick={() => generatePDF(skinAnalysisResult, recs, conversationState.goals, userInfo, uploadedImages[0]?.base64)}
+                        <p className="text-sm text-gray-600 px-4">{t('report.intro')}</p>
+                        <ReportButton
+                            label={t('routine.downloadReport')}
+                            t={t}
+                            onDownload={() => handleDoctorReport(flow.assessmentType || 'skin')}
                             className="w-full max-w-xs mx-auto mt-2 px-4 py-3 bg-white text-green-600 font-bold rounded-lg border-2 border-green-500 hover:bg-green-50 transition-colors text-base flex items-center justify-center gap-2"
-                        >
-                            <DownloadIcon /> Download Report (PDF)
+                        />
+                        {session.reports.length > 0 && (
+                            <div className="space-y-1">
+                                <p className="text-xs text-gray-500 px-4">{t('report.linkNotice')}</p>
+                                <button onClick={handleDeleteReports} disabled={isDeletingReports} className="text-sm text-red-600 underline hover:text-red-800 disabled:opacity-60">
+                                    {t('report.delete')}
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                );
+            case MessageType.NextAssessment: {
+                const next = message.content as AssessmentType;
+                return (
+                    <div className="p-2 space-y-3">
+                        <p className="text-sm text-gray-700">{t(next === 'hair' ? 'combined.offerHair' : 'combined.offerSkin')}</p>
+                        <button onClick={() => handleInitialChoice(next)} className="w-full px-4 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-base">
+                            {t(next === 'hair' ? 'combined.startHair' : 'combined.startSkin')}
                         </button>
                     </div>
                 );
+            }
             case MessageType.Final:
                 const finalContent = message.content as { title: string, content: string };
                 return (
@@ -1664,23 +1856,23 @@ const App: React.FC = () => {
                     </div>
                 );
             case MessageType.HairQuestionRadio: {
-                const q = message.content as HairQuestion;
-                const isAnswered = conversationState.hairAnswers[q.id] !== undefined;
+                const { question: q, position, total } = message.content as HairQuestionStep;
+                const isAnswered = message.payload?.answered;
 
                 return (
                     <div className="p-2">
                         <div className="mb-3">
                             <span className="text-blue-600 text-xs font-bold block mb-1">
-                                Question {q.id} of {q.totalQuestions}
+                                {t('hair.questionOf', { position, total })}
                             </span>
-                            <p className="font-bold text-gray-800">{q.question}</p>
+                            <p className="font-bold text-gray-800">{q.text}</p>
                         </div>
                         {!isAnswered && (
                             <div className="flex flex-col gap-2">
                                 {q.options.map(opt => (
                                     <button
-                                        key={opt.label}
-                                        onClick={() => handleHairAnswer(q.id, opt.label)}
+                                        key={opt.value}
+                                        onClick={() => handleHairAnswer(q, opt.value)}
                                         className={`p-3 text-left bg-white border rounded-xl shadow-sm font-medium transition-colors flex items-center gap-3 ${opt.image ? '' : 'hover:bg-blue-50 border-gray-100 text-blue-600'}`}
                                     >
                                         {opt.image && (
@@ -1697,21 +1889,21 @@ const App: React.FC = () => {
                 )
             }
             case MessageType.HairQuestionImageGrid: {
-                const q = message.content as HairQuestion;
-                const isAnswered = conversationState.hairAnswers[q.id] !== undefined;
+                const { question: q, position, total } = message.content as HairQuestionStep;
+                const isAnswered = message.payload?.answered;
 
                 return (
                     <div className="p-2">
                         <div className="mb-3">
                             <span className="text-blue-600 text-xs font-bold block mb-1">
-                                Question {q.id} of {q.totalQuestions}
+                                {t('hair.questionOf', { position, total })}
                             </span>
-                            <p className="font-bold text-gray-800">{q.question}</p>
+                            <p className="font-bold text-gray-800">{q.text}</p>
                         </div>
                         {!isAnswered && (
                             <div className="grid grid-cols-2 gap-3">
                                 {q.options.map(opt => (
-                                    <button key={opt.label} onClick={() => handleHairAnswer(q.id, opt.label)} className="p-2 border rounded-lg hover:bg-blue-50 transition-colors flex flex-col items-center bg-white">
+                                    <button key={opt.value} onClick={() => handleHairAnswer(q, opt.value)} className="p-2 border rounded-lg hover:bg-blue-50 transition-colors flex flex-col items-center bg-white">
                                         <img src={opt.image} alt={opt.label} className="w-full h-24 object-contain mb-2 rounded-md" />
                                         <span className="text-xs font-medium text-center text-gray-700">{opt.label}</span>
                                     </button>
@@ -1722,21 +1914,23 @@ const App: React.FC = () => {
                 )
             }
             case MessageType.HairQuestionCheckbox: {
-                const q = message.content as HairQuestion;
-                const isAnswered = conversationState.hairAnswers[q.id] !== undefined;
+                const { question: q, position, total } = message.content as HairQuestionStep;
+                const isAnswered = message.payload?.answered;
                 const [selectedOptions, setSelectedOptions] = useState<string[]>([]);
 
-                const toggleOption = (label: string) => {
-                    if (label === "None of the above" || label === "None") {
-                        setSelectedOptions([label]);
+                // An `exclusive` option (e.g. "None") can't be combined with the others.
+                const exclusiveValues = q.options.filter(o => o.exclusive).map(o => o.value);
+                const toggleOption = (value: string) => {
+                    if (exclusiveValues.includes(value)) {
+                        setSelectedOptions([value]);
                         return;
                     }
                     setSelectedOptions(prev => {
-                        const filtered = prev.filter(o => o !== "None of the above" && o !== "None");
-                        if (filtered.includes(label)) {
-                            return filtered.filter(o => o !== label);
+                        const filtered = prev.filter(o => !exclusiveValues.includes(o));
+                        if (filtered.includes(value)) {
+                            return filtered.filter(o => o !== value);
                         } else {
-                            return [...filtered, label];
+                            return [...filtered, value];
                         }
                     });
                 };
@@ -1745,19 +1939,19 @@ const App: React.FC = () => {
                     <div className="p-2">
                         <div className="mb-3">
                             <span className="text-blue-600 text-xs font-bold block mb-1">
-                                Question {q.id} of {q.totalQuestions}
+                                {t('hair.questionOf', { position, total })}
                             </span>
-                            <p className="font-bold text-gray-800">{q.question}</p>
+                            <p className="font-bold text-gray-800">{q.text}</p>
                         </div>
                         {!isAnswered && (
                             <>
                                 <div className="space-y-2 mb-3">
                                     {q.options.map(opt => {
-                                        const isSelected = selectedOptions.includes(opt.label);
+                                        const isSelected = selectedOptions.includes(opt.value);
                                         return (
                                             <button
-                                                key={opt.label}
-                                                onClick={() => toggleOption(opt.label)}
+                                                key={opt.value}
+                                                onClick={() => toggleOption(opt.value)}
                                                 className={`w-full p-3 text-left border rounded-xl flex items-center gap-3 transition-colors ${isSelected ? 'bg-blue-600 text-white border-blue-600' : 'bg-white border-gray-100 hover:bg-gray-50 text-gray-800'}`}
                                             >
                                                 <div className={`w-5 h-5 rounded border flex items-center justify-center flex-shrink-0 ${isSelected ? 'bg-white border-white' : 'border-gray-300'}`}>
@@ -1769,11 +1963,11 @@ const App: React.FC = () => {
                                     })}
                                 </div>
                                 <button
-                                    onClick={() => handleHairAnswer(q.id, selectedOptions)}
+                                    onClick={() => handleHairAnswer(q, selectedOptions)}
                                     disabled={selectedOptions.length === 0}
                                     className="w-full py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
                                 >
-                                    Continue
+                                    {t('common.continue')}
                                 </button>
                             </>
                         )}
@@ -1794,12 +1988,12 @@ const App: React.FC = () => {
                             <input
                                 name="chatInput"
                                 type="text"
-                                placeholder="Ask a question..."
+                                placeholder={t('chat.askQuestion')}
                                 className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                                 autoFocus
                             />
                             <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-md font-semibold hover:bg-blue-700">
-                                Send
+                                {t('chat.send')}
                             </button>
                         </form>
                     </div>
@@ -1808,17 +2002,6 @@ const App: React.FC = () => {
         }
     };
 
-    const initializedRef = useRef(false);
-    useEffect(() => {
-        if (!initializedRef.current) {
-            initializedRef.current = true;
-            addMessage(Sender.Bot, MessageType.Text, "Hello! I'm your AI Dermatologist assistant.");
-            setTimeout(() => {
-                addMessage(Sender.Bot, MessageType.UserInfo, null);
-            }, 600);
-        }
-    }, []);
-
     return (
         <div className="flex flex-col h-screen bg-gray-100 font-sans text-gray-900 relative">
             <div className="w-full max-w-4xl mx-auto h-full flex flex-col bg-white shadow-2xl overflow-hidden relative sm:my-4 sm:rounded-xl sm:h-[95vh]">
@@ -1832,11 +2015,16 @@ const App: React.FC = () => {
                             <h1 className="font-bold text-lg">Dermatics AI</h1>
                             <div className="flex items-center gap-1.5 opacity-90">
                                 <span className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></span>
-                                <span className="text-xs font-medium">Online</span>
+                                <span className="text-xs font-medium">{t('header.online')}</span>
                             </div>
                         </div>
                     </div>
                     <div className="flex items-center gap-2">
+                        {userInfo && (
+                            <button onClick={() => setIsProgressOpen(true)} className="px-3 py-1.5 text-xs font-semibold bg-white/20 hover:bg-blue-700 rounded-full transition-colors">
+                                {t('header.myProgress')}
+                            </button>
+                        )}
                         <div className="relative cursor-pointer p-2 hover:bg-blue-700 rounded-full transition-colors" onClick={() => setIsCartOpen(true)}>
                             <CartIcon />
                             {cartItems.length > 0 && (
@@ -1845,7 +2033,14 @@ const App: React.FC = () => {
                                 </span>
                             )}
                         </div>
-                        <button onClick={handleReset} className="p-2 hover:bg-blue-700 rounded-full transition-colors opacity-80 hover:opacity-100" title="Restart">
+                        {backIndex > -1 && !isBusy && (
+                            <button onClick={() => startEdit(backIndex)} className="p-2 hover:bg-blue-700 rounded-full transition-colors opacity-80 hover:opacity-100" title={t('header.back')}>
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                                </svg>
+                            </button>
+                        )}
+                        <button onClick={handleReset} className="p-2 hover:bg-blue-700 rounded-full transition-colors opacity-80 hover:opacity-100" title={t('header.restart')}>
                             <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
                             </svg>
@@ -1854,7 +2049,18 @@ const App: React.FC = () => {
                 </div>
 
                 {/* Cart Overlay */}
-                {isCartOpen && <CartView items={cartItems} onClose={() => setIsCartOpen(false)} onRemove={removeFromCart} onUpdateQuantity={handleQuantityChange} />}
+                {isCartOpen && <CartView items={cartItems} onClose={() => setIsCartOpen(false)} onRemove={removeFromCart} onUpdateQuantity={handleQuantityChange} onCheckout={handleCheckout} t={t} />}
+
+                {/* Progress Overlay */}
+                {isProgressOpen && userInfo && <ProgressView userInfo={userInfo} onClose={() => setIsProgressOpen(false)} language={language} t={t} />}
+
+                {/* Editing Banner */}
+                {editingIndex !== null && (
+                    <div className="bg-amber-50 border-b border-amber-200 px-4 py-2 text-sm text-amber-800 flex items-center justify-between gap-3">
+                        <span>{t('chat.editingBanner')}</span>
+                        <button onClick={cancelEdit} className="font-semibold text-amber-900 hover:underline flex-shrink-0">{t('common.cancel')}</button>
+                    </div>
+                )}
 
                 {/* Chat Area */}
                 <div className="flex-1 overflow-y-auto p-4 space-y-6 bg-gray-50 scroll-smooth custom-scrollbar">
@@ -1879,6 +2085,11 @@ const App: React.FC = () => {
                                             <MessageContent message={msg} />
                                         </div>
                                     </div>
+                                    {msg.payload?.editIndex !== undefined && msg.payload.editIndex !== editingIndex && !isBusy && (
+                                        <button onClick={() => startEdit(msg.payload.editIndex)} className="self-end text-xs font-semibold text-blue-600 hover:underline flex-shrink-0">
+                                            {t('chat.edit')}
+                                        </button>
+                                    )}
                                 </div>
                             </div>
                         );
@@ -1889,8 +2100,10 @@ const App: React.FC = () => {
                 {/* Hidden Inputs */}
                 {isCameraOpen && (
                     <CameraCapture
+                        mode={flow.assessmentType === 'hair' ? 'hair' : 'skin'}
                         onCapture={handleCameraCapture}
                         onClose={() => setIsCameraOpen(false)}
+                        t={t}
                     />
                 )}
                 <input
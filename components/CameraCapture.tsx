@@ -1,79 +1,139 @@
 import React, { useRef, useState, useEffect } from 'react';
-import { CameraIcon } from './icons';
+import { AssessmentType, CaptureAngle } from '../types';
+import { angleInstruction, angleLabel, CAPTURE_SEQUENCES } from '../utils/captureGuides';
+import { Translate } from '../utils/i18n';
 
 interface CameraCaptureProps {
-    onCapture: (file: File) => void;
+    mode: AssessmentType;
+    onCapture: (file: File, angle: CaptureAngle) => void;
     onClose: () => void;
+    t: Translate;
 }
 
-export const CameraCapture: React.FC<CameraCaptureProps> = ({ onCapture, onClose }) => {
+type FacingMode = 'user' | 'environment';
+
+const GUIDE = { fill: 'none', stroke: 'white', strokeWidth: 0.6, strokeDasharray: '2 1.5', opacity: 0.85 };
+
+/** Framing guide for each angle, drawn over the preview (viewBox is 100 x 100, centred). */
+const FramingOverlay: React.FC<{ angle: CaptureAngle }> = ({ angle }) => {
+    const shapes: Record<CaptureAngle, React.ReactNode> = {
+        front: <>
+            <ellipse cx="50" cy="48" rx="22" ry="30" {...GUIDE} />
+            <line x1="34" y1="44" x2="66" y2="44" {...GUIDE} strokeDasharray="1 2" />
+        </>,
+        left: <path d="M58 18 C40 18 34 34 34 48 C34 66 44 78 56 78 L60 66 L56 60 L62 54 L56 48 L60 30 Z" {...GUIDE} />,
+        right: <path d="M42 18 C60 18 66 34 66 48 C66 66 56 78 44 78 L40 66 L44 60 L38 54 L44 48 L40 30 Z" {...GUIDE} />,
+        hairline: <>
+            <ellipse cx="50" cy="52" rx="22" ry="30" {...GUIDE} />
+            <path d="M26 36 Q50 10 74 36" {...GUIDE} strokeDasharray="none" strokeWidth={0.9} />
+        </>,
+        crown: <>
+            <circle cx="50" cy="50" r="28" {...GUIDE} />
+            <circle cx="50" cy="50" r="2" fill="white" opacity={0.85} />
+        </>,
+        part: <>
+            <ellipse cx="50" cy="50" rx="24" ry="32" {...GUIDE} />
+            <line x1="50" y1="20" x2="50" y2="80" {...GUIDE} strokeDasharray="none" strokeWidth={0.9} />
+        </>
+    };
+    return (
+        <svg viewBox="0 0 100 100" preserveAspectRatio="xMidYMid meet" className="absolute inset-0 w-full h-full pointer-events-none">
+            {shapes[angle]}
+        </svg>
+    );
+};
+
+/**
+ * Full-screen guided capture: walks through the angles for the assessment (front/left/right for
+ * skin, hairline/crown/part for hair) with a framing overlay for each, and hands every photo to
+ * `onCapture` tagged with its angle. Shots can be skipped and the camera switched front/rear.
+ * Photos are saved unmirrored so "left" and "right" in the analysis match the person's own sides.
+ */
+export const CameraCapture: React.FC<CameraCaptureProps> = ({ mode, onCapture, onClose, t }) => {
     const videoRef = useRef<HTMLVideoElement>(null);
-    const [stream, setStream] = useState<MediaStream | null>(null);
+    const streamRef = useRef<MediaStream | null>(null);
+    const [facingMode, setFacingMode] = useState<FacingMode>('user');
+    const [shotIndex, setShotIndex] = useState(0);
+    const [capturedAngles, setCapturedAngles] = useState<CaptureAngle[]>([]);
     const [error, setError] = useState<string | null>(null);
 
+    const sequence = CAPTURE_SEQUENCES[mode];
+    const angle = sequence[shotIndex];
+
     useEffect(() => {
-        startCamera();
+        startCamera(facingMode);
         return () => {
             stopCamera();
         };
-    }, []);
+    }, [facingMode]);
 
-    const startCamera = async () => {
+    const startCamera = async (facing: FacingMode) => {
         if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-            setError("Camera access is not available. This usually happens if you are not using HTTPS or if your device doesn't have a camera.");
+            setError(t('camera.unavailable'));
             return;
         }
 
         try {
-            const mediaStream = await navigator.mediaDevices.getUserMedia({ 
-                video: { facingMode: 'user' }, 
-                audio: false 
+            // `ideal` falls back to whichever camera exists on single-camera devices.
+            const mediaStream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: { ideal: facing } },
+                audio: false
             });
-            setStream(mediaStream);
+            stopCamera();
+            streamRef.current = mediaStream;
+            setError(null);
             if (videoRef.current) {
                 videoRef.current.srcObject = mediaStream;
             }
         } catch (err) {
             console.error("Error accessing camera:", err);
-            setError("Could not access camera. Please ensure you have granted permission and are using a secure connection (HTTPS).");
+            setError(t('camera.denied'));
         }
     };
 
     const stopCamera = () => {
-        if (stream) {
-            stream.getTracks().forEach(track => track.stop());
-            setStream(null);
+        streamRef.current?.getTracks().forEach(track => track.stop());
+        streamRef.current = null;
+    };
+
+    const nextShot = () => {
+        if (shotIndex + 1 >= sequence.length) {
+            onClose();
+        } else {
+            setShotIndex(shotIndex + 1);
         }
     };
 
     const handleCapture = () => {
-        if (!videoRef.current) return;
+        const video = videoRef.current;
+        if (!video || !video.videoWidth) return;
 
         const canvas = document.createElement('canvas');
-        canvas.width = videoRef.current.videoWidth;
-        canvas.height = videoRef.current.videoHeight;
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
         const ctx = canvas.getContext('2d');
-        if (ctx) {
-            // Flip if using front camera (optional, but mirrors usually expected)
-            ctx.translate(canvas.width, 0);
-            ctx.scale(-1, 1);
-            ctx.drawImage(videoRef.current, 0, 0);
-            
-            canvas.toBlob((blob) => {
-                if (blob) {
-                    const file = new File([blob], `camera_capture_${Date.now()}.jpg`, { type: 'image/jpeg' });
-                    onCapture(file);
-                    onClose();
-                }
-            }, 'image/jpeg', 0.9);
-        }
+        if (!ctx) return;
+        ctx.drawImage(video, 0, 0);
+
+        canvas.toBlob((blob) => {
+            if (blob) {
+                const file = new File([blob], `camera_${angle}_${Date.now()}.jpg`, { type: 'image/jpeg' });
+                onCapture(file, angle);
+                setCapturedAngles(prev => [...prev, angle]);
+            }
+        }, 'image/jpeg', 0.9);
+        nextShot();
     };
 
     return (
         <div className="fixed inset-0 z-50 bg-black flex flex-col items-center justify-center">
             <div className="relative w-full h-full flex flex-col">
-                <div className="absolute top-4 right-4 z-10">
-                    <button onClick={onClose} className="text-white p-2 bg-gray-800 rounded-full opacity-70 hover:opacity-100">
+                <div className="absolute top-4 left-4 right-4 z-10 flex justify-between items-start gap-3">
+                    <div className="text-white bg-gray-900/70 rounded-xl px-3 py-2 max-w-xs">
+                        <p className="text-xs font-bold uppercase tracking-wider opacity-80">{t('camera.progress', { number: shotIndex + 1, count: sequence.length, angle: angleLabel(angle, t)! })}</p>
+                        <p className="text-sm mt-1">{angleInstruction(angle, t)}</p>
+                    </div>
+                    <button onClick={onClose} className="flex-shrink-0 text-white p-2 bg-gray-800 rounded-full opacity-70 hover:opacity-100" aria-label={t('camera.close')}>
                         <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
                         </svg>
@@ -86,23 +146,48 @@ export const CameraCapture: React.FC<CameraCaptureProps> = ({ onCapture, onClose
                     </div>
                 ) : (
                     <div className="flex-1 relative flex items-center justify-center bg-black overflow-hidden">
-                        <video 
-                            ref={videoRef} 
-                            autoPlay 
-                            playsInline 
+                        <video
+                            ref={videoRef}
+                            autoPlay
+                            playsInline
                             muted
-                            className="absolute w-full h-full object-cover transform -scale-x-100" 
+                            // Mirror only the selfie preview; the saved photo is never mirrored.
+                            className={`absolute w-full h-full object-cover ${facingMode === 'user' ? 'transform -scale-x-100' : ''}`}
                         />
+                        <FramingOverlay angle={angle} />
                     </div>
                 )}
 
-                <div className="h-24 bg-black flex items-center justify-center">
-                    <button 
-                        onClick={handleCapture}
-                        className="w-16 h-16 rounded-full bg-white border-4 border-gray-300 flex items-center justify-center hover:bg-gray-200 transition-colors"
-                    >
-                        <div className="w-12 h-12 rounded-full bg-white border-2 border-black"></div>
-                    </button>
+                <div className="bg-black pb-4 pt-3 flex flex-col items-center gap-3">
+                    <div className="flex gap-2">
+                        {sequence.map((a, i) => (
+                            <span
+                                key={a}
+                                className={`text-[10px] font-semibold px-2 py-0.5 rounded-full ${i === shotIndex ? 'bg-white text-black' : capturedAngles.includes(a) ? 'bg-green-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+                            >
+                                {angleLabel(a, t)}
+                            </span>
+                        ))}
+                    </div>
+                    <div className="w-full max-w-xs flex items-center justify-between">
+                        <button
+                            onClick={() => setFacingMode(facingMode === 'user' ? 'environment' : 'user')}
+                            className="w-20 text-xs font-semibold text-white py-2 rounded-lg bg-gray-800 hover:bg-gray-700"
+                        >
+                            {facingMode === 'user' ? t('camera.rear') : t('camera.front')}
+                        </button>
+                        <button
+                            onClick={handleCapture}
+                            disabled={!!error}
+                            aria-label={t('camera.capture', { angle: angleLabel(angle, t)! })}
+                            className="w-16 h-16 rounded-full bg-white border-4 border-gray-300 flex items-center justify-center hover:bg-gray-200 transition-colors disabled:opacity-40"
+                        >
+                            <div className="w-12 h-12 rounded-full bg-white border-2 border-black"></div>
+                        </button>
+                        <button onClick={nextShot} className="w-20 text-xs font-semibold text-white py-2 rounded-lg bg-gray-800 hover:bg-gray-700">
+                            {shotIndex + 1 >= sequence.length ? t('camera.done') : t('camera.skip')}
+                        </button>
+                    </div>
                 </div>
             </div>
         </div>
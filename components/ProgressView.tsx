@@ -0,0 +1,150 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { AssessmentRecord, AssessmentSummary, Language, UserInfo } from '../types';
+import { getAssessment, listAssessments } from '../services/assessmentService';
+import { ApiError } from '../services/apiClient';
+import { compareAnalyses, ConditionTrend } from '../utils/progress';
+import { LANGUAGES, Translate } from '../utils/i18n';
+import { LoadingDots } from './icons';
+
+interface ProgressViewProps {
+    userInfo: UserInfo;
+    onClose: () => void;
+    language: Language;
+    t: Translate;
+}
+
+// Labels are the `trend.*` strings.
+const trendStyles: Record<ConditionTrend, string> = {
+    improved: 'bg-green-50 text-green-700 border-green-200',
+    resolved: 'bg-green-100 text-green-800 border-green-300',
+    unchanged: 'bg-gray-50 text-gray-600 border-gray-200',
+    worsened: 'bg-red-50 text-red-700 border-red-200',
+    new: 'bg-yellow-50 text-yellow-800 border-yellow-200',
+};
+
+const AssessmentColumn: React.FC<{ title: string; record: AssessmentRecord; formatDate: (iso: string) => string; t: Translate }> = ({ title, record, formatDate, t }) => (
+    <div className="flex-1 min-w-0">
+        <p className="text-xs font-bold text-blue-600 uppercase">{title}</p>
+        <p className="text-sm font-semibold text-gray-800">{formatDate(record.createdAt)}</p>
+        {record.images[0] ? (
+            <img src={`data:image/jpeg;base64,${record.images[0]}`} alt={t('progress.photoFrom', { date: formatDate(record.createdAt) })} className="mt-2 w-full h-32 object-cover rounded-lg border" />
+        ) : (
+            <div className="mt-2 w-full h-32 rounded-lg border bg-gray-50 flex items-center justify-center text-xs text-gray-400">{t('progress.noPhoto')}</div>
+        )}
+    </div>
+);
+
+export const ProgressView: React.FC<ProgressViewProps> = ({ userInfo, onClose, language, t }) => {
+    const formatDate = (iso: string) => new Date(iso).toLocaleDateString(LANGUAGES[language].locale, { day: 'numeric', month: 'short', year: 'numeric' });
+    const [history, setHistory] = useState<AssessmentSummary[] | null>(null);
+    const [selectedIds, setSelectedIds] = useState<string[]>([]);
+    const [records, setRecords] = useState<Record<string, AssessmentRecord>>({});
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        listAssessments(userInfo)
+            .then(list => {
+                setHistory(list);
+                // Default to the latest assessment and the one before it of the same type.
+                const latest = list[0];
+                const previous = latest && list.find(a => a.id !== latest.id && a.type === latest.type);
+                setSelectedIds(previous ? [previous.id, latest.id] : []);
+            })
+            .catch(err => setError(err instanceof ApiError ? err.message : t('progress.historyFailed')));
+    }, [userInfo]);
+
+    useEffect(() => {
+        selectedIds.filter(id => !records[id]).forEach(id => {
+            getAssessment(id, userInfo)
+                .then(record => setRecords(prev => ({ ...prev, [id]: record })))
+                .catch(err => setError(err instanceof ApiError ? err.message : t('progress.assessmentFailed')));
+        });
+    }, [selectedIds, userInfo]);
+
+    const toggleSelection = (id: string) => {
+        setSelectedIds(prev => {
+            if (prev.includes(id)) return prev.filter(x => x !== id);
+            return [...prev, id].slice(-2);
+        });
+    };
+
+    // Always compare older -> newer regardless of click order.
+    const [earlier, later] = useMemo(() => {
+        const chosen = selectedIds.map(id => records[id]).filter(Boolean);
+        return chosen.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }, [selectedIds, records]);
+
+    const changes = useMemo(() => (earlier && later ? compareAnalyses(earlier.analysis, later.analysis) : []), [earlier, later]);
+
+    return (
+        <div className="absolute inset-0 z-50 bg-black bg-opacity-50 flex justify-end">
+            <div className="w-full max-w-lg bg-white h-full shadow-xl flex flex-col animate-fadeIn">
+                <div className="p-4 border-b flex justify-between items-center bg-blue-600 text-white">
+                    <h2 className="font-bold text-lg">{t('header.myProgress')}</h2>
+                    <button onClick={onClose} className="p-1 hover:bg-blue-700 rounded-full">
+                        <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                    {!history && !error && <div className="flex items-center gap-2 text-gray-500"><LoadingDots /> <span>{t('progress.loading')}</span></div>}
+                    {history && history.length === 0 && (
+                        <p className="text-sm text-gray-500 text-center mt-10">{t('progress.empty')}</p>
+                    )}
+
+                    {history && history.length > 0 && (
+                        <div>
+                            <p className="text-sm text-gray-600 mb-2">{t('progress.selectTwo')}</p>
+                            <div className="space-y-2">
+                                {history.map(item => (
+                                    <button
+                                        key={item.id}
+                                        onClick={() => toggleSelection(item.id)}
+                                        className={`w-full p-3 border rounded-lg text-left flex justify-between items-center transition-colors ${selectedIds.includes(item.id) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white hover:bg-gray-50'}`}
+                                    >
+                                        <span className="font-medium text-sm">{t(item.type === 'skin' ? 'progress.itemSkin' : 'progress.itemHair', { date: formatDate(item.createdAt) })}</span>
+                                        <span className="text-xs opacity-80">{t('progress.findings', { count: item.conditionCount })}</span>
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {earlier && later && (
+                        <div className="space-y-3">
+                            <div className="flex gap-3">
+                                <AssessmentColumn title={t('progress.before')} record={earlier} formatDate={formatDate} t={t} />
+                                <AssessmentColumn title={t('progress.after')} record={later} formatDate={formatDate} t={t} />
+                            </div>
+                            {earlier.type !== later.type && (
+                                <p className="text-xs text-yellow-700">{t('progress.differentTypes')}</p>
+                            )}
+                            <div className="divide-y border rounded-lg">
+                                {changes.length === 0 && <p className="p-3 text-sm text-gray-500">{t('progress.noConditions')}</p>}
+                                {changes.map(change => (
+                                    <div key={`${change.category}-${change.name}`} className="p-3 flex justify-between items-center gap-2">
+                                        <div className="min-w-0">
+                                            <p className="font-semibold text-sm text-gray-800 truncate">{change.name}</p>
+                                            <p className="text-xs text-gray-500">{change.category}</p>
+                                        </div>
+                                        <div className="flex items-center gap-2 flex-shrink-0">
+                                            <span className="text-xs text-gray-600">
+                                                {change.before ?? '-'}% → {change.after ?? '-'}%
+                                            </span>
+                                            <span className={`text-[10px] font-bold px-2 py-0.5 rounded-full border ${trendStyles[change.trend]}`}>
+                                                {t(`trend.${change.trend}`)}
+                                            </span>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import { ApiError } from '../services/apiClient';
+import { Translate } from '../utils/i18n';
+import { DownloadIcon, LoadingDots } from './icons';
+
+interface ReportButtonProps {
+    label: string;
+    className: string;
+    /** Produces and downloads the report; a rejection is shown under the button. */
+    onDownload: () => Promise<void>;
+    t: Translate;
+}
+
+/** Download button for server-rendered reports, with a busy state while the PDF is generated. */
+export const ReportButton: React.FC<ReportButtonProps> = ({ label, className, onDownload, t }) => {
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const handleClick = async () => {
+        setBusy(true);
+        setError(null);
+        try {
+            await onDownload();
+        } catch (err) {
+            setError(err instanceof ApiError ? err.message : t('report.failed'));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div>
+            <button onClick={handleClick} disabled={busy} className={`${className} disabled:opacity-60`}>
+                {busy ? <><LoadingDots /> {t('report.preparing')}</> : <><DownloadIcon /> {label}</>}
+            </button>
+            {error && <p className="mt-2 text-xs text-red-600 text-center">{error}</p>}
+        </div>
+    );
+};
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { AssessmentType, Product, ProductRecommendation } from '../types';
+import { getStepProducts } from '../services/catalogService';
+import { ApiError } from '../services/apiClient';
+import { groupSteps, isAvailable, moveStep, removeStep, RoutineStep, setStepProduct, setStepVariant } from '../utils/routineEditing';
+import { Translate, valueLabel } from '../utils/i18n';
+import { formatPrice } from '../utils/pricing';
+import { LoadingDots } from './icons';
+
+interface RoutineEditorProps {
+    recommendations: ProductRecommendation[];
+    routineType: AssessmentType;
+    onChange: (recommendations: ProductRecommendation[]) => void;
+    onAddToCart: (product: Product) => void;
+    t: Translate;
+}
+
+interface PickerState {
+    category: string;
+    stepKey: string;
+    products: Product[] | null;
+    error: string | null;
+}
+
+const iconButton = 'w-7 h-7 flex items-center justify-center rounded-full border text-gray-600 hover:bg-gray-100 disabled:opacity-30 disabled:hover:bg-transparent';
+
+// Products with sizes or options get a picker; sold-out variants are listed but can't be chosen.
+const ProductCard: React.FC<{ product: Product; onAdd: () => void; onVariantChange: (variantId: string) => void; t: Translate }> = ({ product, onAdd, onVariantChange, t }) => (
+    <div className="flex gap-3 items-start">
+        <a href={product.url} target="_blank" rel="noopener noreferrer" className="flex-shrink-0">
+            <img src={product.image} alt={product.name} className="w-20 h-20 object-cover rounded-md" />
+        </a>
+        <div className="flex-1 min-w-0">
+            <a href={product.url} target="_blank" rel="noopener noreferrer" className="block hover:text-blue-600 hover:underline">
+                <p className="font-bold text-sm leading-tight">{product.name}</p>
+            </a>
+            <p className="text-sm text-gray-700 my-1">{formatPrice(product.price)}</p>
+            {product.variants && product.variants.length > 1 && (
+                <select
+                    value={product.variantId}
+                    onChange={e => onVariantChange(e.target.value)}
+                    aria-label={t('routine.variant')}
+                    className="mb-1 max-w-full text-xs border rounded-md px-2 py-1 bg-white"
+                >
+                    {product.variants.map(variant => (
+                        <option key={variant.id} value={variant.id} disabled={!variant.available}>
+                            {variant.available ? `${variant.title} · ${formatPrice(variant.price)}` : `${variant.title} · ${t('routine.soldOut')}`}
+                        </option>
+                    ))}
+                </select>
+            )}
+            {product.reason && <p className="text-xs text-gray-500">{product.reason}</p>}
+            <button onClick={onAdd} disabled={!isAvailable(product)} className="mt-2 px-4 py-1 bg-green-50 text-green-700 font-bold rounded-lg text-xs border border-green-200 hover:bg-green-100 transition-colors disabled:opacity-50 disabled:hover:bg-green-50">
+                {isAvailable(product) ? t('routine.add') : t('routine.soldOut')}
+            </button>
+        </div>
+    </div>
+);
+
+/**
+ * Editable view of a recommended routine. Each step shows its recommended product; the user can
+ * switch to the model's alternative or any catalog product valid for the step, remove the step,
+ * or move it up and down. Every edit is reported through `onChange` with the full routine.
+ */
+export const RoutineEditor: React.FC<RoutineEditorProps> = ({ recommendations, routineType, onChange, onAddToCart, t }) => {
+    const [picker, setPicker] = useState<PickerState | null>(null);
+
+    const openPicker = (category: string, step: RoutineStep) => {
+        if (picker?.category === category && picker.stepKey === step.key) {
+            setPicker(null);
+            return;
+        }
+        setPicker({ category, stepKey: step.key, products: null, error: null });
+        getStepProducts(routineType, step.key)
+            .then(products => setPicker(prev => (prev?.stepKey === step.key ? { ...prev, products } : prev)))
+            .catch(err => setPicker(prev => (prev?.stepKey === step.key
+                ? { ...prev, error: err instanceof ApiError ? err.message : t('routine.productsFailed') }
+                : prev)));
+    };
+
+    const choose = (category: string, step: RoutineStep, product: Product) => {
+        setPicker(null);
+        onChange(setStepProduct(recommendations, category, step.key, product));
+    };
+
+    return (
+        <div className="space-y-5">
+            {recommendations.map(rec => {
+                const steps = groupSteps(rec.products);
+                return (
+                    <div key={rec.category}>
+                        <h4 className="font-semibold text-md mb-3 text-gray-700">{valueLabel(rec.category, t)}</h4>
+                        <div className="space-y-3">
+                            {steps.map((step, index) => {
+                                const isPicking = picker?.category === rec.category && picker.stepKey === step.key;
+                                return (
+                                    <div key={step.key} className="border rounded-xl p-3 bg-white">
+                                        <div className="flex justify-between items-center mb-2">
+                                            <span className="text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded-md bg-blue-600 text-white">
+                                                {index + 1}. {step.label}
+                                            </span>
+                                            <div className="flex gap-1">
+                                                <button onClick={() => onChange(moveStep(recommendations, rec.category, step.key, -1))} disabled={index === 0} className={iconButton} aria-label={t('routine.moveUp')}>↑</button>
+                                                <button onClick={() => onChange(moveStep(recommendations, rec.category, step.key, 1))} disabled={index === steps.length - 1} className={iconButton} aria-label={t('routine.moveDown')}>↓</button>
+                                                <button onClick={() => onChange(removeStep(recommendations, rec.category, step.key))} className={iconButton} aria-label={t('routine.removeStep')}>✕</button>
+                                            </div>
+                                        </div>
+
+                                        {step.recommended && (
+                                            <ProductCard
+                                                product={step.recommended}
+                                                onAdd={() => onAddToCart(step.recommended!)}
+                                                onVariantChange={variantId => onChange(setStepVariant(recommendations, rec.category, step.key, variantId))}
+                                                t={t}
+                                            />
+                                        )}
+
+                                        {step.alternatives.map(alt => (
+                                            <div key={alt.variantId || alt.name} className="mt-2 p-2 rounded-lg bg-indigo-50 border border-indigo-100 flex justify-between items-center gap-2">
+                                                <div className="min-w-0">
+                                                    <p className="text-[10px] font-bold uppercase text-indigo-600">{t('routine.alternative')}</p>
+                                                    <p className="text-xs font-semibold text-gray-800 truncate">{alt.name}</p>
+                                                    <p className="text-xs text-gray-600">{formatPrice(alt.price)}</p>
+                                                </div>
+                                                <button onClick={() => choose(rec.category, step, alt)} className="flex-shrink-0 px-3 py-1 text-xs font-bold rounded-lg bg-white text-indigo-700 border border-indigo-200 hover:bg-indigo-100">{t('routine.useInstead')}</button>
+                                            </div>
+                                        ))}
+
+                                        <button onClick={() => openPicker(rec.category, step)} className="mt-2 text-xs font-semibold text-blue-600 hover:underline">
+                                            {isPicking ? t('common.close') : t('routine.chooseDifferent')}
+                                        </button>
+
+                                        {isPicking && (
+                                            <div className="mt-2 border-t pt-2 space-y-1 max-h-56 overflow-y-auto">
+                                                {picker.error && <p className="text-xs text-red-600">{picker.error}</p>}
+                                                {!picker.products && !picker.error && <div className="flex items-center gap-2 text-xs text-gray-500"><LoadingDots /> {t('routine.loadingProducts')}</div>}
+                                                {picker.products?.length === 0 && <p className="text-xs text-gray-500">{t('routine.noOtherProducts')}</p>}
+                                                {picker.products?.map(product => {
+                                                    // Any size of the current product counts as the current pick.
+                                                    const isCurrent = step.recommended?.productId
+                                                        ? step.recommended.productId === product.productId
+                                                        : step.recommended?.variantId === product.variantId;
+                                                    return (
+                                                        <button
+                                                            key={product.variantId || product.name}
+                                                            onClick={() => choose(rec.category, step, product)}
+                                                            disabled={isCurrent}
+                                                            className="w-full p-2 rounded-lg text-left flex justify-between items-center gap-2 hover:bg-gray-50 disabled:opacity-50"
+                                                        >
+                                                            <span className="text-xs font-medium text-gray-800 truncate">{product.name}</span>
+                                                            <span className="text-xs text-gray-600 flex-shrink-0">{isCurrent ? t('routine.current') : formatPrice(product.price)}</span>
+                                                        </button>
+                                                    );
+                                                })}
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
@@ -0,0 +1,297 @@
+// English UI strings: the reference table. Every other locale must define the same keys
+// (enforced by the `Strings` type). `{name}`-style placeholders are filled in by utils/i18n.ts.
+export const en = {
+    // Conversation
+    'chat.greeting': "Hello! I'm your AI Dermatologist assistant.",
+    'chat.thanksSelectConcern': 'Thank you, {name}! Now, please select a concern to begin.',
+    'chat.selectConcern': 'Please select a concern to begin.',
+    'chat.step': 'Step {number}:',
+    'chat.productsTitle': 'Past Product Usage',
+    'chat.productsIntro': "Tell us about products you've used. This helps us avoid recommending things that didn't work for you.",
+    'chat.productsPrompt': "Tell us about products you've used.",
+    'chat.productsPromptMore': 'What other product have you used?',
+    'chat.productsWhy': "This helps us avoid recommending things that didn't work for you.",
+    'chat.askCurrentlyUsing': 'Are you currently using it?',
+    'chat.askDuration': 'How long have you used it?',
+    'chat.askDurationStopped': 'How long did you use it before stopping?',
+    'chat.askOtherProducts': 'Using any other products?',
+    'chat.hairFinderTitle': 'AI Haircare Treatment Finder',
+    'chat.askGender': "We'd love to personalize your care experience. Could you tell us your gender?",
+    'chat.selectGender': 'Please select your gender.',
+    'chat.continueWithoutPhotos': 'Continue without photos',
+    'chat.setMyGoals': 'Set My Goals',
+    'chat.myGoals': 'My goals: {goals}',
+    'chat.noGoals': 'No specific goals selected.',
+    'chat.myBudget': 'My monthly budget: {budget}',
+    'chat.noBudget': 'No budget limit.',
+    'chat.doctorReport': "AI Doctor's Report",
+    'chat.routineFailed': "Sorry, we couldn't generate your routine. {error}",
+    'chat.questionnaireFailed': "Sorry, we couldn't load the hair questionnaire. {error}",
+    'chat.tryAgain': 'Try again',
+    'chat.generatingSkin': 'Generating your personalized skincare...',
+    'chat.generatingHair': 'Generating your personalized hair care routine...',
+    'chat.loadingQuestions': 'Loading your questions...',
+    'chat.analyzingSkin': 'Analyzing your skin...',
+    'chat.analyzingHair': 'Analyzing your hair & scalp...',
+    'chat.thinking': 'Thinking...',
+    'chat.analysisFailed': "Sorry, we couldn't analyze your photos. {error}",
+    'chat.photosUnclearSkin': "We couldn't see your face clearly in these photos. Please upload new ones.",
+    'chat.photosUnclearHair': "We couldn't see your hair or scalp clearly in these photos. Please upload new ones.",
+    'chat.chatFailed': "I'm sorry, I'm having trouble answering that right now.",
+    'chat.welcomeBackOne': 'Welcome back! You have 1 saved assessment. Tap **My Progress** at the top to compare your results over time.',
+    'chat.welcomeBackMany': 'Welcome back! You have {count} saved assessments. Tap **My Progress** at the top to compare your results over time.',
+    'chat.askQuestion': 'Ask a question...',
+    'chat.send': 'Send',
+    'chat.edit': 'Edit',
+    'chat.editingBanner': 'Changing an earlier answer. The steps after it will be replayed with your new answer.',
+    'common.cancel': 'Cancel',
+    'common.submit': 'Submit',
+    'common.continue': 'Continue',
+    'common.close': 'Close',
+    'common.errorGeneric': 'Something went wrong. Please try again.',
+
+    // Header
+    'header.online': 'Online',
+    'header.myProgress': 'My Progress',
+    'header.back': 'Back',
+    'header.restart': 'Restart',
+
+    // User details
+    'userInfo.title': 'Personal Information',
+    'userInfo.language': 'Language',
+    'userInfo.name': 'Full Name',
+    'userInfo.namePlaceholder': 'Enter your name',
+    'userInfo.age': 'Age',
+    'userInfo.agePlaceholder': 'Enter your age',
+    'userInfo.phone': 'Phone Number',
+    'userInfo.phonePlaceholder': 'Enter your phone number',
+    'userInfo.email': 'Email Address',
+    'userInfo.emailPlaceholder': 'Enter your email',
+    'userInfo.safetyTitle': 'Health & safety (optional)',
+    'userInfo.safetyHint': 'Helps us leave out ingredients that are not right for you.',
+    'userInfo.safety.pregnant': 'I am pregnant',
+    'userInfo.safety.breastfeeding': 'I am breastfeeding',
+    'userInfo.safety.sensitiveSkin': 'I have sensitive skin',
+    'userInfo.allergies': 'Known allergies',
+    'userInfo.allergiesPlaceholder': 'e.g. fragrance, coconut oil',
+    'userInfo.start': 'Start Assessment',
+    'userInfo.ageYears': '{age} years',
+
+    // Assessment choice
+    'assessment.skin': 'Skin Assessment',
+    'assessment.hair': 'Hair Assessment',
+    'combined.offerHair': "Want your hair checked too? Your report will then cover both, and the hair routine won't repeat what your skin routine already has.",
+    'combined.offerSkin': "Want your skin checked too? Your report will then cover both, and the skin routine won't repeat what your hair routine already has.",
+    'combined.startHair': 'Check my hair too',
+    'combined.startSkin': 'Check my skin too',
+
+    // Product usage
+    'products.other': 'Other',
+    'products.otherPlaceholder': 'Enter product name...',
+
+    // Photos
+    'photos.faceAnalysis': 'AI Face Analysis',
+    'photos.hairAnalysis': 'AI Hair & Scalp Analysis',
+    'photos.hairScalpAnalysis': 'Hair & Scalp Analysis',
+    'photos.tips': 'For best results, upload clear, well-lit photos from different angles.',
+    'photos.moreImages': 'More images ensure a more accurate analysis.',
+    'photos.faceTips': 'For best results, upload clear, well-lit photos of your face — including front, left, and right views.',
+    'photos.faceMoreImages': 'Adding multiple images will help ensure more accurate results.',
+    'photos.hairIntro': 'Upload photos for our AI to analyze, or skip to continue.',
+    'photos.optional': 'Photo upload is optional',
+    'photos.optionalText': 'No photo? No problem. We can generate a personalized plan based on your questionnaire answers. Simply use the "Skip & Continue" button below to proceed.',
+    'photos.upload': 'Upload Photos',
+    'photos.useCamera': 'Use Camera',
+    'photos.skip': 'Skip & Continue',
+    'photos.add': 'Add',
+    'photos.camera': 'Camera',
+    'photos.checking': 'Checking photo quality...',
+    'photos.scanning': 'Scanning...',
+    'photos.analyzeSkin': 'Analyze My Skin',
+    'photos.analyzeHair': 'Analyze My Hair',
+    'photos.qualityWarning': 'Photo quality warning',
+    'photos.rejected': "{name} wasn't added. Please retake it:",
+    'photos.warned': '{name} may reduce accuracy:',
+    'photos.angleName': '{angle} photo',
+    'photoIssue.blurry': 'The photo is blurry. Hold the phone steady, tap the screen to focus and retake it.',
+    'photoIssue.dark': 'The photo is too dark. Face a window or a bright light, and avoid standing with the light behind you.',
+    'photoIssue.overexposed': 'The photo is overexposed. Move out of direct sunlight and turn off the flash.',
+    'photoIssue.low-resolution': 'The photo is small. Use the camera directly instead of a screenshot or a forwarded image.',
+    'photoIssue.no-face': "We couldn't find a face. Make sure your whole face is in the frame and not covered.",
+    'photoIssue.unreadable': "This file couldn't be read as an image. Please choose a JPEG or PNG photo.",
+
+    // Guided camera
+    'camera.unavailable': "Camera access is not available. This usually happens if you are not using HTTPS or if your device doesn't have a camera.",
+    'camera.denied': 'Could not access camera. Please ensure you have granted permission and are using a secure connection (HTTPS).',
+    'camera.progress': 'Photo {number} of {count}: {angle}',
+    'camera.close': 'Close camera',
+    'camera.rear': 'Rear cam',
+    'camera.front': 'Front cam',
+    'camera.done': 'Done',
+    'camera.skip': 'Skip',
+    'camera.capture': 'Capture {angle} photo',
+    'angle.front': 'Front',
+    'angle.left': 'Left side',
+    'angle.right': 'Right side',
+    'angle.hairline': 'Hairline',
+    'angle.crown': 'Crown',
+    'angle.part': 'Part line',
+    'angleHint.front': 'Look straight at the camera and fit your face inside the oval.',
+    'angleHint.left': 'Turn your head to the right so your left cheek faces the camera.',
+    'angleHint.right': 'Turn your head to the left so your right cheek faces the camera.',
+    'angleHint.hairline': 'Face the camera, pull your hair back and keep your hairline and temples inside the arc.',
+    'angleHint.crown': 'Tilt your head down and photograph the top of your head. The rear camera or a helper works best.',
+    'angleHint.part': 'Part your hair in the middle and line it up with the guide, photographed from above.',
+
+    // Analysis result
+    'analysis.complete': 'Analysis Complete!',
+    'analysis.showLabels': 'Show labels',
+    'analysis.reAnalyze': 'Re-analyze',
+    'analysis.highlightHint': 'To see highlights on the image, click the problems listed below.',
+    'analysis.nextGoals': 'Next: Set My Goals',
+    'analysis.nextRoutine': 'Next: Get My Routine',
+    'analysis.correct': 'Correct results',
+    'analysis.correctHint': 'Remove or rename anything we got wrong, and add what we missed.',
+    'analysis.drawHint': 'Drag on the photo to mark where it is. This is optional.',
+    'analysis.correctedNote': 'Corrected by you.',
+    'analysis.rename': 'Rename',
+    'analysis.remove': 'Remove',
+    'analysis.wasNamed': 'We called this {name}',
+    'analysis.addedByYou': 'Added by you',
+    'analysis.flaggedLocked': "Flagged for a doctor, so it can't be changed here",
+    'analysis.addMissed': 'Add something we missed',
+    'analysis.conditionName': 'What is it? (e.g. Dark Circles)',
+    'analysis.conditionCategory': 'Category',
+    'analysis.conditionLocation': 'Where? (e.g. Under Eyes)',
+    'analysis.boxesDrawn': 'Areas marked: {count}',
+    'analysis.clearBoxes': 'Clear',
+    'analysis.addCondition': 'Add',
+    'analysis.saveCorrections': 'Save Corrections',
+    'analysis.resetCorrections': 'Undo all my corrections',
+    'analysis.sharePhotos': 'Also share my photos with these corrections to help improve the analysis. Shared photos are deleted automatically after a set time.',
+
+    // Goals
+    'goals.title': 'Select Your Skincare Goals',
+    'goals.intro': "Choose what you'd like to focus on. We've highlighted a few suggestions based on your skin analysis.",
+    'goals.budget': 'Monthly budget (optional)',
+    'goals.budgetPlaceholder': 'e.g. 1500',
+    'goals.budgetHint': "In the store's currency. We'll start you on the fullest routine that fits.",
+    'budget.hairIntro': 'Do you have a monthly budget for your hair care? Leave it empty to see the fullest routine.',
+    'goals.suggestion': 'SUGGESTION',
+
+    // Routine
+    'routine.titleSkin': 'Your Personalized Skincare',
+    'routine.titleHair': 'Your Personalized Hair Care',
+    'routine.editHint': 'Swap, remove or reorder any step before checking out.',
+    'routine.overlapsSkin': 'Already covered by your skin routine: {products}',
+    'routine.overlapsHair': 'Already covered by your hair routine: {products}',
+    'routine.total': 'Total: {total}',
+    'routine.upkeep': 'About {monthly} a month. The first product runs out in about {days} days.',
+    'tier.essentials': 'Essentials',
+    'tier.standard': 'Standard',
+    'tier.complete': 'Complete',
+    'tier.products': '{count} products',
+    'tier.perMonth': '{price}/month',
+    'tier.overBudget': 'Over budget',
+    'routine.addAll': 'Add All to Cart',
+    'routine.chat': 'Chat with AI Expert',
+    'routine.downloadReport': 'Download Report (PDF)',
+    'routine.nextDoctorReport': "Next: AI Doctor's Report",
+    'routine.add': 'ADD',
+    'routine.alternative': 'Alternative',
+    'routine.useInstead': 'Use instead',
+    'routine.chooseDifferent': 'Choose a different product',
+    'routine.loadingProducts': 'Loading products...',
+    'routine.noOtherProducts': 'No other products for this step.',
+    'routine.current': 'Current',
+    'routine.productsFailed': 'Could not load products for this step.',
+    'routine.moveUp': 'Move step up',
+    'routine.moveDown': 'Move step down',
+    'routine.removeStep': 'Remove step',
+    'routine.variant': 'Size',
+    'routine.soldOut': 'Sold out',
+
+    // Consultation
+    'consult.urgentTitle': 'Please see a dermatologist',
+    'consult.recommendTitle': 'We recommend a dermatologist consultation',
+    'consult.urgentText': 'Some findings need to be examined in person before you start any treatment.',
+    'consult.urgentTextBlocked': "Some findings need to be examined in person before you start any treatment, so we haven't recommended products.",
+    'consult.supportiveCare': 'The routine below is supportive care. These findings usually need prescription treatment as well.',
+    'consult.needsPrescription': 'These findings usually need prescription treatment. A dermatologist can confirm them and advise you.',
+    'consult.book': 'Book a Consultation',
+    'consult.askExpert': 'Ask the AI Expert',
+    'safety.title': 'Ingredient safety notes',
+    'safety.products': 'Products: {products}',
+    'safety.replaced': '{product} → {replacement}',
+
+    // Doctor's report
+    'report.intro': 'Here is a summary of your analysis and personalized plan.',
+    'report.preparing': 'Preparing report...',
+    'report.failed': 'Could not generate the report. Please try again.',
+    'report.linkNotice': 'Your report is stored privately and its link expires within a day. Reports are deleted automatically after a week.',
+    'report.delete': 'Delete my report now',
+    'report.deleted': 'Your report has been deleted from our server.',
+    'report.deleteFailed': 'Could not delete your report. Please try again.',
+
+    // Hair questionnaire
+    'hair.questionOf': 'Question {position} of {total}',
+
+    // Cart
+    'cart.title': 'My Cart ({count})',
+    'cart.empty': 'Your bucket is empty',
+    'cart.remove': 'Remove',
+    'cart.checkout': 'Checkout Now',
+    'cart.checkingOut': 'Opening checkout...',
+
+    // Progress
+    'progress.historyFailed': 'Could not load your history.',
+    'progress.assessmentFailed': 'Could not load that assessment.',
+    'progress.loading': 'Loading your history...',
+    'progress.empty': 'No saved assessments yet. Complete an assessment and it will appear here.',
+    'progress.selectTwo': 'Select two assessments to compare.',
+    'progress.itemSkin': 'Skin assessment - {date}',
+    'progress.itemHair': 'Hair assessment - {date}',
+    'progress.findings': '{count} findings',
+    'progress.before': 'Before',
+    'progress.after': 'After',
+    'progress.noPhoto': 'No photo',
+    'progress.photoFrom': 'Assessment from {date}',
+    'progress.differentTypes': 'These are different assessment types, so few conditions will line up.',
+    'progress.noConditions': 'No conditions detected in either assessment.',
+    'trend.improved': 'Improved',
+    'trend.resolved': 'Resolved',
+    'trend.unchanged': 'No change',
+    'trend.worsened': 'Worse',
+    'trend.new': 'New',
+
+    // Labels for answers and values stored in English (see valueLabel in utils/i18n.ts)
+    'value.yes': 'Yes',
+    'value.no': 'No',
+    'value.male': 'Male',
+    'value.female': 'Female',
+    'value.noneOfThese': 'None of these',
+    'value.morningRoutine': 'Morning Routine',
+    'value.eveningRoutine': 'Evening Routine',
+    'duration.1week': '1 Week',
+    'duration.2weeks': '2 Weeks',
+    'duration.1month': '1 Month',
+    'duration.3months': '3 Months',
+    'duration.6months': '6 Months',
+    'duration.1year': '1 Year',
+    'duration.2years': '2 Years',
+    'duration.more': 'More than 2 years',
+    'goal.acne': 'Clear Acne & Breakouts',
+    'goal.oil': 'Control Oil & Shine',
+    'goal.texture': 'Refine Skin Texture',
+    'goal.pores': 'Minimize Pore Appearance',
+    'goal.tone': 'Even Skin tone & Brighten',
+    'goal.hydration': 'Boost Hydration',
+    'goal.aging': 'Reduce Fine Lines & Wrinkles',
+    'goal.firmness': 'Improve Firmness & Elasticity',
+    'goal.redness': 'Soothe Redness & Irritation',
+    'goal.barrier': 'Strengthen Skin Barrier',
+    'goal.healthy': 'Maintain Healthy Skin',
+};
+
+export type StringKey = keyof typeof en;
+export type Strings = Record<StringKey, string>;
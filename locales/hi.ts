@@ -0,0 +1,295 @@
+import type { Strings } from './en';
+
+// Hindi UI strings. Product and condition names are not translated (they come from the catalog and the analysis).
+export const hi: Strings = {
+    // Conversation
+    'chat.greeting': 'नमस्ते! मैं आपका AI डर्मेटोलॉजिस्ट असिस्टेंट हूँ।',
+    'chat.thanksSelectConcern': 'धन्यवाद, {name}! अब शुरू करने के लिए अपनी समस्या चुनें।',
+    'chat.selectConcern': 'शुरू करने के लिए अपनी समस्या चुनें।',
+    'chat.step': 'चरण {number}:',
+    'chat.productsTitle': 'पहले इस्तेमाल किए गए प्रोडक्ट',
+    'chat.productsIntro': 'हमें उन प्रोडक्ट के बारे में बताएँ जो आपने इस्तेमाल किए हैं। इससे हम वे चीज़ें सुझाने से बचते हैं जो आप पर काम नहीं आईं।',
+    'chat.productsPrompt': 'हमें उन प्रोडक्ट के बारे में बताएँ जो आपने इस्तेमाल किए हैं।',
+    'chat.productsPromptMore': 'आपने और कौन-सा प्रोडक्ट इस्तेमाल किया है?',
+    'chat.productsWhy': 'इससे हम वे चीज़ें सुझाने से बचते हैं जो आप पर काम नहीं आईं।',
+    'chat.askCurrentlyUsing': 'क्या आप इसे अभी इस्तेमाल कर रहे हैं?',
+    'chat.askDuration': 'आप इसे कितने समय से इस्तेमाल कर रहे हैं?',
+    'chat.askDurationStopped': 'बंद करने से पहले आपने इसे कितने समय तक इस्तेमाल किया?',
+    'chat.askOtherProducts': 'क्या आप कोई और प्रोडक्ट इस्तेमाल कर रहे हैं?',
+    'chat.hairFinderTitle': 'AI हेयरकेयर ट्रीटमेंट फ़ाइंडर',
+    'chat.askGender': 'हम आपकी देखभाल को आपके हिसाब से बनाना चाहते हैं। क्या आप अपना लिंग बता सकते हैं?',
+    'chat.selectGender': 'कृपया अपना लिंग चुनें।',
+    'chat.continueWithoutPhotos': 'बिना फ़ोटो के आगे बढ़ें',
+    'chat.setMyGoals': 'मेरे लक्ष्य तय करें',
+    'chat.myGoals': 'मेरे लक्ष्य: {goals}',
+    'chat.noGoals': 'कोई खास लक्ष्य नहीं चुना गया।',
+    'chat.myBudget': 'मेरा मासिक बजट: {budget}',
+    'chat.noBudget': 'कोई बजट सीमा नहीं।',
+    'chat.doctorReport': 'AI डॉक्टर की रिपोर्ट',
+    'chat.routineFailed': 'माफ़ कीजिए, हम आपका रूटीन नहीं बना सके। {error}',
+    'chat.questionnaireFailed': 'माफ़ कीजिए, हम बालों की प्रश्नावली लोड नहीं कर सके। {error}',
+    'chat.tryAgain': 'फिर से कोशिश करें',
+    'chat.generatingSkin': 'आपका पर्सनलाइज़्ड स्किनकेयर रूटीन बन रहा है...',
+    'chat.generatingHair': 'आपका पर्सनलाइज़्ड हेयर केयर रूटीन बन रहा है...',
+    'chat.loadingQuestions': 'आपके सवाल लोड हो रहे हैं...',
+    'chat.analyzingSkin': 'आपकी त्वचा का विश्लेषण हो रहा है...',
+    'chat.analyzingHair': 'आपके बालों और स्कैल्प का विश्लेषण हो रहा है...',
+    'chat.thinking': 'सोच रहा हूँ...',
+    'chat.analysisFailed': 'माफ़ कीजिए, हम आपकी फ़ोटो का विश्लेषण नहीं कर सके। {error}',
+    'chat.photosUnclearSkin': 'इन फ़ोटो में आपका चेहरा साफ़ नहीं दिखा। कृपया नई फ़ोटो अपलोड करें।',
+    'chat.photosUnclearHair': 'इन फ़ोटो में आपके बाल या स्कैल्प साफ़ नहीं दिखे। कृपया नई फ़ोटो अपलोड करें।',
+    'chat.chatFailed': 'माफ़ कीजिए, मैं अभी इसका जवाब नहीं दे पा रहा हूँ।',
+    'chat.welcomeBackOne': 'फिर से स्वागत है! आपका 1 असेसमेंट सेव है। समय के साथ अपने नतीजों की तुलना करने के लिए ऊपर **मेरी प्रगति** पर टैप करें।',
+    'chat.welcomeBackMany': 'फिर से स्वागत है! आपके {count} असेसमेंट सेव हैं। समय के साथ अपने नतीजों की तुलना करने के लिए ऊपर **मेरी प्रगति** पर टैप करें।',
+    'chat.askQuestion': 'कोई सवाल पूछें...',
+    'chat.send': 'भेजें',
+    'chat.edit': 'बदलें',
+    'chat.editingBanner': 'आप पहले का जवाब बदल रहे हैं। उसके बाद के चरण आपके नए जवाब के साथ दोबारा चलेंगे।',
+    'common.cancel': 'रद्द करें',
+    'common.submit': 'सबमिट करें',
+    'common.continue': 'आगे बढ़ें',
+    'common.close': 'बंद करें',
+    'common.errorGeneric': 'कुछ गड़बड़ हो गई। कृपया फिर से कोशिश करें।',
+
+    // Header
+    'header.online': 'ऑनलाइन',
+    'header.myProgress': 'मेरी प्रगति',
+    'header.back': 'पीछे',
+    'header.restart': 'फिर से शुरू करें',
+
+    // User details
+    'userInfo.title': 'व्यक्तिगत जानकारी',
+    'userInfo.language': 'भाषा',
+    'userInfo.name': 'पूरा नाम',
+    'userInfo.namePlaceholder': 'अपना नाम लिखें',
+    'userInfo.age': 'उम्र',
+    'userInfo.agePlaceholder': 'अपनी उम्र लिखें',
+    'userInfo.phone': 'फ़ोन नंबर',
+    'userInfo.phonePlaceholder': 'अपना फ़ोन नंबर लिखें',
+    'userInfo.email': 'ईमेल पता',
+    'userInfo.emailPlaceholder': 'अपना ईमेल लिखें',
+    'userInfo.safetyTitle': 'स्वास्थ्य और सुरक्षा (वैकल्पिक)',
+    'userInfo.safetyHint': 'इससे हम वे इंग्रीडिएंट हटा पाते हैं जो आपके लिए ठीक नहीं हैं।',
+    'userInfo.safety.pregnant': 'मैं गर्भवती हूँ',
+    'userInfo.safety.breastfeeding': 'मैं स्तनपान करा रही हूँ',
+    'userInfo.safety.sensitiveSkin': 'मेरी त्वचा संवेदनशील है',
+    'userInfo.allergies': 'ज्ञात एलर्जी',
+    'userInfo.allergiesPlaceholder': 'जैसे फ्रेग्रेंस, नारियल तेल',
+    'userInfo.start': 'असेसमेंट शुरू करें',
+    'userInfo.ageYears': '{age} वर्ष',
+
+    // Assessment choice
+    'assessment.skin': 'त्वचा असेसमेंट',
+    'assessment.hair': 'बाल असेसमेंट',
+    'combined.offerHair': 'क्या आप अपने बालों की भी जाँच करवाना चाहेंगे? तब आपकी रिपोर्ट में दोनों शामिल होंगे, और बालों के रूटीन में वह दोहराया नहीं जाएगा जो आपके स्किन रूटीन में पहले से है।',
+    'combined.offerSkin': 'क्या आप अपनी त्वचा की भी जाँच करवाना चाहेंगे? तब आपकी रिपोर्ट में दोनों शामिल होंगे, और स्किन रूटीन में वह दोहराया नहीं जाएगा जो आपके बालों के रूटीन में पहले से है।',
+    'combined.startHair': 'मेरे बालों की भी जाँच करें',
+    'combined.startSkin': 'मेरी त्वचा की भी जाँच करें',
+
+    // Product usage
+    'products.other': 'अन्य',
+    'products.otherPlaceholder': 'प्रोडक्ट का नाम लिखें...',
+
+    // Photos
+    'photos.faceAnalysis': 'AI चेहरा विश्लेषण',
+    'photos.hairAnalysis': 'AI बाल और स्कैल्प विश्लेषण',
+    'photos.hairScalpAnalysis': 'बाल और स्कैल्प विश्लेषण',
+    'photos.tips': 'बेहतर नतीजों के लिए अलग-अलग एंगल से साफ़ और अच्छी रोशनी वाली फ़ोटो अपलोड करें।',
+    'photos.moreImages': 'ज़्यादा फ़ोटो से विश्लेषण ज़्यादा सटीक होता है।',
+    'photos.faceTips': 'बेहतर नतीजों के लिए अपने चेहरे की साफ़ और अच्छी रोशनी वाली फ़ोटो अपलोड करें — सामने, बाईं और दाईं ओर से।',
+    'photos.faceMoreImages': 'कई फ़ोटो जोड़ने से नतीजे ज़्यादा सटीक होते हैं।',
+    'photos.hairIntro': 'AI विश्लेषण के लिए फ़ोटो अपलोड करें, या आगे बढ़ने के लिए स्किप करें।',
+    'photos.optional': 'फ़ोटो अपलोड करना ज़रूरी नहीं है',
+    'photos.optionalText': 'फ़ोटो नहीं है? कोई बात नहीं। हम आपकी प्रश्नावली के जवाबों से पर्सनलाइज़्ड प्लान बना सकते हैं। आगे बढ़ने के लिए नीचे "स्किप करें और आगे बढ़ें" बटन दबाएँ।',
+    'photos.upload': 'फ़ोटो अपलोड करें',
+    'photos.useCamera': 'कैमरा इस्तेमाल करें',
+    'photos.skip': 'स्किप करें और आगे बढ़ें',
+    'photos.add': 'जोड़ें',
+    'photos.camera': 'कैमरा',
+    'photos.checking': 'फ़ोटो की क्वालिटी जाँची जा रही है...',
+    'photos.scanning': 'स्कैन हो रहा है...',
+    'photos.analyzeSkin': 'मेरी त्वचा का विश्लेषण करें',
+    'photos.analyzeHair': 'मेरे बालों का विश्लेषण करें',
+    'photos.qualityWarning': 'फ़ोटो क्वालिटी की चेतावनी',
+    'photos.rejected': '{name} नहीं जोड़ी गई। कृपया दोबारा लें:',
+    'photos.warned': '{name} से सटीकता कम हो सकती है:',
+    'photos.angleName': '{angle} फ़ोटो',
+    'photoIssue.blurry': 'फ़ोटो धुंधली है। फ़ोन स्थिर रखें, फ़ोकस के लिए स्क्रीन पर टैप करें और दोबारा लें।',
+    'photoIssue.dark': 'फ़ोटो बहुत अंधेरी है। खिड़की या तेज़ रोशनी की ओर मुँह करें, और रोशनी को अपने पीछे न रखें।',
+    'photoIssue.overexposed': 'फ़ोटो में बहुत ज़्यादा रोशनी है। सीधी धूप से हटें और फ़्लैश बंद करें।',
+    'photoIssue.low-resolution': 'फ़ोटो छोटी है। स्क्रीनशॉट या फ़ॉरवर्ड की गई फ़ोटो की जगह सीधे कैमरे का इस्तेमाल करें।',
+    'photoIssue.no-face': 'हमें चेहरा नहीं मिला। ध्यान दें कि पूरा चेहरा फ़्रेम में हो और ढका न हो।',
+    'photoIssue.unreadable': 'यह फ़ाइल फ़ोटो के रूप में नहीं पढ़ी जा सकी। कृपया JPEG या PNG फ़ोटो चुनें।',
+
+    // Guided camera
+    'camera.unavailable': 'कैमरा उपलब्ध नहीं है। आमतौर पर ऐसा तब होता है जब HTTPS इस्तेमाल नहीं हो रहा हो या डिवाइस में कैमरा न हो।',
+    'camera.denied': 'कैमरा खोला नहीं जा सका। कृपया अनुमति दें और सुरक्षित कनेक्शन (HTTPS) इस्तेमाल करें।',
+    'camera.progress': 'फ़ोटो {number} / {count}: {angle}',
+    'camera.close': 'कैमरा बंद करें',
+    'camera.rear': 'पीछे का कैमरा',
+    'camera.front': 'सामने का कैमरा',
+    'camera.done': 'हो गया',
+    'camera.skip': 'स्किप',
+    'camera.capture': '{angle} फ़ोटो लें',
+    'angle.front': 'सामने',
+    'angle.left': 'बाईं ओर',
+    'angle.right': 'दाईं ओर',
+    'angle.hairline': 'हेयरलाइन',
+    'angle.crown': 'सिर का ऊपरी हिस्सा',
+    'angle.part': 'माँग',
+    'angleHint.front': 'सीधे कैमरे में देखें और अपना चेहरा अंडाकार घेरे के अंदर रखें।',
+    'angleHint.left': 'सिर दाईं ओर घुमाएँ ताकि आपका बायाँ गाल कैमरे की ओर हो।',
+    'angleHint.right': 'सिर बाईं ओर घुमाएँ ताकि आपका दायाँ गाल कैमरे की ओर हो।',
+    'angleHint.hairline': 'कैमरे की ओर देखें, बाल पीछे करें और हेयरलाइन व कनपटी को आर्क के अंदर रखें।',
+    'angleHint.crown': 'सिर झुकाएँ और सिर के ऊपरी हिस्से की फ़ोटो लें। पीछे का कैमरा या किसी की मदद सबसे अच्छी रहती है।',
+    'angleHint.part': 'बीच से माँग निकालें और ऊपर से फ़ोटो लेते हुए उसे गाइड की सीध में रखें।',
+
+    // Analysis result
+    'analysis.complete': 'विश्लेषण पूरा हुआ!',
+    'analysis.showLabels': 'लेबल दिखाएँ',
+    'analysis.reAnalyze': 'दोबारा विश्लेषण करें',
+    'analysis.highlightHint': 'फ़ोटो पर हाइलाइट देखने के लिए नीचे दी गई समस्याओं पर क्लिक करें।',
+    'analysis.nextGoals': 'आगे: मेरे लक्ष्य तय करें',
+    'analysis.nextRoutine': 'आगे: मेरा रूटीन पाएँ',
+    'analysis.correct': 'परिणाम सुधारें',
+    'analysis.correctHint': 'जो गलत है उसे हटाएँ या नाम बदलें, और जो छूट गया उसे जोड़ें।',
+    'analysis.drawHint': 'फ़ोटो पर खींचकर बताएँ कि यह कहाँ है। यह ज़रूरी नहीं है।',
+    'analysis.correctedNote': 'आपके द्वारा सुधारा गया।',
+    'analysis.rename': 'नाम बदलें',
+    'analysis.remove': 'हटाएँ',
+    'analysis.wasNamed': 'हमने इसे {name} कहा था',
+    'analysis.addedByYou': 'आपके द्वारा जोड़ा गया',
+    'analysis.flaggedLocked': 'डॉक्टर के लिए चिह्नित, इसलिए यहाँ बदला नहीं जा सकता',
+    'analysis.addMissed': 'जो छूट गया उसे जोड़ें',
+    'analysis.conditionName': 'यह क्या है? (जैसे डार्क सर्कल)',
+    'analysis.conditionCategory': 'श्रेणी',
+    'analysis.conditionLocation': 'कहाँ? (जैसे आँखों के नीचे)',
+    'analysis.boxesDrawn': 'चिह्नित हिस्से: {count}',
+    'analysis.clearBoxes': 'साफ़ करें',
+    'analysis.addCondition': 'जोड़ें',
+    'analysis.saveCorrections': 'सुधार सहेजें',
+    'analysis.resetCorrections': 'मेरे सभी सुधार हटाएँ',
+    'analysis.sharePhotos': 'इन सुधारों के साथ मेरी फ़ोटो भी साझा करें, ताकि विश्लेषण बेहतर हो सके। साझा की गई फ़ोटो तय समय के बाद अपने-आप हटा दी जाती हैं।',
+
+    // Goals
+    'goals.title': 'अपने स्किनकेयर लक्ष्य चुनें',
+    'goals.intro': 'चुनें कि आप किस पर ध्यान देना चाहते हैं। आपकी त्वचा के विश्लेषण के आधार पर हमने कुछ सुझाव हाइलाइट किए हैं।',
+    'goals.budget': 'मासिक बजट (वैकल्पिक)',
+    'goals.budgetPlaceholder': 'जैसे 1500',
+    'goals.budgetHint': 'स्टोर की मुद्रा में। हम आपके बजट में आने वाला सबसे पूरा रूटीन पहले दिखाएँगे।',
+    'budget.hairIntro': 'क्या बालों की देखभाल के लिए आपका कोई मासिक बजट है? सबसे पूरा रूटीन देखने के लिए इसे खाली छोड़ दें।',
+    'goals.suggestion': 'सुझाव',
+
+    // Routine
+    'routine.titleSkin': 'आपका पर्सनलाइज़्ड स्किनकेयर',
+    'routine.titleHair': 'आपका पर्सनलाइज़्ड हेयर केयर',
+    'routine.editHint': 'चेकआउट से पहले कोई भी चरण बदलें, हटाएँ या ऊपर-नीचे करें।',
+    'routine.overlapsSkin': 'आपके स्किन रूटीन में पहले से शामिल: {products}',
+    'routine.overlapsHair': 'आपके बालों के रूटीन में पहले से शामिल: {products}',
+    'routine.total': 'कुल: {total}',
+    'routine.upkeep': 'लगभग {monthly} प्रति माह। पहला प्रोडक्ट लगभग {days} दिनों में खत्म होगा।',
+    'tier.essentials': 'ज़रूरी',
+    'tier.standard': 'स्टैंडर्ड',
+    'tier.complete': 'पूरा',
+    'tier.products': '{count} प्रोडक्ट',
+    'tier.perMonth': '{price}/माह',
+    'tier.overBudget': 'बजट से ज़्यादा',
+    'routine.addAll': 'सब कार्ट में जोड़ें',
+    'routine.chat': 'AI एक्सपर्ट से बात करें',
+    'routine.downloadReport': 'रिपोर्ट डाउनलोड करें (PDF)',
+    'routine.nextDoctorReport': 'आगे: AI डॉक्टर की रिपोर्ट',
+    'routine.add': 'जोड़ें',
+    'routine.alternative': 'विकल्प',
+    'routine.useInstead': 'इसकी जगह यह लें',
+    'routine.chooseDifferent': 'कोई दूसरा प्रोडक्ट चुनें',
+    'routine.loadingProducts': 'प्रोडक्ट लोड हो रहे हैं...',
+    'routine.noOtherProducts': 'इस चरण के लिए कोई और प्रोडक्ट नहीं है।',
+    'routine.current': 'मौजूदा',
+    'routine.productsFailed': 'इस चरण के प्रोडक्ट लोड नहीं हो सके।',
+    'routine.moveUp': 'चरण ऊपर ले जाएँ',
+    'routine.moveDown': 'चरण नीचे ले जाएँ',
+    'routine.removeStep': 'चरण हटाएँ',
+    'routine.variant': 'साइज़',
+    'routine.soldOut': 'स्टॉक में नहीं',
+
+    // Consultation
+    'consult.urgentTitle': 'कृपया त्वचा रोग विशेषज्ञ से मिलें',
+    'consult.recommendTitle': 'हम त्वचा रोग विशेषज्ञ से सलाह लेने की सलाह देते हैं',
+    'consult.urgentText': 'कोई भी इलाज शुरू करने से पहले कुछ नतीजों की डॉक्टर से आमने-सामने जाँच ज़रूरी है।',
+    'consult.urgentTextBlocked': 'कोई भी इलाज शुरू करने से पहले कुछ नतीजों की डॉक्टर से आमने-सामने जाँच ज़रूरी है, इसलिए हमने प्रोडक्ट नहीं सुझाए हैं।',
+    'consult.supportiveCare': 'नीचे दिया गया रूटीन सहायक देखभाल है। इन समस्याओं के लिए आमतौर पर डॉक्टर की दवा भी ज़रूरी होती है।',
+    'consult.needsPrescription': 'इन समस्याओं के लिए आमतौर पर डॉक्टर की दवा ज़रूरी होती है। त्वचा रोग विशेषज्ञ इनकी पुष्टि करके सलाह दे सकते हैं।',
+    'consult.book': 'कंसल्टेशन बुक करें',
+    'consult.askExpert': 'AI एक्सपर्ट से पूछें',
+    'safety.title': 'इंग्रीडिएंट सुरक्षा नोट्स',
+    'safety.products': 'प्रोडक्ट: {products}',
+    'safety.replaced': '{product} → {replacement}',
+
+    // Doctor's report
+    'report.intro': 'यह आपके विश्लेषण और पर्सनलाइज़्ड प्लान का सारांश है।',
+    'report.preparing': 'रिपोर्ट तैयार हो रही है...',
+    'report.failed': 'रिपोर्ट नहीं बन सकी। कृपया फिर से कोशिश करें।',
+    'report.linkNotice': 'आपकी रिपोर्ट निजी रूप से रखी जाती है और उसका लिंक एक दिन में समाप्त हो जाता है। रिपोर्ट एक हफ़्ते बाद अपने आप हटा दी जाती हैं।',
+    'report.delete': 'मेरी रिपोर्ट अभी हटाएँ',
+    'report.deleted': 'आपकी रिपोर्ट हमारे सर्वर से हटा दी गई है।',
+    'report.deleteFailed': 'आपकी रिपोर्ट नहीं हटाई जा सकी। कृपया फिर से कोशिश करें।',
+
+    // Hair questionnaire
+    'hair.questionOf': 'सवाल {position} / {total}',
+
+    // Cart
+    'cart.title': 'मेरा कार्ट ({count})',
+    'cart.empty': 'आपका कार्ट खाली है',
+    'cart.remove': 'हटाएँ',
+    'cart.checkout': 'अभी चेकआउट करें',
+    'cart.checkingOut': 'चेकआउट खुल रहा है...',
+
+    // Progress
+    'progress.historyFailed': 'आपका इतिहास लोड नहीं हो सका।',
+    'progress.assessmentFailed': 'वह असेसमेंट लोड नहीं हो सका।',
+    'progress.loading': 'आपका इतिहास लोड हो रहा है...',
+    'progress.empty': 'अभी कोई असेसमेंट सेव नहीं है। असेसमेंट पूरा करें, वह यहाँ दिखेगा।',
+    'progress.selectTwo': 'तुलना के लिए दो असेसमेंट चुनें।',
+    'progress.itemSkin': 'त्वचा असेसमेंट - {date}',
+    'progress.itemHair': 'बाल असेसमेंट - {date}',
+    'progress.findings': '{count} नतीजे',
+    'progress.before': 'पहले',
+    'progress.after': 'बाद में',
+    'progress.noPhoto': 'फ़ोटो नहीं',
+    'progress.photoFrom': '{date} का असेसमेंट',
+    'progress.differentTypes': 'ये अलग-अलग तरह के असेसमेंट हैं, इसलिए कम ही समस्याएँ आपस में मिलेंगी।',
+    'progress.noConditions': 'किसी भी असेसमेंट में कोई समस्या नहीं मिली।',
+    'trend.improved': 'सुधार',
+    'trend.resolved': 'ठीक हुआ',
+    'trend.unchanged': 'कोई बदलाव नहीं',
+    'trend.worsened': 'बिगड़ा',
+    'trend.new': 'नया',
+
+    // Labels for answers and values stored in English
+    'value.yes': 'हाँ',
+    'value.no': 'नहीं',
+    'value.male': 'पुरुष',
+    'value.female': 'महिला',
+    'value.noneOfThese': 'इनमें से कोई नहीं',
+    'value.morningRoutine': 'सुबह का रूटीन',
+    'value.eveningRoutine': 'रात का रूटीन',
+    'duration.1week': '1 हफ़्ता',
+    'duration.2weeks': '2 हफ़्ते',
+    'duration.1month': '1 महीना',
+    'duration.3months': '3 महीने',
+    'duration.6months': '6 महीने',
+    'duration.1year': '1 साल',
+    'duration.2years': '2 साल',
+    'duration.more': '2 साल से ज़्यादा',
+    'goal.acne': 'मुंहासे और ब्रेकआउट दूर करें',
+    'goal.oil': 'तेल और चमक कंट्रोल करें',
+    'goal.texture': 'त्वचा की बनावट सुधारें',
+    'goal.pores': 'रोमछिद्र कम दिखें',
+    'goal.tone': 'त्वचा का रंग एक-सा और निखरा हो',
+    'goal.hydration': 'नमी बढ़ाएँ',
+    'goal.aging': 'महीन रेखाएँ और झुर्रियाँ कम करें',
+    'goal.firmness': 'कसावट और लचीलापन बढ़ाएँ',
+    'goal.redness': 'लालिमा और जलन शांत करें',
+    'goal.barrier': 'त्वचा की सुरक्षा परत मज़बूत करें',
+    'goal.healthy': 'त्वचा को स्वस्थ बनाए रखें',
+};
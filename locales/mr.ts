@@ -0,0 +1,295 @@
+import type { Strings } from './en';
+
+// Marathi UI strings. Product and condition names are not translated (they come from the catalog and the analysis).
+export const mr: Strings = {
+    // Conversation
+    'chat.greeting': 'नमस्कार! मी तुमचा AI त्वचारोग सहाय्यक आहे.',
+    'chat.thanksSelectConcern': 'धन्यवाद, {name}! आता सुरुवात करण्यासाठी तुमची समस्या निवडा.',
+    'chat.selectConcern': 'सुरुवात करण्यासाठी तुमची समस्या निवडा.',
+    'chat.step': 'टप्पा {number}:',
+    'chat.productsTitle': 'आधी वापरलेली प्रॉडक्ट्स',
+    'chat.productsIntro': 'तुम्ही वापरलेल्या प्रॉडक्ट्सबद्दल सांगा. यामुळे तुम्हाला उपयोगी न पडलेल्या गोष्टी सुचवणे आम्ही टाळतो.',
+    'chat.productsPrompt': 'तुम्ही वापरलेल्या प्रॉडक्ट्सबद्दल सांगा.',
+    'chat.productsPromptMore': 'तुम्ही आणखी कोणते प्रॉडक्ट वापरले आहे?',
+    'chat.productsWhy': 'यामुळे तुम्हाला उपयोगी न पडलेल्या गोष्टी सुचवणे आम्ही टाळतो.',
+    'chat.askCurrentlyUsing': 'तुम्ही हे सध्या वापरत आहात का?',
+    'chat.askDuration': 'तुम्ही हे किती काळापासून वापरत आहात?',
+    'chat.askDurationStopped': 'बंद करण्याआधी तुम्ही हे किती काळ वापरले?',
+    'chat.askOtherProducts': 'आणखी कोणते प्रॉडक्ट वापरत आहात का?',
+    'chat.hairFinderTitle': 'AI हेअरकेअर ट्रीटमेंट फाइंडर',
+    'chat.askGender': 'तुमची काळजी तुमच्यानुसार घ्यायला आम्हाला आवडेल. तुमचे लिंग सांगाल का?',
+    'chat.selectGender': 'कृपया तुमचे लिंग निवडा.',
+    'chat.continueWithoutPhotos': 'फोटोशिवाय पुढे जा',
+    'chat.setMyGoals': 'माझी उद्दिष्टे ठरवा',
+    'chat.myGoals': 'माझी उद्दिष्टे: {goals}',
+    'chat.noGoals': 'कोणतेही विशिष्ट उद्दिष्ट निवडलेले नाही.',
+    'chat.myBudget': 'माझे मासिक बजेट: {budget}',
+    'chat.noBudget': 'बजेटची मर्यादा नाही.',
+    'chat.doctorReport': 'AI डॉक्टरांचा अहवाल',
+    'chat.routineFailed': 'माफ करा, आम्ही तुमचे रूटीन तयार करू शकलो नाही. {error}',
+    'chat.questionnaireFailed': 'माफ करा, आम्ही केसांची प्रश्नावली लोड करू शकलो नाही. {error}',
+    'chat.tryAgain': 'पुन्हा प्रयत्न करा',
+    'chat.generatingSkin': 'तुमचे वैयक्तिक स्किनकेअर रूटीन तयार होत आहे...',
+    'chat.generatingHair': 'तुमचे वैयक्तिक हेअर केअर रूटीन तयार होत आहे...',
+    'chat.loadingQuestions': 'तुमचे प्रश्न लोड होत आहेत...',
+    'chat.analyzingSkin': 'तुमच्या त्वचेचे विश्लेषण होत आहे...',
+    'chat.analyzingHair': 'तुमच्या केसांचे आणि स्कॅल्पचे विश्लेषण होत आहे...',
+    'chat.thinking': 'विचार करत आहे...',
+    'chat.analysisFailed': 'माफ करा, आम्ही तुमच्या फोटोंचे विश्लेषण करू शकलो नाही. {error}',
+    'chat.photosUnclearSkin': 'या फोटोंमध्ये तुमचा चेहरा स्पष्ट दिसला नाही. कृपया नवीन फोटो अपलोड करा.',
+    'chat.photosUnclearHair': 'या फोटोंमध्ये तुमचे केस किंवा स्कॅल्प स्पष्ट दिसले नाहीत. कृपया नवीन फोटो अपलोड करा.',
+    'chat.chatFailed': 'माफ करा, मला आत्ता याचे उत्तर देता येत नाही.',
+    'chat.welcomeBackOne': 'पुन्हा स्वागत आहे! तुमचे 1 असेसमेंट सेव्ह आहे. काळानुसार तुमच्या निकालांची तुलना करण्यासाठी वर **माझी प्रगती** वर टॅप करा.',
+    'chat.welcomeBackMany': 'पुन्हा स्वागत आहे! तुमची {count} असेसमेंट्स सेव्ह आहेत. काळानुसार तुमच्या निकालांची तुलना करण्यासाठी वर **माझी प्रगती** वर टॅप करा.',
+    'chat.askQuestion': 'प्रश्न विचारा...',
+    'chat.send': 'पाठवा',
+    'chat.edit': 'बदला',
+    'chat.editingBanner': 'तुम्ही आधीचे उत्तर बदलत आहात. त्यानंतरचे टप्पे तुमच्या नवीन उत्तरासह पुन्हा चालतील.',
+    'common.cancel': 'रद्द करा',
+    'common.submit': 'सबमिट करा',
+    'common.continue': 'पुढे जा',
+    'common.close': 'बंद करा',
+    'common.errorGeneric': 'काहीतरी चूक झाली. कृपया पुन्हा प्रयत्न करा.',
+
+    // Header
+    'header.online': 'ऑनलाइन',
+    'header.myProgress': 'माझी प्रगती',
+    'header.back': 'मागे',
+    'header.restart': 'पुन्हा सुरू करा',
+
+    // User details
+    'userInfo.title': 'वैयक्तिक माहिती',
+    'userInfo.language': 'भाषा',
+    'userInfo.name': 'पूर्ण नाव',
+    'userInfo.namePlaceholder': 'तुमचे नाव लिहा',
+    'userInfo.age': 'वय',
+    'userInfo.agePlaceholder': 'तुमचे वय लिहा',
+    'userInfo.phone': 'फोन नंबर',
+    'userInfo.phonePlaceholder': 'तुमचा फोन नंबर लिहा',
+    'userInfo.email': 'ईमेल पत्ता',
+    'userInfo.emailPlaceholder': 'तुमचा ईमेल लिहा',
+    'userInfo.safetyTitle': 'आरोग्य आणि सुरक्षितता (ऐच्छिक)',
+    'userInfo.safetyHint': 'यामुळे तुमच्यासाठी योग्य नसलेले घटक आम्ही वगळू शकतो.',
+    'userInfo.safety.pregnant': 'मी गर्भवती आहे',
+    'userInfo.safety.breastfeeding': 'मी स्तनपान करत आहे',
+    'userInfo.safety.sensitiveSkin': 'माझी त्वचा संवेदनशील आहे',
+    'userInfo.allergies': 'माहीत असलेल्या ॲलर्जी',
+    'userInfo.allergiesPlaceholder': 'उदा. सुगंध, खोबरेल तेल',
+    'userInfo.start': 'असेसमेंट सुरू करा',
+    'userInfo.ageYears': '{age} वर्षे',
+
+    // Assessment choice
+    'assessment.skin': 'त्वचा असेसमेंट',
+    'assessment.hair': 'केस असेसमेंट',
+    'combined.offerHair': 'तुमच्या केसांचीही तपासणी करायची आहे का? मग तुमच्या रिपोर्टमध्ये दोन्ही असतील, आणि केसांच्या रूटीनमध्ये तुमच्या स्किन रूटीनमध्ये आधीच असलेले पुन्हा येणार नाही.',
+    'combined.offerSkin': 'तुमच्या त्वचेचीही तपासणी करायची आहे का? मग तुमच्या रिपोर्टमध्ये दोन्ही असतील, आणि स्किन रूटीनमध्ये तुमच्या केसांच्या रूटीनमध्ये आधीच असलेले पुन्हा येणार नाही.',
+    'combined.startHair': 'माझ्या केसांचीही तपासणी करा',
+    'combined.startSkin': 'माझ्या त्वचेचीही तपासणी करा',
+
+    // Product usage
+    'products.other': 'इतर',
+    'products.otherPlaceholder': 'प्रॉडक्टचे नाव लिहा...',
+
+    // Photos
+    'photos.faceAnalysis': 'AI चेहरा विश्लेषण',
+    'photos.hairAnalysis': 'AI केस आणि स्कॅल्प विश्लेषण',
+    'photos.hairScalpAnalysis': 'केस आणि स्कॅल्प विश्लेषण',
+    'photos.tips': 'चांगल्या निकालांसाठी वेगवेगळ्या कोनांतून स्पष्ट, चांगल्या प्रकाशातील फोटो अपलोड करा.',
+    'photos.moreImages': 'जास्त फोटोंमुळे विश्लेषण अधिक अचूक होते.',
+    'photos.faceTips': 'चांगल्या निकालांसाठी तुमच्या चेहऱ्याचे स्पष्ट, चांगल्या प्रकाशातील फोटो अपलोड करा — समोरून, डावीकडून आणि उजवीकडून.',
+    'photos.faceMoreImages': 'अनेक फोटो जोडल्याने निकाल अधिक अचूक होतात.',
+    'photos.hairIntro': 'आमच्या AI ला विश्लेषणासाठी फोटो अपलोड करा, किंवा स्किप करून पुढे जा.',
+    'photos.optional': 'फोटो अपलोड करणे ऐच्छिक आहे',
+    'photos.optionalText': 'फोटो नाही? काही हरकत नाही. तुमच्या प्रश्नावलीच्या उत्तरांवरून आम्ही वैयक्तिक प्लॅन तयार करू शकतो. पुढे जाण्यासाठी खालील "स्किप करून पुढे जा" बटण वापरा.',
+    'photos.upload': 'फोटो अपलोड करा',
+    'photos.useCamera': 'कॅमेरा वापरा',
+    'photos.skip': 'स्किप करून पुढे जा',
+    'photos.add': 'जोडा',
+    'photos.camera': 'कॅमेरा',
+    'photos.checking': 'फोटोची गुणवत्ता तपासत आहे...',
+    'photos.scanning': 'स्कॅन होत आहे...',
+    'photos.analyzeSkin': 'माझ्या त्वचेचे विश्लेषण करा',
+    'photos.analyzeHair': 'माझ्या केसांचे विश्लेषण करा',
+    'photos.qualityWarning': 'फोटो गुणवत्तेबद्दल इशारा',
+    'photos.rejected': '{name} जोडला गेला नाही. कृपया पुन्हा काढा:',
+    'photos.warned': '{name} मुळे अचूकता कमी होऊ शकते:',
+    'photos.angleName': '{angle} फोटो',
+    'photoIssue.blurry': 'फोटो अस्पष्ट आहे. फोन स्थिर धरा, फोकससाठी स्क्रीनवर टॅप करा आणि पुन्हा काढा.',
+    'photoIssue.dark': 'फोटो खूप अंधारलेला आहे. खिडकी किंवा तेजस्वी प्रकाशाकडे तोंड करा, आणि प्रकाश तुमच्या मागे ठेवू नका.',
+    'photoIssue.overexposed': 'फोटोमध्ये प्रकाश खूप जास्त आहे. थेट उन्हातून बाजूला व्हा आणि फ्लॅश बंद करा.',
+    'photoIssue.low-resolution': 'फोटो लहान आहे. स्क्रीनशॉट किंवा फॉरवर्ड केलेल्या फोटोऐवजी थेट कॅमेरा वापरा.',
+    'photoIssue.no-face': 'आम्हाला चेहरा सापडला नाही. संपूर्ण चेहरा फ्रेममध्ये आणि न झाकलेला असल्याची खात्री करा.',
+    'photoIssue.unreadable': 'ही फाइल फोटो म्हणून वाचता आली नाही. कृपया JPEG किंवा PNG फोटो निवडा.',
+
+    // Guided camera
+    'camera.unavailable': 'कॅमेरा उपलब्ध नाही. साधारणपणे HTTPS वापरत नसल्यास किंवा डिव्हाइसमध्ये कॅमेरा नसल्यास असे होते.',
+    'camera.denied': 'कॅमेरा उघडता आला नाही. कृपया परवानगी दिल्याची आणि सुरक्षित कनेक्शन (HTTPS) वापरत असल्याची खात्री करा.',
+    'camera.progress': 'फोटो {number} / {count}: {angle}',
+    'camera.close': 'कॅमेरा बंद करा',
+    'camera.rear': 'मागचा कॅमेरा',
+    'camera.front': 'पुढचा कॅमेरा',
+    'camera.done': 'झाले',
+    'camera.skip': 'स्किप',
+    'camera.capture': '{angle} फोटो काढा',
+    'angle.front': 'समोरून',
+    'angle.left': 'डावी बाजू',
+    'angle.right': 'उजवी बाजू',
+    'angle.hairline': 'हेअरलाइन',
+    'angle.crown': 'डोक्याचा वरचा भाग',
+    'angle.part': 'भांग',
+    'angleHint.front': 'कॅमेऱ्याकडे सरळ पाहा आणि तुमचा चेहरा अंडाकृती चौकटीत ठेवा.',
+    'angleHint.left': 'डावा गाल कॅमेऱ्याकडे येईल असे डोके उजवीकडे वळवा.',
+    'angleHint.right': 'उजवा गाल कॅमेऱ्याकडे येईल असे डोके डावीकडे वळवा.',
+    'angleHint.hairline': 'कॅमेऱ्याकडे पाहा, केस मागे घ्या आणि हेअरलाइन व कानशिले कमानीच्या आत ठेवा.',
+    'angleHint.crown': 'डोके खाली झुकवा आणि डोक्याच्या वरच्या भागाचा फोटो काढा. मागचा कॅमेरा किंवा कोणाची मदत उत्तम.',
+    'angleHint.part': 'मधोमध भांग पाडा आणि वरून फोटो काढताना तो गाइडशी जुळवा.',
+
+    // Analysis result
+    'analysis.complete': 'विश्लेषण पूर्ण झाले!',
+    'analysis.showLabels': 'लेबल दाखवा',
+    'analysis.reAnalyze': 'पुन्हा विश्लेषण करा',
+    'analysis.highlightHint': 'फोटोवर हायलाइट पाहण्यासाठी खालील समस्यांवर क्लिक करा.',
+    'analysis.nextGoals': 'पुढे: माझी उद्दिष्टे ठरवा',
+    'analysis.nextRoutine': 'पुढे: माझे रूटीन मिळवा',
+    'analysis.correct': 'निकाल दुरुस्त करा',
+    'analysis.correctHint': 'जे चुकले ते काढा किंवा नाव बदला, आणि जे सुटले ते जोडा.',
+    'analysis.drawHint': 'ते कुठे आहे ते फोटोवर ओढून दाखवा. हे ऐच्छिक आहे.',
+    'analysis.correctedNote': 'तुम्ही दुरुस्त केलेले.',
+    'analysis.rename': 'नाव बदला',
+    'analysis.remove': 'काढा',
+    'analysis.wasNamed': 'आम्ही याला {name} म्हटले होते',
+    'analysis.addedByYou': 'तुम्ही जोडलेले',
+    'analysis.flaggedLocked': 'डॉक्टरांसाठी चिन्हांकित, त्यामुळे इथे बदलता येत नाही',
+    'analysis.addMissed': 'जे सुटले ते जोडा',
+    'analysis.conditionName': 'हे काय आहे? (उदा. डार्क सर्कल्स)',
+    'analysis.conditionCategory': 'प्रकार',
+    'analysis.conditionLocation': 'कुठे? (उदा. डोळ्यांखाली)',
+    'analysis.boxesDrawn': 'चिन्हांकित भाग: {count}',
+    'analysis.clearBoxes': 'पुसा',
+    'analysis.addCondition': 'जोडा',
+    'analysis.saveCorrections': 'दुरुस्त्या जतन करा',
+    'analysis.resetCorrections': 'माझ्या सर्व दुरुस्त्या रद्द करा',
+    'analysis.sharePhotos': 'विश्लेषण सुधारण्यासाठी या दुरुस्त्यांसोबत माझे फोटोही शेअर करा. शेअर केलेले फोटो ठरलेल्या वेळेनंतर आपोआप हटवले जातात.',
+
+    // Goals
+    'goals.title': 'तुमची स्किनकेअर उद्दिष्टे निवडा',
+    'goals.intro': 'तुम्हाला कशावर लक्ष द्यायचे आहे ते निवडा. तुमच्या त्वचेच्या विश्लेषणावरून आम्ही काही सूचना हायलाइट केल्या आहेत.',
+    'goals.budget': 'मासिक बजेट (ऐच्छिक)',
+    'goals.budgetPlaceholder': 'उदा. 1500',
+    'goals.budgetHint': 'स्टोअरच्या चलनात. तुमच्या बजेटमध्ये बसणारे सर्वात पूर्ण रूटीन आधी दाखवू.',
+    'budget.hairIntro': 'केसांच्या काळजीसाठी तुमचे मासिक बजेट आहे का? सर्वात पूर्ण रूटीन पाहण्यासाठी ते रिकामे सोडा.',
+    'goals.suggestion': 'सूचना',
+
+    // Routine
+    'routine.titleSkin': 'तुमचे वैयक्तिक स्किनकेअर',
+    'routine.titleHair': 'तुमचे वैयक्तिक हेअर केअर',
+    'routine.editHint': 'चेकआउट करण्याआधी कोणताही टप्पा बदला, काढा किंवा क्रम बदला.',
+    'routine.overlapsSkin': 'तुमच्या स्किन रूटीनमध्ये आधीच आहे: {products}',
+    'routine.overlapsHair': 'तुमच्या केसांच्या रूटीनमध्ये आधीच आहे: {products}',
+    'routine.total': 'एकूण: {total}',
+    'routine.upkeep': 'महिन्याला सुमारे {monthly}. पहिले प्रॉडक्ट सुमारे {days} दिवसांत संपेल.',
+    'tier.essentials': 'आवश्यक',
+    'tier.standard': 'स्टँडर्ड',
+    'tier.complete': 'संपूर्ण',
+    'tier.products': '{count} प्रॉडक्ट्स',
+    'tier.perMonth': '{price}/महिना',
+    'tier.overBudget': 'बजेटपेक्षा जास्त',
+    'routine.addAll': 'सर्व कार्टमध्ये जोडा',
+    'routine.chat': 'AI तज्ज्ञांशी बोला',
+    'routine.downloadReport': 'अहवाल डाउनलोड करा (PDF)',
+    'routine.nextDoctorReport': 'पुढे: AI डॉक्टरांचा अहवाल',
+    'routine.add': 'जोडा',
+    'routine.alternative': 'पर्याय',
+    'routine.useInstead': 'याऐवजी वापरा',
+    'routine.chooseDifferent': 'दुसरे प्रॉडक्ट निवडा',
+    'routine.loadingProducts': 'प्रॉडक्ट्स लोड होत आहेत...',
+    'routine.noOtherProducts': 'या टप्प्यासाठी दुसरे प्रॉडक्ट नाही.',
+    'routine.current': 'सध्याचे',
+    'routine.productsFailed': 'या टप्प्याची प्रॉडक्ट्स लोड करता आली नाहीत.',
+    'routine.moveUp': 'टप्पा वर हलवा',
+    'routine.moveDown': 'टप्पा खाली हलवा',
+    'routine.removeStep': 'टप्पा काढा',
+    'routine.variant': 'आकार',
+    'routine.soldOut': 'स्टॉक संपला',
+
+    // Consultation
+    'consult.urgentTitle': 'कृपया त्वचारोगतज्ज्ञांना भेटा',
+    'consult.recommendTitle': 'आम्ही त्वचारोगतज्ज्ञांचा सल्ला घेण्याची शिफारस करतो',
+    'consult.urgentText': 'कोणताही उपचार सुरू करण्याआधी काही निष्कर्षांची प्रत्यक्ष तपासणी आवश्यक आहे.',
+    'consult.urgentTextBlocked': 'कोणताही उपचार सुरू करण्याआधी काही निष्कर्षांची प्रत्यक्ष तपासणी आवश्यक आहे, म्हणून आम्ही प्रॉडक्ट्स सुचवलेली नाहीत.',
+    'consult.supportiveCare': 'खालील रूटीन ही पूरक काळजी आहे. या समस्यांसाठी साधारणपणे डॉक्टरांनी लिहून दिलेले उपचारही आवश्यक असतात.',
+    'consult.needsPrescription': 'या समस्यांसाठी साधारणपणे डॉक्टरांनी लिहून दिलेले उपचार आवश्यक असतात. त्वचारोगतज्ज्ञ त्यांची खात्री करून सल्ला देऊ शकतात.',
+    'consult.book': 'कन्सल्टेशन बुक करा',
+    'consult.askExpert': 'AI तज्ज्ञांना विचारा',
+    'safety.title': 'घटक सुरक्षितता नोंदी',
+    'safety.products': 'प्रॉडक्ट्स: {products}',
+    'safety.replaced': '{product} → {replacement}',
+
+    // Doctor's report
+    'report.intro': 'हा तुमच्या विश्लेषणाचा आणि वैयक्तिक प्लॅनचा सारांश आहे.',
+    'report.preparing': 'अहवाल तयार होत आहे...',
+    'report.failed': 'अहवाल तयार करता आला नाही. कृपया पुन्हा प्रयत्न करा.',
+    'report.linkNotice': 'तुमचा अहवाल खाजगीरित्या ठेवला जातो आणि त्याची लिंक एका दिवसात कालबाह्य होते. अहवाल एका आठवड्यानंतर आपोआप हटवले जातात.',
+    'report.delete': 'माझा अहवाल आता हटवा',
+    'report.deleted': 'तुमचा अहवाल आमच्या सर्व्हरवरून हटवला आहे.',
+    'report.deleteFailed': 'तुमचा अहवाल हटवता आला नाही. कृपया पुन्हा प्रयत्न करा.',
+
+    // Hair questionnaire
+    'hair.questionOf': 'प्रश्न {position} / {total}',
+
+    // Cart
+    'cart.title': 'माझे कार्ट ({count})',
+    'cart.empty': 'तुमचे कार्ट रिकामे आहे',
+    'cart.remove': 'काढा',
+    'cart.checkout': 'आता चेकआउट करा',
+    'cart.checkingOut': 'चेकआउट उघडत आहे...',
+
+    // Progress
+    'progress.historyFailed': 'तुमचा इतिहास लोड करता आला नाही.',
+    'progress.assessmentFailed': 'ते असेसमेंट लोड करता आले नाही.',
+    'progress.loading': 'तुमचा इतिहास लोड होत आहे...',
+    'progress.empty': 'अजून कोणतेही असेसमेंट सेव्ह नाही. असेसमेंट पूर्ण करा, ते इथे दिसेल.',
+    'progress.selectTwo': 'तुलनेसाठी दोन असेसमेंट्स निवडा.',
+    'progress.itemSkin': 'त्वचा असेसमेंट - {date}',
+    'progress.itemHair': 'केस असेसमेंट - {date}',
+    'progress.findings': '{count} निष्कर्ष',
+    'progress.before': 'आधी',
+    'progress.after': 'नंतर',
+    'progress.noPhoto': 'फोटो नाही',
+    'progress.photoFrom': '{date} चे असेसमेंट',
+    'progress.differentTypes': 'ही वेगवेगळ्या प्रकारची असेसमेंट्स आहेत, त्यामुळे थोड्याच समस्या जुळतील.',
+    'progress.noConditions': 'कोणत्याही असेसमेंटमध्ये समस्या आढळली नाही.',
+    'trend.improved': 'सुधारणा',
+    'trend.resolved': 'बरे झाले',
+    'trend.unchanged': 'बदल नाही',
+    'trend.worsened': 'बिघडले',
+    'trend.new': 'नवीन',
+
+    // Labels for answers and values stored in English
+    'value.yes': 'हो',
+    'value.no': 'नाही',
+    'value.male': 'पुरुष',
+    'value.female': 'स्त्री',
+    'value.noneOfThese': 'यापैकी काहीही नाही',
+    'value.morningRoutine': 'सकाळचे रूटीन',
+    'value.eveningRoutine': 'रात्रीचे रूटीन',
+    'duration.1week': '1 आठवडा',
+    'duration.2weeks': '2 आठवडे',
+    'duration.1month': '1 महिना',
+    'duration.3months': '3 महिने',
+    'duration.6months': '6 महिने',
+    'duration.1year': '1 वर्ष',
+    'duration.2years': '2 वर्षे',
+    'duration.more': '2 वर्षांपेक्षा जास्त',
+    'goal.acne': 'मुरुमे आणि ब्रेकआउट कमी करा',
+    'goal.oil': 'तेलकटपणा आणि चमक नियंत्रित करा',
+    'goal.texture': 'त्वचेचा पोत सुधारा',
+    'goal.pores': 'रंध्रे कमी दिसावीत',
+    'goal.tone': 'त्वचेचा रंग एकसारखा आणि उजळ करा',
+    'goal.hydration': 'ओलावा वाढवा',
+    'goal.aging': 'बारीक रेषा आणि सुरकुत्या कमी करा',
+    'goal.firmness': 'घट्टपणा आणि लवचिकता वाढवा',
+    'goal.redness': 'लालसरपणा आणि जळजळ शांत करा',
+    'goal.barrier': 'त्वचेचा संरक्षक थर मजबूत करा',
+    'goal.healthy': 'त्वचा निरोगी ठेवा',
+};
@@ -0,0 +1,295 @@
+import type { Strings } from './en';
+
+// Tamil UI strings. Product and condition names are not translated (they come from the catalog and the analysis).
+export const ta: Strings = {
+    // Conversation
+    'chat.greeting': 'வணக்கம்! நான் உங்கள் AI தோல் மருத்துவ உதவியாளர்.',
+    'chat.thanksSelectConcern': 'நன்றி, {name}! தொடங்க உங்கள் பிரச்சனையைத் தேர்ந்தெடுங்கள்.',
+    'chat.selectConcern': 'தொடங்க உங்கள் பிரச்சனையைத் தேர்ந்தெடுங்கள்.',
+    'chat.step': 'படி {number}:',
+    'chat.productsTitle': 'முன்பு பயன்படுத்திய பொருட்கள்',
+    'chat.productsIntro': 'நீங்கள் பயன்படுத்திய பொருட்களைப் பற்றிச் சொல்லுங்கள். உங்களுக்குப் பலன் தராதவற்றைப் பரிந்துரைப்பதைத் தவிர்க்க இது உதவும்.',
+    'chat.productsPrompt': 'நீங்கள் பயன்படுத்திய பொருட்களைப் பற்றிச் சொல்லுங்கள்.',
+    'chat.productsPromptMore': 'வேறு எந்தப் பொருளைப் பயன்படுத்தியுள்ளீர்கள்?',
+    'chat.productsWhy': 'உங்களுக்குப் பலன் தராதவற்றைப் பரிந்துரைப்பதைத் தவிர்க்க இது உதவும்.',
+    'chat.askCurrentlyUsing': 'இதை இப்போது பயன்படுத்துகிறீர்களா?',
+    'chat.askDuration': 'எவ்வளவு காலமாகப் பயன்படுத்துகிறீர்கள்?',
+    'chat.askDurationStopped': 'நிறுத்துவதற்கு முன் எவ்வளவு காலம் பயன்படுத்தினீர்கள்?',
+    'chat.askOtherProducts': 'வேறு ஏதேனும் பொருட்களைப் பயன்படுத்துகிறீர்களா?',
+    'chat.hairFinderTitle': 'AI முடிப் பராமரிப்பு சிகிச்சை கண்டறிதல்',
+    'chat.askGender': 'உங்கள் பராமரிப்பை உங்களுக்கேற்றபடி அமைக்க விரும்புகிறோம். உங்கள் பாலினத்தைச் சொல்ல முடியுமா?',
+    'chat.selectGender': 'உங்கள் பாலினத்தைத் தேர்ந்தெடுங்கள்.',
+    'chat.continueWithoutPhotos': 'புகைப்படம் இல்லாமல் தொடரவும்',
+    'chat.setMyGoals': 'என் இலக்குகளை அமைக்கவும்',
+    'chat.myGoals': 'என் இலக்குகள்: {goals}',
+    'chat.noGoals': 'குறிப்பிட்ட இலக்குகள் எதுவும் தேர்ந்தெடுக்கப்படவில்லை.',
+    'chat.myBudget': 'என் மாத பட்ஜெட்: {budget}',
+    'chat.noBudget': 'பட்ஜெட் வரம்பு இல்லை.',
+    'chat.doctorReport': 'AI மருத்துவர் அறிக்கை',
+    'chat.routineFailed': 'மன்னிக்கவும், உங்கள் வழக்கத்தை உருவாக்க முடியவில்லை. {error}',
+    'chat.questionnaireFailed': 'மன்னிக்கவும், முடி கேள்வித்தாளை ஏற்ற முடியவில்லை. {error}',
+    'chat.tryAgain': 'மீண்டும் முயலவும்',
+    'chat.generatingSkin': 'உங்களுக்கான சருமப் பராமரிப்பு வழக்கம் உருவாகிறது...',
+    'chat.generatingHair': 'உங்களுக்கான முடிப் பராமரிப்பு வழக்கம் உருவாகிறது...',
+    'chat.loadingQuestions': 'உங்கள் கேள்விகள் ஏற்றப்படுகின்றன...',
+    'chat.analyzingSkin': 'உங்கள் சருமம் பகுப்பாய்வு செய்யப்படுகிறது...',
+    'chat.analyzingHair': 'உங்கள் முடி மற்றும் உச்சந்தலை பகுப்பாய்வு செய்யப்படுகிறது...',
+    'chat.thinking': 'யோசிக்கிறேன்...',
+    'chat.analysisFailed': 'மன்னிக்கவும், உங்கள் புகைப்படங்களைப் பகுப்பாய்வு செய்ய முடியவில்லை. {error}',
+    'chat.photosUnclearSkin': 'இந்தப் புகைப்படங்களில் உங்கள் முகம் தெளிவாகத் தெரியவில்லை. புதிய புகைப்படங்களைப் பதிவேற்றவும்.',
+    'chat.photosUnclearHair': 'இந்தப் புகைப்படங்களில் உங்கள் முடி அல்லது உச்சந்தலை தெளிவாகத் தெரியவில்லை. புதிய புகைப்படங்களைப் பதிவேற்றவும்.',
+    'chat.chatFailed': 'மன்னிக்கவும், இப்போது இதற்குப் பதிலளிக்க முடியவில்லை.',
+    'chat.welcomeBackOne': 'மீண்டும் வருக! உங்களிடம் 1 சேமித்த மதிப்பீடு உள்ளது. காலப்போக்கில் உங்கள் முடிவுகளை ஒப்பிட மேலே உள்ள **என் முன்னேற்றம்** என்பதைத் தட்டவும்.',
+    'chat.welcomeBackMany': 'மீண்டும் வருக! உங்களிடம் {count} சேமித்த மதிப்பீடுகள் உள்ளன. காலப்போக்கில் உங்கள் முடிவுகளை ஒப்பிட மேலே உள்ள **என் முன்னேற்றம்** என்பதைத் தட்டவும்.',
+    'chat.askQuestion': 'ஒரு கேள்வி கேளுங்கள்...',
+    'chat.send': 'அனுப்பு',
+    'chat.edit': 'மாற்று',
+    'chat.editingBanner': 'முந்தைய பதிலை மாற்றுகிறீர்கள். அதற்குப் பிந்தைய படிகள் உங்கள் புதிய பதிலுடன் மீண்டும் இயங்கும்.',
+    'common.cancel': 'ரத்து செய்',
+    'common.submit': 'சமர்ப்பி',
+    'common.continue': 'தொடரவும்',
+    'common.close': 'மூடு',
+    'common.errorGeneric': 'ஏதோ தவறு நடந்துவிட்டது. மீண்டும் முயலவும்.',
+
+    // Header
+    'header.online': 'ஆன்லைன்',
+    'header.myProgress': 'என் முன்னேற்றம்',
+    'header.back': 'பின்செல்',
+    'header.restart': 'மீண்டும் தொடங்கு',
+
+    // User details
+    'userInfo.title': 'தனிப்பட்ட தகவல்',
+    'userInfo.language': 'மொழி',
+    'userInfo.name': 'முழுப் பெயர்',
+    'userInfo.namePlaceholder': 'உங்கள் பெயரை உள்ளிடவும்',
+    'userInfo.age': 'வயது',
+    'userInfo.agePlaceholder': 'உங்கள் வயதை உள்ளிடவும்',
+    'userInfo.phone': 'தொலைபேசி எண்',
+    'userInfo.phonePlaceholder': 'உங்கள் தொலைபேசி எண்ணை உள்ளிடவும்',
+    'userInfo.email': 'மின்னஞ்சல் முகவரி',
+    'userInfo.emailPlaceholder': 'உங்கள் மின்னஞ்சலை உள்ளிடவும்',
+    'userInfo.safetyTitle': 'உடல்நலம் & பாதுகாப்பு (விருப்பத்தேர்வு)',
+    'userInfo.safetyHint': 'உங்களுக்குப் பொருந்தாத பொருட்களைத் தவிர்க்க இது உதவுகிறது.',
+    'userInfo.safety.pregnant': 'நான் கர்ப்பமாக இருக்கிறேன்',
+    'userInfo.safety.breastfeeding': 'நான் தாய்ப்பால் கொடுக்கிறேன்',
+    'userInfo.safety.sensitiveSkin': 'எனக்கு உணர்திறன் மிக்க சருமம் உள்ளது',
+    'userInfo.allergies': 'அறியப்பட்ட ஒவ்வாமைகள்',
+    'userInfo.allergiesPlaceholder': 'எ.கா. நறுமணம், தேங்காய் எண்ணெய்',
+    'userInfo.start': 'மதிப்பீட்டைத் தொடங்கு',
+    'userInfo.ageYears': '{age} வயது',
+
+    // Assessment choice
+    'assessment.skin': 'சரும மதிப்பீடு',
+    'assessment.hair': 'முடி மதிப்பீடு',
+    'combined.offerHair': 'உங்கள் முடியையும் பரிசோதிக்க வேண்டுமா? அப்போது உங்கள் அறிக்கை இரண்டையும் உள்ளடக்கும், மேலும் உங்கள் சரும வழக்கத்தில் ஏற்கனவே உள்ளவை முடி வழக்கத்தில் மீண்டும் வராது.',
+    'combined.offerSkin': 'உங்கள் சருமத்தையும் பரிசோதிக்க வேண்டுமா? அப்போது உங்கள் அறிக்கை இரண்டையும் உள்ளடக்கும், மேலும் உங்கள் முடி வழக்கத்தில் ஏற்கனவே உள்ளவை சரும வழக்கத்தில் மீண்டும் வராது.',
+    'combined.startHair': 'என் முடியையும் பரிசோதிக்கவும்',
+    'combined.startSkin': 'என் சருமத்தையும் பரிசோதிக்கவும்',
+
+    // Product usage
+    'products.other': 'மற்றவை',
+    'products.otherPlaceholder': 'பொருளின் பெயரை உள்ளிடவும்...',
+
+    // Photos
+    'photos.faceAnalysis': 'AI முக பகுப்பாய்வு',
+    'photos.hairAnalysis': 'AI முடி மற்றும் உச்சந்தலை பகுப்பாய்வு',
+    'photos.hairScalpAnalysis': 'முடி மற்றும் உச்சந்தலை பகுப்பாய்வு',
+    'photos.tips': 'சிறந்த முடிவுகளுக்கு, வெவ்வேறு கோணங்களில் தெளிவான, நல்ல வெளிச்சமுள்ள புகைப்படங்களைப் பதிவேற்றவும்.',
+    'photos.moreImages': 'அதிகப் புகைப்படங்கள் பகுப்பாய்வைத் துல்லியமாக்கும்.',
+    'photos.faceTips': 'சிறந்த முடிவுகளுக்கு, உங்கள் முகத்தின் தெளிவான, நல்ல வெளிச்சமுள்ள புகைப்படங்களைப் பதிவேற்றவும் — முன், இடது மற்றும் வலது பக்கங்கள் உட்பட.',
+    'photos.faceMoreImages': 'பல புகைப்படங்களைச் சேர்ப்பது முடிவுகளைத் துல்லியமாக்க உதவும்.',
+    'photos.hairIntro': 'எங்கள் AI பகுப்பாய்வு செய்யப் புகைப்படங்களைப் பதிவேற்றவும், அல்லது தவிர்த்துத் தொடரவும்.',
+    'photos.optional': 'புகைப்படம் பதிவேற்றுவது கட்டாயமில்லை',
+    'photos.optionalText': 'புகைப்படம் இல்லையா? பரவாயில்லை. உங்கள் கேள்வித்தாள் பதில்களின் அடிப்படையில் தனிப்பயன் திட்டத்தை உருவாக்கலாம். தொடர கீழே உள்ள "தவிர்த்துத் தொடரவும்" பொத்தானைப் பயன்படுத்தவும்.',
+    'photos.upload': 'புகைப்படங்களைப் பதிவேற்று',
+    'photos.useCamera': 'கேமராவைப் பயன்படுத்து',
+    'photos.skip': 'தவிர்த்துத் தொடரவும்',
+    'photos.add': 'சேர்',
+    'photos.camera': 'கேமரா',
+    'photos.checking': 'புகைப்படத்தின் தரம் சரிபார்க்கப்படுகிறது...',
+    'photos.scanning': 'ஸ்கேன் செய்யப்படுகிறது...',
+    'photos.analyzeSkin': 'என் சருமத்தைப் பகுப்பாய்வு செய்',
+    'photos.analyzeHair': 'என் முடியைப் பகுப்பாய்வு செய்',
+    'photos.qualityWarning': 'புகைப்படத் தர எச்சரிக்கை',
+    'photos.rejected': '{name} சேர்க்கப்படவில்லை. மீண்டும் எடுக்கவும்:',
+    'photos.warned': '{name} துல்லியத்தைக் குறைக்கலாம்:',
+    'photos.angleName': '{angle} புகைப்படம்',
+    'photoIssue.blurry': 'புகைப்படம் மங்கலாக உள்ளது. போனை அசையாமல் பிடித்து, ஃபோகஸ் செய்யத் திரையைத் தட்டி மீண்டும் எடுக்கவும்.',
+    'photoIssue.dark': 'புகைப்படம் மிகவும் இருட்டாக உள்ளது. ஜன்னல் அல்லது பிரகாசமான வெளிச்சத்தை நோக்கி நில்லுங்கள்; வெளிச்சம் உங்களுக்குப் பின்னால் இருக்க வேண்டாம்.',
+    'photoIssue.overexposed': 'புகைப்படத்தில் வெளிச்சம் அதிகம். நேரடி வெயிலில் இருந்து விலகி, ஃபிளாஷை அணைக்கவும்.',
+    'photoIssue.low-resolution': 'புகைப்படம் சிறியதாக உள்ளது. ஸ்கிரீன்ஷாட் அல்லது ஃபார்வர்ட் செய்த படத்துக்குப் பதிலாக நேரடியாகக் கேமராவைப் பயன்படுத்தவும்.',
+    'photoIssue.no-face': 'முகம் கண்டறியப்படவில்லை. உங்கள் முழு முகமும் மறைக்கப்படாமல் ஃப்ரேமுக்குள் இருப்பதை உறுதிசெய்யவும்.',
+    'photoIssue.unreadable': 'இந்தக் கோப்பைப் படமாகப் படிக்க முடியவில்லை. JPEG அல்லது PNG புகைப்படத்தைத் தேர்ந்தெடுக்கவும்.',
+
+    // Guided camera
+    'camera.unavailable': 'கேமரா கிடைக்கவில்லை. பொதுவாக HTTPS பயன்படுத்தாதபோது அல்லது சாதனத்தில் கேமரா இல்லாதபோது இப்படி நடக்கும்.',
+    'camera.denied': 'கேமராவை அணுக முடியவில்லை. அனுமதி வழங்கியுள்ளீர்கள் என்பதையும் பாதுகாப்பான இணைப்பை (HTTPS) பயன்படுத்துகிறீர்கள் என்பதையும் உறுதிசெய்யவும்.',
+    'camera.progress': 'புகைப்படம் {number} / {count}: {angle}',
+    'camera.close': 'கேமராவை மூடு',
+    'camera.rear': 'பின் கேமரா',
+    'camera.front': 'முன் கேமரா',
+    'camera.done': 'முடிந்தது',
+    'camera.skip': 'தவிர்',
+    'camera.capture': '{angle} புகைப்படம் எடு',
+    'angle.front': 'முன்பக்கம்',
+    'angle.left': 'இடது பக்கம்',
+    'angle.right': 'வலது பக்கம்',
+    'angle.hairline': 'முன்நெற்றி முடிக்கோடு',
+    'angle.crown': 'உச்சி',
+    'angle.part': 'வகிடு',
+    'angleHint.front': 'கேமராவை நேராகப் பார்த்து, உங்கள் முகத்தை ஓவல் வடிவத்துக்குள் வைக்கவும்.',
+    'angleHint.left': 'உங்கள் இடது கன்னம் கேமராவை நோக்கும்படி தலையை வலப்பக்கம் திருப்பவும்.',
+    'angleHint.right': 'உங்கள் வலது கன்னம் கேமராவை நோக்கும்படி தலையை இடப்பக்கம் திருப்பவும்.',
+    'angleHint.hairline': 'கேமராவைப் பார்த்து, முடியைப் பின்னால் இழுத்து, முடிக்கோடு மற்றும் நெற்றிப்பொட்டுகளை வளைவுக்குள் வைக்கவும்.',
+    'angleHint.crown': 'தலையைக் குனிந்து தலையின் உச்சியைப் புகைப்படம் எடுக்கவும். பின் கேமரா அல்லது ஒருவரின் உதவி சிறந்தது.',
+    'angleHint.part': 'முடியை நடுவில் வகிடு எடுத்து, மேலிருந்து புகைப்படம் எடுக்கும்போது வழிகாட்டியுடன் சீரமைக்கவும்.',
+
+    // Analysis result
+    'analysis.complete': 'பகுப்பாய்வு முடிந்தது!',
+    'analysis.showLabels': 'லேபிள்களைக் காட்டு',
+    'analysis.reAnalyze': 'மீண்டும் பகுப்பாய்வு செய்',
+    'analysis.highlightHint': 'படத்தில் குறிப்புகளைப் பார்க்க, கீழே உள்ள பிரச்சனைகளைக் கிளிக் செய்யவும்.',
+    'analysis.nextGoals': 'அடுத்து: என் இலக்குகளை அமைக்கவும்',
+    'analysis.nextRoutine': 'அடுத்து: என் வழக்கத்தைப் பெறவும்',
+    'analysis.correct': 'முடிவுகளைத் திருத்து',
+    'analysis.correctHint': 'தவறானவற்றை நீக்கவும் அல்லது பெயர் மாற்றவும், விடுபட்டவற்றைச் சேர்க்கவும்.',
+    'analysis.drawHint': 'அது எங்கே உள்ளது என்பதைப் புகைப்படத்தில் இழுத்துக் குறிக்கவும். இது கட்டாயமில்லை.',
+    'analysis.correctedNote': 'நீங்கள் திருத்தியது.',
+    'analysis.rename': 'பெயர் மாற்று',
+    'analysis.remove': 'நீக்கு',
+    'analysis.wasNamed': 'நாங்கள் இதை {name} என்று குறிப்பிட்டோம்',
+    'analysis.addedByYou': 'நீங்கள் சேர்த்தது',
+    'analysis.flaggedLocked': 'மருத்துவருக்காகக் குறிக்கப்பட்டது, எனவே இங்கே மாற்ற முடியாது',
+    'analysis.addMissed': 'விடுபட்டதைச் சேர்க்கவும்',
+    'analysis.conditionName': 'இது என்ன? (எ.கா. கருவளையங்கள்)',
+    'analysis.conditionCategory': 'வகை',
+    'analysis.conditionLocation': 'எங்கே? (எ.கா. கண்களுக்குக் கீழே)',
+    'analysis.boxesDrawn': 'குறிக்கப்பட்ட பகுதிகள்: {count}',
+    'analysis.clearBoxes': 'அழி',
+    'analysis.addCondition': 'சேர்',
+    'analysis.saveCorrections': 'திருத்தங்களைச் சேமி',
+    'analysis.resetCorrections': 'என் எல்லா திருத்தங்களையும் நீக்கு',
+    'analysis.sharePhotos': 'பகுப்பாய்வை மேம்படுத்த இந்தத் திருத்தங்களுடன் என் புகைப்படங்களையும் பகிரவும். பகிரப்பட்ட புகைப்படங்கள் குறிப்பிட்ட காலத்திற்குப் பிறகு தானாக நீக்கப்படும்.',
+
+    // Goals
+    'goals.title': 'உங்கள் சருமப் பராமரிப்பு இலக்குகளைத் தேர்ந்தெடுங்கள்',
+    'goals.intro': 'நீங்கள் கவனம் செலுத்த விரும்புவதைத் தேர்ந்தெடுங்கள். உங்கள் சரும பகுப்பாய்வின் அடிப்படையில் சில பரிந்துரைகளைக் குறித்துள்ளோம்.',
+    'goals.budget': 'மாத பட்ஜெட் (விருப்பத்தேர்வு)',
+    'goals.budgetPlaceholder': 'எ.கா. 1500',
+    'goals.budgetHint': 'கடையின் நாணயத்தில். உங்கள் பட்ஜெட்டுக்குள் வரும் முழுமையான வழக்கத்தை முதலில் காட்டுவோம்.',
+    'budget.hairIntro': 'உங்கள் முடி பராமரிப்புக்கு மாத பட்ஜெட் உள்ளதா? முழுமையான வழக்கத்தைப் பார்க்க இதைக் காலியாக விடுங்கள்.',
+    'goals.suggestion': 'பரிந்துரை',
+
+    // Routine
+    'routine.titleSkin': 'உங்களுக்கான சருமப் பராமரிப்பு',
+    'routine.titleHair': 'உங்களுக்கான முடிப் பராமரிப்பு',
+    'routine.editHint': 'செக்அவுட் செய்வதற்கு முன் எந்தப் படியையும் மாற்றலாம், நீக்கலாம் அல்லது வரிசையை மாற்றலாம்.',
+    'routine.overlapsSkin': 'உங்கள் சரும வழக்கத்தில் ஏற்கனவே உள்ளது: {products}',
+    'routine.overlapsHair': 'உங்கள் முடி வழக்கத்தில் ஏற்கனவே உள்ளது: {products}',
+    'routine.total': 'மொத்தம்: {total}',
+    'routine.upkeep': 'மாதத்திற்கு சுமார் {monthly}. முதல் பொருள் சுமார் {days} நாட்களில் தீர்ந்துவிடும்.',
+    'tier.essentials': 'அத்தியாவசியம்',
+    'tier.standard': 'நிலையானது',
+    'tier.complete': 'முழுமையானது',
+    'tier.products': '{count} பொருட்கள்',
+    'tier.perMonth': '{price}/மாதம்',
+    'tier.overBudget': 'பட்ஜெட்டை மீறுகிறது',
+    'routine.addAll': 'அனைத்தையும் கார்ட்டில் சேர்',
+    'routine.chat': 'AI நிபுணருடன் அரட்டை',
+    'routine.downloadReport': 'அறிக்கையைப் பதிவிறக்கு (PDF)',
+    'routine.nextDoctorReport': 'அடுத்து: AI மருத்துவர் அறிக்கை',
+    'routine.add': 'சேர்',
+    'routine.alternative': 'மாற்று',
+    'routine.useInstead': 'இதைப் பயன்படுத்து',
+    'routine.chooseDifferent': 'வேறு பொருளைத் தேர்ந்தெடு',
+    'routine.loadingProducts': 'பொருட்கள் ஏற்றப்படுகின்றன...',
+    'routine.noOtherProducts': 'இந்தப் படிக்கு வேறு பொருட்கள் இல்லை.',
+    'routine.current': 'தற்போதையது',
+    'routine.productsFailed': 'இந்தப் படிக்கான பொருட்களை ஏற்ற முடியவில்லை.',
+    'routine.moveUp': 'படியை மேலே நகர்த்து',
+    'routine.moveDown': 'படியைக் கீழே நகர்த்து',
+    'routine.removeStep': 'படியை நீக்கு',
+    'routine.variant': 'அளவு',
+    'routine.soldOut': 'விற்றுத் தீர்ந்தது',
+
+    // Consultation
+    'consult.urgentTitle': 'தயவுசெய்து தோல் மருத்துவரைப் பாருங்கள்',
+    'consult.recommendTitle': 'தோல் மருத்துவ ஆலோசனையைப் பரிந்துரைக்கிறோம்',
+    'consult.urgentText': 'எந்தச் சிகிச்சையையும் தொடங்கும் முன் சில கண்டறிதல்களை மருத்துவர் நேரில் பரிசோதிக்க வேண்டும்.',
+    'consult.urgentTextBlocked': 'எந்தச் சிகிச்சையையும் தொடங்கும் முன் சில கண்டறிதல்களை மருத்துவர் நேரில் பரிசோதிக்க வேண்டும், எனவே நாங்கள் பொருட்களைப் பரிந்துரைக்கவில்லை.',
+    'consult.supportiveCare': 'கீழே உள்ள வழக்கம் துணைப் பராமரிப்பு மட்டுமே. இந்தப் பிரச்சனைகளுக்குப் பொதுவாக மருந்துச் சீட்டு சிகிச்சையும் தேவைப்படும்.',
+    'consult.needsPrescription': 'இந்தப் பிரச்சனைகளுக்குப் பொதுவாக மருந்துச் சீட்டு சிகிச்சை தேவைப்படும். தோல் மருத்துவர் அவற்றை உறுதிசெய்து ஆலோசனை வழங்குவார்.',
+    'consult.book': 'ஆலோசனையை முன்பதிவு செய்',
+    'consult.askExpert': 'AI நிபுணரிடம் கேளுங்கள்',
+    'safety.title': 'மூலப்பொருள் பாதுகாப்புக் குறிப்புகள்',
+    'safety.products': 'பொருட்கள்: {products}',
+    'safety.replaced': '{product} → {replacement}',
+
+    // Doctor's report
+    'report.intro': 'உங்கள் பகுப்பாய்வு மற்றும் தனிப்பயன் திட்டத்தின் சுருக்கம் இதோ.',
+    'report.preparing': 'அறிக்கை தயாராகிறது...',
+    'report.failed': 'அறிக்கையை உருவாக்க முடியவில்லை. மீண்டும் முயலவும்.',
+    'report.linkNotice': 'உங்கள் அறிக்கை தனிப்பட்ட முறையில் சேமிக்கப்படுகிறது, அதன் இணைப்பு ஒரு நாளுக்குள் காலாவதியாகும். அறிக்கைகள் ஒரு வாரத்திற்குப் பிறகு தானாக நீக்கப்படும்.',
+    'report.delete': 'என் அறிக்கையை இப்போது நீக்கு',
+    'report.deleted': 'உங்கள் அறிக்கை எங்கள் சர்வரிலிருந்து நீக்கப்பட்டது.',
+    'report.deleteFailed': 'உங்கள் அறிக்கையை நீக்க முடியவில்லை. மீண்டும் முயலவும்.',
+
+    // Hair questionnaire
+    'hair.questionOf': 'கேள்வி {position} / {total}',
+
+    // Cart
+    'cart.title': 'என் கார்ட் ({count})',
+    'cart.empty': 'உங்கள் கார்ட் காலியாக உள்ளது',
+    'cart.remove': 'நீக்கு',
+    'cart.checkout': 'இப்போதே செக்அவுட் செய்',
+    'cart.checkingOut': 'செக்அவுட் திறக்கிறது...',
+
+    // Progress
+    'progress.historyFailed': 'உங்கள் வரலாற்றை ஏற்ற முடியவில்லை.',
+    'progress.assessmentFailed': 'அந்த மதிப்பீட்டை ஏற்ற முடியவில்லை.',
+    'progress.loading': 'உங்கள் வரலாறு ஏற்றப்படுகிறது...',
+    'progress.empty': 'சேமித்த மதிப்பீடுகள் இன்னும் இல்லை. ஒரு மதிப்பீட்டை முடித்தால் அது இங்கே தோன்றும்.',
+    'progress.selectTwo': 'ஒப்பிட இரண்டு மதிப்பீடுகளைத் தேர்ந்தெடுங்கள்.',
+    'progress.itemSkin': 'சரும மதிப்பீடு - {date}',
+    'progress.itemHair': 'முடி மதிப்பீடு - {date}',
+    'progress.findings': '{count} கண்டறிதல்கள்',
+    'progress.before': 'முன்',
+    'progress.after': 'பின்',
+    'progress.noPhoto': 'புகைப்படம் இல்லை',
+    'progress.photoFrom': '{date} மதிப்பீடு',
+    'progress.differentTypes': 'இவை வெவ்வேறு வகை மதிப்பீடுகள், எனவே சில பிரச்சனைகள் மட்டுமே பொருந்தும்.',
+    'progress.noConditions': 'இரண்டு மதிப்பீடுகளிலும் பிரச்சனைகள் எதுவும் கண்டறியப்படவில்லை.',
+    'trend.improved': 'மேம்பட்டது',
+    'trend.resolved': 'சரியானது',
+    'trend.unchanged': 'மாற்றமில்லை',
+    'trend.worsened': 'மோசமானது',
+    'trend.new': 'புதியது',
+
+    // Labels for answers and values stored in English
+    'value.yes': 'ஆம்',
+    'value.no': 'இல்லை',
+    'value.male': 'ஆண்',
+    'value.female': 'பெண்',
+    'value.noneOfThese': 'இவற்றில் எதுவும் இல்லை',
+    'value.morningRoutine': 'காலை வழக்கம்',
+    'value.eveningRoutine': 'இரவு வழக்கம்',
+    'duration.1week': '1 வாரம்',
+    'duration.2weeks': '2 வாரங்கள்',
+    'duration.1month': '1 மாதம்',
+    'duration.3months': '3 மாதங்கள்',
+    'duration.6months': '6 மாதங்கள்',
+    'duration.1year': '1 ஆண்டு',
+    'duration.2years': '2 ஆண்டுகள்',
+    'duration.more': '2 ஆண்டுகளுக்கு மேல்',
+    'goal.acne': 'முகப்பரு மற்றும் பருக்களை நீக்குதல்',
+    'goal.oil': 'எண்ணெய்ப் பசை மற்றும் பளபளப்பைக் கட்டுப்படுத்துதல்',
+    'goal.texture': 'சரும அமைப்பைச் செம்மைப்படுத்துதல்',
+    'goal.pores': 'துளைகள் தெரிவதைக் குறைத்தல்',
+    'goal.tone': 'சீரான, பொலிவான சரும நிறம்',
+    'goal.hydration': 'ஈரப்பதத்தை அதிகரித்தல்',
+    'goal.aging': 'மெல்லிய கோடுகள் மற்றும் சுருக்கங்களைக் குறைத்தல்',
+    'goal.firmness': 'இறுக்கம் மற்றும் நெகிழ்வுத்தன்மையை மேம்படுத்துதல்',
+    'goal.redness': 'சிவப்பு மற்றும் எரிச்சலைத் தணித்தல்',
+    'goal.barrier': 'சருமத் தடுப்புப் படலத்தை வலுப்படுத்துதல்',
+    'goal.healthy': 'ஆரோக்கியமான சருமத்தைப் பராமரித்தல்',
+};
@@ -11,130 +11,222 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { GoogleGenAI } from '@google/genai';
+import { createAIProvider } from './server/providers/index.js';
+import {
+    buildSkinAnalysisPrompt,
+    buildHairAnalysisPrompt,
+    buildSkinRoutinePrompt,
+    buildHairRoutinePrompt,
+    buildRoutineRepairPrompt,
+    buildDoctorReportPrompt,
+    buildChatSystemPrompt,
+    buildChatContents,
+    skinAnalysisSchema,
+    hairAnalysisSchema,
+    routineSchemaForCatalog,
+    labeledImageParts,
+    CAPTURE_ANGLES,
+    PROMPT_VERSION
+} from './server/prompts.js';
+import { createAssessmentStore } from './server/assessmentStore.js';
+import { createFeedbackStore } from './server/feedbackStore.js';
+import { normalizeCorrections, applyCorrections } from './server/analysisCorrections.js';
+import { normalizeProductUsage, excludeFailedProducts } from './server/productUsage.js';
+import { createCatalog } from './server/catalog.js';
+import { createStorefrontClient, createCart } from './server/storefront.js';
+import { createProductClassifier } from './server/productClassification.js';
+import { validateRoutine, describeRoutineProblems, fillGaps } from './server/routineValidator.js';
+import { renderReportPdf, findReportFonts, reportLanguages } from './server/reportPdf.js';
+import { createTriage } from './server/triage.js';
+import { createIngredientSafety, normalizeSafetyProfile } from './server/ingredientSafety.js';
+import { createRoutineTiers, normalizeBudget } from './server/routineTiers.js';
+import { createRoutineOverlap, normalizeOtherRoutineProducts } from './server/routineOverlap.js';
+import { createHairQuestionnaire } from './server/hairQuestionnaire.js';
+import { DEFAULT_LANGUAGE, isLanguage, LANGUAGE_CODES, LANGUAGES } from './server/languages.js';
+import { createMetrics } from './server/metrics.js';
+import { createRateLimiter, createSessionIds } from './server/rateLimit.js';
+import { requestLogger } from './server/requestLog.js';
+import { createResponseCache, cacheKey, imageHash } from './server/responseCache.js';
+import { createReportStore } from './server/reportStore.js';
 
 dotenv.config();
 
-const SchemaType = {
-    STRING: 'string',
-    NUMBER: 'number',
-    BOOLEAN: 'boolean',
-    OBJECT: 'object',
-    ARRAY: 'array'
-};
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
-const app = express();
+// Persistent server-side data (assessment history etc.); never served statically.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+export const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Numeric env setting; unset or empty means `fallback`.
+const numberSetting = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or "loopback") makes req.ip the client's address,
+// which the per-IP rate limit and the request log depend on.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
+// Latency, error and token counters behind GET /metrics
+const metrics = createMetrics();
+
+// Session ids are issued and signed by the server, so a client can't pick a new one to get around
+// the per-session limit. Without SESSION_SECRET a restart invalidates them and clients get new ones.
+const sessionIds = createSessionIds({ secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex') });
+
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' })); // Allow large base64 payloads
+app.use(cors({ exposedHeaders: ['X-Session-Id'] }));
+app.use(['/api', '/metrics'], requestLogger({ metrics }));
+
+// Per-IP and per-session limits on /api/*, checked before the (up to 50mb) body is parsed.
+// RATE_LIMIT_PER_MINUTE and SESSION_RATE_LIMIT_PER_MINUTE override the defaults; 0 turns one off.
+// Requests without a valid session id share one session count per IP, so leaving the id out
+// doesn't lift the limit either.
+const rateLimited = (scope) => (req, res, retryAfterSeconds) => {
+    metrics.recordRateLimited(scope);
+    sendError(res, 429, `Too many requests. Please wait ${retryAfterSeconds}s and try again.`);
+};
+app.use('/api', createRateLimiter({
+    limit: numberSetting(process.env.RATE_LIMIT_PER_MINUTE, 120),
+    keyOf: req => req.ip,
+    onLimited: rateLimited('ip')
+}));
+app.use('/api', sessionIds.middleware, createRateLimiter({
+    limit: numberSetting(process.env.SESSION_RATE_LIMIT_PER_MINUTE, 30),
+    keyOf: req => req.sessionId || `ip:${req.ip}`,
+    onLimited: rateLimited('session')
+}));
 
-// Environment check
-const rawApiKeys = process.env.GEMINI_API_KEY || process.env.API_KEY || process.env.VITE_API_KEY;
+app.use(express.json({ limit: '50mb' })); // Allow large base64 payloads
 
-if (!rawApiKeys) {
-    console.error("CRITICAL ERROR: No API Key found in .env or environment variables.");
+// AI provider (Gemini, or the offline mock when no key is configured)
+let ai;
+try {
+    ai = createAIProvider(process.env, { onCall: metrics.recordAiCall });
+} catch (error) {
+    console.error(`CRITICAL ERROR: ${error.message}`);
     process.exit(1);
 }
+console.log(`- INFO: AI provider: ${ai.name} (${ai.model})`);
 
-const apiKeys = rawApiKeys.split(',').map(key => key.trim()).filter(key => key);
-const aiInstances = apiKeys.map(apiKey => new GoogleGenAI({ apiKey }));
-
-/**
- * Attempts to generate content using a pool of AI instances, failing over to the next key on specific errors.
- */
-async function generateContentWithFailover(params) {
-    let lastError = null;
-    for (let i = 0; i < aiInstances.length; i++) {
-        const ai = aiInstances[i];
-        try {
-            return await ai.models.generateContent(params);
-        } catch (error) {
-            lastError = error;
-            console.warn(`API key ${i + 1}/${aiInstances.length} failed: ${lastError.message}`);
-            const errorMessage = lastError.message.toLowerCase();
-            const isRetriable =
-                errorMessage.includes('api key not valid') ||
-                errorMessage.includes('quota') ||
-                errorMessage.includes('internal error') ||
-                errorMessage.includes('500') ||
-                errorMessage.includes('503');
-            if (!isRetriable) throw lastError;
-        }
-    }
-    throw new Error(`All ${aiInstances.length} API keys failed. Last error: ${lastError?.message || 'Unknown error'}`);
+// Assessment history is read back only with the owner token issued when it was saved.
+let assessmentTokenSecret = process.env.ASSESSMENT_TOKEN_SECRET;
+if (!assessmentTokenSecret) {
+    assessmentTokenSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('- WARN: ASSESSMENT_TOKEN_SECRET is not set; saved assessment history will be out of reach after the server restarts.');
 }
+if (!process.env.ADMIN_TOKEN) {
+    console.warn('- WARN: ADMIN_TOKEN is not set; the admin routes and /metrics are disabled.');
+}
+const assessmentStore = createAssessmentStore({ dir: path.join(DATA_DIR, 'assessments'), secret: assessmentTokenSecret });
+// Users' corrections to analyses, kept as labelled data for evaluating the prompts. Photos come only
+// when the user agreed to share them; they identify the user, so records are purged after
+// FEEDBACK_RETENTION_DAYS.
+const feedbackStore = createFeedbackStore({
+    dir: process.env.FEEDBACK_DIR || path.join(DATA_DIR, 'feedback'),
+    retentionMs: numberSetting(process.env.FEEDBACK_RETENTION_DAYS, 90) * 24 * 60 * 60 * 1000
+});
+const purgeFeedback = () => feedbackStore.purge()
+    .then(removed => { if (removed > 0) console.log(`- INFO: Purged ${removed} feedback records past retention`); })
+    .catch(error => console.warn(`- WARN: Feedback purge failed: ${error.message}`));
+purgeFeedback();
+setInterval(purgeFeedback, 60 * 60 * 1000).unref();
+
+// Shopify Storefront API, used for the catalog and checkout. SHOPIFY_STOREFRONT_ENDPOINT points it
+// somewhere else, e.g. the local mock (npm run mock:storefront).
+const storefront = createStorefrontClient({
+    shopDomain: process.env.SHOPIFY_DOMAIN,
+    accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+    endpoint: process.env.SHOPIFY_STOREFRONT_ENDPOINT
+});
 
-// Shopify Config
-const SHOPIFY_DOMAIN = process.env.SHOPIFY_DOMAIN;
-const ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+// Product catalog: Shopify with an on-disk snapshot, or the bundled fixture when offline.
+// Every product is classified into a domain (skin/hair/supplement) and routine step.
+const classifier = createProductClassifier({
+    rulesPath: path.join(__dirname, 'server', 'config', 'productClassification.json'),
+    overridesPath: process.env.PRODUCT_OVERRIDES_PATH || path.join(__dirname, 'server', 'config', 'productOverrides.json')
+});
+const catalog = createCatalog({
+    storefront,
+    shopDomain: process.env.SHOPIFY_DOMAIN,
+    snapshotPath: path.join(DATA_DIR, 'catalog', 'snapshot.json'),
+    fixturePath: path.join(__dirname, 'server', 'fixtures', 'catalog.json'),
+    refreshIntervalMs: (Number(process.env.CATALOG_REFRESH_MINUTES) || 60) * 60 * 1000,
+    classify: classifier.classify
+});
+catalog.start();
 
-if (!SHOPIFY_DOMAIN || !ACCESS_TOKEN) {
-    console.warn("WARNING: SHOPIFY_DOMAIN or SHOPIFY_ACCESS_TOKEN is missing in environment variables. Product catalog will not work.");
-}
+// Red-flag triage on every analysis: high-risk findings route the user to a dermatologist.
+const triage = createTriage({
+    rulesPath: process.env.TRIAGE_RULES_PATH || path.join(__dirname, 'server', 'config', 'triageRules.json'),
+    bookingUrl: process.env.CONSULTATION_URL || 'https://dermatics.in'
+});
 
-let cachedProducts = null;
+// Ingredient conflicts and contraindications (pregnancy, allergies, sensitive skin) checked on every routine.
+const ingredientSafety = createIngredientSafety({
+    rulesPath: process.env.INGREDIENT_RULES_PATH || path.join(__dirname, 'server', 'config', 'ingredientRules.json')
+});
 
-async function getAllProducts() {
-    if (cachedProducts) return cachedProducts;
-    const allEdges = [];
-    let hasNextPage = true;
-    let endCursor = null;
+// Essentials/standard/complete cuts of every routine, with costs and how long the products last.
+const routineTiers = createRoutineTiers({
+    rulesPath: process.env.ROUTINE_TIERS_PATH || path.join(__dirname, 'server', 'config', 'routineTiers.json')
+});
 
-    try {
-        while (hasNextPage) {
-            const query = `
-            {
-              products(first: 250${endCursor ? `, after: "${endCursor}"` : ''}) {
-                pageInfo { hasNextPage, endCursor }
-                edges {
-                  node {
-                    id, title, description, productType, handle, onlineStoreUrl,
-                    images(first: 1) { edges { node { url } } }
-                    variants(first: 1) { edges { node { id, price { amount, currencyCode }, compareAtPrice { amount, currencyCode } } } }
-                    tags
-                  }
-                }
-              }
-            }
-            `;
-            const response = await fetch(`https://${SHOPIFY_DOMAIN}/api/2024-01/graphql.json`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Shopify-Storefront-Access-Token': ACCESS_TOKEN,
-                },
-                body: JSON.stringify({ query }),
-            });
-            const json = await response.json();
-            const pageInfo = json.data?.products?.pageInfo || {};
-            const edges = json.data?.products?.edges || [];
-            allEdges.push(...edges);
-            hasNextPage = pageInfo.hasNextPage || false;
-            endCursor = pageInfo.endCursor || null;
-        }
-        cachedProducts = allEdges.map((edge) => {
-            const node = edge.node;
-            const price = node.variants.edges[0]?.node?.price;
-            const compareAtPrice = node.variants.edges[0]?.node?.compareAtPrice;
-            return {
-                productId: node.id,
-                name: node.title,
-                url: node.onlineStoreUrl || `https://${SHOPIFY_DOMAIN}/products/${node.handle}`,
-                imageUrl: node.images.edges[0]?.node?.url || 'https://placehold.co/200x200?text=No+Image',
-                variantId: node.variants.edges[0]?.node?.id,
-                price: price ? `${price.currencyCode} ${parseFloat(price.amount).toFixed(2)}` : 'N/A',
-                compareAtPrice: compareAtPrice ? `${compareAtPrice.currencyCode} ${parseFloat(compareAtPrice.amount).toFixed(2)}` : 'N/A',
-                tags: node.tags || []
-            };
-        });
-        return cachedProducts;
-    } catch (error) {
-        console.error("Shopify Fetch Error:", error);
-        return [];
+// Combined skin-and-hair sessions: the second routine leaves out what the first already covers.
+const routineOverlap = createRoutineOverlap({
+    rulesPath: process.env.COMBINED_ROUTINES_PATH || path.join(__dirname, 'server', 'config', 'combinedRoutines.json')
+});
+
+// Hair questionnaire: served to the app and used to validate the answers sent with recommend-hair.
+const hairQuestionnaire = createHairQuestionnaire({
+    path: process.env.HAIR_QUESTIONNAIRE_PATH || path.join(__dirname, 'server', 'config', 'hairQuestionnaire.json'),
+    translationsPath: process.env.HAIR_QUESTIONNAIRE_TRANSLATIONS_PATH || path.join(__dirname, 'server', 'config', 'hairQuestionnaire.translations.json')
+});
+
+// Cache of analyses and routines, keyed by a hash of the inputs, prompt version, model and catalog,
+// so repeat requests get the same answer without another model call. A TTL of 0 turns a cache off.
+const responseCache = createResponseCache({
+    dir: process.env.CACHE_DIR || path.join(DATA_DIR, 'cache'),
+    ttlMs: {
+        analysis: numberSetting(process.env.ANALYSIS_CACHE_TTL_HOURS, 7 * 24) * 60 * 60 * 1000,
+        routine: numberSetting(process.env.ROUTINE_CACHE_TTL_HOURS, 24) * 60 * 60 * 1000
     }
+});
+const pruneCache = () => responseCache.prune()
+    .then(removed => { if (removed > 0) console.log(`- INFO: Removed ${removed} expired cache entries`); })
+    .catch(error => console.warn(`- WARN: Cache prune failed: ${error.message}`));
+pruneCache();
+setInterval(pruneCache, 6 * 60 * 60 * 1000).unref();
+
+// Doctor's reports hold health data: they are kept outside the static root and reached only through
+// signed links that expire after REPORT_LINK_TTL_HOURS. Files are purged after REPORT_RETENTION_DAYS.
+let reportLinkSecret = process.env.REPORT_LINK_SECRET;
+if (!reportLinkSecret) {
+    reportLinkSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('- WARN: REPORT_LINK_SECRET is not set; report links will stop working when the server restarts.');
+}
+const reportStore = createReportStore({
+    dir: path.join(DATA_DIR, 'reports'),
+    secret: reportLinkSecret,
+    linkTtlMs: numberSetting(process.env.REPORT_LINK_TTL_HOURS, 24) * 60 * 60 * 1000,
+    retentionMs: numberSetting(process.env.REPORT_RETENTION_DAYS, 7) * 24 * 60 * 60 * 1000
+});
+const purgeReports = () => reportStore.purge()
+    .then(removed => { if (removed > 0) console.log(`- INFO: Purged ${removed} reports past retention`); })
+    .catch(error => console.warn(`- WARN: Report purge failed: ${error.message}`));
+purgeReports();
+setInterval(purgeReports, 60 * 60 * 1000).unref();
+
+// Report fonts for the non-Latin languages; a report in a language without them comes out in English.
+const reportFonts = findReportFonts(process.env.REPORT_FONTS_DIR || path.join(__dirname, 'server', 'fonts'));
+const missingReportLanguages = LANGUAGE_CODES.filter(code => !reportLanguages(reportFonts).includes(code));
+if (missingReportLanguages.length > 0) {
+    console.warn(`- WARN: No report fonts for ${missingReportLanguages.map(code => LANGUAGES[code].name).join(', ')}; those reports will be in English.`);
 }
 
 // Helper: Convert Base64 to Gemini Part
@@ -147,639 +239,985 @@ const base64ToPart = (base64String, mimeType = 'image/jpeg') => {
     };
 };
 
+// Helper: Consistent error body for every endpoint: { error, details? }
+const sendError = (res, status, message, error) => {
+    if (error) console.error(`${message}:`, error);
+    res.status(status).json(error ? { error: message, details: error.message } : { error: message });
+};
+
+const validateImages = (images) => Array.isArray(images) && images.length > 0 && images.every(img => typeof img === 'string');
+
+// `angles` is optional; when sent it runs parallel to `images`, with null for photos of unknown view.
+const validateAngles = (angles, images) => angles === undefined
+    || (Array.isArray(angles) && angles.length === images.length && angles.every(a => a === null || CAPTURE_ANGLES.includes(a)));
+
+// `language` is optional; it picks the language of the model's text and of triage reasons.
+const validateLanguage = (language) => language === undefined || isLanguage(language);
+const LANGUAGE_ERROR = `'language' must be one of ${LANGUAGE_CODES.join(', ')}.`;
+const BUDGET_ERROR = "'budget' must be a positive monthly amount in the store's currency.";
+const OTHER_ROUTINE_ERROR = "'otherRoutineProducts' must be a list of variant ids.";
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// An analysis as the analyze endpoints return it: [{ category, conditions: [{ name, ... }] }].
+const validateAnalysis = (analysis) => Array.isArray(analysis)
+    && analysis.every(category => isObject(category) && (category.conditions === undefined || (Array.isArray(category.conditions) && category.conditions.every(isObject))));
+
+// `analysis` and `goals` of a recommend request may be left out (a hair routine without photos).
+const validateRoutineBody = ({ analysis, goals }) => (analysis === undefined || analysis === null || validateAnalysis(analysis))
+    && (goals === undefined || goals === null || (Array.isArray(goals) && goals.every(goal => typeof goal === 'string')));
+const ROUTINE_BODY_ERROR = "'analysis' must be a list of condition categories and 'goals' a list of strings.";
+
+// Which model answered: cached responses are never shared between providers or models.
+const modelId = () => `${ai.name}/${ai.model}`;
+
+/**
+ * Helper: The model's parsed analysis of the photos, from the response cache when the same photos
+ * (by content), angles and language were analyzed before. Only a usable analysis is cached; a missing
+ * or "irrelevant image" answer is asked for again next time. Triage is not cached: it always
+ * runs on the current rules. Resolves to { value, cache }.
+ */
+const cachedAnalysis = ({ task, images, angles, language, bypassCache, prompt, schema }) => responseCache.getOrCompute({
+    namespace: 'analysis',
+    key: cacheKey({
+        task,
+        images: images.map(imageHash),
+        angles: angles || images.map(() => null),
+        language: language || DEFAULT_LANGUAGE,
+        promptVersion: PROMPT_VERSION,
+        model: modelId()
+    }),
+    bypass: bypassCache === true,
+    cacheable: raw => !raw?.error && validateAnalysis(Array.isArray(raw) ? raw : raw?.analysis),
+    compute: async () => {
+        const response = await ai.generateContent({
+            task,
+            contents: { parts: [...labeledImageParts(images.map(img => base64ToPart(img)), angles), { text: prompt }] },
+            config: {
+                responseMimeType: "application/json",
+                responseSchema: schema
+            }
+        });
+        return response.text ? JSON.parse(response.text.trim()) : null;
+    }
+});
+
+// Helper: Analysis response { analysis, error, message, triage } from the model's output
+const analysisResponse = (raw, domain, language) => {
+    const result = Array.isArray(raw) ? { analysis: raw } : (raw || {});
+    const analysis = Array.isArray(result.analysis) ? result.analysis : null;
+    return {
+        analysis,
+        error: result.error || null,
+        message: result.message || null,
+        triage: triage.assess(analysis, { domain, language })
+    };
+};
+
+// Helper: Catalog product in the shape the app renders (types.ts Product). `lastsDays` is worked
+// out for each variant, as used in `halves` routine halves.
+const toRoutineProduct = (full, halves = 1) => ({
+    name: full.name,
+    productId: full.productId,
+    price: full.price,
+    compareAtPrice: full.compareAtPrice,
+    image: full.imageUrl,
+    url: full.url,
+    variantId: full.variantId,
+    variants: full.variants.map(variant => ({ ...variant, lastsDays: routineTiers.lastsDays(full, variant, halves) })),
+    lastsDays: routineTiers.lastsDays(full, full.variants.find(v => v.id === full.variantId), halves),
+    keyIngredients: full.keyIngredients || [],
+    step: full.step,
+    tags: full.stepLabel ? [full.stepLabel] : []
+});
+
+/**
+ * Maps validated routine items (see server/routineValidator.js) onto full catalog products,
+ * grouped into the "Morning Routine" / "Evening Routine" categories the app renders.
+ */
+const hydrateRoutine = (recommendations, catalog) => {
+    const inBoth = (item) => [recommendations.am, recommendations.pm].every(list => (list || []).some(other => other.productId === item.productId));
+    const hydrate = (list) => (list || []).map(item => {
+        const full = catalog.find(p => p.variantId === item.productId);
+        if (!full) return null;
+        return {
+            ...toRoutineProduct(full, inBoth(item) ? 2 : 1),
+            step: full.step || item.stepType,
+            recommendationType: item.recommendationType,
+            tags: [full.stepLabel || item.stepType],
+            reason: item.reason,
+            when: item.when,
+            howToUse: item.howToUse,
+            frequency: item.frequency,
+            duration: item.duration
+        };
+    }).filter(Boolean);
+
+    const result = [];
+    if (recommendations.am?.length > 0) {
+        result.push({ category: "Morning Routine", products: hydrate(recommendations.am) });
+    }
+    if (recommendations.pm?.length > 0) {
+        result.push({ category: "Evening Routine", products: hydrate(recommendations.pm) });
+    }
+    return result;
+};
+
+/**
+ * The response fields for a generated routine: its budget tiers (server/routineTiers.js), each
+ * checked for ingredient safety and hydrated for the app, and the tier to show first as `tier`
+ * with its `routine` and `warnings`. Runs after the cache, so a budget never changes the cache key.
+ */
+const tieredRoutine = (routine, catalog, { domain, safety, budget, language }) => {
+    const tiers = routineTiers.build(routine, catalog, { domain, budget }).map(({ id, routine: cut }) => {
+        const reviewed = ingredientSafety.review(cut, catalog, safety, { domain, language });
+        return {
+            id,
+            routine: hydrateRoutine(reviewed.routine, catalog),
+            warnings: reviewed.warnings,
+            ...routineTiers.summarize(reviewed.routine, catalog, { budget })
+        };
+    });
+    const tier = routineTiers.choose(tiers, budget);
+    const chosen = tiers.find(t => t.id === tier);
+    return { routine: chosen?.routine || [], warnings: chosen?.warnings || [], tiers, tier };
+};
+
+/**
+ * Asks the model for a routine and validates it against the catalog. If required steps are
+ * missing, re-prompts once with the problems listed, then fills whatever is still missing
+ * deterministically. Returns { routine: {am, pm}, corrections: [{ type, slot, step, name, message }], cache }.
+ *
+ * Results are cached under the normalised request `inputs`, the catalog products offered (by
+ * content, so any catalog change is a new key), the prompt version and the model.
+ */
+const generateRoutine = async ({ task, domain, prompt, catalog, inputs, bypassCache }) => {
+    const { value, cache } = await responseCache.getOrCompute({
+        namespace: 'routine',
+        key: cacheKey({ task, inputs, catalogVersion: cacheKey(catalog), promptVersion: PROMPT_VERSION, model: modelId() }),
+        bypass: bypassCache === true,
+        compute: () => generateValidatedRoutine({ task, domain, prompt, catalog })
+    });
+    return { ...value, cache };
+};
+
+const generateValidatedRoutine = async ({ task, domain, prompt, catalog }) => {
+    const request = async (text) => {
+        const response = await ai.generateContent({
+            task,
+            meta: { catalog: catalog.map(p => ({ id: p.variantId, name: p.name, step: p.step })) },
+            contents: { parts: [{ text }] },
+            config: {
+                responseMimeType: "application/json",
+                responseSchema: routineSchemaForCatalog(catalog)
+            }
+        });
+        return JSON.parse(response.text.trim());
+    };
+
+    const previous = await request(prompt);
+    let result = validateRoutine(previous, catalog, { domain });
+
+    if (result.gaps.length > 0) {
+        const problems = describeRoutineProblems(result);
+        console.log(`- INFO: ${task} failed validation, re-prompting: ${problems.join(' ')}`);
+        try {
+            const repaired = validateRoutine(await request(buildRoutineRepairPrompt({ originalPrompt: prompt, previous, problems })), catalog, { domain });
+            if (repaired.gaps.length < result.gaps.length) {
+                repaired.corrections.unshift({ type: 'reprompted', slot: null, step: null, name: null, message: `Regenerated the routine to fix: ${problems.join(' ')}` });
+                result = repaired;
+            }
+        } catch (error) {
+            console.error(`Routine repair prompt failed for ${task}:`, error);
+        }
+    }
+
+    if (result.gaps.length > 0) {
+        result = fillGaps(result, catalog);
+    }
+    result.corrections.forEach(c => console.log(`- INFO: ${task} correction (${c.type}): ${c.message}`));
+    return { routine: result.routine, corrections: result.corrections };
+};
+
 /**
  * Endpoint: /api/analyze-skin
  * Method: POST
- * Body: { images: ["base64_string_1", "base64_string_2", ...] }
+ * Body: { images: ["base64_string_1", "base64_string_2", ...], angles?: ["front" | "left" | "right" | null, ...], language?: "en" | "hi" | "ta" | "mr", bypassCache?: true }
+ * Response: { analysis: [] | null, error: "irrelevant_image" | null, message, triage: { level, findings, bookingUrl } }
+ * The same photos are answered from the cache (X-Cache: hit) unless `bypassCache` asks for a fresh analysis.
  */
 app.post('/api/analyze-skin', async (req, res) => {
     try {
-        const { images } = req.body;
-
-        if (!images || !Array.isArray(images) || images.length === 0) {
-            return res.status(400).json({ error: "Please provide an array of base64 images in the 'images' field." });
-        }
-
-        const imageParts = images.map(img => base64ToPart(img));
-
-        const prompt = `You are an expert dermatologist. Analyze these facial images VERY CAREFULLY and detect ALL visible skin conditions.
-    
-        **CRITICAL INSTRUCTIONS:**
-        1. Look at EVERY visible area of the skin - forehead, cheeks, nose, chin, temples, jaw.
-        2. Detect EVERYTHING visible - even minor issues count.
-        3. Do NOT skip or miss any visible skin problems.
-        4. Provide accurate bounding boxes for EVERY condition you detect.
-        
-        **Conditions to look for (be thorough):**
-        - Acne, pustules, comedones, whiteheads, blackheads, pimples
-        - Redness, inflammation, irritation, rosacea
-        - Wrinkles, fine lines, crow's feet, forehead lines
-        - Dark circles, under-eye bags, puffiness
-        - Dark spots, hyperpigmentation, sun spots, melasma
-        - Texture issues, rough patches, bumps, enlarged pores
-        - Dryness, flakiness, dehydration, dry patches
-        - Oiliness, shine, sebum buildup
-        - Scarring, post-acne marks, depressed scars
-        - Uneven skin tone, patches of different color
-        - Other visible conditions (BUT EXCLUDE normal facial hair)
-    
-        **EXCLUSIONS (Do NOT report these as conditions):**
-        - Normal facial hair, beard, mustache, stubble.
-        - Do NOT tag "Facial Hair" or "Stubble" as a skin condition unless it is specifically folliculitis or ingrown hairs.
-        
-        **For EACH condition you find:**
-        1. Create a descriptive name (e.g., "Acne Pustules", "Deep Forehead Wrinkles", "Dark Spots on Cheeks")
-        2. Rate confidence 0-100 (how sure are you)
-        3. Specify exact location (Forehead, Left Cheek, Right Cheek, Nose, Chin, Under Eyes, Temple, Jaw, etc.)
-        4. MANDATORY: A very short, one-sentence description of the problem.
-        5. MANDATORY: Draw a bounding box around EVERY visible instance using normalized coordinates (0.0-1.0)
-           - x1, y1 = top-left corner
-           - x2, y2 = bottom-right corner
-           - Example: if acne is on left cheek, draw box around that area
-        
-        **Grouping Strategy:**
-        - Group similar conditions into categories (e.g., "Acne & Blemishes", "Signs of Aging", "Pigmentation Issues", "Texture & Pores")
-        - Create new categories as needed based on what you see
-        
-        Provide output in JSON format. Do NOT return empty arrays for boundingBoxes - every condition MUST have visible boxes.`;
-
-        const response = await generateContentWithFailover({
-            model: 'gemini-2.5-flash',
-            contents: { parts: [...imageParts, { text: prompt }] },
-            config: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: SchemaType.ARRAY,
-                    items: {
-                        type: SchemaType.OBJECT,
-                        properties: {
-                            category: { type: SchemaType.STRING },
-                            conditions: {
-                                type: SchemaType.ARRAY,
-                                items: {
-                                    type: SchemaType.OBJECT,
-                                    properties: {
-                                        name: { type: SchemaType.STRING },
-                                        confidence: { type: SchemaType.NUMBER },
-                                        location: { type: SchemaType.STRING },
-                                        description: { type: SchemaType.STRING },
-                                        boundingBoxes: {
-                                            type: SchemaType.ARRAY,
-                                            items: {
-                                                type: SchemaType.OBJECT,
-                                                properties: {
-                                                    imageId: { type: SchemaType.NUMBER },
-                                                    box: {
-                                                        type: SchemaType.OBJECT,
-                                                        properties: { x1: { type: SchemaType.NUMBER }, y1: { type: SchemaType.NUMBER }, x2: { type: SchemaType.NUMBER }, y2: { type: SchemaType.NUMBER } },
-                                                        required: ["x1", "y1", "x2", "y2"]
-                                                    }
-                                                },
-                                                required: ["imageId", "box"]
-                                            }
-                                        }
-                                    },
-                                    required: ["name", "confidence", "location", "description", "boundingBoxes"]
-                                }
-                            }
-                        },
-                        required: ["category", "conditions"]
-                    }
-                }
-            }
+        const { images, angles, language, bypassCache } = req.body;
+
+        if (!validateImages(images)) {
+            return sendError(res, 400, "Please provide an array of base64 images in the 'images' field.");
+        }
+        if (!validateAngles(angles, images)) {
+            return sendError(res, 400, `'angles' must list one of ${CAPTURE_ANGLES.join(', ')} or null for each image.`);
+        }
+        if (!validateLanguage(language)) {
+            return sendError(res, 400, LANGUAGE_ERROR);
+        }
+
+        const { value, cache } = await cachedAnalysis({
+            task: 'analyze-skin',
+            images,
+            angles,
+            language,
+            bypassCache,
+            prompt: buildSkinAnalysisPrompt({ language }),
+            schema: skinAnalysisSchema
         });
 
-        const result = response.text ? JSON.parse(response.text.trim()) : [];
-        res.json(result);
+        res.set('X-Cache', cache);
+        res.json(analysisResponse(value, 'skin', language));
 
     } catch (error) {
-        console.error("Error analyzing skin:", error);
-        res.status(500).json({ error: "Failed to analyze skin", details: error.message });
+        sendError(res, 500, "Failed to analyze skin", error);
     }
 });
 
 /**
  * Endpoint: /api/analyze-hair
  * Method: POST
- * Body: { images: ["base64_string_1", ...] }
+ * Body: { images: ["base64_string_1", ...], angles?: ["hairline" | "crown" | "part" | null, ...], language?, bypassCache? }
+ * Response: same shape and caching as /api/analyze-skin
  */
 app.post('/api/analyze-hair', async (req, res) => {
     try {
-        const { images } = req.body;
-
-        if (!images || !Array.isArray(images) || images.length === 0) {
-            return res.status(400).json({ error: "Please provide an array of base64 images in the 'images' field." });
-        }
-
-        const imageParts = images.map(img => base64ToPart(img));
-
-        const prompt = `You are an expert AI trichologist. Your task is to analyze images of a person's hair and scalp in detail.
-
-        **Step 1: Image Validity Check**
-        First, determine if the uploaded image(s) clearly show a human head, hair, or scalp. 
-        - If images are NOT relevant (e.g., objects, flowers, blurry, unrecognizable), return a JSON object with "error": "irrelevant_image".
-        - If images ARE relevant, proceed to Step 2.
-        
-        **Step 2: Detailed Analysis**
-        Analyze the relevant images for specific hair and scalp conditions.
-        
-        **Reference List of Conditions to Detect:**
-        Use these specific medical/cosmetic terms where applicable, but rely on your vision.
-        
-        1. **Hair Loss Types:**
-           - **Androgenetic Alopecia:** Look for receding hairline (M-shape) or vertex thinning in men; widening part line or diffuse thinning in women.
-           - **Telogen Effluvium:** General diffuse thinning without distinct bald patches.
-           - **Alopecia Areata:** Distinct, round, smooth bald patches.
-           - **Traction Alopecia:** Hair loss along the hairline due to tension.
-           - **Cicatricial Alopecia:** Signs of scarring or inflammation associated with hair loss.
-        
-        2. **Scalp Conditions:**
-           - **Seborrheic Dermatitis:** Redness, greasy yellow scales/flakes.
-           - **Pityriasis Capitis (Dandruff):** Dry, white flakes, non-inflamed.
-           - **Folliculitis:** Red, inflamed bumps around hair follicles.
-           - **Psoriasis:** Thick, silvery scales on red patches.
-        
-        3. **Hair Shaft & Quality:**
-           - **Trichorrhexis Nodosa / Breakage:** Visible snapping or white nodes on the hair shaft.
-           - **Split Ends:** Fraying at the tips.
-           - **Frizz / Dryness:** Lack of definition, rough texture.
-        
-        **Dynamic Categorization Strategy:**
-        - Group your findings dynamically based on what you detect (e.g., "Hair Loss Patterns", "Scalp Health", "Hair Quality").
-        - **Male vs Female:** Explicitly look for gender-specific patterns (e.g., Receding Hairline vs Widening Part) and name them accordingly.
-        
-        **Output Requirements for each Condition:**
-        1. **Name:** Use specific terms from the reference list above (e.g., "Androgenetic Alopecia (Stage 2)", "Severe Dandruff", "Receding Hairline").
-        2. **Confidence:** 0-100 score.
-        3. **Location:** Specific area (e.g., "Left Temple", "Crown", "Nape", "Part Line").
-        4. **Description:** A very short, one-sentence description of the problem.
-        5. **Bounding Boxes:** 
-           - **MANDATORY VISUALIZATION TASK:** If you detect any Hair Loss (including Receding Hairline, Thinning, or Alopecia), you **MUST** return a bounding box.
-           - Draw the box around the entire receding area or bald spot.
-           - Use normalized coordinates (0.0 - 1.0).
-           - Do NOT return empty bounding boxes for visible conditions.
-        
-        Provide the output strictly in JSON format according to the provided schema.`;
-
-        const response = await generateContentWithFailover({
-            model: 'gemini-2.5-flash',
-            contents: { parts: [...imageParts, { text: prompt }] },
-            config: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: SchemaType.OBJECT,
-                    properties: {
-                        analysis: {
-                            type: SchemaType.ARRAY,
-                            nullable: true,
-                            items: {
-                                type: SchemaType.OBJECT,
-                                properties: {
-                                    category: { type: SchemaType.STRING, description: "Dynamic category name based on finding." },
-                                    conditions: {
-                                        type: SchemaType.ARRAY,
-                                        items: {
-                                            type: SchemaType.OBJECT,
-                                            properties: {
-                                                name: { type: SchemaType.STRING, description: "Specific condition name." },
-                                                confidence: { type: SchemaType.NUMBER, description: "Confidence 0-100." },
-                                                location: { type: SchemaType.STRING, description: "Location on scalp/hair." },
-                                                description: { type: SchemaType.STRING, description: "One-sentence description of the problem." },
-                                                boundingBoxes: {
-                                                    type: SchemaType.ARRAY,
-                                                    items: {
-                                                        type: SchemaType.OBJECT,
-                                                        properties: {
-                                                            imageId: { type: SchemaType.NUMBER },
-                                                            box: {
-                                                                type: SchemaType.OBJECT,
-                                                                properties: { x1: { type: SchemaType.NUMBER }, y1: { type: SchemaType.NUMBER }, x2: { type: SchemaType.NUMBER }, y2: { type: SchemaType.NUMBER } },
-                                                                required: ["x1", "y1", "x2", "y2"]
-                                                            }
-                                                        },
-                                                        required: ["imageId", "box"]
-                                                    }
-                                                }
-                                            },
-                                            required: ["name", "confidence", "location", "description", "boundingBoxes"]
-                                        }
-                                    }
-                                },
-                                required: ["category", "conditions"]
-                            }
-                        },
-                        error: { type: SchemaType.STRING, nullable: true },
-                        message: { type: SchemaType.STRING, nullable: true }
-                    },
-                    required: ["analysis"]
-                }
-            }
+        const { images, angles, language, bypassCache } = req.body;
+
+        if (!validateImages(images)) {
+            return sendError(res, 400, "Please provide an array of base64 images in the 'images' field.");
+        }
+        if (!validateAngles(angles, images)) {
+            return sendError(res, 400, `'angles' must list one of ${CAPTURE_ANGLES.join(', ')} or null for each image.`);
+        }
+        if (!validateLanguage(language)) {
+            return sendError(res, 400, LANGUAGE_ERROR);
+        }
+
+        const { value, cache } = await cachedAnalysis({
+            task: 'analyze-hair',
+            images,
+            angles,
+            language,
+            bypassCache,
+            prompt: buildHairAnalysisPrompt({ language }),
+            schema: hairAnalysisSchema
         });
 
-        const result = response.text ? JSON.parse(response.text.trim()) : {};
-        res.json(result);
+        res.set('X-Cache', cache);
+        res.json(analysisResponse(value, 'hair', language));
 
     } catch (error) {
-        console.error("Error analyzing hair:", error);
-        res.status(500).json({ error: "Failed to analyze hair", details: error.message });
+        sendError(res, 500, "Failed to analyze hair", error);
     }
 });
 
 /**
  * Endpoint: /api/recommend-skin
- * Body: { analysis: [], goals: [] }
+ * Body: { analysis: [], goals: [], productUsage: [{ name, currentlyUsing, duration }], safety?: { pregnant, breastfeeding, sensitiveSkin, allergies }, budget?: 1500, otherRoutineProducts?: ["variantId", ...], language?, bypassCache? }
+ * Response: { routine: [{ category, products }], corrections: [{ type, slot, step, name, message }], warnings: [{ ruleId, action, message, products, replacement? }], tiers: [{ id, routine, warnings, productCount, total, monthlyCost, lastsDays, withinBudget }], tier, overlaps: [{ step, product }], triage }
+ * An 'urgent' triage result returns no products: the user needs a dermatologist first.
+ * `warnings` are the ingredient safety checks (server/ingredientSafety.js), applied after the cache.
+ * `tiers` are the essentials/standard/complete cuts of the routine; `routine` and `warnings` are
+ * those of `tier`, the largest that fits the monthly `budget` (store currency).
+ * In a combined skin-and-hair session, `otherRoutineProducts` lists the products recommended in the
+ * other routine. They are not recommended again, and neither are steps that routine already covers
+ * (server/config/combinedRoutines.json); `overlaps` names the products that cover them.
+ * Identical inputs against the same catalog are answered from the cache (X-Cache: hit).
  */
 app.post('/api/recommend-skin', async (req, res) => {
     try {
-        const { analysis, goals } = req.body;
-        const allProducts = await getAllProducts();
-
-        const skincareCatalog = allProducts.filter(p => {
-            const lowerName = p.name.toLowerCase();
-            return !['shampoo', 'conditioner', 'scalp', 'minoxidil', 'follihair', 'mintop', 'anaboom'].some(term => lowerName.includes(term));
+        const { analysis, goals, language, bypassCache } = req.body;
+        if (!validateRoutineBody(req.body)) {
+            return sendError(res, 400, ROUTINE_BODY_ERROR);
+        }
+        if (!validateLanguage(language)) {
+            return sendError(res, 400, LANGUAGE_ERROR);
+        }
+        const budget = normalizeBudget(req.body.budget);
+        if (budget === undefined) {
+            return sendError(res, 400, BUDGET_ERROR);
+        }
+        const otherRoutineProducts = normalizeOtherRoutineProducts(req.body.otherRoutineProducts);
+        if (otherRoutineProducts === undefined) {
+            return sendError(res, 400, OTHER_ROUTINE_ERROR);
+        }
+        const triageResult = triage.assess(analysis, { domain: 'skin', language });
+        if (triageResult.level === 'urgent') {
+            console.log(`- INFO: recommend-skin blocked by triage (${triageResult.findings.map(f => f.ruleId).join(', ')})`);
+            return res.json({ routine: [], corrections: [], warnings: [], tiers: [], tier: null, overlaps: [], triage: triageResult });
+        }
+        const productUsage = normalizeProductUsage(req.body.productUsage);
+        const safety = normalizeSafetyProfile(req.body.safety);
+        const allProducts = await catalog.getProducts();
+
+        const { catalog: skincareCatalog, other, overlaps } = routineOverlap.exclude(ingredientSafety.filterCatalog(
+            excludeFailedProducts(allProducts.filter(p => p.routines?.includes('skin')), productUsage, classifier.classify), safety, 'skin'), allProducts, otherRoutineProducts);
+
+        const { routine, corrections, cache } = await generateRoutine({
+            task: 'recommend-skin',
+            domain: 'skin',
+            prompt: buildSkinRoutinePrompt({
+                analysis,
+                goals,
+                productUsage,
+                catalog: skincareCatalog,
+                avoidIngredients: ingredientSafety.excludedIngredients(safety, 'skin'),
+                safetyRules: ingredientSafety.promptRules('skin'),
+                otherRoutine: other,
+                language
+            }),
+            catalog: skincareCatalog,
+            inputs: { analysis: analysis || [], goals: [...(goals || [])].sort(), productUsage, safety, ...(otherRoutineProducts.length > 0 ? { otherRoutine: [...otherRoutineProducts].sort() } : {}), language: language || DEFAULT_LANGUAGE },
+            bypassCache
         });
+        res.set('X-Cache', cache);
+        res.json({ ...tieredRoutine(routine, skincareCatalog, { domain: 'skin', safety, budget, language }), corrections, overlaps, triage: triageResult });
+    } catch (error) {
+        sendError(res, 500, "Failed to generate skincare routine", error);
+    }
+});
 
-        const analysisString = JSON.stringify(analysis);
-        // const goalsString = goals.join(', '); // old updated on 19-02-2026
-        const goalsString = (goals || []).join(", "); // new updated on 19-02-2026
-        const productCatalogString = JSON.stringify(skincareCatalog.map(p => ({ id: p.variantId, name: p.name })));
-
-        const prompt = `Create a highly effective, personalized skincare routine (Morning & Evening) based on the user's specific analysis and goals.
-        
-        **INPUT DATA:**
-        - **USER ANALYSIS:** ${analysisString}
-        - **USER GOALS:** ${goalsString}
-        
-        **PRODUCT CATALOG:** 
-        ${productCatalogString}
-
-        **MEDICAL LOGIC:**
-        1. AM Routine: Focus on Gentle Cleansing + Antioxidants + Hydration + Sun Protection.
-        2. PM Routine: Focus on Deep Cleansing + Treatments (Actives) + Repair/Moisturize.
-        3. Match the single best product for each step using only the catalog.
-        4. For each step, you can recommend one "Recommended" product and optionally one "Alternative" product if suitable.
-        5. MANDATORY: For each product, provide a short "reason" (max 10 words) explaining why it's recommended for this specific user.
-
-        **CONSTRAINTS:**
-        - Return the exact 'productId' (which is the variantId in the catalog).
-        - No hallucinations. If no product fits, skip that step.
-        - Set 'recommendationType' to either "Recommended" or "Alternative".
-        - Return JSON format only.`;
-        const response = await generateContentWithFailover({
-            model: 'gemini-2.5-flash',
-            contents: { parts: [{ text: prompt }] },
-            config: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: SchemaType.OBJECT,
-                    properties: {
-                        am: {
-                            type: SchemaType.ARRAY,
-                            items: {
-                                type: SchemaType.OBJECT,
-                                properties: {
-                                    productId: { type: SchemaType.STRING },
-                                    name: { type: SchemaType.STRING },
-                                    stepType: { type: SchemaType.STRING },
-                                    reason: { type: SchemaType.STRING },
-                                    recommendationType: { type: SchemaType.STRING }
-                                },
-                                required: ["productId", "name", "stepType", "reason", "recommendationType"]
-                            }
-                        },
-                        pm: {
-                            type: SchemaType.ARRAY,
-                            items: {
-                                type: SchemaType.OBJECT,
-                                properties: {
-                                    productId: { type: SchemaType.STRING },
-                                    name: { type: SchemaType.STRING },
-                                    stepType: { type: SchemaType.STRING },
-                                    reason: { type: SchemaType.STRING },
-                                    recommendationType: { type: SchemaType.STRING }
-                                },
-                                required: ["productId", "name", "stepType", "reason", "recommendationType"]
-                            }
-                        }
-                    },
-                    required: ["am", "pm"]
-                }
-            }
+/**
+ * Endpoint: /api/hair-questionnaire
+ * Method: GET
+ * Query: ?language=hi (optional; question text and option labels in that language, values unchanged)
+ * Response: { version, genders, questions: [{ id, field, type, when?, text, options: [{ value, label, image?, exclusive? }] }] }
+ */
+app.get('/api/hair-questionnaire', (req, res) => {
+    const { language } = req.query;
+    if (!validateLanguage(language)) {
+        return sendError(res, 400, LANGUAGE_ERROR);
+    }
+    res.json(hairQuestionnaire.get(language));
+});
+
+/**
+ * Endpoint: /api/recommend-hair
+ * Body: { analysis: [], profile: HairProfileData, goals: [], questionnaireVersion: 1, safety?, budget?, otherRoutineProducts?, language?, bypassCache? }
+ * Response: { routine: [{ category, products }], corrections: [...], warnings: [...], tiers: [...], tier, overlaps, triage } (same shape, triage rule, safety checks, tiers, overlap rules and caching as /api/recommend-skin)
+ * Answers to another questionnaire version get a 409; answers that break its branching rules, a 400.
+ */
+app.post('/api/recommend-hair', async (req, res) => {
+    try {
+        const { analysis, profile, goals, questionnaireVersion, language, bypassCache } = req.body;
+        if (!validateRoutineBody(req.body)) {
+            return sendError(res, 400, ROUTINE_BODY_ERROR);
+        }
+        if (!validateLanguage(language)) {
+            return sendError(res, 400, LANGUAGE_ERROR);
+        }
+        if (questionnaireVersion !== hairQuestionnaire.version) {
+            return sendError(res, 409, `The hair questionnaire has changed (version ${hairQuestionnaire.version}). Please answer it again.`);
+        }
+        const budget = normalizeBudget(req.body.budget);
+        if (budget === undefined) {
+            return sendError(res, 400, BUDGET_ERROR);
+        }
+        const otherRoutineProducts = normalizeOtherRoutineProducts(req.body.otherRoutineProducts);
+        if (otherRoutineProducts === undefined) {
+            return sendError(res, 400, OTHER_ROUTINE_ERROR);
+        }
+        const problems = hairQuestionnaire.validateProfile(profile);
+        if (problems.length > 0) {
+            return res.status(400).json({ error: 'Invalid hair questionnaire answers.', details: problems.join('; ') });
+        }
+        const triageResult = triage.assess(analysis, { domain: 'hair', language });
+        if (triageResult.level === 'urgent') {
+            console.log(`- INFO: recommend-hair blocked by triage (${triageResult.findings.map(f => f.ruleId).join(', ')})`);
+            return res.json({ routine: [], corrections: [], warnings: [], tiers: [], tier: null, overlaps: [], triage: triageResult });
+        }
+        const safety = normalizeSafetyProfile(req.body.safety);
+        const allProducts = await catalog.getProducts();
+
+        const avoid = [...new Set([...hairQuestionnaire.ingredientsToAvoid(profile), ...ingredientSafety.excludedIngredients(safety, 'hair')])];
+        const { catalog: hairCatalog, other, overlaps } = routineOverlap.exclude(ingredientSafety.filterCatalog(allProducts.filter(p => p.routines?.includes('hair')
+            && !(p.keyIngredients || []).some(ingredient => avoid.includes(ingredient))), safety, 'hair'), allProducts, otherRoutineProducts);
+
+        console.log(`- INFO: hairCatalog size: ${hairCatalog.length} products${avoid.length ? ` (excluding ${avoid.join(', ')})` : ''}`);
+
+        const { routine, corrections, cache } = await generateRoutine({
+            task: 'recommend-hair',
+            domain: 'hair',
+            prompt: buildHairRoutinePrompt({
+                analysis,
+                profile: hairQuestionnaire.describeProfile(profile),
+                avoidIngredients: avoid,
+                goals,
+                catalog: hairCatalog,
+                otherRoutine: other,
+                language
+            }),
+            catalog: hairCatalog,
+            inputs: { analysis: analysis || [], profile, goals: [...(goals || [])].sort(), questionnaireVersion, safety, ...(otherRoutineProducts.length > 0 ? { otherRoutine: [...otherRoutineProducts].sort() } : {}), language: language || DEFAULT_LANGUAGE },
+            bypassCache
         });
+        res.set('X-Cache', cache);
+        res.json({ ...tieredRoutine(routine, hairCatalog, { domain: 'hair', safety, budget, language }), corrections, overlaps, triage: triageResult });
+    } catch (error) {
+        sendError(res, 500, "Failed to generate haircare routine", error);
+    }
+});
 
-        const recommendations = JSON.parse(response.text.trim());
-        const hydrate = (list) => (list || []).map(p => {
-            const full = skincareCatalog.find(prod => prod.variantId === p.productId || prod.name === p.name);
-            if (!full) return null;
-            return {
-                name: full.name,
-                productId: full.productId,
-                price: full.price,
-                compareAtPrice: full.compareAtPrice,
-                image: full.imageUrl,
-                url: full.url,
-                variantId: full.variantId,
-                recommendationType: p.recommendationType || 'Recommended',
-                tags: [p.stepType],
-                reason: p.reason
-            };
-        }).filter(Boolean);
-        const result = [];
-        if (recommendations.am?.length > 0) {
-            result.push({ category: "Morning Routine", products: hydrate(recommendations.am) });
-        }
-        if (recommendations.pm?.length > 0) {
-            result.push({ category: "Evening Routine", products: hydrate(recommendations.pm) });
-        }
-        res.json(result);
+// A routine as the recommend endpoints return it, possibly edited: [{ category, products: [{ ... }] }].
+const validateRecommendations = (recommendations) => Array.isArray(recommendations)
+    && recommendations.every(r => isObject(r) && (r.products === undefined || (Array.isArray(r.products) && r.products.every(isObject))));
+
+// One assessment of a report. Its fields may be left out, but what is sent must have the right shape.
+const validateReportSection = (section) => isObject(section)
+    && (section.analysis === undefined || validateAnalysis(section.analysis))
+    && (section.recommendations === undefined || validateRecommendations(section.recommendations))
+    && (section.goals === undefined || (Array.isArray(section.goals) && section.goals.every(goal => typeof goal === 'string')))
+    && (section.image === undefined || typeof section.image === 'string');
+
+// A combined session has one other assessment; each is checked like the body's own.
+const validateReportBody = (body) => validateReportSection(body)
+    && (body.userInfo === undefined || body.userInfo === null || isObject(body.userInfo))
+    && (body.otherAssessments === undefined || body.otherAssessments === null
+        || (Array.isArray(body.otherAssessments) && body.otherAssessments.length <= 1 && body.otherAssessments.every(validateReportSection)));
+const REPORT_ERROR = "'analysis', 'recommendations' and 'goals' must be lists of condition categories, routine categories and strings, 'userInfo' an object, and 'otherAssessments' a list of at most one assessment of the same shape.";
+
+// Helper: Report fields shared by the download and doctor-report endpoints: the assessment in the
+// body, plus the other one of a combined skin-and-hair session (`otherAssessments`). Safety notes
+// are worked out again for each routine as sent, which includes the user's edits.
+const reportInput = (body, summary) => {
+    const notesLanguage = reportLanguages(reportFonts).includes(body.language) ? body.language : DEFAULT_LANGUAGE;
+    const safety = normalizeSafetyProfile(body.safety);
+    const section = (assessment) => {
+        const type = assessment.type === 'hair' ? 'hair' : 'skin';
+        const recommendations = Array.isArray(assessment.recommendations) ? assessment.recommendations : [];
+        return {
+            type,
+            analysis: Array.isArray(assessment.analysis) ? assessment.analysis : [],
+            recommendations,
+            goals: Array.isArray(assessment.goals) ? assessment.goals : [],
+            image: assessment.image,
+            safetyNotes: ingredientSafety.check(recommendations, safety, { domain: type, language: notesLanguage })
+        };
+    };
+    const others = body.otherAssessments || [];
+    return {
+        ...section(body),
+        otherAssessments: others.map(section),
+        userInfo: body.userInfo || undefined,
+        summary,
+        language: body.language
+    };
+};
+
+// "skin", "hair" or "skin_hair", for file names.
+const reportTypes = (input) => [input.type, ...input.otherAssessments.map(a => a.type)].join('_');
+
+/**
+ * Endpoint: /api/report
+ * Method: POST
+ * Body: { analysis: [], recommendations: [], type: 'skin' | 'hair', userInfo?, goals?, image?, safety?, otherAssessments?: [{ type, analysis, recommendations, goals?, image? }], language? }
+ * Responds with the personalized report as a PDF attachment. A combined skin-and-hair session sends
+ * its other assessment in `otherAssessments`, and the report covers both.
+ * Fields of the wrong shape (e.g. a routine category that is not an object) get a 400.
+ */
+app.post('/api/report', async (req, res) => {
+    try {
+        if (!validateReportBody(req.body)) {
+            return sendError(res, 400, REPORT_ERROR);
+        }
+        if (!validateLanguage(req.body.language)) {
+            return sendError(res, 400, LANGUAGE_ERROR);
+        }
+        const input = reportInput(req.body);
+        const pdf = await renderReportPdf(input, reportFonts);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="dermatics_${reportTypes(input)}_report.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, "Failed to generate report", error);
     }
 });
 
 /**
- * Endpoint: /api/recommend-hair
- * Body: { analysis: [], profile: {}, goals: [] }
+ * Endpoint: /api/doctor-report
+ * Method: POST
+ * Body: same as /api/report
+ * Adds an AI doctor's summary to the report, stores the PDF privately and returns
+ * { url, summary, token, expiresAt }: `url` is a signed link that works until `expiresAt`, so it can
+ * be shared or attached to an email, and `token` deletes the report (DELETE /api/reports/:token).
+ * The summary is written in the report's language: English when the server has no fonts for the requested one.
  */
-app.post('/api/recommend-hair', async (req, res) => {
+app.post('/api/doctor-report', async (req, res) => {
     try {
-        const { analysis, profile, goals } = req.body;
-        const allProducts = await getAllProducts();
+        if (!validateReportBody(req.body)) {
+            return sendError(res, 400, REPORT_ERROR);
+        }
+        if (!validateLanguage(req.body.language)) {
+            return sendError(res, 400, LANGUAGE_ERROR);
+        }
+        const input = reportInput(req.body);
+        const language = reportLanguages(reportFonts).includes(input.language) ? input.language : undefined;
+        // A combined session is summarised as one "skin and hair" analysis, findings grouped by assessment.
+        const sections = [input, ...input.otherAssessments];
+        const analysis = sections.length > 1 ? sections.map(section => ({ assessment: section.type, analysis: section.analysis })) : input.analysis;
+
+        const aiResponse = await ai.generateContent({
+            task: 'doctor-report',
+            contents: { parts: [{ text: buildDoctorReportPrompt({ analysis, type: sections.map(section => section.type).join(' and '), language }) }] }
+        });
+        const summary = aiResponse.text.trim();
 
-        const hairCatalog = allProducts.filter(p => {
-            const lowerName = p.name.toLowerCase();
-            return ['hair', 'scalp', 'shampoo', 'conditioner', 'minoxidil', 'follihair', 'mintop', 'anaboom', 'oil', 'serum', 'tablet', 'capsule', 'solution'].some(term => lowerName.includes(term));
+        const pdf = await renderReportPdf({ ...input, summary }, reportFonts);
+        const { token, expiresAt } = await reportStore.save(pdf);
+
+        const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+        const host = req.get('host');
+        res.json({ url: `${protocol}://${host}/api/reports/${token}`, summary, token, expiresAt });
+
+    } catch (error) {
+        sendError(res, 500, "Failed to generate doctor report", error);
+    }
+});
+
+/**
+ * Endpoint: /api/reports/:token
+ * Method: GET
+ * Serves a stored report to whoever holds its signed link: 404 for an unknown or tampered token
+ * (or a deleted report), 410 once the link has expired.
+ */
+app.get('/api/reports/:token', async (req, res) => {
+    try {
+        const link = reportStore.verify(req.params.token);
+        if (!link) {
+            return sendError(res, 404, "Report not found.");
+        }
+        if (link.expired) {
+            return sendError(res, 410, "This report link has expired.");
+        }
+        const pdf = await reportStore.read(link.id);
+        if (!pdf) {
+            return sendError(res, 404, "Report not found.");
+        }
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': 'inline; filename="dermatics_report.pdf"',
+            'Content-Length': pdf.length,
+            'Cache-Control': 'private, no-store',
+            'Referrer-Policy': 'no-referrer',
+            'X-Robots-Tag': 'noindex'
         });
+        res.send(pdf);
+    } catch (error) {
+        sendError(res, 500, "Failed to load report", error);
+    }
+});
 
-        console.log(`- INFO: hairCatalog size: ${hairCatalog.length} products`);
+/**
+ * Endpoint: /api/reports/:token
+ * Method: DELETE
+ * Deletes the report now. The link's token authorises it, even after the link has expired.
+ * Response: { deleted: true }, or 404 if there is no such report.
+ */
+app.delete('/api/reports/:token', async (req, res) => {
+    try {
+        const link = reportStore.verify(req.params.token);
+        if (!link || !(await reportStore.remove(link.id))) {
+            return sendError(res, 404, "Report not found.");
+        }
+        console.log(`- INFO: Report ${link.id} deleted by its owner`);
+        res.json({ deleted: true });
+    } catch (error) {
+        sendError(res, 500, "Failed to delete report", error);
+    }
+});
 
-        const prompt = `Create a clinical-grade hair care routine based on the provided analysis.
+/**
+ * Endpoint: /api/catalog/products
+ * Method: GET
+ * Query: ?routine=skin|hair&step=serum
+ * Returns the catalog products the routine editor may swap into a step, as routine products.
+ */
+app.get('/api/catalog/products', async (req, res) => {
+    try {
+        const { routine, step } = req.query;
+        if (!['skin', 'hair'].includes(routine) || typeof step !== 'string' || !step) {
+            return sendError(res, 400, "Please provide 'routine' (skin or hair) and 'step'.");
+        }
+        const products = await catalog.getProducts();
+        res.json(products.filter(p => p.routines?.includes(routine) && p.step === step).map(p => toRoutineProduct(p)));
+    } catch (error) {
+        sendError(res, 500, "Failed to load catalog products", error);
+    }
+});
 
-        **INPUT DATA:**
-        - **ANALYSIS:** ${JSON.stringify(analysis)}
-        - **PROFILE:** ${JSON.stringify(profile || {})}
-        - **GOALS:** ${(goals || []).join(', ')}
+// Cart and order attributes are prefixed with "_" so Shopify hides them from the customer at checkout.
+const RECOMMENDATION_TYPES = ['Recommended', 'Alternative'];
+const ASSESSMENT_TYPES = ['skin', 'hair'];
+const ASSESSMENT_ID_PATTERN = /^[0-9a-f-]{36}$/;
 
-        **PRODUCT CATALOG:** ${JSON.stringify(hairCatalog.map(p => ({ id: p.variantId, name: p.name })))}
+/**
+ * Endpoint: /api/cart
+ * Method: POST
+ * Body: { lines: [{ variantId, quantity, recommendationType?, assessmentType? }], assessmentId?, assessmentTypes? }
+ * Creates a Shopify cart with the Storefront API and returns { checkoutUrl }. The assessment id and
+ * the session's assessment types ("skin,hair" for a combined session) are stored as cart attributes,
+ * and each line's recommendation type and routine as line attributes, so orders can be traced back
+ * to the assessment. Variants missing from the catalog get a 400, sold-out ones a 409.
+ */
+app.post('/api/cart', async (req, res) => {
+    try {
+        if (!storefront.configured) {
+            return sendError(res, 503, "Checkout is not available: the store is not configured.");
+        }
+        const { lines, assessmentId, assessmentTypes } = req.body;
+        if (!Array.isArray(lines) || lines.length === 0 || lines.some(line =>
+            typeof line?.variantId !== 'string' || !Number.isInteger(line.quantity) || line.quantity < 1 || line.quantity > 99)) {
+            return sendError(res, 400, "Please provide 'lines' with a 'variantId' and a 'quantity' between 1 and 99.");
+        }
+        if (lines.some(line => line.assessmentType !== undefined && !ASSESSMENT_TYPES.includes(line.assessmentType))) {
+            return sendError(res, 400, "A line's 'assessmentType' must be 'skin' or 'hair'.");
+        }
+        if (assessmentId !== undefined && (typeof assessmentId !== 'string' || !ASSESSMENT_ID_PATTERN.test(assessmentId))) {
+            return sendError(res, 400, "'assessmentId' is not a valid assessment id.");
+        }
+        if (assessmentTypes !== undefined && (!Array.isArray(assessmentTypes) || !assessmentTypes.every(type => ASSESSMENT_TYPES.includes(type)))) {
+            return sendError(res, 400, "'assessmentTypes' must be a list of 'skin' and 'hair'.");
+        }
 
-        **MEDICAL LOGIC:**
-        1. Identify issues (e.g., Pattern Baldness, Dandruff, Damage).
-        2. Match the most potent product for each step using only the catalog.
-        3. For each step, you can recommend one "Recommended" product and optionally one "Alternative" product if suitable.
-        4. MANDATORY: For each product, provide a short "reason" (max 10 words) explaining why it's recommended for this specific user.
+        const products = await catalog.getProducts();
+        const variantsById = new Map(products.flatMap(p => (p.variants || []).map(v => [v.id, { product: p, variant: v }])));
+        const unknown = lines.filter(line => !variantsById.has(line.variantId));
+        if (unknown.length > 0) {
+            return sendError(res, 400, "Some products in your cart are no longer sold. Please remove them and try again.");
+        }
+        const soldOut = lines.map(line => variantsById.get(line.variantId)).filter(({ variant }) => !variant.available);
+        if (soldOut.length > 0) {
+            return sendError(res, 409, `Now sold out: ${soldOut.map(({ product }) => product.name).join(', ')}. Please update your cart and try again.`);
+        }
 
-        **CONSTRAINTS:**
-        - Return the exact 'productId' (which is the variantId in the catalog).
-        - No hallucinations. If no product fits, skip that step.
-        - Set 'recommendationType' to either "Recommended" or "Alternative".
-        - Return JSON format only.`;
-        const response = await generateContentWithFailover({
-            model: 'gemini-2.5-flash',
-            contents: { parts: [{ text: prompt }] },
-            config: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: SchemaType.OBJECT,
-                    properties: {
-                        am: {
-                            type: SchemaType.ARRAY,
-                            items: {
-                                type: SchemaType.OBJECT,
-                                properties: {
-                                    productId: { type: SchemaType.STRING },
-                                    name: { type: SchemaType.STRING },
-                                    stepType: { type: SchemaType.STRING },
-                                    reason: { type: SchemaType.STRING },
-                                    recommendationType: { type: SchemaType.STRING }
-                                },
-                                required: ["productId", "name", "stepType", "reason", "recommendationType"]
-                            }
-                        },
-                        pm: {
-                            type: SchemaType.ARRAY,
-                            items: {
-                                type: SchemaType.OBJECT,
-                                properties: {
-                                    productId: { type: SchemaType.STRING },
-                                    name: { type: SchemaType.STRING },
-                                    stepType: { type: SchemaType.STRING },
-                                    reason: { type: SchemaType.STRING },
-                                    recommendationType: { type: SchemaType.STRING }
-                                },
-                                required: ["productId", "name", "stepType", "reason", "recommendationType"]
-                            }
-                        }
-                    },
-                    required: ["am", "pm"]
-                }
-            }
+        const attributes = [
+            ...(assessmentId ? [{ key: '_assessment_id', value: assessmentId }] : []),
+            ...(assessmentTypes?.length ? [{ key: '_assessment_type', value: [...new Set(assessmentTypes)].join(',') }] : [])
+        ];
+        const cart = await createCart(storefront, {
+            attributes,
+            lines: lines.map(line => ({
+                merchandiseId: line.variantId,
+                quantity: line.quantity,
+                attributes: [
+                    { key: '_recommendation_type', value: RECOMMENDATION_TYPES.includes(line.recommendationType) ? line.recommendationType : 'Manual' },
+                    ...(line.assessmentType ? [{ key: '_assessment_type', value: line.assessmentType }] : [])
+                ]
+            }))
         });
+        console.log(`- INFO: Created cart ${cart.id} with ${lines.length} lines${assessmentId ? ` for assessment ${assessmentId}` : ''}`);
+        res.json({ checkoutUrl: cart.checkoutUrl });
+    } catch (error) {
+        sendError(res, 502, "Could not start checkout. Please try again.", error);
+    }
+});
+
+// Helper: Chat request shared by the JSON and streaming endpoints
+const chatRequest = ({ query, context, history, language }) => ({
+    task: 'chat',
+    contents: buildChatContents({ history, query }),
+    config: { systemInstruction: buildChatSystemPrompt({ context, language }) }
+});
 
-        const recommendations = JSON.parse(response.text.trim());
-        console.log("- INFO: AI hair response parsed successfully");
-
-        const hydrate = (list) => (list || []).map(item => {
-            const full = hairCatalog.find(p => p.variantId === item.productId || p.name === item.name);
-            if (!full) return null;
-            return {
-                name: full.name,
-                productId: full.productId,
-                price: full.price,
-                compareAtPrice: full.compareAtPrice,
-                image: full.imageUrl,
-                url: full.url,
-                variantId: full.variantId,
-                recommendationType: item.recommendationType || 'Recommended',
-                tags: [item.stepType],
-                reason: item.reason
-            };
-        }).filter(Boolean);
-        const result = [];
-        if (recommendations.am?.length > 0) {
-            result.push({ category: "Morning Routine", products: hydrate(recommendations.am) });
-        }
-        if (recommendations.pm?.length > 0) {
-            result.push({ category: "Evening Routine", products: hydrate(recommendations.pm) });
-        }
-        res.json(result);
+const validateChatQuery = (query) => typeof query === 'string' && query.trim().length > 0;
+
+/**
+ * Endpoint: /api/chat
+ * Method: POST
+ * Body: { query: "", context: { analysis: [], recommendations: [] }, history: [{ role: 'user' | 'assistant', content: "" }], language? }
+ */
+app.post('/api/chat', async (req, res) => {
+    try {
+        const { query, context, history, language } = req.body;
+        if (!validateChatQuery(query)) {
+            return sendError(res, 400, "Please provide a non-empty 'query'.");
+        }
+        if (!validateLanguage(language)) {
+            return sendError(res, 400, LANGUAGE_ERROR);
+        }
+
+        const response = await ai.generateContent(chatRequest({ query, context, history, language }));
+
+        res.json({ response: response.text.trim() });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, "Failed to answer chat message", error);
     }
 });
 
 /**
- * Endpoint: /api/doctor-report
+ * Endpoint: /api/chat/stream
  * Method: POST
- * Body: { analysis: [], recommendations: [], type: 'skin' | 'hair' }
+ * Body: same as /api/chat
+ * Response: text/event-stream. `data: {"delta": "..."}` per chunk, then `event: done` with
+ * `{"response": "<full text>"}`, or `event: error` with `{ error, details? }`.
  */
-app.post('/api/doctor-report', async (req, res) => {
+app.post('/api/chat/stream', async (req, res) => {
+    const { query, context, history, language } = req.body;
+    if (!validateChatQuery(query)) {
+        return sendError(res, 400, "Please provide a non-empty 'query'.");
+    }
+    if (!validateLanguage(language)) {
+        return sendError(res, 400, LANGUAGE_ERROR);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    const send = (event, data) => res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    let fullText = '';
     try {
-        const { analysis, recommendations, type } = req.body;
+        const stream = await ai.generateContentStream(chatRequest({ query, context, history, language }));
+        for await (const delta of stream) {
+            if (closed) break;
+            fullText += delta;
+            send(null, { delta });
+        }
+        send('done', { response: fullText.trim() });
+    } catch (error) {
+        console.error("Failed to stream chat message:", error);
+        send('error', { error: "Failed to answer chat message", details: error.message });
+    }
+    res.end();
+});
 
-        // 1. Generate AI Summary
-        const prompt = `You are a senior dermatologist/trichologist. Based on this ${type} analysis: ${JSON.stringify(analysis)}, 
-        generate a professional medical report summary. Include Clinical Observations and Professional Recommendations. 
-        Format it neatly.`;
+// Helper: The owner token of an assessment request (Authorization: Bearer <token>).
+const bearerToken = (req) => (req.get('Authorization') || '').replace(/^Bearer\s+/i, '') || undefined;
+const OWNER_TOKEN_ERROR = "Please send the assessment token this browser was given when it saved an assessment.";
 
-        const aiResponse = await generateContentWithFailover({
-            model: 'gemini-2.5-flash',
-            contents: { parts: [{ text: prompt }] }
-        });
-        const summaryText = aiResponse.text.trim();
-
-        // 2. Format Analysis HTML (like web)
-        const analysisHtml = (analysis || []).map(cat => `
-            <div class="category">
-                <h3>${cat.category}</h3>
-                <ul>
-                    ${(cat.conditions || []).map(c => `
-                        <li>
-                            <strong>${c.name}</strong> (${Math.round(c.confidence)}%) - ${c.location}
-                            ${c.description ? `<p style="margin: 4px 0; font-size: 12px; color: #666;">${c.description}</p>` : ''}
-                        </li>
-                    `).join('')}
-                </ul>
-            </div>
-        `).join('') || '<p>No specific conditions detected.</p>';
-
-        // 3. Format Recommendations HTML (like web)
-        const recommendationsHtml = (recommendations || []).map(rec => `
-            <div class="routine-section">
-                <h3>${rec.category}</h3>
-                <div class="products-grid">
-                    ${(rec.products || []).map(p => `
-                        <div class="product">
-                            <img src="${p.image}" />
-                            <div class="product-details">
-                                <h4>${p.name}</h4>
-                                <p class="price">${p.price}</p>
-                                ${p.reason ? `<p style="margin: 4px 0 8px 0; font-size: 11px; color: #1d4ed8; font-style: italic;">Why: ${p.reason}</p>` : ''}
-                                <div class="tags">
-                                    ${(p.tags || []).map(t => `<span class="tag">${t}</span>`).join('')}
-                                </div>
-                            </div>
-                        </div>
-                    `).join('')}
-                </div>
-            </div>
-        `).join('') || '<p>No recommendations provided.</p>';
-
-        const reportId = `report_${Date.now()}.html`;
-        const reportPath = path.join(reportsDir, reportId);
-
-        const htmlContent = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>Dermatics AI Report</title>
-            <style>
-                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; padding: 40px; color: #333; max-width: 800px; margin: 0 auto; }
-                h1 { color: #2563eb; border-bottom: 2px solid #2563eb; padding-bottom: 10px; }
-                h2 { color: #1e40af; margin-top: 30px; border-bottom: 1px solid #e5e7eb; padding-bottom: 5px; }
-                h3 { color: #374151; margin-top: 20px; }
-                .category { margin-bottom: 20px; }
-                .routine-section { margin-bottom: 30px; }
-                .products-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
-                .product { border: 1px solid #e5e7eb; padding: 15px; border-radius: 8px; display: flex; gap: 15px; align-items: start; page-break-inside: avoid; background: #fff; }
-                .product img { width: 80px; height: 80px; object-fit: cover; border-radius: 6px; }
-                .product-details h4 { margin: 0 0 5px 0; font-size: 14px; }
-                .price { color: #4b5563; font-size: 13px; margin: 0 0 8px 0; }
-                .tags { display: flex; flex-wrap: wrap; gap: 5px; }
-                .tag { background: #eff6ff; color: #1d4ed8; padding: 2px 8px; border-radius: 999px; font-size: 10px; font-weight: 600; }
-                @media print {
-                    body { padding: 0; }
-                    .products-grid { display: block; }
-                    .product { margin-bottom: 10px; }
-                }
-            </style>
-        </head>
-        <body>
-            <h1>Dermatics AI Report</h1>
-            <p><strong>Date:</strong> ${new Date().toLocaleDateString()}</p>
-            
-            <h2>Analysis Results</h2>
-            ${analysisHtml}
-
-            <h2>Recommended Routine</h2>
-            ${recommendationsHtml}
-
-            <div style="margin-top: 50px; text-align: center; font-size: 12px; color: #6b7280;">
-                <p>Generated by Dermatics AI. This report is for informational purposes only and does not constitute medical advice.</p>
-            </div>
-
-            <script>
-                window.onload = function() {
-                    setTimeout(() => { window.print(); }, 500);
-                }
-            </script>
-        </body>
-        </html>
-        `;
-
-        fs.writeFileSync(reportPath, htmlContent);
+// An assessment to save: the lists may be left out, but what is sent must have the shape the
+// history and progress views read back.
+const validateAssessmentBody = ({ analysis, images, goals, recommendations }) => (analysis === undefined || analysis === null || validateAnalysis(analysis))
+    && (recommendations === undefined || recommendations === null || validateRecommendations(recommendations))
+    && (goals === undefined || goals === null || (Array.isArray(goals) && goals.every(goal => typeof goal === 'string')))
+    && (images === undefined || images === null || (Array.isArray(images) && images.every(image => typeof image === 'string')));
 
-        const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-        const host = req.get('host');
-        res.json({ url: `${protocol}://${host}/reports/${reportId}` });
+/**
+ * Endpoint: /api/assessments
+ * Method: POST
+ * Headers: Authorization: Bearer <ownerToken> (optional; from an earlier save)
+ * Body: { userInfo: { name, age, phone, email }, type: 'skin' | 'hair', analysis: [], images: [], goals: [], recommendations: [] }
+ * Response: 201 { id, createdAt, type, conditionCount, ..., ownerToken }
+ * The assessment is kept under the token's owner, or a new one whose token is returned.
+ */
+app.post('/api/assessments', (req, res) => {
+    try {
+        const { userInfo, type, analysis, images, goals, recommendations } = req.body;
 
+        if (!isObject(userInfo) || (!userInfo.phone && !userInfo.email)) {
+            return sendError(res, 400, "Please provide 'userInfo' with a phone number or email.");
+        }
+        if (type !== 'skin' && type !== 'hair') {
+            return sendError(res, 400, "'type' must be 'skin' or 'hair'.");
+        }
+        if (!validateAssessmentBody(req.body)) {
+            return sendError(res, 400, "'analysis', 'recommendations', 'goals' and 'images' must be lists of condition categories, routine categories, strings and base64 strings.");
+        }
+
+        const { entry, ownerToken } = assessmentStore.save({ userInfo, type, analysis, images, goals, recommendations }, bearerToken(req));
+        res.status(201).json({ ...entry, ownerToken });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, "Failed to save assessment", error);
     }
 });
 
 /**
- * Endpoint: /api/chat
+ * Endpoint: /api/assessments
+ * Method: GET
+ * Headers: Authorization: Bearer <ownerToken>
+ * Query: ?phone=...&email=...  (either one)
+ * Lists the token owner's assessments for that phone or email; 401 without a valid token.
+ */
+app.get('/api/assessments', (req, res) => {
+    try {
+        const { phone, email } = req.query;
+        if (!phone && !email) {
+            return sendError(res, 400, "Please provide a 'phone' or 'email' query parameter.");
+        }
+        const ownerId = assessmentStore.verifyOwner(bearerToken(req));
+        if (!ownerId) {
+            return sendError(res, 401, OWNER_TOKEN_ERROR);
+        }
+        res.json(assessmentStore.list(ownerId, { phone, email }));
+    } catch (error) {
+        sendError(res, 500, "Failed to list assessments", error);
+    }
+});
+
+/**
+ * Endpoint: /api/assessments/:id
+ * Method: GET
+ * Headers: Authorization: Bearer <ownerToken>
+ * Query: ?phone=...&email=...  (must match the assessment's owner)
+ * Includes the photos, so it answers 401 without a valid token and 404 for someone else's assessment.
+ */
+app.get('/api/assessments/:id', (req, res) => {
+    try {
+        const { phone, email } = req.query;
+        const ownerId = assessmentStore.verifyOwner(bearerToken(req));
+        if (!ownerId) {
+            return sendError(res, 401, OWNER_TOKEN_ERROR);
+        }
+        const assessment = (phone || email) ? assessmentStore.get(req.params.id, ownerId, { phone, email }) : null;
+        if (!assessment) {
+            return sendError(res, 404, "Assessment not found.");
+        }
+        res.json(assessment);
+    } catch (error) {
+        sendError(res, 500, "Failed to load assessment", error);
+    }
+});
+
+/**
+ * Endpoint: /api/analysis-feedback
  * Method: POST
- * Body: { query: "", context: { analysis: [], recommendations: [] } }
+ * Body: { type: 'skin' | 'hair', analysis: [] (as the model returned it), corrections: [{ action: 'dismiss' | 'relabel' | 'add', ... }], images?: ["base64", ...], angles?, photoConsent?: boolean, language? }
+ * Response: 201 { id, createdAt, updatedAt }
+ * Stored with the current prompt version and model, and the analysis with the corrections applied.
+ * Corrections to the same photos and analysis replace the earlier ones. Photos are stored only with
+ * photoConsent: true.
  */
-app.post('/api/chat', async (req, res) => {
+app.post('/api/analysis-feedback', (req, res) => {
     try {
-        const { query, context } = req.body;
-        const prompt = `You are the Lead Aesthetic & Scalp Consultant at Dermatics AI, powered by Dermatics India. 
-        Your goal is to provide professional, empathetic, and scientifically-grounded advice.
-
-        **USER DATA:**
-        ${JSON.stringify(context)}
-
-        **USER QUESTION:**
-        "${query}"
-
-        **GUIDELINES:**
-        1. **Tone**: Be professional, warm, and authoritative. Use "we" to represent Dermatics.
-        2. **Structure**: 
-           - Start with a brief, friendly acknowledgement.
-           - Use ### Headings for different sections.
-           - Use * Bullet points for lists.
-           - Use **bold text** for important keywords, product names, or skin/hair conditions.
-        3. **Expertise**: Synthesize their analysis data with the products we've recommended.
-        4. **Safety**: If a condition looks severe or requires medical intervention (e.g. deep scarring, severe hair loss), always advise booking a consultation with our in-house dermatologists.
-        5. **Conciseness**: Keep responses under 150 words. Avoid generic fluff.
-        
-        Answer directly and professionally:`;
-
-        const response = await generateContentWithFailover({
-            model: 'gemini-2.5-flash',
-            contents: { parts: [{ text: prompt }] }
+        const { type, analysis, angles, language } = req.body;
+        const images = req.body.images || [];
+        if (type !== 'skin' && type !== 'hair') {
+            return sendError(res, 400, "'type' must be 'skin' or 'hair'.");
+        }
+        if (!validateAnalysis(analysis)) {
+            return sendError(res, 400, "Please provide the model's 'analysis' as a list of condition categories.");
+        }
+        const corrections = normalizeCorrections(req.body.corrections);
+        if (!corrections) {
+            return sendError(res, 400, "'corrections' must be a list of dismiss, relabel or add corrections.");
+        }
+        if (!Array.isArray(images) || !images.every(img => typeof img === 'string') || (images.length > 0 && !validateAngles(angles, images))) {
+            return sendError(res, 400, "'images' must be base64 strings, with 'angles' (if sent) listed for each.");
+        }
+        if (images.length > 0 && req.body.photoConsent !== true) {
+            return sendError(res, 400, "Photos are stored only when the user agreed to share them ('photoConsent': true).");
+        }
+        if (!validateLanguage(language)) {
+            return sendError(res, 400, LANGUAGE_ERROR);
+        }
+        const saved = feedbackStore.save({
+            type,
+            images,
+            angles: angles || images.map(() => null),
+            language: language || DEFAULT_LANGUAGE,
+            promptVersion: PROMPT_VERSION,
+            model: modelId(),
+            original: analysis,
+            corrections,
+            corrected: applyCorrections(analysis, corrections)
         });
+        console.log(`- INFO: Analysis feedback ${saved.id} saved (${corrections.length} correction(s))`);
+        res.status(201).json(saved);
+    } catch (error) {
+        sendError(res, 500, "Failed to save analysis feedback", error);
+    }
+});
 
-        res.json({ response: response.text.trim() });
+// Helper: Admin routes and /metrics require the x-admin-token header to match ADMIN_TOKEN.
+// Without ADMIN_TOKEN they stay closed rather than open to everyone.
+const requireAdmin = (req, res, next) => {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+        return sendError(res, 503, "Admin routes are disabled: ADMIN_TOKEN is not set.");
+    }
+    const given = Buffer.from(req.get('x-admin-token') || '');
+    const expected = Buffer.from(adminToken);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return sendError(res, 401, "Admin token required.");
+    }
+    next();
+};
+
+/**
+ * Endpoint: /api/admin/catalog
+ * Method: GET
+ * Returns catalog freshness and size: { source, productCount, fetchedAt, ageMinutes, stale, lastError, ... }
+ * plus the products no recommender can use ({ name, handle, productType, domain }), which need a
+ * rule or an override.
+ */
+app.get('/api/admin/catalog', requireAdmin, async (req, res) => {
+    const products = await catalog.getProducts();
+    const unclassified = products
+        .filter(p => !p.routines?.length)
+        .map(p => ({ name: p.name, handle: p.handle, productType: p.productType, domain: p.domain }));
+    res.json({ ...catalog.getStatus(), unclassified });
+});
+
+/**
+ * Endpoint: /api/admin/catalog/refresh
+ * Method: POST
+ * Forces a Shopify refresh and returns the updated status.
+ */
+app.post('/api/admin/catalog/refresh', requireAdmin, async (req, res) => {
+    const ok = await catalog.refresh();
+    res.status(ok ? 200 : 502).json(catalog.getStatus());
+});
+
+/**
+ * Endpoint: /api/admin/feedback
+ * Method: GET
+ * Users' corrections to analyses, newest first: [{ id, createdAt, updatedAt, type, promptVersion, model, imageCount, dismissed, relabelled, added }]
+ */
+app.get('/api/admin/feedback', requireAdmin, (req, res) => {
+    try {
+        res.json(feedbackStore.list());
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, "Failed to list analysis feedback", error);
     }
 });
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/**
+ * Endpoint: /api/admin/feedback/:id
+ * Method: GET
+ * One correction in full: { ..., images, angles, original, corrections, corrected }
+ */
+app.get('/api/admin/feedback/:id', requireAdmin, (req, res) => {
+    const record = feedbackStore.get(req.params.id);
+    if (!record) {
+        return sendError(res, 404, "Feedback not found.");
+    }
+    res.json(record);
+});
 
-// Ensure reports directory exists
-const reportsDir = path.join(__dirname, 'public', 'reports');
-if (!fs.existsSync(reportsDir)) {
-    fs.mkdirSync(reportsDir, { recursive: true });
-}
+/**
+ * Endpoint: /metrics
+ * Method: GET
+ * Since the server started: { startedAt, uptimeSeconds, endpoints: { "POST /api/analyze-skin": { count,
+ * errors, errorRate, statuses, latencyMs: { avg, p50, p95, max } } }, ai: { tasks, keys }, rateLimited }.
+ * `ai.tasks` and `ai.keys` count model calls (failed attempts included) with their latency and
+ * token usage; each key also reports whether it is cooling down. Keys appear only as "key-1", ...
+ */
+app.get('/metrics', requireAdmin, (req, res) => {
+    const snapshot = metrics.snapshot();
+    const keyStatus = Object.fromEntries(ai.keyStatus().map(({ key, ...status }) => [key, status]));
+    const keys = Object.fromEntries(
+        [...new Set([...Object.keys(snapshot.ai.keys), ...Object.keys(keyStatus)])]
+            .map(key => [key, { ...snapshot.ai.keys[key], ...keyStatus[key] }])
+    );
+    res.json({ ...snapshot, ai: { ...snapshot.ai, keys } });
+});
 
 // Serve static files from the React build folder
 app.use(express.static(path.join(__dirname, 'dist')));
-app.use('/reports', express.static(reportsDir));
 
 // Handle any other requests by serving index.html
 
@@ -793,11 +1231,14 @@ app.use((req, res) => {
 });
 
 
-// Start Server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`- POST /api/analyze-skin`);
-    console.log(`- POST /api/analyze-hair`);
-    console.log(`- POST /api/recommend-skin`);
-    console.log(`- POST /api/recommend-hair`);
-});
+// Start Server (unless imported, e.g. by server.test.js)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+        console.log(`- POST /api/analyze-skin`);
+        console.log(`- POST /api/analyze-hair`);
+        console.log(`- POST /api/recommend-skin`);
+        console.log(`- POST /api/recommend-hair`);
+        console.log(`- GET  /api/hair-questionnaire`);
+    });
+}
@@ -0,0 +1,194 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+import { createMockStorefront } from './server/mockStorefront.js';
+import { STOREFRONT_API_VERSION } from './server/storefront.js';
+
+// The API end to end against the mock AI provider and the mock Storefront (serving the fixture
+// catalog), with its data in a temp dir.
+let dataDir;
+let server;
+let baseUrl;
+let storefrontServer;
+let storefrontCarts;
+let storefrontDown = false;
+const serverDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'server');
+
+const post = (url, body, headers = {}) => fetch(`${baseUrl}${url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+const analysis = [{ category: 'Acne', conditions: [{ name: 'Pustules', confidence: 80, location: 'Cheeks', description: 'Inflamed spots.', boundingBoxes: [] }] }];
+
+beforeAll(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+    vi.stubEnv('AI_PROVIDER', 'mock');
+    vi.stubEnv('DATA_DIR', dataDir);
+    storefrontServer = http.createServer();
+    await new Promise(resolve => storefrontServer.listen(0, '127.0.0.1', resolve));
+    const storefrontOrigin = `http://127.0.0.1:${storefrontServer.address().port}`;
+    const { products } = JSON.parse(fs.readFileSync(path.join(serverDir, 'fixtures', 'catalog.json'), 'utf-8'));
+    const storefront = createMockStorefront({ products, origin: storefrontOrigin });
+    storefrontCarts = storefront.carts;
+    storefrontServer.on('request', (req, res) => (storefrontDown ? res.writeHead(503).end() : storefront.app(req, res)));
+
+    vi.stubEnv('SHOPIFY_DOMAIN', '');
+    vi.stubEnv('SHOPIFY_ACCESS_TOKEN', 'token');
+    vi.stubEnv('SHOPIFY_STOREFRONT_ENDPOINT', `${storefrontOrigin}/api/${STOREFRONT_API_VERSION}/graphql.json`);
+    vi.stubEnv('RATE_LIMIT_PER_MINUTE', '0');
+    vi.stubEnv('SESSION_RATE_LIMIT_PER_MINUTE', '0');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { app } = await import('./server.js');
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => storefrontServer.close(resolve));
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('POST /api/analysis-feedback', () => {
+    it('saves corrections to a well-formed analysis', async () => {
+        const response = await post('/api/analysis-feedback', { type: 'skin', analysis, corrections: [{ action: 'dismiss', condition: 'Pustules' }] });
+        expect(response.status).toBe(201);
+        expect(await response.json()).toMatchObject({ id: expect.stringMatching(/^[a-f0-9]{16}$/) });
+    });
+
+    it('answers 400 for a malformed analysis', async () => {
+        for (const bad of [[{ category: 'Acne', conditions: 'Pustules' }], [null], [{ category: 'Acne', conditions: [null] }], 'Acne']) {
+            const response = await post('/api/analysis-feedback', { type: 'skin', analysis: bad, corrections: [] });
+            expect(response.status).toBe(400);
+        }
+    });
+
+    it('refuses photos sent without consent', async () => {
+        const response = await post('/api/analysis-feedback', { type: 'skin', analysis, corrections: [], images: ['aGVsbG8='] });
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('session ids', () => {
+    it('issues a signed id to a client without one and keeps a valid one', async () => {
+        const first = await fetch(`${baseUrl}/api/hair-questionnaire`);
+        const issued = first.headers.get('x-session-id');
+        expect(issued).toMatch(/^[0-9a-f-]{36}\./);
+
+        const again = await fetch(`${baseUrl}/api/hair-questionnaire`, { headers: { 'X-Session-Id': issued } });
+        expect(again.headers.get('x-session-id')).toBeNull();
+        const madeUp = await fetch(`${baseUrl}/api/hair-questionnaire`, { headers: { 'X-Session-Id': 'made-up-session' } });
+        expect(madeUp.headers.get('x-session-id')).not.toBeNull();
+    });
+});
+
+describe('POST /api/cart', () => {
+    const faceWash = 'gid://shopify/ProductVariant/9100000001';
+    const soldOutSunscreen = 'gid://shopify/ProductVariant/9200000012';
+
+    it('creates a Storefront cart tagged with the assessments', async () => {
+        const response = await post('/api/cart', {
+            lines: [{ variantId: faceWash, quantity: 2, recommendationType: 'Recommended', assessmentType: 'skin' }],
+            assessmentTypes: ['skin', 'hair', 'skin']
+        });
+        expect(response.status).toBe(200);
+        const { checkoutUrl } = await response.json();
+
+        const cart = storefrontCarts.at(-1);
+        expect(checkoutUrl).toBe(cart.checkoutUrl);
+        expect(cart.attributes).toEqual([{ key: '_assessment_type', value: 'skin,hair' }]);
+        expect(cart.lines).toEqual([{
+            merchandiseId: faceWash,
+            quantity: 2,
+            attributes: [{ key: '_recommendation_type', value: 'Recommended' }, { key: '_assessment_type', value: 'skin' }]
+        }]);
+    });
+
+    it('answers 400 for malformed lines and 409 for sold-out products', async () => {
+        expect((await post('/api/cart', { lines: [] })).status).toBe(400);
+        expect((await post('/api/cart', { lines: [{ variantId: faceWash, quantity: 0 }] })).status).toBe(400);
+        expect((await post('/api/cart', { lines: [{ variantId: faceWash, quantity: 1, assessmentType: 'nails' }] })).status).toBe(400);
+        expect((await post('/api/cart', { lines: [{ variantId: 'gid://shopify/ProductVariant/1', quantity: 1 }] })).status).toBe(400);
+
+        const soldOut = await post('/api/cart', { lines: [{ variantId: soldOutSunscreen, quantity: 1 }] });
+        expect(soldOut.status).toBe(409);
+        expect((await soldOut.json()).error).toMatch('Ultra Light Sunscreen');
+    });
+
+    it('answers 502 when the Storefront request fails', async () => {
+        const before = storefrontCarts.length;
+        storefrontDown = true;
+        try {
+            const response = await post('/api/cart', { lines: [{ variantId: faceWash, quantity: 1 }] });
+            expect(response.status).toBe(502);
+            expect((await response.json()).error).toBe('Could not start checkout. Please try again.');
+        } finally {
+            storefrontDown = false;
+        }
+        expect(storefrontCarts).toHaveLength(before);
+    });
+});
+
+describe('POST /api/assessments', () => {
+    const userInfo = { name: 'Asha', phone: '9876543210' };
+
+    it('saves a well-formed assessment', async () => {
+        const response = await post('/api/assessments', { userInfo, type: 'skin', analysis, goals: ['Clear Acne & Breakouts'], recommendations: [] });
+        expect(response.status).toBe(201);
+        expect(await response.json()).toMatchObject({ type: 'skin', conditionCount: 1, ownerToken: expect.any(String) });
+    });
+
+    it('answers 400 for malformed lists', async () => {
+        for (const bad of [
+            { analysis: [{ category: 'Acne', conditions: 'Pustules' }] },
+            { analysis: [null] },
+            { recommendations: [{ category: 'Morning Routine', products: 'Face Wash' }] },
+            { goals: [1] },
+            { images: 'aGVsbG8=' },
+            { userInfo: 'Asha' }
+        ]) {
+            const response = await post('/api/assessments', { userInfo, type: 'skin', analysis, ...bad });
+            expect(response.status).toBe(400);
+        }
+    });
+});
+
+describe('POST /api/chat/stream', () => {
+    // Server-Sent Events as [event, data] pairs; unnamed events are 'message'.
+    const readEvents = async (response) => (await response.text()).split('\n\n').filter(Boolean).map(block => {
+        const event = /^event: (.*)$/m.exec(block)?.[1] || 'message';
+        return [event, JSON.parse(/^data: (.*)$/m.exec(block)[1])];
+    });
+
+    it("streams the mock provider's reply and ends with the whole text", async () => {
+        const response = await post('/api/chat/stream', {
+            query: 'And at night?',
+            context: { analysis },
+            history: [{ role: 'user', content: 'Is my routine ok?' }, { role: 'assistant', content: 'Yes.' }]
+        });
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toMatch('text/event-stream');
+
+        const events = await readEvents(response);
+        const deltas = events.filter(([event]) => event === 'message').map(([, data]) => data.delta);
+        const fixture = fs.readFileSync(path.join(serverDir, 'fixtures', 'mock', 'chat.txt'), 'utf-8');
+        expect(deltas.length).toBeGreaterThan(1);
+        expect(events.at(-1)).toEqual(['done', { response: fixture.trim() }]);
+        expect(deltas.join('').trim()).toBe(fixture.trim());
+    });
+
+    it('answers 400 without a question', async () => {
+        expect((await post('/api/chat/stream', { query: '  ' })).status).toBe(400);
+    });
+});
@@ -0,0 +1,66 @@
+const MAX_CORRECTIONS = 50;
+const MAX_BOXES = 10;
+const MAX_TEXT = 80;
+
+const ACTIONS = ['dismiss', 'relabel', 'add'];
+
+const text = (value) => (typeof value === 'string' && value.trim() && value.trim().length <= MAX_TEXT ? value.trim() : null);
+
+const isBox = (box) => ['x1', 'y1', 'x2', 'y2'].every(k => typeof box?.[k] === 'number' && box[k] >= 0 && box[k] <= 1)
+    && box.x1 < box.x2 && box.y1 < box.y2;
+
+const sameName = (a, b) => typeof a === 'string' && typeof b === 'string' && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * The `corrections` request field ([{ action: 'dismiss' | 'relabel' | 'add', ... }], see
+ * AnalysisCorrection in types.ts), trimmed; null when any correction is malformed.
+ */
+export const normalizeCorrections = (raw) => {
+    if (!Array.isArray(raw) || raw.length > MAX_CORRECTIONS) return null;
+    const corrections = raw.map(c => {
+        if (!ACTIONS.includes(c?.action)) return null;
+        if (c.action === 'dismiss') {
+            return text(c.condition) && { action: 'dismiss', condition: text(c.condition) };
+        }
+        if (c.action === 'relabel') {
+            return text(c.condition) && text(c.name) && { action: 'relabel', condition: text(c.condition), name: text(c.name) };
+        }
+        const boxes = Array.isArray(c.boundingBoxes) ? c.boundingBoxes : [];
+        if (!text(c.name) || !text(c.category) || boxes.length > MAX_BOXES
+            || !boxes.every(b => Number.isInteger(b?.imageId) && b.imageId >= 0 && isBox(b.box))) return null;
+        return {
+            action: 'add',
+            name: text(c.name),
+            category: text(c.category),
+            location: text(c.location) || '',
+            boundingBoxes: boxes.map(({ imageId, box }) => ({ imageId, box: { x1: box.x1, y1: box.y1, x2: box.x2, y2: box.y2 } }))
+        };
+    });
+    return corrections.every(Boolean) ? corrections : null;
+};
+
+/**
+ * The analysis with `corrections` applied, as the app shows it (utils/analysisCorrections.ts):
+ * dismissed conditions removed, relabelled ones renamed with the model's name kept in
+ * `originalName`, added ones (`userAdded`) in their category, and empty categories dropped.
+ */
+export const applyCorrections = (analysis, corrections) => {
+    const dismissed = corrections.filter(c => c.action === 'dismiss').map(c => c.condition);
+    const relabels = corrections.filter(c => c.action === 'relabel');
+    const corrected = (analysis || []).map(category => ({
+        ...category,
+        conditions: (category.conditions || [])
+            .filter(condition => !dismissed.some(name => sameName(name, condition.name)))
+            .map(condition => {
+                const relabel = relabels.find(r => sameName(r.condition, condition.name));
+                return relabel ? { ...condition, name: relabel.name, originalName: condition.name } : condition;
+            })
+    }));
+    corrections.filter(c => c.action === 'add').forEach(c => {
+        const added = { name: c.name, confidence: 100, location: c.location, description: '', boundingBoxes: c.boundingBoxes, userAdded: true };
+        const category = corrected.find(cat => sameName(cat.category, c.category));
+        if (category) category.conditions.push(added);
+        else corrected.push({ category: c.category, conditions: [added] });
+    });
+    return corrected.filter(category => category.conditions.length > 0);
+};
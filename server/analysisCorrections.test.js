@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { applyCorrections, normalizeCorrections } from './analysisCorrections.js';
+
+const analysis = [
+    { category: 'Acne & Blemishes', conditions: [{ name: 'Acne Pustules', confidence: 80 }, { name: 'Blackheads', confidence: 60 }] },
+    { category: 'Pigmentation', conditions: [{ name: 'Dark Spots', confidence: 70 }] }
+];
+
+const box = { x1: 0.1, y1: 0.1, x2: 0.3, y2: 0.3 };
+
+describe('normalizeCorrections', () => {
+    it('trims the corrections and keeps only the known fields', () => {
+        expect(normalizeCorrections([
+            { action: 'dismiss', condition: ' Blackheads ', extra: true },
+            { action: 'relabel', condition: 'Dark Spots', name: 'Freckles' },
+            { action: 'add', name: 'Melasma', category: 'Pigmentation', boundingBoxes: [{ imageId: 0, box: { ...box, z: 1 } }] }
+        ])).toEqual([
+            { action: 'dismiss', condition: 'Blackheads' },
+            { action: 'relabel', condition: 'Dark Spots', name: 'Freckles' },
+            { action: 'add', name: 'Melasma', category: 'Pigmentation', location: '', boundingBoxes: [{ imageId: 0, box }] }
+        ]);
+    });
+
+    it('rejects the whole list when any correction is malformed', () => {
+        expect(normalizeCorrections('dismiss')).toBeNull();
+        expect(normalizeCorrections([{ action: 'delete', condition: 'Blackheads' }])).toBeNull();
+        expect(normalizeCorrections([{ action: 'dismiss', condition: '   ' }])).toBeNull();
+        expect(normalizeCorrections([{ action: 'relabel', condition: 'Dark Spots', name: 'x'.repeat(81) }])).toBeNull();
+        expect(normalizeCorrections([{ action: 'add', name: 'Melasma', category: 'Pigmentation', boundingBoxes: [{ imageId: 0, box: { ...box, x2: 1.5 } }] }])).toBeNull();
+        expect(normalizeCorrections([{ action: 'add', name: 'Melasma', category: 'Pigmentation', boundingBoxes: [{ imageId: -1, box }] }])).toBeNull();
+        expect(normalizeCorrections([null])).toBeNull();
+    });
+
+    it('accepts an empty list', () => {
+        expect(normalizeCorrections([])).toEqual([]);
+    });
+});
+
+describe('applyCorrections', () => {
+    it('dismisses, relabels and adds conditions, ignoring case', () => {
+        const corrected = applyCorrections(analysis, [
+            { action: 'dismiss', condition: 'blackheads' },
+            { action: 'relabel', condition: 'dark spots', name: 'Freckles' },
+            { action: 'add', name: 'Whiteheads', category: 'acne & blemishes', location: 'Chin', boundingBoxes: [] },
+            { action: 'add', name: 'Redness', category: 'Sensitivity', location: '', boundingBoxes: [] }
+        ]);
+        expect(corrected.map(c => [c.category, c.conditions.map(condition => condition.name)])).toEqual([
+            ['Acne & Blemishes', ['Acne Pustules', 'Whiteheads']],
+            ['Pigmentation', ['Freckles']],
+            ['Sensitivity', ['Redness']]
+        ]);
+        expect(corrected[1].conditions[0].originalName).toBe('Dark Spots');
+        expect(corrected[0].conditions[1]).toMatchObject({ confidence: 100, userAdded: true });
+    });
+
+    it('drops categories left empty and leaves the input unchanged', () => {
+        const corrected = applyCorrections(analysis, [{ action: 'dismiss', condition: 'Dark Spots' }]);
+        expect(corrected.map(c => c.category)).toEqual(['Acne & Blemishes']);
+        expect(analysis[1].conditions).toHaveLength(1);
+    });
+});
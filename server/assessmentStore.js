@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Normalised lookup keys so "+91 98765-43210" and "9876543210" (or mixed-case emails) match.
+export const normalizePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length > 10 ? digits.slice(-10) : digits;
+};
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const OWNER_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * File-based assessment history. Each assessment is one JSON file in `dir`; `index.json`
+ * holds the lightweight entries used for listing, keyed by normalised phone and email.
+ *
+ * A phone number or email proves nothing, so every assessment also belongs to an owner: a random
+ * id handed to the browser that saved it as a token `<ownerId>.<signature>`, signed with
+ * `secret`. Listing and reading need that token as well as a matching phone or email. The browser
+ * sends its token with later saves, so its assessments stay together under one owner.
+ */
+export function createAssessmentStore({ dir, secret }) {
+    const indexPath = path.join(dir, 'index.json');
+    fs.mkdirSync(dir, { recursive: true });
+
+    const sign = (ownerId) => crypto.createHmac('sha256', secret).update(ownerId).digest('base64url');
+
+    /** The owner id of a valid token, or null. */
+    function verifyOwner(token) {
+        const [ownerId, signature, ...rest] = String(token || '').split('.');
+        if (rest.length > 0 || !OWNER_PATTERN.test(ownerId || '') || !signature) return null;
+        const expected = Buffer.from(sign(ownerId));
+        const given = Buffer.from(signature);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? ownerId : null;
+    }
+
+    const readIndex = () => {
+        if (!fs.existsSync(indexPath)) return [];
+        return JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    };
+
+    // Write to a temp file and rename, so a crash never leaves a half-written file behind.
+    const writeJson = (filePath, data) => {
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data));
+        fs.renameSync(tmpPath, filePath);
+    };
+
+    const recordPath = (id) => path.join(dir, `${id}.json`);
+
+    const matchesUser = (entry, ownerId, { phone, email }) => {
+        const phoneKey = normalizePhone(phone);
+        const emailKey = normalizeEmail(email);
+        return entry.ownerId === ownerId && Boolean((phoneKey && entry.phoneKey === phoneKey) || (emailKey && entry.emailKey === emailKey));
+    };
+
+    /**
+     * Saves an assessment under the owner of `ownerToken`, or a new owner when it is missing or
+     * invalid. Returns its index entry and the owner's token.
+     */
+    function save({ userInfo, type, analysis, images, goals, recommendations }, ownerToken) {
+        const ownerId = verifyOwner(ownerToken) || crypto.randomUUID();
+        const entry = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            ownerId,
+            type,
+            phoneKey: normalizePhone(userInfo.phone),
+            emailKey: normalizeEmail(userInfo.email),
+            conditionCount: (analysis || []).reduce((sum, cat) => sum + (cat.conditions || []).length, 0),
+        };
+        writeJson(recordPath(entry.id), {
+            ...entry,
+            userInfo,
+            analysis: analysis || [],
+            images: images || [],
+            goals: goals || [],
+            recommendations: recommendations || [],
+        });
+        writeJson(indexPath, [...readIndex(), entry]);
+        return { entry, ownerToken: `${ownerId}.${sign(ownerId)}` };
+    }
+
+    /** Lists the owner's assessments for a user, newest first, without the heavy payloads. */
+    function list(ownerId, user) {
+        return readIndex()
+            .filter(entry => matchesUser(entry, ownerId, user))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /** Returns the full assessment, or null when it doesn't exist or belongs to someone else. */
+    function get(id, ownerId, user) {
+        const entry = readIndex().find(e => e.id === id);
+        if (!entry || !matchesUser(entry, ownerId, user)) return null;
+        return JSON.parse(fs.readFileSync(recordPath(id), 'utf-8'));
+    }
+
+    return { save, list, get, verifyOwner };
+}
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createAssessmentStore, normalizeEmail, normalizePhone } from './assessmentStore.js';
+
+const userInfo = { name: 'Asha', age: '30', phone: '+91 98765-43210', email: 'Asha@Example.com' };
+const assessment = { userInfo, type: 'skin', analysis: [{ category: 'Acne', conditions: [{ name: 'Pustules' }, { name: 'Comedones' }] }], images: ['aGVsbG8='], goals: [], recommendations: [] };
+
+describe('assessmentStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'assessments-'));
+        store = createAssessmentStore({ dir, secret: 'test-secret' });
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('normalises phone numbers and emails', () => {
+        expect(normalizePhone('+91 98765-43210')).toBe('9876543210');
+        expect(normalizeEmail('  Asha@Example.com ')).toBe('asha@example.com');
+    });
+
+    it('lists and reads assessments with the owner token and a matching phone or email', () => {
+        const { entry, ownerToken } = store.save(assessment);
+        const ownerId = store.verifyOwner(ownerToken);
+
+        expect(entry.conditionCount).toBe(2);
+        expect(store.list(ownerId, { phone: '9876543210' }).map(e => e.id)).toEqual([entry.id]);
+        expect(store.list(ownerId, { email: 'asha@example.com' })).toHaveLength(1);
+        expect(store.get(entry.id, ownerId, { phone: '9876543210' }).images).toEqual(['aGVsbG8=']);
+    });
+
+    it('keeps later saves with the same token under one owner', () => {
+        const first = store.save(assessment);
+        const second = store.save({ ...assessment, type: 'hair' }, first.ownerToken);
+
+        expect(store.verifyOwner(second.ownerToken)).toBe(store.verifyOwner(first.ownerToken));
+        expect(store.list(store.verifyOwner(first.ownerToken), userInfo)).toHaveLength(2);
+    });
+
+    it("doesn't show one owner's assessments to another who knows the phone number", () => {
+        const { entry } = store.save(assessment);
+        const other = store.save({ ...assessment, images: [] });
+        const otherId = store.verifyOwner(other.ownerToken);
+
+        expect(store.list(otherId, { phone: userInfo.phone }).map(e => e.id)).toEqual([other.entry.id]);
+        expect(store.get(entry.id, otherId, { phone: userInfo.phone })).toBeNull();
+    });
+
+    it("doesn't match the owner's assessments to a different phone or email", () => {
+        const { entry, ownerToken } = store.save(assessment);
+        const ownerId = store.verifyOwner(ownerToken);
+
+        expect(store.list(ownerId, { phone: '9000000000' })).toEqual([]);
+        expect(store.get(entry.id, ownerId, {})).toBeNull();
+    });
+
+    it('rejects forged and tampered tokens', () => {
+        const { ownerToken } = store.save(assessment);
+        const [ownerId, signature] = ownerToken.split('.');
+
+        expect(store.verifyOwner(undefined)).toBeNull();
+        expect(store.verifyOwner(ownerId)).toBeNull();
+        expect(store.verifyOwner(`${ownerId}.${signature}x`)).toBeNull();
+        expect(store.verifyOwner(`${crypto.randomUUID()}.${signature}`)).toBeNull();
+        expect(createAssessmentStore({ dir, secret: 'other-secret' }).verifyOwner(ownerToken)).toBeNull();
+    });
+});
@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import { deriveProductAttributes } from './productAttributes.js';
+
+const PRODUCTS_QUERY = `
+query Products($after: String) {
+  products(first: 100, after: $after) {
+    pageInfo { hasNextPage, endCursor }
+    edges {
+      node {
+        id, title, description, productType, handle, onlineStoreUrl,
+        images(first: 1) { edges { node { url } } }
+        variants(first: 50) { edges { node { id, title, availableForSale, price { amount, currencyCode }, compareAtPrice { amount, currencyCode } } } }
+        tags
+      }
+    }
+  }
+}
+`;
+
+// Storefront's { amount: "349.0", currencyCode } with the amount as a number; null when unpriced.
+const toMoney = (money) => money ? { amount: Number(money.amount), currencyCode: money.currencyCode } : null;
+
+// Snapshots saved before prices were numeric hold strings like "INR 349.00" ("N/A" for none).
+const readMoney = (value) => {
+    if (typeof value !== 'string') return value || null;
+    const match = /^([A-Z]{3}) ([\d.]+)$/.exec(value);
+    return match ? { amount: Number(match[2]), currencyCode: match[1] } : null;
+};
+
+// Products without options have a single variant titled "Default Title".
+const DEFAULT_VARIANT_TITLE = 'Default Title';
+
+/**
+ * The product's variants, and its default: the first one in stock (the first one if all are
+ * sold out). `variantId`, `price` and `compareAtPrice` on the product are the default's; prices
+ * are { amount, currencyCode } or null. Snapshots saved before variants were fetched are read as
+ * a single in-stock variant.
+ */
+const withVariants = (product) => {
+    const variants = (product.variants?.length > 0 ? product.variants : [{
+        id: product.variantId,
+        title: DEFAULT_VARIANT_TITLE,
+        available: true,
+        price: product.price,
+        compareAtPrice: product.compareAtPrice
+    }]).map(variant => ({ ...variant, price: readMoney(variant.price), compareAtPrice: readMoney(variant.compareAtPrice) }));
+    const variant = variants.find(v => v.available) || variants[0];
+    return {
+        ...product,
+        variants,
+        available: variants.some(v => v.available),
+        variantId: variant.id,
+        price: variant.price,
+        compareAtPrice: variant.compareAtPrice
+    };
+};
+
+/** Maps a Storefront product node to the catalog product shape used throughout the API. */
+const toProduct = (node, shopDomain) => withVariants({
+    productId: node.id,
+    name: node.title,
+    handle: node.handle,
+    description: node.description || '',
+    productType: node.productType || '',
+    url: node.onlineStoreUrl || `https://${shopDomain}/products/${node.handle}`,
+    imageUrl: node.images.edges[0]?.node?.url || 'https://placehold.co/200x200?text=No+Image',
+    variants: node.variants.edges.map(({ node: variant }) => ({
+        id: variant.id,
+        title: variant.title || DEFAULT_VARIANT_TITLE,
+        available: variant.availableForSale !== false,
+        price: toMoney(variant.price),
+        compareAtPrice: toMoney(variant.compareAtPrice)
+    })),
+    tags: node.tags || []
+});
+
+/**
+ * Product catalog backed by the Shopify Storefront API (`storefront`, see server/storefront.js)
+ * with an on-disk snapshot.
+ *
+ * - On start it serves the last snapshot from `snapshotPath`, or the bundled `fixturePath`
+ *   when no snapshot exists yet (e.g. offline development).
+ * - `refresh()` fetches the live catalog and replaces the snapshot only on success, so an
+ *   outage keeps serving the last good data instead of an empty list.
+ * - `start()` refreshes immediately and then every `refreshIntervalMs`.
+ *
+ * Snapshots store the raw Shopify fields; derived attributes and `classify(product)` output
+ * are recomputed on every load, so rule changes apply without refetching.
+ */
+export function createCatalog({ storefront, shopDomain, snapshotPath, fixturePath, refreshIntervalMs, classify = () => ({}) }) {
+    const isOnline = storefront.configured;
+    let snapshot = null; // { source: 'shopify' | 'snapshot' | 'fixture', fetchedAt, products }
+    let lastError = null;
+    let lastAttemptAt = null;
+    let timer = null;
+    let inFlight = null;
+
+    const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+    const enrich = (products) => products.map(withVariants).map(p => {
+        const withAttributes = { ...p, ...deriveProductAttributes(p) };
+        return { ...withAttributes, ...classify(withAttributes) };
+    });
+
+    function loadLocal() {
+        if (snapshotPath && fs.existsSync(snapshotPath)) {
+            const saved = readJson(snapshotPath);
+            snapshot = { source: 'snapshot', fetchedAt: saved.fetchedAt, products: enrich(saved.products) };
+            console.log(`- INFO: Catalog loaded ${saved.products.length} products from snapshot (${saved.fetchedAt})`);
+        } else if (fixturePath && fs.existsSync(fixturePath)) {
+            const fixture = readJson(fixturePath);
+            snapshot = { source: 'fixture', fetchedAt: null, products: enrich(fixture.products) };
+            console.log(`- INFO: Catalog loaded ${snapshot.products.length} products from local fixture`);
+        }
+    }
+
+    async function fetchFromShopify() {
+        const nodes = [];
+        let hasNextPage = true;
+        let endCursor = null;
+        while (hasNextPage) {
+            const data = await storefront.request(PRODUCTS_QUERY, { after: endCursor });
+            const pageInfo = data?.products?.pageInfo || {};
+            nodes.push(...(data?.products?.edges || []).map(edge => edge.node));
+            hasNextPage = pageInfo.hasNextPage || false;
+            endCursor = pageInfo.endCursor || null;
+        }
+        return nodes.map(node => toProduct(node, shopDomain));
+    }
+
+    /** Fetches the live catalog and persists it. Concurrent calls share one request. */
+    function refresh() {
+        if (!isOnline) return Promise.resolve(false);
+        if (inFlight) return inFlight;
+        lastAttemptAt = new Date().toISOString();
+        inFlight = fetchFromShopify()
+            .then(products => {
+                if (products.length === 0) {
+                    throw new Error('Shopify returned an empty catalog; keeping the previous snapshot.');
+                }
+                const fetchedAt = new Date().toISOString();
+                snapshot = { source: 'shopify', fetchedAt, products: enrich(products) };
+                lastError = null;
+                if (snapshotPath) {
+                    fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+                    const tmpPath = `${snapshotPath}.tmp`;
+                    fs.writeFileSync(tmpPath, JSON.stringify({ fetchedAt, products }));
+                    fs.renameSync(tmpPath, snapshotPath);
+                }
+                console.log(`- INFO: Catalog refreshed from Shopify: ${products.length} products`);
+                return true;
+            })
+            .catch(error => {
+                lastError = error.message;
+                console.error("Shopify Fetch Error:", error);
+                return false;
+            })
+            .finally(() => { inFlight = null; });
+        return inFlight;
+    }
+
+    function start() {
+        loadLocal();
+        if (!isOnline) {
+            console.warn("WARNING: SHOPIFY_DOMAIN or SHOPIFY_ACCESS_TOKEN is missing. Serving the local catalog snapshot/fixture only.");
+            return;
+        }
+        refresh();
+        if (refreshIntervalMs > 0) {
+            timer = setInterval(refresh, refreshIntervalMs);
+            timer.unref();
+        }
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    /** Current products. Waits for the first refresh when nothing local was available. */
+    async function getProducts() {
+        if (!snapshot && inFlight) await inFlight;
+        return snapshot?.products || [];
+    }
+
+    /** Freshness report for the admin endpoint. */
+    function getStatus() {
+        const ageMs = snapshot?.fetchedAt ? Date.now() - new Date(snapshot.fetchedAt).getTime() : null;
+        return {
+            online: isOnline,
+            source: snapshot?.source || null,
+            productCount: snapshot?.products.length || 0,
+            fetchedAt: snapshot?.fetchedAt || null,
+            ageMinutes: ageMs === null ? null : Math.round(ageMs / 60000),
+            stale: ageMs === null || (refreshIntervalMs > 0 && ageMs > 2 * refreshIntervalMs),
+            refreshIntervalMinutes: Math.round(refreshIntervalMs / 60000),
+            refreshing: Boolean(inFlight),
+            lastAttemptAt,
+            lastError
+        };
+    }
+
+    return { start, stop, refresh, getProducts, getStatus };
+}
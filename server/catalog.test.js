@@ -0,0 +1,119 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createCatalog } from './catalog.js';
+import { createMockStorefront } from './mockStorefront.js';
+import { createStorefrontClient, STOREFRONT_API_VERSION } from './storefront.js';
+
+const product = (n, name, variants) => ({
+    productId: `gid://shopify/Product/${n}`, name, handle: name.toLowerCase().replace(/ /g, '-'), description: '', productType: '',
+    url: `https://example.com/products/${n}`, imageUrl: `https://example.com/${n}.png`, tags: ['skin'], variants
+});
+const money = (amount) => ({ amount, currencyCode: 'INR' });
+
+// The first size of the serum is sold out, and the sunscreen has no size left at all.
+const products = [
+    product(1, 'Face Wash', [{ id: 'v-11', title: 'Default Title', available: true, price: money(349), compareAtPrice: money(399) }]),
+    product(2, 'Serum', [
+        { id: 'v-21', title: '15 ml', available: false, price: money(499), compareAtPrice: null },
+        { id: 'v-22', title: '30 ml', available: true, price: money(899.5), compareAtPrice: null }
+    ]),
+    product(3, 'Sunscreen', [{ id: 'v-31', title: '50 ml', available: false, price: money(599), compareAtPrice: null }])
+];
+
+let server;
+let endpoint;
+
+beforeAll(async () => {
+    server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    // One product per page, so the catalog has to follow the cursor.
+    server.on('request', createMockStorefront({ products, origin, pageSize: 1 }).app);
+    endpoint = `${origin}/api/${STOREFRONT_API_VERSION}/graphql.json`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+describe('createCatalog', () => {
+    let dir;
+    let snapshotPath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+        snapshotPath = path.join(dir, 'snapshot.json');
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const online = (options = {}) => createCatalog({
+        storefront: createStorefrontClient({ accessToken: 'token', endpoint }),
+        snapshotPath,
+        refreshIntervalMs: 0,
+        ...options
+    });
+
+    it('reads every page with each product defaulting to its first variant in stock', async () => {
+        const catalog = online();
+        expect(await catalog.refresh()).toBe(true);
+        const [faceWash, serum, sunscreen] = await catalog.getProducts();
+
+        expect(faceWash).toMatchObject({ variantId: 'v-11', available: true, price: money(349), compareAtPrice: money(399), url: 'https://example.com/products/1' });
+        expect(serum).toMatchObject({ variantId: 'v-22', available: true, price: money(899.5) });
+        expect(serum.variants).toEqual([
+            { id: 'v-21', title: '15 ml', available: false, price: money(499), compareAtPrice: null },
+            { id: 'v-22', title: '30 ml', available: true, price: money(899.5), compareAtPrice: null }
+        ]);
+        expect(sunscreen).toMatchObject({ variantId: 'v-31', available: false });
+        expect(catalog.getStatus()).toMatchObject({ online: true, source: 'shopify', productCount: 3, lastError: null });
+    });
+
+    it('saves a snapshot that a catalog without Shopify starts from', async () => {
+        await online().refresh();
+        const offline = createCatalog({ storefront: createStorefrontClient({}), snapshotPath, refreshIntervalMs: 0 });
+        offline.start();
+
+        expect((await offline.getProducts()).map(p => p.variantId)).toEqual(['v-11', 'v-22', 'v-31']);
+        expect(offline.getStatus()).toMatchObject({ online: false, source: 'snapshot' });
+    });
+
+    it('reads snapshots saved before variants and numeric prices', async () => {
+        fs.writeFileSync(snapshotPath, JSON.stringify({
+            fetchedAt: '2026-01-01T00:00:00.000Z',
+            products: [{ ...product(1, 'Face Wash'), variants: undefined, variantId: 'v-11', price: 'INR 349.00', compareAtPrice: 'N/A' }]
+        }));
+        const catalog = createCatalog({ storefront: createStorefrontClient({}), snapshotPath, refreshIntervalMs: 0 });
+        catalog.start();
+
+        const [faceWash] = await catalog.getProducts();
+        expect(faceWash.variants).toEqual([{ id: 'v-11', title: 'Default Title', available: true, price: money(349), compareAtPrice: null }]);
+        expect(faceWash).toMatchObject({ variantId: 'v-11', available: true, price: money(349) });
+    });
+
+    it('keeps the last good products when a refresh fails', async () => {
+        const catalog = online();
+        await catalog.refresh();
+
+        const failing = createCatalog({
+            storefront: { configured: true, request: () => Promise.reject(new Error('Shopify responded with status 500')) },
+            snapshotPath,
+            refreshIntervalMs: 0
+        });
+        failing.start();
+        expect(await failing.refresh()).toBe(false);
+        expect((await failing.getProducts()).length).toBe(3);
+        expect(failing.getStatus()).toMatchObject({ source: 'snapshot', lastError: 'Shopify responded with status 500' });
+
+        const empty = online({ storefront: { configured: true, request: async () => ({ products: { edges: [], pageInfo: { hasNextPage: false } } }) } });
+        expect(await empty.refresh()).toBe(false);
+        expect(empty.getStatus().lastError).toMatch('empty catalog');
+    });
+});
@@ -0,0 +1,356 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { createAIProvider } from '../providers/index.js';
+import { createCatalog } from '../catalog.js';
+import { createProductClassifier } from '../productClassification.js';
+import { createHairQuestionnaire } from '../hairQuestionnaire.js';
+import { createIngredientSafety, normalizeSafetyProfile } from '../ingredientSafety.js';
+import { normalizeProductUsage, excludeFailedProducts } from '../productUsage.js';
+import {
+    PROMPT_VERSION, buildSkinAnalysisPrompt, buildHairAnalysisPrompt, buildSkinRoutinePrompt, buildHairRoutinePrompt,
+    labeledImageParts, routineSchemaForCatalog, skinAnalysisSchema, hairAnalysisSchema
+} from '../prompts.js';
+import { aggregate, METRICS, scoreAnalysis, scoreRoutine } from './metrics.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..', '..');
+const EVAL_DIR = process.env.EVAL_DIR || path.join(ROOT, 'eval');
+// The photos are of real people, so they stay out of git; only labels and recordings are committed.
+const IMAGES_DIR = process.env.EVAL_IMAGES_DIR || path.join(EVAL_DIR, 'images');
+const RECORDINGS_DIR = path.join(EVAL_DIR, 'recordings');
+const FEEDBACK_DIR = process.env.FEEDBACK_DIR || path.join(process.env.DATA_DIR || path.join(ROOT, 'data'), 'feedback');
+
+const USAGE = `Usage: npm run eval -- <command>
+       npm run eval -- --help
+
+  record [--label <name>] [--case <id>]   Run the dataset through the configured AI provider and save
+                                          its responses (needs the photos and, for Gemini, an API key)
+  score [--label <name>] [--json]         Score a recorded label against the dataset labels (offline)
+  diff <baseline> <candidate> [--json] [--fail-on-regression]
+                                          Compare two recorded labels (offline)
+  import-feedback                         Add users' corrected analyses (with photos) from the
+                                          server's feedback store as dataset cases
+
+  --label defaults to v${PROMPT_VERSION}, the current PROMPT_VERSION. --min-confidence <0-100> ignores
+  less confident predictions when scoring.
+
+  The photos named in eval/dataset.json are not in git: put them in eval/images/ (or set
+  EVAL_IMAGES_DIR) before running record. score and diff only read the committed recordings,
+  e.g. score --label mock.`;
+
+const ANALYSIS = {
+    skin: { task: 'analyze-skin', prompt: buildSkinAnalysisPrompt, schema: skinAnalysisSchema },
+    hair: { task: 'analyze-hair', prompt: buildHairAnalysisPrompt, schema: hairAnalysisSchema }
+};
+
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+
+const parseArgs = (argv) => {
+    const positional = [];
+    const options = { cases: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--fail-on-regression') options.failOnRegression = true;
+        else if (arg === '--label') options.label = argv[++i];
+        else if (arg === '--case') options.cases.push(argv[++i]);
+        else if (arg === '--min-confidence') options.minConfidence = Number(argv[++i]);
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}.`);
+        else positional.push(arg);
+    }
+    return { positional, options };
+};
+
+/**
+ * The labelled dataset (eval/dataset.json): cases { id, domain, images, angles?, expected, routine? }.
+ * `expected` lists the conditions a dermatologist marked, with their regions; `routine` holds the
+ * inputs for a routine recording (skin: goals and productUsage, hair: the questionnaire profile).
+ */
+const loadDataset = () => readJson(path.join(EVAL_DIR, 'dataset.json')).cases;
+
+const recordingPath = (label, caseId, task) => path.join(RECORDINGS_DIR, label, `${caseId}.${task}.json`);
+
+const readRecording = (label, caseId, task) => {
+    const filePath = recordingPath(label, caseId, task);
+    return fs.existsSync(filePath) ? readJson(filePath) : null;
+};
+
+// The labels as an analysis response, so routine recordings don't depend on detection quality.
+const labelledAnalysis = (expected) => {
+    const categories = [...new Set(expected.map(label => label.category || 'Findings'))];
+    return categories.map(category => ({
+        category,
+        conditions: expected.filter(label => (label.category || 'Findings') === category).map(label => ({
+            name: label.name,
+            confidence: 100,
+            location: label.location || '',
+            description: '',
+            boundingBoxes: label.regions || []
+        }))
+    }));
+};
+
+// Routines are recorded against the bundled fixture catalog, so hit rates compare across runs.
+const loadFixtureCatalog = async () => {
+    const classifier = createProductClassifier({
+        rulesPath: path.join(ROOT, 'server', 'config', 'productClassification.json'),
+        overridesPath: path.join(ROOT, 'server', 'config', 'productOverrides.json')
+    });
+    const catalog = createCatalog({
+        storefront: { configured: false },
+        fixturePath: path.join(ROOT, 'server', 'fixtures', 'catalog.json'),
+        classify: classifier.classify
+    });
+    catalog.start();
+    return catalog.getProducts();
+};
+
+async function record({ label = `v${PROMPT_VERSION}`, cases: only }) {
+    const ai = createAIProvider(process.env);
+    const model = `${ai.name}/${ai.model}`;
+    const products = await loadFixtureCatalog();
+    const hairQuestionnaire = createHairQuestionnaire({ path: path.join(ROOT, 'server', 'config', 'hairQuestionnaire.json') });
+    const ingredientSafety = createIngredientSafety({ rulesPath: path.join(ROOT, 'server', 'config', 'ingredientRules.json') });
+    const cases = loadDataset().filter(c => only.length === 0 || only.includes(c.id));
+    fs.mkdirSync(path.join(RECORDINGS_DIR, label), { recursive: true });
+
+    const save = (caseId, task, prompt, response, extra = {}) => {
+        fs.writeFileSync(recordingPath(label, caseId, task), JSON.stringify({
+            caseId, task, label, promptVersion: PROMPT_VERSION, promptHash: hashText(prompt), model,
+            recordedAt: new Date().toISOString(), ...extra, response
+        }, null, 2));
+    };
+
+    for (const testCase of cases) {
+        const { task, prompt: buildPrompt, schema } = ANALYSIS[testCase.domain];
+        const imagePaths = testCase.images.map(file => path.join(IMAGES_DIR, file));
+        const missing = imagePaths.filter(file => !fs.existsSync(file));
+        if (missing.length > 0) {
+            throw new Error(`Missing photos for ${testCase.id}: ${missing.join(', ')}. Put them in ${IMAGES_DIR} (or set EVAL_IMAGES_DIR).`);
+        }
+        const parts = imagePaths.map(file => ({
+            inlineData: { mimeType: IMAGE_TYPES[path.extname(file).toLowerCase()] || 'image/jpeg', data: fs.readFileSync(file).toString('base64') }
+        }));
+        const prompt = buildPrompt({});
+        const analysis = await ai.generateContent({
+            task,
+            contents: { parts: [...labeledImageParts(parts, testCase.angles || []), { text: prompt }] },
+            config: { responseMimeType: 'application/json', responseSchema: schema }
+        });
+        save(testCase.id, task, prompt, JSON.parse(analysis.text.trim()));
+        console.log(`- INFO: Recorded ${task} for ${testCase.id}`);
+
+        if (!testCase.routine) continue;
+        // The same catalog filtering and prompt inputs as /api/recommend-skin and /api/recommend-hair.
+        const domain = testCase.domain;
+        const safety = normalizeSafetyProfile(testCase.routine.safety);
+        const avoid = [...new Set([
+            ...(domain === 'hair' ? hairQuestionnaire.ingredientsToAvoid(testCase.routine.profile) : []),
+            ...ingredientSafety.excludedIngredients(safety, domain)
+        ])];
+        const productUsage = normalizeProductUsage(testCase.routine.productUsage);
+        const offered = ingredientSafety.filterCatalog(domain === 'hair'
+            ? products.filter(p => p.routines?.includes('hair') && !(p.keyIngredients || []).some(i => avoid.includes(i)))
+            : excludeFailedProducts(products.filter(p => p.routines?.includes('skin')), productUsage, classifier.classify), safety, domain);
+        const routinePrompt = domain === 'hair'
+            ? buildHairRoutinePrompt({
+                analysis: labelledAnalysis(testCase.expected),
+                profile: hairQuestionnaire.describeProfile(testCase.routine.profile),
+                avoidIngredients: avoid,
+                goals: testCase.routine.goals || [],
+                catalog: offered
+            })
+            : buildSkinRoutinePrompt({
+                analysis: labelledAnalysis(testCase.expected),
+                goals: testCase.routine.goals || [],
+                productUsage,
+                catalog: offered,
+                avoidIngredients: avoid,
+                safetyRules: ingredientSafety.promptRules(domain)
+            });
+        const routineTask = `recommend-${domain}`;
+        const routine = await ai.generateContent({
+            task: routineTask,
+            meta: { catalog: offered.map(p => ({ id: p.variantId, name: p.name, step: p.step })) },
+            contents: { parts: [{ text: routinePrompt }] },
+            config: { responseMimeType: 'application/json', responseSchema: routineSchemaForCatalog(offered) }
+        });
+        save(testCase.id, routineTask, routinePrompt, JSON.parse(routine.text.trim()), { offered: offered.map(p => p.variantId) });
+        console.log(`- INFO: Recorded ${routineTask} for ${testCase.id}`);
+    }
+    console.log(`- INFO: ${cases.length} case(s) recorded under ${path.relative(ROOT, path.join(RECORDINGS_DIR, label))} with ${model}`);
+}
+
+/**
+ * Scores every dataset case recorded under `label`: { label, runs, cases, overall }. `runs` lists
+ * the prompt versions, prompt hashes and models the recordings came from.
+ */
+const scoreLabel = (label, { minConfidence = 0 } = {}) => {
+    if (!fs.existsSync(path.join(RECORDINGS_DIR, label))) {
+        throw new Error(`No recordings for '${label}' in ${RECORDINGS_DIR}.`);
+    }
+    const runs = new Map();
+    const cases = loadDataset().map(testCase => {
+        const analysis = readRecording(label, testCase.id, ANALYSIS[testCase.domain].task);
+        const routine = readRecording(label, testCase.id, `recommend-${testCase.domain}`);
+        [analysis, routine].filter(Boolean).forEach(r => runs.set(`${r.task} ${r.promptHash}`, { task: r.task, promptVersion: r.promptVersion, promptHash: r.promptHash, model: r.model }));
+        return {
+            id: testCase.id,
+            analysis: analysis ? scoreAnalysis(testCase.expected, analysis.response, { minConfidence }) : null,
+            routine: routine ? scoreRoutine(routine.offered || [], routine.response) : null
+        };
+    }).filter(c => c.analysis || c.routine);
+    return { label, runs: [...runs.values()], cases, overall: aggregate(cases) };
+};
+
+const METRIC_NAMES = { recall: 'Condition recall', precision: 'Condition precision', meanIou: 'Mean box IoU', catalogHitRate: 'Catalog-hit rate' };
+
+const fmt = (value) => (value === null || value === undefined ? '   -' : value.toFixed(2));
+const fmtDelta = (a, b) => (a === null || b === null ? '' : `${b - a >= 0 ? '+' : ''}${(b - a).toFixed(2)}`);
+
+const describeRuns = (result) => result.runs.map(run => `  ${run.task}: prompt v${run.promptVersion} (${run.promptHash}), ${run.model}`).join('\n');
+
+function printScore(result) {
+    console.log(`${result.label}: ${result.cases.length} case(s)\n${describeRuns(result)}\n`);
+    console.log(`${'case'.padEnd(24)}recall  precision  IoU   catalog hits`);
+    result.cases.forEach(c => {
+        console.log(`${c.id.padEnd(24)}${fmt(c.analysis?.recall).padEnd(8)}${fmt(c.analysis?.precision).padEnd(11)}${fmt(c.analysis?.meanIou).padEnd(6)}${fmt(c.routine?.catalogHitRate)}`);
+        if (c.analysis?.missed.length) console.log(`  missed: ${c.analysis.missed.join(', ')}`);
+        if (c.analysis?.unexpected.length) console.log(`  unexpected: ${c.analysis.unexpected.join(', ')}`);
+        if (c.routine?.misses.length) console.log(`  not in catalog: ${c.routine.misses.join(', ')}`);
+    });
+    console.log(`${'overall'.padEnd(24)}${fmt(result.overall.recall).padEnd(8)}${fmt(result.overall.precision).padEnd(11)}${fmt(result.overall.meanIou).padEnd(6)}${fmt(result.overall.catalogHitRate)}`);
+}
+
+/** Metric deltas between two scored labels, overall and per case, with the conditions each case gained or lost. */
+const diffScores = (baseline, candidate) => {
+    const byId = new Map(baseline.cases.map(c => [c.id, c]));
+    const metricsOf = (c) => ({ recall: c?.analysis?.recall ?? null, precision: c?.analysis?.precision ?? null, meanIou: c?.analysis?.meanIou ?? null, catalogHitRate: c?.routine?.catalogHitRate ?? null });
+    const cases = candidate.cases.filter(c => byId.has(c.id)).map(c => {
+        const before = byId.get(c.id);
+        const matched = (s) => (s?.analysis?.matched || []).map(m => m.label);
+        return {
+            id: c.id,
+            baseline: metricsOf(before),
+            candidate: metricsOf(c),
+            found: matched(c).filter(name => !matched(before).includes(name)),
+            lost: matched(before).filter(name => !matched(c).includes(name)),
+            newUnexpected: (c.analysis?.unexpected || []).filter(name => !(before.analysis?.unexpected || []).includes(name))
+        };
+    });
+    const overall = Object.fromEntries(METRICS.map(metric => [metric, { baseline: baseline.overall[metric], candidate: candidate.overall[metric] }]));
+    const regressions = METRICS.filter(metric => overall[metric].baseline !== null && overall[metric].candidate !== null
+        && overall[metric].candidate < overall[metric].baseline);
+    return { baseline: { label: baseline.label, runs: baseline.runs }, candidate: { label: candidate.label, runs: candidate.runs }, overall, cases, regressions };
+};
+
+function printDiff(diff) {
+    console.log(`Baseline ${diff.baseline.label}\n${describeRuns(diff.baseline)}`);
+    console.log(`Candidate ${diff.candidate.label}\n${describeRuns(diff.candidate)}\n`);
+    const hashes = (side) => side.runs.map(run => `${run.task} ${run.promptHash}`).sort().join();
+    if (hashes(diff.baseline) === hashes(diff.candidate)) {
+        console.log('Both labels were recorded with the same prompts, so any change comes from the model.\n');
+    }
+    console.log(`${''.padEnd(22)}baseline  candidate  change`);
+    METRICS.forEach(metric => {
+        const { baseline, candidate } = diff.overall[metric];
+        console.log(`${METRIC_NAMES[metric].padEnd(22)}${fmt(baseline).padEnd(10)}${fmt(candidate).padEnd(11)}${fmtDelta(baseline, candidate)}`);
+    });
+    const changed = diff.cases.filter(c => METRICS.some(m => c.baseline[m] !== c.candidate[m]) || c.found.length || c.lost.length || c.newUnexpected.length);
+    if (changed.length === 0) {
+        console.log('\nNo case changed.');
+        return;
+    }
+    console.log('\nChanged cases:');
+    changed.forEach(c => {
+        const deltas = METRICS.filter(m => c.baseline[m] !== c.candidate[m])
+            .map(m => `${m} ${fmt(c.baseline[m])} -> ${fmt(c.candidate[m])}`);
+        console.log(`  ${c.id}: ${deltas.join(', ') || 'same metrics'}`);
+        if (c.found.length) console.log(`    now found: ${c.found.join(', ')}`);
+        if (c.lost.length) console.log(`    now missed: ${c.lost.join(', ')}`);
+        if (c.newUnexpected.length) console.log(`    new unexpected: ${c.newUnexpected.join(', ')}`);
+    });
+    if (diff.regressions.length > 0) {
+        console.log(`\nWorse overall: ${diff.regressions.map(m => METRIC_NAMES[m]).join(', ')}`);
+    }
+}
+
+/**
+ * Turns the server's feedback records (server/feedbackStore.js) into dataset cases: the user's
+ * corrected analysis becomes the labels and the photos are written to the images folder. Cases
+ * are named feedback-<id>, so importing again updates them. Records without photos are skipped.
+ */
+function importFeedback() {
+    if (!fs.existsSync(FEEDBACK_DIR)) {
+        throw new Error(`No feedback in ${FEEDBACK_DIR} (set FEEDBACK_DIR or DATA_DIR).`);
+    }
+    const datasetPath = path.join(EVAL_DIR, 'dataset.json');
+    const dataset = readJson(datasetPath);
+    fs.mkdirSync(IMAGES_DIR, { recursive: true });
+    const records = fs.readdirSync(FEEDBACK_DIR).filter(file => file.endsWith('.json')).map(file => readJson(path.join(FEEDBACK_DIR, file)));
+    const usable = records.filter(record => record.images?.length > 0);
+    usable.forEach(record => {
+        const id = `feedback-${record.id}`;
+        const images = record.images.map((data, i) => {
+            const file = `${id}-${i}.jpg`;
+            fs.writeFileSync(path.join(IMAGES_DIR, file), Buffer.from(data, 'base64'));
+            return file;
+        });
+        const testCase = {
+            id,
+            domain: record.type,
+            images,
+            angles: record.angles,
+            expected: record.corrected.flatMap(category => category.conditions.map(condition => ({
+                name: condition.name,
+                category: category.category,
+                location: condition.location,
+                regions: condition.boundingBoxes || []
+            })))
+        };
+        const index = dataset.cases.findIndex(c => c.id === id);
+        if (index >= 0) dataset.cases[index] = testCase;
+        else dataset.cases.push(testCase);
+    });
+    fs.writeFileSync(datasetPath, `${JSON.stringify(dataset, null, 4)}\n`);
+    console.log(`- INFO: Imported ${usable.length} of ${records.length} feedback record(s) into ${path.relative(ROOT, datasetPath)}`);
+}
+
+async function main(argv) {
+    const { positional: [command, ...rest], options } = parseArgs(argv);
+    const scoring = { minConfidence: options.minConfidence || 0 };
+    if (options.help) {
+        console.log(USAGE);
+    } else if (command === 'record') {
+        await record(options);
+    } else if (command === 'score') {
+        const result = scoreLabel(options.label || `v${PROMPT_VERSION}`, scoring);
+        if (options.json) console.log(JSON.stringify(result, null, 2));
+        else printScore(result);
+    } else if (command === 'import-feedback') {
+        importFeedback();
+    } else if (command === 'diff' && rest.length === 2) {
+        const diff = diffScores(scoreLabel(rest[0], scoring), scoreLabel(rest[1], scoring));
+        if (options.json) console.log(JSON.stringify(diff, null, 2));
+        else printDiff(diff);
+        if (options.failOnRegression && diff.regressions.length > 0) process.exitCode = 1;
+    } else {
+        console.log(USAGE);
+        process.exitCode = command ? 1 : 0;
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,96 @@
+// Condition names are compared without case, spacing or punctuation ("Acne pustules" = "acne-pustules").
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+const mean = (values) => {
+    const known = values.filter(v => v !== null && v !== undefined);
+    return known.length > 0 ? known.reduce((sum, v) => sum + v, 0) / known.length : null;
+};
+
+/** Intersection over union of two { x1, y1, x2, y2 } boxes in normalised image coordinates. */
+export const iou = (a, b) => {
+    const width = Math.min(a.x2, b.x2) - Math.max(a.x1, b.x1);
+    const height = Math.min(a.y2, b.y2) - Math.max(a.y1, b.y1);
+    if (width <= 0 || height <= 0) return 0;
+    const intersection = width * height;
+    const area = (box) => (box.x2 - box.x1) * (box.y2 - box.y1);
+    return intersection / (area(a) + area(b) - intersection);
+};
+
+// Each labelled region against the best predicted box on the same image; null when either side has none.
+const regionIou = (expected, predicted) => {
+    const regions = expected.regions || [];
+    const boxes = predicted.boundingBoxes || [];
+    if (regions.length === 0 || boxes.length === 0) return null;
+    return mean(regions.map(region => Math.max(0, ...boxes
+        .filter(b => (b.imageId ?? 0) === (region.imageId ?? 0))
+        .map(b => iou(region.box, b.box)))));
+};
+
+/** The predicted conditions of an analysis response ({ analysis: [{ category, conditions }] }). */
+export const predictedConditions = (response, { minConfidence = 0 } = {}) =>
+    (Array.isArray(response?.analysis) ? response.analysis : [])
+        .flatMap(category => (category.conditions || []).map(condition => ({ ...condition, category: category.category })))
+        .filter(condition => (Number(condition.confidence) || 0) >= minConfidence);
+
+/**
+ * Scores one analysis against its labels ([{ name, aliases?, regions? }]). A prediction matches a
+ * label when its name equals the label's name or one of its aliases; each label and prediction is
+ * matched at most once. Returns precision, recall, the mean IoU of the matched pairs and the
+ * matched, missed and unexpected names.
+ */
+export const scoreAnalysis = (expected, response, options) => {
+    const predicted = predictedConditions(response, options);
+    const unmatched = [...predicted];
+    const matches = [];
+    const missed = [];
+    expected.forEach(label => {
+        const names = [label.name, ...(label.aliases || [])].map(normalizeName);
+        const index = unmatched.findIndex(condition => names.includes(normalizeName(condition.name)));
+        if (index < 0) {
+            missed.push(label.name);
+            return;
+        }
+        const [condition] = unmatched.splice(index, 1);
+        matches.push({ label: label.name, predicted: condition.name, iou: regionIou(label, condition) });
+    });
+    return {
+        precision: ratio(matches.length, predicted.length),
+        recall: ratio(matches.length, expected.length),
+        meanIou: mean(matches.map(m => m.iou)),
+        matched: matches,
+        missed,
+        unexpected: unmatched.map(condition => condition.name),
+        error: response?.error || null
+    };
+};
+
+/**
+ * Scores one recorded routine ({ am, pm } items) by how many of its products are real catalog
+ * products: `catalogHitRate` is the share of items whose productId was among the `offered`
+ * variant ids, and `misses` names the rest.
+ */
+export const scoreRoutine = (offered, response) => {
+    const items = [...(response?.am || []), ...(response?.pm || [])];
+    const misses = items.filter(item => !offered.includes(item.productId));
+    return {
+        catalogHitRate: ratio(items.length - misses.length, items.length),
+        items: items.length,
+        misses: misses.map(item => item.name || item.productId)
+    };
+};
+
+export const METRICS = ['recall', 'precision', 'meanIou', 'catalogHitRate'];
+
+/**
+ * Averages per-case scores into { recall, precision, meanIou, catalogHitRate, cases }. Cases
+ * missing a metric (no routine recorded, no boxes matched) are left out of its average.
+ */
+export const aggregate = (cases) => ({
+    recall: mean(cases.map(c => c.analysis?.recall)),
+    precision: mean(cases.map(c => c.analysis?.precision)),
+    meanIou: mean(cases.map(c => c.analysis?.meanIou)),
+    catalogHitRate: mean(cases.map(c => c.routine?.catalogHitRate)),
+    cases: cases.length
+});
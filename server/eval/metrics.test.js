@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { aggregate, iou, predictedConditions, scoreAnalysis, scoreRoutine } from './metrics.js';
+
+const box = (x1, y1, x2, y2) => ({ x1, y1, x2, y2 });
+
+const response = {
+    analysis: [
+        {
+            category: 'Acne & Blemishes',
+            conditions: [
+                { name: 'Pustular acne', confidence: 80, boundingBoxes: [{ imageId: 0, box: box(0, 0, 0.5, 0.5) }] },
+                { name: 'Blackheads', confidence: 20, boundingBoxes: [] }
+            ]
+        },
+        { category: 'Pigmentation', conditions: [{ name: 'Dark-Spots', confidence: 60, boundingBoxes: [{ imageId: 1, box: box(0, 0, 1, 1) }] }] }
+    ]
+};
+
+const expected = [
+    { name: 'Acne Pustules', aliases: ['Pustular Acne'], regions: [{ imageId: 0, box: box(0, 0, 0.5, 0.25) }] },
+    { name: 'Dark Spots', regions: [{ imageId: 0, box: box(0, 0, 1, 1) }] },
+    { name: 'Melasma' }
+];
+
+describe('iou', () => {
+    it('measures the overlap of two boxes', () => {
+        expect(iou(box(0, 0, 1, 1), box(0, 0, 1, 1))).toBe(1);
+        expect(iou(box(0, 0, 0.5, 0.5), box(0, 0, 0.5, 0.25))).toBe(0.5);
+        expect(iou(box(0, 0, 0.5, 0.5), box(0.5, 0.5, 1, 1))).toBe(0);
+    });
+});
+
+describe('predictedConditions', () => {
+    it('flattens the categories and drops low-confidence predictions', () => {
+        expect(predictedConditions(response).map(c => c.name)).toEqual(['Pustular acne', 'Blackheads', 'Dark-Spots']);
+        expect(predictedConditions(response, { minConfidence: 50 }).map(c => c.category)).toEqual(['Acne & Blemishes', 'Pigmentation']);
+        expect(predictedConditions({ error: 'failed' })).toEqual([]);
+    });
+});
+
+describe('scoreAnalysis', () => {
+    it('matches names and aliases loosely, once each', () => {
+        const score = scoreAnalysis(expected, response);
+        expect(score.matched.map(m => [m.label, m.predicted])).toEqual([['Acne Pustules', 'Pustular acne'], ['Dark Spots', 'Dark-Spots']]);
+        expect(score.missed).toEqual(['Melasma']);
+        expect(score.unexpected).toEqual(['Blackheads']);
+        expect(score.recall).toBeCloseTo(2 / 3);
+        expect(score.precision).toBeCloseTo(2 / 3);
+    });
+
+    it('compares boxes only on the same image', () => {
+        // Dark Spots was labelled on image 0 but predicted on image 1.
+        expect(scoreAnalysis(expected, response).matched.map(m => m.iou)).toEqual([0.5, 0]);
+        expect(scoreAnalysis(expected, response).meanIou).toBe(0.25);
+    });
+
+    it('leaves precision unknown when nothing was predicted', () => {
+        const score = scoreAnalysis(expected, { analysis: [], error: 'timeout' });
+        expect(score).toMatchObject({ precision: null, recall: 0, meanIou: null, error: 'timeout' });
+    });
+});
+
+describe('scoreRoutine', () => {
+    it('counts the items that came from the offered catalog', () => {
+        const score = scoreRoutine(['v1', 'v2'], { am: [{ productId: 'v1' }, { productId: 'made-up', name: 'Magic Serum' }], pm: [{ productId: 'v2' }] });
+        expect(score).toEqual({ catalogHitRate: 2 / 3, items: 3, misses: ['Magic Serum'] });
+        expect(scoreRoutine(['v1'], {}).catalogHitRate).toBeNull();
+    });
+});
+
+describe('aggregate', () => {
+    it('averages each metric over the cases that have it', () => {
+        expect(aggregate([
+            { analysis: { recall: 1, precision: 0.5, meanIou: null }, routine: { catalogHitRate: 1 } },
+            { analysis: { recall: 0.5, precision: 1, meanIou: 0.4 } }
+        ])).toEqual({ recall: 0.75, precision: 0.75, meanIou: 0.4, catalogHitRate: 1, cases: 2 });
+    });
+});
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const ID_PATTERN = /^[a-f0-9]{16}$/;
+
+/**
+ * File-based store of users' corrections to analyses, for reviewing and evaluating the analysis
+ * prompts (see server/eval/cli.js). Each record keeps the model's analysis, the corrections and
+ * the corrected analysis, and the photos when the user agreed to share them. Photos identify the
+ * user, so records older than `retentionMs` are removed by `purge()`.
+ * Records are keyed by the photos and the model's analysis, so correcting the same result again
+ * updates its record.
+ */
+export function createFeedbackStore({ dir, retentionMs, now = () => Date.now() }) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Write to a temp file and rename, so a crash never leaves a half-written file behind.
+    const writeJson = (filePath, data) => {
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data));
+        fs.renameSync(tmpPath, filePath);
+    };
+
+    const recordPath = (id) => path.join(dir, `${id}.json`);
+
+    const read = (id) => (ID_PATTERN.test(id) && fs.existsSync(recordPath(id)) ? JSON.parse(fs.readFileSync(recordPath(id), 'utf-8')) : null);
+
+    /** Saves (or updates) a correction and returns { id, createdAt, updatedAt }. */
+    function save({ type, images, angles, language, promptVersion, model, original, corrections, corrected }) {
+        const id = crypto.createHash('sha256').update(JSON.stringify({ type, images, original })).digest('hex').slice(0, 16);
+        const updatedAt = new Date(now()).toISOString();
+        const createdAt = read(id)?.createdAt || updatedAt;
+        writeJson(recordPath(id), {
+            id, createdAt, updatedAt, type, language, promptVersion, model,
+            images, angles, original, corrections, corrected
+        });
+        return { id, createdAt, updatedAt };
+    }
+
+    /** Lists the records, newest first, with what was corrected instead of the payloads. */
+    function list() {
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => read(path.basename(file, '.json')))
+            .filter(Boolean)
+            .map(({ id, createdAt, updatedAt, type, promptVersion, model, images, corrections }) => ({
+                id, createdAt, updatedAt, type, promptVersion, model,
+                imageCount: images.length,
+                dismissed: corrections.filter(c => c.action === 'dismiss').length,
+                relabelled: corrections.filter(c => c.action === 'relabel').length,
+                added: corrections.filter(c => c.action === 'add').length
+            }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /** The full record, or null. */
+    const get = (id) => read(id);
+
+    /** Deletes records not updated within the retention period; returns how many were removed. */
+    async function purge() {
+        let removed = 0;
+        const files = await fs.promises.readdir(dir).catch(() => []);
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const stats = await fs.promises.stat(path.join(dir, file)).catch(() => null);
+            if (stats && now() - stats.mtimeMs > retentionMs) {
+                await fs.promises.unlink(path.join(dir, file)).then(() => { removed += 1; }, () => {});
+            }
+        }
+        return removed;
+    }
+
+    return { save, list, get, purge };
+}
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFeedbackStore } from './feedbackStore.js';
+
+const original = [{ category: 'Acne', conditions: [{ name: 'Blackheads' }, { name: 'Pustules' }] }];
+const feedback = (corrections, extra = {}) => ({
+    type: 'skin', images: ['aGVsbG8='], angles: ['front'], language: 'en', promptVersion: 2, model: 'mock',
+    original, corrections, corrected: original, ...extra
+});
+
+describe('feedbackStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-'));
+        store = createFeedbackStore({ dir, retentionMs: 90 * 24 * 60 * 60 * 1000 });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('saves a record and reads it back in full', () => {
+        const { id } = store.save(feedback([{ action: 'dismiss', condition: 'Blackheads' }]));
+        expect(id).toMatch(/^[a-f0-9]{16}$/);
+        expect(store.get(id)).toMatchObject({ id, type: 'skin', images: ['aGVsbG8='], corrections: [{ action: 'dismiss', condition: 'Blackheads' }] });
+    });
+
+    it('updates the record when the same result is corrected again', () => {
+        vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        const first = store.save(feedback([{ action: 'dismiss', condition: 'Blackheads' }]));
+        vi.setSystemTime(new Date('2026-01-02T00:00:00Z'));
+        const second = store.save(feedback([{ action: 'relabel', condition: 'Pustules', name: 'Whiteheads' }]));
+
+        expect(second).toEqual({ id: first.id, createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-02T00:00:00.000Z' });
+        expect(store.get(first.id).corrections).toEqual([{ action: 'relabel', condition: 'Pustules', name: 'Whiteheads' }]);
+    });
+
+    it('lists counts instead of payloads, newest first', () => {
+        vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        store.save(feedback([{ action: 'dismiss', condition: 'Blackheads' }]));
+        vi.setSystemTime(new Date('2026-01-02T00:00:00Z'));
+        store.save(feedback([{ action: 'add', name: 'Melasma' }, { action: 'add', name: 'Freckles' }], { images: ['d29ybGQ=', 'd29ybGQ='] }));
+
+        const list = store.list();
+        expect(list.map(({ imageCount, dismissed, relabelled, added }) => ({ imageCount, dismissed, relabelled, added }))).toEqual([
+            { imageCount: 2, dismissed: 0, relabelled: 0, added: 2 },
+            { imageCount: 1, dismissed: 1, relabelled: 0, added: 0 }
+        ]);
+        expect(list[0]).not.toHaveProperty('images');
+    });
+
+    it('purges records older than the retention period', async () => {
+        const old = store.save(feedback([{ action: 'dismiss', condition: 'Blackheads' }]));
+        const recent = store.save(feedback([{ action: 'add', name: 'Melasma' }], { images: [] }));
+        const longAgo = new Date(Date.now() - 91 * 24 * 60 * 60 * 1000);
+        fs.utimesSync(path.join(dir, `${old.id}.json`), longAgo, longAgo);
+
+        expect(await store.purge()).toBe(1);
+        expect(store.get(old.id)).toBeNull();
+        expect(store.get(recent.id)).not.toBeNull();
+    });
+
+    it('only reads ids it could have issued', () => {
+        expect(store.get('../../etc/passwd')).toBeNull();
+        expect(store.get('0123456789abcdef')).toBeNull();
+    });
+});
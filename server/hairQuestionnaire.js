@@ -0,0 +1,147 @@
+import fs from 'fs';
+import { isLanguage } from './languages.js';
+
+const QUESTION_TYPES = ['radio', 'imageGrid', 'checkbox'];
+
+// Ingredients to keep out of a routine for a given answer (lifeStage is asked of women only).
+const AVOID_BY_ANSWER = [
+    { field: 'lifeStage', values: ['planning-pregnancy', 'pregnant', 'postpartum'], ingredients: ['Minoxidil'] }
+];
+
+const answerValues = (answer) => (Array.isArray(answer) ? answer : [answer]);
+
+/** A question is shown when every field in its `when` has one of the listed values (any, for checkbox answers). */
+const isVisible = (question, profile) => Object.entries(question.when || {})
+    .every(([field, values]) => profile[field] !== undefined && answerValues(profile[field]).some(v => values.includes(v)));
+
+/** Throws if the config can't be walked: unknown types, duplicate values, or `when` on a field not asked earlier. */
+const checkDefinition = ({ version, genders, questions }) => {
+    if (!Number.isInteger(version)) throw new Error('hair questionnaire: `version` must be an integer');
+    const asked = new Set(['gender']);
+    const ids = new Set();
+    questions.forEach(q => {
+        if (ids.has(q.id)) throw new Error(`hair questionnaire: duplicate question id '${q.id}'`);
+        ids.add(q.id);
+        if (!QUESTION_TYPES.includes(q.type)) throw new Error(`hair questionnaire: '${q.id}' has unknown type '${q.type}'`);
+        const values = q.options.map(o => o.value);
+        if (new Set(values).size !== values.length) throw new Error(`hair questionnaire: '${q.id}' repeats an option value`);
+        Object.keys(q.when || {}).forEach(field => {
+            if (!asked.has(field)) throw new Error(`hair questionnaire: '${q.id}' depends on '${field}', which isn't asked before it`);
+        });
+        asked.add(q.field);
+    });
+    if (!Array.isArray(genders) || genders.length === 0) throw new Error('hair questionnaire: `genders` must be a non-empty list');
+};
+
+/** Throws if a translation names an unknown language, question or option value. */
+const checkTranslations = (translations, questions) => {
+    Object.entries(translations).filter(([key]) => key !== '_comment').forEach(([language, byId]) => {
+        if (!isLanguage(language)) throw new Error(`hair questionnaire translations: unknown language '${language}'`);
+        Object.entries(byId).forEach(([id, { options = {} }]) => {
+            const question = questions.find(q => q.id === id);
+            if (!question) throw new Error(`hair questionnaire translations (${language}): unknown question '${id}'`);
+            Object.keys(options).forEach(value => {
+                if (!question.options.some(o => o.value === value)) {
+                    throw new Error(`hair questionnaire translations (${language}): '${id}' has no option '${value}'`);
+                }
+            });
+        });
+    });
+};
+
+/**
+ * Config-driven hair questionnaire. The definition comes from `path` (see
+ * server/config/hairQuestionnaire.json), its translations from `translationsPath`; both are
+ * read and checked once, at creation. Answers form a HairProfileData object:
+ * { gender, [question.field]: value | value[] }, with the same values in every language.
+ */
+export function createHairQuestionnaire({ path, translationsPath }) {
+    const { version, genders, questions } = JSON.parse(fs.readFileSync(path, 'utf-8'));
+    checkDefinition({ version, genders, questions });
+    const translations = translationsPath ? JSON.parse(fs.readFileSync(translationsPath, 'utf-8')) : {};
+    checkTranslations(translations, questions);
+    const fields = new Set(questions.map(q => q.field));
+
+    // Several questions may write the same field (one per gender); the first visible one owns it.
+    const visibleQuestions = (profile) => {
+        const seen = new Set();
+        return questions.filter(q => {
+            if (seen.has(q.field) || !isVisible(q, profile)) return false;
+            seen.add(q.field);
+            return true;
+        });
+    };
+
+    const checkAnswer = (question, answer) => {
+        const values = question.options.map(o => o.value);
+        if (question.type !== 'checkbox') {
+            return values.includes(answer) ? null : `'${question.field}' must be one of ${values.join(', ')}`;
+        }
+        if (!Array.isArray(answer) || answer.length === 0 || new Set(answer).size !== answer.length) {
+            return `'${question.field}' must be a non-empty list of distinct values`;
+        }
+        const unknown = answer.filter(v => !values.includes(v));
+        if (unknown.length > 0) return `'${question.field}' has unknown values: ${unknown.join(', ')}`;
+        const exclusive = question.options.find(o => o.exclusive && answer.includes(o.value));
+        if (exclusive && answer.length > 1) return `'${question.field}' can't combine '${exclusive.value}' with other answers`;
+        return null;
+    };
+
+    /**
+     * Checks a submitted profile against the branching rules: every question shown for these
+     * answers is answered with a listed value, and nothing else is. Returns a list of problems
+     * (empty when valid).
+     */
+    function validateProfile(profile) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return ['profile must be an object'];
+        if (!genders.includes(profile.gender)) return [`'gender' must be one of ${genders.join(', ')}`];
+
+        const problems = [];
+        const shown = visibleQuestions(profile);
+        shown.forEach(q => {
+            if (profile[q.field] === undefined) problems.push(`'${q.field}' is missing (${q.id})`);
+            else {
+                const problem = checkAnswer(q, profile[q.field]);
+                if (problem) problems.push(problem);
+            }
+        });
+        const shownFields = new Set(shown.map(q => q.field));
+        Object.keys(profile).filter(key => key !== 'gender' && !shownFields.has(key)).forEach(key => {
+            problems.push(fields.has(key) ? `'${key}' isn't asked for these answers` : `'${key}' is not a questionnaire field`);
+        });
+        return problems;
+    }
+
+    /** The answered questions as "Question? Answer label(s)" lines, for prompts. */
+    function describeProfile(profile) {
+        return [`Gender: ${profile.gender}`, ...visibleQuestions(profile)
+            .filter(q => profile[q.field] !== undefined)
+            .map(q => {
+                const labels = answerValues(profile[q.field]).map(v => q.options.find(o => o.value === v)?.label || v);
+                return `${q.text} ${labels.join('; ')}`;
+            })];
+    }
+
+    /** Ingredients the profile rules out (e.g. Minoxidil around pregnancy). */
+    function ingredientsToAvoid(profile) {
+        return [...new Set(AVOID_BY_ANSWER
+            .filter(rule => profile[rule.field] !== undefined && answerValues(profile[rule.field]).some(v => rule.values.includes(v)))
+            .flatMap(rule => rule.ingredients))];
+    }
+
+    /** The definition the app walks, { version, genders, questions }, with texts and labels in `language`. */
+    const get = (language) => {
+        const byId = translations[language] || {};
+        return {
+            version,
+            genders,
+            questions: questions.map(q => (byId[q.id] ? {
+                ...q,
+                text: byId[q.id].text || q.text,
+                options: q.options.map(o => ({ ...o, label: byId[q.id].options?.[o.value] || o.label }))
+            } : q))
+        };
+    };
+
+    return { version, get, validateProfile, describeProfile, ingredientsToAvoid };
+}
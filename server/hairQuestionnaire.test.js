@@ -0,0 +1,99 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, expect, it } from 'vitest';
+import { createHairQuestionnaire } from './hairQuestionnaire.js';
+
+const configDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'config');
+const questionnaire = createHairQuestionnaire({
+    path: path.join(configDir, 'hairQuestionnaire.json'),
+    translationsPath: path.join(configDir, 'hairQuestionnaire.translations.json')
+});
+
+const female = {
+    gender: 'Female', hairFallSeverity: 'normal', hairTexture: ['frizzy'], chemicalTreatments: ['none'],
+    dandruff: 'none', lifeStage: 'none', sleep: 'good', stress: 'low', energy: 'energetic',
+    washFrequency: 'daily', diet: 'balanced', scalpItching: 'never', scalpBuildup: 'none', scalpDryness: 'never'
+};
+
+/** Writes a definition to a temp file and builds a questionnaire from it. */
+const fromDefinition = (definition) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'hair-questionnaire-')), 'definition.json');
+    fs.writeFileSync(file, JSON.stringify(definition));
+    return () => createHairQuestionnaire({ path: file });
+};
+
+describe('validateProfile', () => {
+    it('accepts a complete profile', () => {
+        expect(questionnaire.validateProfile(female)).toEqual([]);
+    });
+
+    it('rejects a profile without a known gender', () => {
+        expect(questionnaire.validateProfile(null)).toEqual(['profile must be an object']);
+        expect(questionnaire.validateProfile({ ...female, gender: 'Other' })[0]).toMatch(/'gender'/);
+    });
+
+    it('asks the follow-up question only when the answer opens it', () => {
+        const moderate = { ...female, hairFallSeverity: 'moderate' };
+        expect(questionnaire.validateProfile(moderate)).toEqual(["'hairFallDuration' is missing (hair-fall-duration)"]);
+        expect(questionnaire.validateProfile({ ...moderate, hairFallDuration: 'under-6-months' })).toEqual([]);
+        expect(questionnaire.validateProfile({ ...female, hairFallDuration: 'under-6-months' }))
+            .toEqual(["'hairFallDuration' isn't asked for these answers"]);
+    });
+
+    it('checks answers against the options of the question shown for the gender', () => {
+        // 'extreme' is only offered to men.
+        expect(questionnaire.validateProfile({ ...female, hairFallSeverity: 'extreme' })[0]).toMatch(/'hairFallSeverity' must be one of/);
+        expect(questionnaire.validateProfile({ ...female, familyHistory: 'yes' })).toEqual(["'familyHistory' isn't asked for these answers"]);
+        expect(questionnaire.validateProfile({ ...female, shoeSize: 42 })).toEqual(["'shoeSize' is not a questionnaire field"]);
+    });
+
+    it('checks checkbox answers', () => {
+        expect(questionnaire.validateProfile({ ...female, hairTexture: [] })[0]).toMatch(/non-empty list/);
+        expect(questionnaire.validateProfile({ ...female, hairTexture: ['frizzy', 'frizzy'] })[0]).toMatch(/distinct/);
+        expect(questionnaire.validateProfile({ ...female, hairTexture: ['curly'] })[0]).toMatch(/unknown values: curly/);
+        expect(questionnaire.validateProfile({ ...female, chemicalTreatments: ['none', 'smoothening'] })[0]).toMatch(/can't combine 'none'/);
+    });
+});
+
+describe('describeProfile', () => {
+    it('lists the answers by their labels', () => {
+        const lines = questionnaire.describeProfile(female);
+        expect(lines[0]).toBe('Gender: Female');
+        expect(lines).toHaveLength(Object.keys(female).length);
+        expect(lines.some(line => line.includes('normal'))).toBe(false);
+    });
+});
+
+describe('ingredientsToAvoid', () => {
+    it('rules out minoxidil around pregnancy', () => {
+        expect(questionnaire.ingredientsToAvoid({ ...female, lifeStage: 'pregnant' })).toEqual(['Minoxidil']);
+        expect(questionnaire.ingredientsToAvoid(female)).toEqual([]);
+    });
+});
+
+describe('get', () => {
+    it('translates texts and labels and keeps the values', () => {
+        const english = questionnaire.get('en');
+        const hindi = questionnaire.get('hi');
+        const question = (definition) => definition.questions.find(q => q.id === 'male-hair-fall');
+        expect(question(hindi).text).not.toBe(question(english).text);
+        expect(question(hindi).options.map(o => o.value)).toEqual(question(english).options.map(o => o.value));
+        expect(questionnaire.get('xx')).toEqual(english);
+    });
+});
+
+describe('definition checks', () => {
+    const radio = (id, field, extra = {}) => ({ id, field, type: 'radio', text: `${id}?`, options: [{ value: 'a', label: 'A' }, { value: 'b', label: 'B' }], ...extra });
+
+    it('rejects unknown question types and duplicate ids', () => {
+        expect(fromDefinition({ version: 1, genders: ['Male'], questions: [radio('q', 'f', { type: 'slider' })] })).toThrow(/unknown type 'slider'/);
+        expect(fromDefinition({ version: 1, genders: ['Male'], questions: [radio('q', 'f'), radio('q', 'g')] })).toThrow(/duplicate question id 'q'/);
+    });
+
+    it('rejects conditions on a field asked later', () => {
+        const questions = [radio('first', 'f', { when: { g: ['a'] } }), radio('second', 'g')];
+        expect(fromDefinition({ version: 1, genders: ['Male'], questions })).toThrow(/depends on 'g'/);
+    });
+});
@@ -0,0 +1,148 @@
+import fs from 'fs';
+
+const PROFILE_FLAGS = ['pregnant', 'breastfeeding', 'sensitiveSkin'];
+const MAX_ALLERGIES = 10;
+
+// Routine categories as hydrated for the app (see hydrateRoutine in server.js).
+const SLOT_CATEGORIES = { am: 'Morning Routine', pm: 'Evening Routine' };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const startsWord = (phrase, text) => new RegExp(`\\b${escapeRegExp(phrase)}`).test(text);
+
+const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+
+const hasAny = (product, ingredients) => (product.keyIngredients || []).some(ingredient => ingredients.includes(ingredient));
+
+const uniqueByName = (products) => products.filter((p, i) => products.findIndex(q => q.name === p.name) === i);
+
+/**
+ * The optional safety answers from the user-info step: { pregnant, breastfeeding, sensitiveSkin }
+ * flags (kept only when true) and up to 10 lowercase allergy terms, sorted so equal answers give
+ * equal cache keys.
+ */
+export const normalizeSafetyProfile = (raw) => {
+    const profile = {};
+    PROFILE_FLAGS.forEach(flag => {
+        if (raw?.[flag] === true) profile[flag] = true;
+    });
+    const allergies = (Array.isArray(raw?.allergies) ? raw.allergies : [])
+        .filter(term => typeof term === 'string')
+        .map(term => term.trim().toLowerCase())
+        .filter(term => term.length >= 3 && term.length <= 40);
+    if (allergies.length > 0) profile.allergies = [...new Set(allergies)].sort().slice(0, MAX_ALLERGIES);
+    return profile;
+};
+
+/**
+ * Rule-based ingredient checks for routines. Rules come from `rulesPath` (see
+ * server/config/ingredientRules.json) and are read once, at creation. Every check returns
+ * warnings { ruleId, action: 'excluded' | 'replaced' | 'flagged', message, products, replacement? }
+ * with `message` in the requested language when the rule has a translation.
+ */
+export function createIngredientSafety({ rulesPath }) {
+    const { conflicts, contraindications, allergy } = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+
+    const appliesTo = (rule, domain) => !rule.domains || rule.domains.includes(domain);
+    const counts = (rule, product) => !(rule.ignoreSteps || []).includes(product.step);
+    const message = (rule, language, values = {}) => fill(rule.messageTranslations?.[language] || rule.message, values);
+    const warning = (rule, action, text, products, replacement) => ({
+        ruleId: rule.id, action, message: text, products, ...(replacement ? { replacement } : {})
+    });
+
+    const matchingContraindications = (profile, domain, action) => contraindications.filter(rule => rule.action === action
+        && appliesTo(rule, domain) && rule.when.some(flag => profile[flag]));
+
+    const allergensIn = (product, profile) => {
+        const text = [product.name, product.description, ...(product.tags || []), ...(product.keyIngredients || [])].join(' ').toLowerCase();
+        return (profile.allergies || []).filter(term => startsWord(term, text));
+    };
+
+    /** Ingredients the profile rules out for `domain`. */
+    const excludedIngredients = (profile, domain) =>
+        [...new Set(matchingContraindications(profile, domain, 'exclude').flatMap(rule => rule.ingredients))];
+
+    /** The catalog without products the profile rules out: excluded ingredients or a listed allergen. */
+    const filterCatalog = (catalog, profile, domain) => {
+        const excluded = excludedIngredients(profile, domain);
+        return catalog.filter(p => !hasAny(p, excluded) && allergensIn(p, profile).length === 0);
+    };
+
+    /** The conflict rules as prompt lines, so the model avoids them in the first place. */
+    const promptRules = (domain) => conflicts.filter(rule => appliesTo(rule, domain)).map(rule =>
+        `Don't put ${rule.ingredients.join('/')} and ${rule.with.join('/')} in the same routine half${rule.ignoreSteps?.length ? ` (a ${rule.ignoreSteps.join('/')} doesn't count)` : ''}.`);
+
+    // Conflicting pairs among one routine half's recommended products: `keep` has the rule's
+    // `ingredients`, `other` one of its `with`.
+    const conflictsIn = (products, domain) => conflicts.filter(rule => appliesTo(rule, domain)).flatMap(rule => {
+        const keep = products.find(p => counts(rule, p) && hasAny(p, rule.ingredients));
+        if (!keep) return [];
+        return products.filter(p => p !== keep && counts(rule, p) && hasAny(p, rule.with)).map(other => ({ rule, keep, other }));
+    });
+
+    // Notes that follow from the profile alone: what was left out and why.
+    const profileNotes = (profile, domain, language) => [
+        ...matchingContraindications(profile, domain, 'exclude').map(rule => warning(rule, 'excluded', message(rule, language), [])),
+        ...(profile.allergies?.length ? [warning(allergy, 'excluded', message(allergy, language, { allergens: profile.allergies.join(', ') }), [])] : [])
+    ];
+
+    const cautions = (products, profile, domain, language) => matchingContraindications(profile, domain, 'flag')
+        .map(rule => ({ rule, flagged: products.filter(p => counts(rule, p) && hasAny(p, rule.ingredients)) }))
+        .filter(({ flagged }) => flagged.length > 0)
+        .map(({ rule, flagged }) => warning(rule, 'flagged', message(rule, language), flagged.map(p => p.name)));
+
+    /**
+     * Reviews a validated routine ({ am, pm } items, see server/routineValidator.js) against
+     * `catalog`. A 'replace' conflict swaps the second product for the first catalog product of
+     * the same step that conflicts with nothing else in that half; without one, or for a 'flag'
+     * rule, both products are flagged. Returns { routine, warnings }.
+     */
+    function review(routine, catalog, profile, { domain, language }) {
+        const warnings = profileNotes(profile, domain, language);
+        const productOf = (item) => catalog.find(p => p.variantId === item.productId);
+        const result = { am: [...routine.am], pm: [...routine.pm] };
+
+        ['am', 'pm'].forEach(slot => {
+            const recommended = () => result[slot].filter(item => item.recommendationType === 'Recommended').map(productOf).filter(Boolean);
+            conflictsIn(recommended(), domain).forEach(({ rule, keep, other }) => {
+                const index = result[slot].findIndex(item => item.productId === other.variantId && item.recommendationType === 'Recommended');
+                // Already replaced for an earlier rule.
+                if (index < 0) return;
+                const others = recommended().filter(p => p !== other);
+                const replacement = rule.action === 'replace' && catalog.find(p => p.step === other.step
+                    && !result[slot].some(item => item.productId === p.variantId)
+                    && conflictsIn([...others, p], domain).length === 0);
+                if (!replacement) {
+                    warnings.push(warning(rule, 'flagged', message(rule, language), [keep.name, other.name]));
+                    return;
+                }
+                result[slot][index] = {
+                    ...result[slot][index],
+                    productId: replacement.variantId,
+                    name: replacement.name,
+                    reason: `Replaces "${other.name}", which clashes with "${keep.name}".`
+                };
+                warnings.push(warning(rule, 'replaced', message(rule, language), [other.name], replacement.name));
+            });
+        });
+
+        const used = uniqueByName([...result.am, ...result.pm].filter(item => item.recommendationType === 'Recommended').map(productOf).filter(Boolean));
+        warnings.push(...cautions(used, profile, domain, language));
+        return { routine: result, warnings };
+    }
+
+    /**
+     * Checks a routine as the app holds it ([{ category, products }], possibly edited by the user)
+     * without changing it: conflicts are only flagged. Used for the PDF report.
+     */
+    function check(recommendations, profile, { domain, language }) {
+        const recommendedIn = (category) => (recommendations.find(r => r.category === category)?.products || [])
+            .filter(p => p.recommendationType !== 'Alternative');
+        const conflictWarnings = Object.values(SLOT_CATEGORIES).flatMap(category => conflictsIn(recommendedIn(category), domain)
+            .map(({ rule, keep, other }) => warning(rule, 'flagged', message(rule, language), [keep.name, other.name])));
+        const used = uniqueByName(Object.values(SLOT_CATEGORIES).flatMap(recommendedIn));
+        return [...profileNotes(profile, domain, language), ...conflictWarnings, ...cautions(used, profile, domain, language)];
+    }
+
+    return { excludedIngredients, filterCatalog, promptRules, review, check };
+}
@@ -0,0 +1,93 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, expect, it } from 'vitest';
+import { createIngredientSafety, normalizeSafetyProfile } from './ingredientSafety.js';
+import { deriveProductAttributes } from './productAttributes.js';
+
+const rulesPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'config', 'ingredientRules.json');
+const safety = createIngredientSafety({ rulesPath });
+
+const product = (variantId, name, step, keyIngredients, extra = {}) => ({ variantId, name, step, keyIngredients, tags: [], ...extra });
+
+const catalog = [
+    product('v-wash', 'Salicylic Acid Face Wash', 'cleanser', ['Salicylic Acid']),
+    product('v-retinol', 'Retinol Night Serum', 'serum', ['Retinoid']),
+    product('v-glycolic', 'Glycolic Acid Toner', 'toner', ['Glycolic Acid']),
+    product('v-hydrating', 'Hydrating Toner', 'toner', ['Hyaluronic Acid']),
+    product('v-vitc', 'Vitamin C Serum', 'serum', ['Vitamin C']),
+    product('v-bha', 'BHA Exfoliant', 'exfoliant', ['Salicylic Acid']),
+    product('v-almond', 'Almond Oil Moisturizer', 'moisturizer', [], { description: 'With sweet almond oil.' }),
+    { variantId: 'v-bakuchiol', name: 'Bakuchiol Night Serum', step: 'serum', tags: [], ...deriveProductAttributes({ name: 'Bakuchiol Night Serum' }) }
+];
+
+const item = (productId, extra = {}) => ({ productId, name: catalog.find(p => p.variantId === productId).name, recommendationType: 'Recommended', ...extra });
+
+describe('normalizeSafetyProfile', () => {
+    it('keeps true flags and tidy allergy terms', () => {
+        expect(normalizeSafetyProfile({ pregnant: true, breastfeeding: false, sensitiveSkin: 'yes', allergies: [' Nuts ', 'nuts', 'ab', 42, 'Fragrance'] }))
+            .toEqual({ pregnant: true, allergies: ['fragrance', 'nuts'] });
+        expect(normalizeSafetyProfile(undefined)).toEqual({});
+    });
+});
+
+describe('filterCatalog', () => {
+    it('leaves out retinoids in pregnancy but keeps bakuchiol', () => {
+        const names = safety.filterCatalog(catalog, { pregnant: true }, 'skin').map(p => p.name);
+        expect(names).not.toContain('Retinol Night Serum');
+        expect(names).toContain('Bakuchiol Night Serum');
+        expect(safety.excludedIngredients({ pregnant: true }, 'hair')).toEqual(['Minoxidil', 'Finasteride', 'Saw Palmetto']);
+        expect(safety.excludedIngredients({ pregnant: true }, 'skin')).toEqual(['Retinoid']);
+    });
+
+    it('leaves out products that mention an allergen', () => {
+        const names = safety.filterCatalog(catalog, { allergies: ['almond'] }, 'skin').map(p => p.name);
+        expect(names).not.toContain('Almond Oil Moisturizer');
+        expect(names).toHaveLength(catalog.length - 1);
+    });
+});
+
+describe('review', () => {
+    it('replaces the second product of a conflict with a clash-free one of the same step', () => {
+        const { routine, warnings } = safety.review(
+            { am: [], pm: [item('v-wash'), item('v-retinol'), item('v-glycolic')] },
+            catalog, {}, { domain: 'skin', language: 'en' }
+        );
+        expect(routine.pm.map(i => i.productId)).toEqual(['v-wash', 'v-retinol', 'v-hydrating']);
+        expect(routine.pm[2].reason).toMatch(/Glycolic Acid Toner/);
+        expect(warnings).toEqual([expect.objectContaining({ ruleId: 'retinoid-exfoliating-acid', action: 'replaced', products: ['Glycolic Acid Toner'], replacement: 'Hydrating Toner' })]);
+    });
+
+    it('flags a conflict when there is nothing to replace it with, and ignores cleansers', () => {
+        const { routine, warnings } = safety.review(
+            { am: [item('v-wash'), item('v-vitc'), item('v-bha')], pm: [] },
+            catalog, {}, { domain: 'skin', language: 'en' }
+        );
+        expect(routine.am.map(i => i.productId)).toEqual(['v-wash', 'v-vitc', 'v-bha']);
+        expect(warnings.map(w => [w.ruleId, w.action, w.products])).toEqual([['vitamin-c-exfoliating-acid', 'flagged', ['Vitamin C Serum', 'BHA Exfoliant']]]);
+    });
+
+    it('notes what the profile left out and flags cautions in the routine', () => {
+        const { warnings } = safety.review({ am: [item('v-bha')], pm: [] }, catalog, { pregnant: true }, { domain: 'skin', language: 'hi' });
+        expect(warnings.map(w => [w.ruleId, w.action])).toEqual([['pregnancy-retinoid', 'excluded'], ['pregnancy-salicylic-acid', 'flagged']]);
+        expect(warnings[1].products).toEqual(['BHA Exfoliant']);
+        expect(warnings[0].message).not.toMatch(/[A-Za-z]{6}/);
+    });
+});
+
+describe('check', () => {
+    it('flags conflicts in an edited routine without changing it', () => {
+        const recommendations = [
+            { category: 'Morning Routine', products: [] },
+            { category: 'Evening Routine', products: [catalog[1], catalog[2], { ...catalog[5], recommendationType: 'Alternative' }] }
+        ];
+        expect(safety.check(recommendations, {}, { domain: 'skin', language: 'en' }).map(w => w.ruleId)).toEqual(['retinoid-exfoliating-acid']);
+        expect(safety.check(recommendations, { allergies: ['nuts'] }, { domain: 'skin', language: 'en' })[0].message).toMatch(/nuts/);
+    });
+});
+
+describe('promptRules', () => {
+    it('describes the conflicts of the domain', () => {
+        expect(safety.promptRules('skin')).toHaveLength(4);
+        expect(safety.promptRules('hair')).toEqual([]);
+    });
+});
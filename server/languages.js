@@ -0,0 +1,17 @@
+/**
+ * Languages an assessment can run in; clients send the code as `language` (English when
+ * omitted). Only user-facing text is translated: condition names, product names and every
+ * JSON key or enum value stay in English, so catalog matching and triage keep working.
+ */
+export const LANGUAGES = {
+    en: { name: 'English', locale: 'en-IN' },
+    hi: { name: 'Hindi', locale: 'hi-IN' },
+    ta: { name: 'Tamil', locale: 'ta-IN' },
+    mr: { name: 'Marathi', locale: 'mr-IN' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+export const isLanguage = (value) => LANGUAGE_CODES.includes(value);
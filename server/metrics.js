@@ -0,0 +1,85 @@
+// Latency percentiles are computed over each series' most recent samples only.
+const DEFAULT_SAMPLE_SIZE = 500;
+
+const emptyTokens = () => ({ promptTokens: 0, outputTokens: 0, totalTokens: 0 });
+
+const percentile = (sorted, p) => sorted.length === 0 ? 0 : sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+/**
+ * In-memory counters behind GET /metrics: latency, error rate and status codes per API route,
+ * and calls, latency, errors and token usage per AI task and per API key. Everything resets
+ * when the server restarts.
+ */
+export function createMetrics({ sampleSize = DEFAULT_SAMPLE_SIZE, now = Date.now } = {}) {
+    const startedAt = now();
+    const routes = new Map();
+    const tasks = new Map();
+    const keys = new Map();
+    const rateLimited = {};
+
+    const series = (map, name, init = {}) => {
+        if (!map.has(name)) map.set(name, { count: 0, errors: 0, samples: [], next: 0, ...init });
+        return map.get(name);
+    };
+
+    const addSample = (entry, durationMs) => {
+        if (entry.samples.length < sampleSize) entry.samples.push(durationMs);
+        else entry.samples[entry.next] = durationMs;
+        entry.next = (entry.next + 1) % sampleSize;
+    };
+
+    const addTokens = (entry, usage) => {
+        if (!usage) return;
+        Object.keys(entry.tokens).forEach(field => { entry.tokens[field] += usage[field] || 0; });
+    };
+
+    /** One finished API request. `route` is the matched route pattern, e.g. "GET /api/assessments/:id". Only 5xx responses count as errors. */
+    const recordRequest = ({ route, status, durationMs }) => {
+        const entry = series(routes, route, { statuses: {} });
+        entry.count += 1;
+        if (status >= 500) entry.errors += 1;
+        entry.statuses[status] = (entry.statuses[status] || 0) + 1;
+        addSample(entry, durationMs);
+    };
+
+    /** One model call attempt, as reported by the AI provider's `onCall`. */
+    const recordAiCall = ({ task, key, ok, durationMs, usage }) => {
+        [series(tasks, task || 'unknown', { tokens: emptyTokens() }), series(keys, key, { tokens: emptyTokens() })].forEach(entry => {
+            entry.count += 1;
+            if (!ok) entry.errors += 1;
+            addSample(entry, durationMs);
+            addTokens(entry, usage);
+        });
+    };
+
+    /** A request turned away by a rate limiter (`scope` names the limit, e.g. 'ip'). */
+    const recordRateLimited = (scope) => {
+        rateLimited[scope] = (rateLimited[scope] || 0) + 1;
+    };
+
+    const summarize = ({ samples, next, ...entry }) => {
+        const sorted = [...samples].sort((a, b) => a - b);
+        return {
+            ...entry,
+            errorRate: entry.count > 0 ? Number((entry.errors / entry.count).toFixed(4)) : 0,
+            latencyMs: {
+                avg: sorted.length > 0 ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : 0,
+                p50: percentile(sorted, 0.5),
+                p95: percentile(sorted, 0.95),
+                max: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+            }
+        };
+    };
+
+    const summarizeAll = (map) => Object.fromEntries([...map].map(([name, entry]) => [name, summarize(entry)]));
+
+    const snapshot = () => ({
+        startedAt: new Date(startedAt).toISOString(),
+        uptimeSeconds: Math.round((now() - startedAt) / 1000),
+        endpoints: summarizeAll(routes),
+        ai: { tasks: summarizeAll(tasks), keys: summarizeAll(keys) },
+        rateLimited: { ...rateLimited }
+    });
+
+    return { recordRequest, recordAiCall, recordRateLimited, snapshot };
+}
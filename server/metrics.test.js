@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { createMetrics } from './metrics.js';
+
+describe('createMetrics', () => {
+    it('summarizes requests per route, counting only 5xx as errors', () => {
+        const metrics = createMetrics();
+        [[200, 10], [200, 20], [400, 30], [500, 40]].forEach(([status, durationMs]) => {
+            metrics.recordRequest({ route: 'POST /api/report', status, durationMs });
+        });
+        expect(metrics.snapshot().endpoints['POST /api/report']).toEqual({
+            count: 4,
+            errors: 1,
+            errorRate: 0.25,
+            statuses: { 200: 2, 400: 1, 500: 1 },
+            latencyMs: { avg: 25, p50: 30, p95: 40, max: 40 }
+        });
+    });
+
+    it('keeps only the latest samples for latency', () => {
+        const metrics = createMetrics({ sampleSize: 2 });
+        [100, 1, 2].forEach(durationMs => metrics.recordRequest({ route: 'GET /x', status: 200, durationMs }));
+        const entry = metrics.snapshot().endpoints['GET /x'];
+        expect(entry.count).toBe(3);
+        expect(entry.latencyMs.max).toBe(2);
+    });
+
+    it('counts model calls and tokens per task and per key', () => {
+        const metrics = createMetrics();
+        metrics.recordAiCall({ task: 'analysis', key: 'key-1', ok: true, durationMs: 100, usage: { promptTokens: 10, outputTokens: 5, totalTokens: 15 } });
+        metrics.recordAiCall({ task: 'analysis', key: 'key-2', ok: false, durationMs: 50 });
+        const { ai } = metrics.snapshot();
+        expect(ai.tasks.analysis).toMatchObject({ count: 2, errors: 1, tokens: { promptTokens: 10, outputTokens: 5, totalTokens: 15 } });
+        expect(ai.keys['key-2']).toMatchObject({ count: 1, errors: 1, errorRate: 1 });
+    });
+
+    it('counts rate-limited requests and reports uptime', () => {
+        let time = Date.parse('2026-01-01T00:00:00Z');
+        const metrics = createMetrics({ now: () => time });
+        metrics.recordRateLimited('ip');
+        metrics.recordRateLimited('ip');
+        time += 90_000;
+        expect(metrics.snapshot()).toMatchObject({ startedAt: '2026-01-01T00:00:00.000Z', uptimeSeconds: 90, rateLimited: { ip: 2 } });
+    });
+});
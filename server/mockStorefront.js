@@ -0,0 +1,105 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { STOREFRONT_API_VERSION } from './storefront.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// The catalog's numeric { amount, currencyCode } back to Storefront's decimal string.
+const toMoney = (money) => money ? { amount: money.amount.toFixed(2), currencyCode: money.currencyCode } : null;
+
+// A catalog fixture product as the Storefront products query returns it.
+const toNode = (product) => ({
+    id: product.productId,
+    title: product.name,
+    description: product.description,
+    productType: product.productType,
+    handle: product.handle,
+    onlineStoreUrl: product.url,
+    images: { edges: [{ node: { url: product.imageUrl } }] },
+    variants: {
+        edges: (product.variants || []).map(variant => ({
+            node: {
+                id: variant.id,
+                title: variant.title,
+                availableForSale: variant.available,
+                price: toMoney(variant.price),
+                compareAtPrice: toMoney(variant.compareAtPrice)
+            }
+        }))
+    },
+    tags: product.tags
+});
+
+/**
+ * Local stand-in for the Shopify Storefront API: it answers the catalog's products query from
+ * `products` (catalog fixture shape) and `cartCreate`, rejecting unknown and sold-out variants
+ * like Shopify does. Created carts are kept in memory and listed at GET /carts, so a test can
+ * check the lines and attributes checkout sent. Any access token is accepted.
+ */
+export function createMockStorefront({ products, origin, pageSize = 100 }) {
+    const nodes = products.map(toNode);
+    const variants = new Map(products.flatMap(product => (product.variants || []).map(variant => [variant.id, variant])));
+    const carts = [];
+
+    const productsPage = (after) => {
+        const start = Number(after) || 0;
+        const end = Math.min(start + pageSize, nodes.length);
+        return {
+            pageInfo: { hasNextPage: end < nodes.length, endCursor: String(end) },
+            edges: nodes.slice(start, end).map(node => ({ node }))
+        };
+    };
+
+    const cartCreate = ({ lines = [], attributes = [] } = {}) => {
+        const userErrors = lines.flatMap((line, index) => {
+            const field = ['input', 'lines', String(index), 'merchandiseId'];
+            const variant = variants.get(line.merchandiseId);
+            if (!variant) return [{ field, message: `The merchandise with id ${line.merchandiseId} does not exist.` }];
+            if (!variant.available) return [{ field, message: `The product '${variant.title}' is already sold out.` }];
+            return [];
+        });
+        if (lines.length === 0) userErrors.push({ field: ['input', 'lines'], message: 'A cart needs at least one line.' });
+        if (userErrors.length > 0) return { cart: null, userErrors };
+
+        const token = crypto.randomUUID();
+        const cart = { id: `gid://shopify/Cart/${token}`, checkoutUrl: `${origin}/checkout/${token}` };
+        carts.push({ ...cart, lines, attributes, createdAt: new Date().toISOString() });
+        return { cart, userErrors: [] };
+    };
+
+    const app = express();
+    app.use(express.json());
+
+    app.post('/api/:version/graphql.json', (req, res) => {
+        if (!req.get('x-shopify-storefront-access-token')) {
+            return res.status(401).json({ errors: [{ message: 'Missing access token.' }] });
+        }
+        const { query = '', variables = {} } = req.body || {};
+        if (query.includes('cartCreate')) return res.json({ data: { cartCreate: cartCreate(variables.input) } });
+        if (/\bproducts\s*\(/.test(query)) return res.json({ data: { products: productsPage(variables.after) } });
+        res.json({ errors: [{ message: 'The mock Storefront only supports the products query and cartCreate.' }] });
+    });
+
+    app.get('/carts', (req, res) => res.json(carts));
+
+    app.get('/checkout/:token', (req, res) => {
+        const cart = carts.find(c => c.id.endsWith(req.params.token));
+        if (!cart) return res.status(404).type('text').send('No such cart.');
+        res.type('text').send(`Mock checkout\n\n${JSON.stringify(cart, null, 2)}`);
+    });
+
+    return { app, carts };
+}
+
+// `npm run mock:storefront` serves the bundled fixture catalog; see the README for the env settings.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.MOCK_STOREFRONT_PORT) || 4010;
+    const origin = `http://localhost:${port}`;
+    const { products } = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'catalog.json'), 'utf-8'));
+    createMockStorefront({ products, origin }).app.listen(port, () => {
+        console.log(`- INFO: Mock Storefront listening on ${origin}/api/${STOREFRONT_API_VERSION}/graphql.json`);
+    });
+}
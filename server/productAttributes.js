@@ -0,0 +1,77 @@
+// Structured attributes derived from free-form Shopify data (title, tags, description).
+// Each entry maps a canonical name to the lowercase phrases that indicate it.
+
+const INGREDIENTS = {
+    'Niacinamide': ['niacinamide', 'vitamin b3'],
+    'Salicylic Acid': ['salicylic', 'bha'],
+    'Glycolic Acid': ['glycolic', 'aha'],
+    'Lactic Acid': ['lactic acid'],
+    'Azelaic Acid': ['azelaic'],
+    'Hyaluronic Acid': ['hyaluronic', 'sodium hyaluronate'],
+    'Retinoid': ['retinol', 'retinal', 'retinoid', 'adapalene', 'tretinoin'],
+    // Plant-based retinol alternative; not a retinoid, so the retinoid safety rules don't apply.
+    'Bakuchiol': ['bakuchiol'],
+    'Vitamin C': ['vitamin c', 'ascorbic', 'ascorbyl'],
+    'Ceramides': ['ceramide'],
+    'Peptides': ['peptide'],
+    'Alpha Arbutin': ['arbutin'],
+    'Kojic Acid': ['kojic'],
+    'Tranexamic Acid': ['tranexamic'],
+    'Benzoyl Peroxide': ['benzoyl peroxide'],
+    'Centella Asiatica': ['centella', 'cica'],
+    'Tea Tree Oil': ['tea tree'],
+    'Aloe Vera': ['aloe'],
+    'Zinc Oxide': ['zinc oxide'],
+    'Minoxidil': ['minoxidil'],
+    'Finasteride': ['finasteride'],
+    'Ketoconazole': ['ketoconazole'],
+    'Zinc Pyrithione': ['zinc pyrithione', 'zpto'],
+    'Piroctone Olamine': ['piroctone'],
+    'Coal Tar': ['coal tar'],
+    'Redensyl': ['redensyl'],
+    'Procapil': ['procapil'],
+    'Capixyl': ['capixyl'],
+    'Anagain': ['anagain'],
+    'Saw Palmetto': ['saw palmetto'],
+    'Biotin': ['biotin'],
+    'Keratin': ['keratin'],
+    'Argan Oil': ['argan'],
+    'Onion Oil': ['onion'],
+    'Rosemary': ['rosemary']
+};
+
+const CONCERNS = {
+    'Acne': ['acne', 'pimple', 'breakout', 'blemish', 'comedone', 'blackhead'],
+    'Oily Skin': ['oily skin', 'oil control', 'sebum', 'mattif'],
+    'Dry Skin': ['dry skin', 'dryness', 'hydrat', 'moistur'],
+    'Sensitive Skin': ['sensitive', 'soothing', 'calming', 'redness'],
+    'Pigmentation': ['pigment', 'dark spot', 'melasma', 'brighten', 'even tone', 'de-tan', 'detan'],
+    'Anti-Aging': ['anti-aging', 'anti aging', 'wrinkle', 'fine line', 'firming', 'firmness'],
+    'Sun Protection': ['sunscreen', 'spf', 'sun protection', 'uva', 'uvb'],
+    'Dark Circles': ['dark circle', 'under eye', 'under-eye'],
+    'Hair Fall': ['hair fall', 'hairfall', 'hair loss', 'thinning', 'alopecia'],
+    'Hair Growth': ['hair growth', 'regrowth', 'density'],
+    'Dandruff': ['dandruff', 'flake', 'seborrh', 'itchy scalp'],
+    'Hair Damage': ['frizz', 'damage', 'breakage', 'split end']
+};
+
+// Phrases match at a word start, so 'moistur' covers moisturiser/moisturizing. When the last
+// word is short (aha, spf, vitamin c...) it must end there too, allowing only a plural 's', so
+// 'vitamin c' doesn't hit "vitamin capsules".
+const phraseMatches = (phrase, text) => {
+    const lastWord = phrase.split(' ').pop();
+    return new RegExp(`\\b${phrase}${lastWord.length <= 4 ? 's?\\b' : ''}`).test(text);
+};
+
+const matchAll = (dictionary, text) => Object.entries(dictionary)
+    .filter(([, phrases]) => phrases.some(phrase => phraseMatches(phrase, text)))
+    .map(([canonical]) => canonical);
+
+/** Returns { keyIngredients, suitableFor } for a product, derived from its title, tags and description. */
+export const deriveProductAttributes = ({ name = '', tags = [], description = '' }) => {
+    const text = [name, tags.join(' '), description].join(' ').toLowerCase();
+    return {
+        keyIngredients: matchAll(INGREDIENTS, text),
+        suitableFor: matchAll(CONCERNS, text)
+    };
+};
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { deriveProductAttributes } from './productAttributes.js';
+
+describe('deriveProductAttributes', () => {
+    it('finds key ingredients and concerns in the name, tags and description', () => {
+        expect(deriveProductAttributes({
+            name: 'Salicylic Acid 2% Oil Control Face Wash',
+            tags: ['Acne'],
+            description: 'Unclogs pores and controls sebum.'
+        })).toEqual({ keyIngredients: ['Salicylic Acid'], suitableFor: ['Acne', 'Oily Skin'] });
+    });
+
+    it('keeps bakuchiol apart from the retinoids', () => {
+        expect(deriveProductAttributes({ name: 'Bakuchiol Night Serum' }).keyIngredients).toEqual(['Bakuchiol']);
+        expect(deriveProductAttributes({ name: 'Retinol 0.3% Night Cream' }).keyIngredients).toEqual(['Retinoid']);
+    });
+
+    it('matches short phrases only as whole words', () => {
+        expect(deriveProductAttributes({ name: 'Hair Vitamin Capsules' }).keyIngredients).not.toContain('Vitamin C');
+        expect(deriveProductAttributes({ name: 'Vitamin C Serum' }).keyIngredients).toContain('Vitamin C');
+        expect(deriveProductAttributes({ name: 'Mahalo Cream' }).keyIngredients).not.toContain('Glycolic Acid');
+    });
+
+    it('returns empty lists for a product it knows nothing about', () => {
+        expect(deriveProductAttributes({})).toEqual({ keyIngredients: [], suitableFor: [] });
+    });
+});
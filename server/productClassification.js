@@ -0,0 +1,76 @@
+import fs from 'fs';
+
+const ROUTINE_DOMAINS = ['skin', 'hair'];
+
+// Supplements join the routine whose concerns they target (suitableFor from productAttributes.js).
+const HAIR_CONCERNS = ['Hair Fall', 'Hair Growth', 'Dandruff', 'Hair Damage'];
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+const lowerKeys = (map = {}) => Object.fromEntries(Object.entries(map).map(([key, value]) => [key.toLowerCase(), value]));
+
+const startsWord = (phrase, text) => new RegExp(`\\b${phrase}`).test(text);
+
+/**
+ * Assigns catalog products to a domain (skin, hair, supplement) and a routine step
+ * (cleanser, serum, sunscreen...) using the rules in `rulesPath`, with per-product fixes from
+ * `overridesPath` (keyed by handle or productId). Files are read once, at creation.
+ */
+export function createProductClassifier({ rulesPath, overridesPath }) {
+    const rules = readJson(rulesPath);
+    const overrides = overridesPath && fs.existsSync(overridesPath) ? readJson(overridesPath).overrides || {} : {};
+    const productTypes = lowerKeys(rules.productTypes);
+    const tagRules = lowerKeys(rules.tags);
+
+    const overrideFor = (product) => overrides[product.handle] || overrides[product.productId] || null;
+
+    /** Candidate { domain?, step? } matches, highest priority first. */
+    const matchesFor = (product) => {
+        const name = (product.name || '').toLowerCase();
+        const tags = (product.tags || []).map(tag => tag.toLowerCase());
+        return [
+            overrideFor(product),
+            productTypes[(product.productType || '').toLowerCase()],
+            ...tags.map(tag => tagRules[tag]),
+            ...(rules.keywords || []).filter(rule => rule.match.some(phrase => startsWord(phrase, name)))
+        ].filter(Boolean);
+    };
+
+    /** Which recommenders may use a supplement: explicit hair/skin matches, else its concerns, else both. */
+    const supplementRoutines = (product, matches) => {
+        const explicit = matches.map(m => m.domain).filter(domain => ROUTINE_DOMAINS.includes(domain));
+        if (explicit.length > 0) return [...new Set(explicit)];
+        const concerns = product.suitableFor || [];
+        if (concerns.length === 0) return ROUTINE_DOMAINS;
+        const routines = [];
+        if (concerns.some(c => HAIR_CONCERNS.includes(c))) routines.push('hair');
+        if (concerns.some(c => !HAIR_CONCERNS.includes(c))) routines.push('skin');
+        return routines;
+    };
+
+    /**
+     * Returns { domain, step, stepLabel, routines } for a product. `routines` lists the
+     * recommenders ('skin', 'hair') allowed to see it; it is empty when the product is
+     * excluded or couldn't be placed in a valid step.
+     */
+    function classify(product) {
+        const override = overrideFor(product);
+        if (override?.exclude) {
+            return { domain: null, step: null, stepLabel: null, routines: [] };
+        }
+        const matches = matchesFor(product);
+        const domain = matches.find(m => m.domain)?.domain || null;
+        const stepsForDomain = rules.steps[domain] || {};
+        // Take the first step that is valid for the resolved domain ("serum" fits skin and hair,
+        // "shampoo" only hair).
+        const step = matches.map(m => m.step).find(s => s && stepsForDomain[s]) || null;
+        if (!domain || !step) {
+            return { domain, step: null, stepLabel: null, routines: [] };
+        }
+        const routines = override?.routines
+            || (domain === 'supplement' ? supplementRoutines(product, matches) : [domain]);
+        return { domain, step, stepLabel: stepsForDomain[step], routines };
+    }
+
+    return { classify };
+}
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { afterAll, describe, expect, it } from 'vitest';
+import { createProductClassifier } from './productClassification.js';
+
+const rulesPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'config', 'productClassification.json');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'classification-'));
+const overridesPath = path.join(dir, 'overrides.json');
+fs.writeFileSync(overridesPath, JSON.stringify({
+    overrides: {
+        'onion-hair-oil': { domain: 'hair', step: 'oil' },
+        'gift-card': { exclude: true },
+        'collagen-gummies': { routines: ['skin'] }
+    }
+}));
+
+const { classify } = createProductClassifier({ rulesPath, overridesPath });
+
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('productClassification', () => {
+    it('places products by product type, tags and name', () => {
+        expect(classify({ name: 'Gentle Hydrating Face Wash', productType: 'Face Wash' }))
+            .toEqual({ domain: 'skin', step: 'cleanser', stepLabel: 'Cleanser', routines: ['skin'] });
+        expect(classify({ name: 'Redensyl Growth Serum', productType: 'Serum', tags: ['Hair Fall'] }))
+            .toMatchObject({ domain: 'hair', step: 'serum', stepLabel: 'Hair Serum', routines: ['hair'] });
+        expect(classify({ name: 'Ultra Light Sunscreen SPF 50' })).toMatchObject({ domain: 'skin', step: 'sunscreen' });
+    });
+
+    it('lets the product type win over keywords in the name', () => {
+        expect(classify({ name: 'Anti-Dandruff Scalp Serum', productType: 'Shampoo' })).toMatchObject({ domain: 'hair', step: 'shampoo' });
+    });
+
+    it('sends supplements to the routines their concerns belong to', () => {
+        expect(classify({ name: 'Biotin Tablets', suitableFor: ['Hair Fall'] }).routines).toEqual(['hair']);
+        expect(classify({ name: 'Glow Capsules', suitableFor: ['Pigmentation'] }).routines).toEqual(['skin']);
+        expect(classify({ name: 'Multivitamin Tablets' }).routines).toEqual(['skin', 'hair']);
+    });
+
+    it('applies overrides by handle', () => {
+        expect(classify({ handle: 'onion-hair-oil', name: 'Onion Oil' })).toMatchObject({ domain: 'hair', step: 'oil', routines: ['hair'] });
+        expect(classify({ handle: 'gift-card', name: 'Face Wash Gift Card' }).routines).toEqual([]);
+        expect(classify({ handle: 'collagen-gummies', name: 'Collagen Gummies', suitableFor: ['Hair Growth'] }).routines).toEqual(['skin']);
+    });
+
+    it('leaves out products without a valid step for their domain', () => {
+        expect(classify({ name: 'Mystery Item' })).toEqual({ domain: null, step: null, stepLabel: null, routines: [] });
+        expect(classify({ name: 'Vitamin C Serum' })).toEqual({ domain: null, step: null, stepLabel: null, routines: [] });
+        expect(classify({ name: 'Hair Sunscreen Spray', tags: ['haircare'] }).routines).toEqual([]);
+    });
+});
@@ -0,0 +1,57 @@
+import { deriveProductAttributes } from './productAttributes.js';
+
+// Chip answers that name no product: "Other" opens a free-text box, whose text is sent instead.
+const NOT_PRODUCTS = ['none of these', 'other'];
+
+// A product the user stopped after at least this long counts as "tried and didn't work".
+const FAILED_TRIAL_WEEKS = 8;
+
+const DURATION_WEEKS = {
+    '1 week': 1,
+    '2 weeks': 2,
+    '1 month': 4,
+    '3 months': 13,
+    '6 months': 26,
+    '1 year': 52,
+    '2 years': 104,
+    'more than 2 years': 156
+};
+
+/** Converts the duration chip labels ("3 Months", "1 Year"...) to weeks; null if unknown. */
+export const durationToWeeks = (duration) => {
+    if (!duration) return null;
+    return DURATION_WEEKS[String(duration).trim().toLowerCase()] ?? null;
+};
+
+/**
+ * Turns the raw past-usage answers into structured history with an outcome per product:
+ * - 'keep':  still using it, so it's tolerated and worth keeping.
+ * - 'avoid': stopped after a long enough trial, so it didn't work.
+ * - 'neutral': stopped early or duration unknown; no conclusion either way.
+ */
+export const normalizeProductUsage = (productUsage) => (Array.isArray(productUsage) ? productUsage : [])
+    .filter(p => p && typeof p.name === 'string' && p.name.trim() && !NOT_PRODUCTS.includes(p.name.trim().toLowerCase()))
+    .map(p => {
+        const durationWeeks = durationToWeeks(p.duration);
+        const currentlyUsing = typeof p.currentlyUsing === 'boolean' ? p.currentlyUsing : null;
+        let outcome = 'neutral';
+        if (currentlyUsing) outcome = 'keep';
+        else if (currentlyUsing === false && durationWeeks !== null && durationWeeks >= FAILED_TRIAL_WEEKS) outcome = 'avoid';
+        return { name: p.name.trim(), currentlyUsing, duration: p.duration || null, durationWeeks, outcome };
+    });
+
+/**
+ * Drops catalog products like the ones that failed for this user: the same routine step with a
+ * key ingredient in common. The answers are chip labels or typed names ("Vitamin C Serum"), not
+ * catalog names, so their step comes from `classify` (the catalog's classifier) and their
+ * ingredients from productAttributes.js. A failed product without a known active ("Rich
+ * Moisturizer") rules nothing out here; the prompt still tells the model about it.
+ */
+export const excludeFailedProducts = (catalog, productUsage, classify) => {
+    const failed = productUsage.filter(u => u.outcome === 'avoid').map(u => {
+        const product = { name: u.name, tags: ['skincare'], ...deriveProductAttributes({ name: u.name }) };
+        return { step: classify(product).step, keyIngredients: product.keyIngredients };
+    }).filter(f => f.step && f.keyIngredients.length > 0);
+    if (failed.length === 0) return catalog;
+    return catalog.filter(p => !failed.some(f => f.step === p.step && f.keyIngredients.some(i => (p.keyIngredients || []).includes(i))));
+};
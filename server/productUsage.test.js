@@ -0,0 +1,71 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, expect, it } from 'vitest';
+import { createProductClassifier } from './productClassification.js';
+import { deriveProductAttributes } from './productAttributes.js';
+import { durationToWeeks, excludeFailedProducts, normalizeProductUsage } from './productUsage.js';
+
+const configDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'config');
+const { classify } = createProductClassifier({ rulesPath: path.join(configDir, 'productClassification.json') });
+
+// Catalog products as server/catalog.js builds them: derived attributes plus classification.
+const product = (name, productType) => {
+    const withAttributes = { name, productType, tags: ['skincare'], ...deriveProductAttributes({ name }) };
+    return { ...withAttributes, ...classify(withAttributes) };
+};
+
+const catalog = [
+    product('Vitamin C 10% Brightening Serum', 'Serum'),
+    product('Niacinamide 10% + Zinc Serum', 'Serum'),
+    product('Salicylic Acid 2% Oil Control Face Wash', 'Face Wash'),
+    product('Gentle Hydrating Face Wash', 'Face Wash'),
+    product('Vitamin C Glow Moisturizer', 'Moisturizer')
+];
+
+const names = (products) => products.map(p => p.name);
+
+describe('durationToWeeks', () => {
+    it('reads the duration chips', () => {
+        expect(durationToWeeks('3 Months')).toBe(13);
+        expect(durationToWeeks('More than 2 years')).toBe(156);
+        expect(durationToWeeks('a while')).toBeNull();
+        expect(durationToWeeks(undefined)).toBeNull();
+    });
+});
+
+describe('normalizeProductUsage', () => {
+    it('works out an outcome for each product', () => {
+        const usage = normalizeProductUsage([
+            { name: 'Niacinamide Serum', currentlyUsing: true, duration: '1 Month' },
+            { name: 'Vitamin C Serum', currentlyUsing: false, duration: '6 Months' },
+            { name: 'Retinol Cream', currentlyUsing: false, duration: '2 Weeks' },
+            { name: 'Rich Moisturizer' }
+        ]);
+        expect(usage.map(u => u.outcome)).toEqual(['keep', 'avoid', 'neutral', 'neutral']);
+    });
+
+    it('ignores answers that name no product', () => {
+        expect(normalizeProductUsage([{ name: 'None of these' }, { name: 'Other' }, { name: ' ' }, null])).toEqual([]);
+        expect(normalizeProductUsage('Vitamin C Serum')).toEqual([]);
+    });
+});
+
+describe('excludeFailedProducts', () => {
+    const failed = (name) => normalizeProductUsage([{ name, currentlyUsing: false, duration: '6 Months' }]);
+
+    it('drops catalog products of the same step with the same key ingredient', () => {
+        expect(names(excludeFailedProducts(catalog, failed('Vitamin C Serum'), classify))).toEqual([
+            'Niacinamide 10% + Zinc Serum',
+            'Salicylic Acid 2% Oil Control Face Wash',
+            'Gentle Hydrating Face Wash',
+            'Vitamin C Glow Moisturizer'
+        ]);
+        expect(names(excludeFailedProducts(catalog, failed('Salicylic Acid Cleanser'), classify))).not.toContain('Salicylic Acid 2% Oil Control Face Wash');
+    });
+
+    it('keeps everything for products without a known active or that are still used', () => {
+        expect(excludeFailedProducts(catalog, failed('Gentle Hydrating Cleanser'), classify)).toEqual(catalog);
+        const stillUsed = normalizeProductUsage([{ name: 'Vitamin C Serum', currentlyUsing: true, duration: '6 Months' }]);
+        expect(excludeFailedProducts(catalog, stillUsed, classify)).toEqual(catalog);
+    });
+});
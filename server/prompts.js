@@ -0,0 +1,431 @@
+/**
+ * Single source for every model prompt and response schema used by the API.
+ * The browser no longer talks to the model directly, so nothing else should
+ * define prompt text or schemas.
+ */
+
+import { DEFAULT_LANGUAGE, LANGUAGES } from './languages.js';
+
+// Part of every response-cache key (server/responseCache.js). Bump it whenever a prompt or schema
+// changes meaning, so answers to the old prompt are not served again.
+export const PROMPT_VERSION = 2;
+
+export const SchemaType = {
+    STRING: 'string',
+    NUMBER: 'number',
+    BOOLEAN: 'boolean',
+    OBJECT: 'object',
+    ARRAY: 'array'
+};
+
+// --- Shared schema fragments ---
+
+const boundingBoxSchema = {
+    type: SchemaType.OBJECT,
+    properties: {
+        imageId: { type: SchemaType.NUMBER },
+        box: {
+            type: SchemaType.OBJECT,
+            properties: { x1: { type: SchemaType.NUMBER }, y1: { type: SchemaType.NUMBER }, x2: { type: SchemaType.NUMBER }, y2: { type: SchemaType.NUMBER } },
+            required: ["x1", "y1", "x2", "y2"]
+        }
+    },
+    required: ["imageId", "box"]
+};
+
+const conditionCategorySchema = {
+    type: SchemaType.OBJECT,
+    properties: {
+        category: { type: SchemaType.STRING, description: "Dynamic category name based on finding." },
+        conditions: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    name: { type: SchemaType.STRING, description: "Specific condition name." },
+                    confidence: { type: SchemaType.NUMBER, description: "Confidence 0-100." },
+                    location: { type: SchemaType.STRING, description: "Location on the face, scalp or hair." },
+                    description: { type: SchemaType.STRING, description: "One-sentence description of the problem." },
+                    boundingBoxes: { type: SchemaType.ARRAY, items: boundingBoxSchema }
+                },
+                required: ["name", "confidence", "location", "description", "boundingBoxes"]
+            }
+        }
+    },
+    required: ["category", "conditions"]
+};
+
+const routineProductSchema = {
+    type: SchemaType.OBJECT,
+    properties: {
+        stepType: { type: SchemaType.STRING, description: "The catalog step key the product is listed under, e.g. cleanser, serum, shampoo." },
+        productId: { type: SchemaType.STRING, description: "The exact variantId from the product catalog." },
+        name: { type: SchemaType.STRING, description: "Name of the product" },
+        reason: { type: SchemaType.STRING, description: "Why this product suits this user (max 10 words)." },
+        recommendationType: { type: SchemaType.STRING, enum: ["Recommended", "Alternative"] },
+        when: { type: SchemaType.STRING },
+        howToUse: { type: SchemaType.STRING },
+        frequency: { type: SchemaType.STRING },
+        duration: { type: SchemaType.STRING }
+    },
+    required: ["stepType", "productId", "name", "reason", "recommendationType", "when", "howToUse", "frequency", "duration"]
+};
+
+// --- Response schemas ---
+
+// Skin and hair share one shape: `error` is "irrelevant_image" when the photos can't be assessed.
+const analysisResponseSchema = {
+    type: SchemaType.OBJECT,
+    properties: {
+        analysis: { type: SchemaType.ARRAY, nullable: true, items: conditionCategorySchema },
+        error: { type: SchemaType.STRING, nullable: true },
+        message: { type: SchemaType.STRING, nullable: true }
+    },
+    required: ["analysis"]
+};
+
+export const skinAnalysisSchema = analysisResponseSchema;
+
+export const hairAnalysisSchema = analysisResponseSchema;
+
+export const routineSchema = {
+    type: SchemaType.OBJECT,
+    properties: {
+        am: { type: SchemaType.ARRAY, items: routineProductSchema },
+        pm: { type: SchemaType.ARRAY, items: routineProductSchema }
+    },
+    required: ["am", "pm"]
+};
+
+/** routineSchema with stepType restricted to the steps present in the (classified) catalog. */
+export const routineSchemaForCatalog = (catalog) => {
+    const steps = [...new Set(catalog.map(p => p.step).filter(Boolean))];
+    if (steps.length === 0) return routineSchema;
+    const items = {
+        ...routineProductSchema,
+        properties: { ...routineProductSchema.properties, stepType: { ...routineProductSchema.properties.stepType, enum: steps } }
+    };
+    return { ...routineSchema, properties: { am: { type: SchemaType.ARRAY, items }, pm: { type: SchemaType.ARRAY, items } } };
+};
+
+// --- Helpers ---
+
+/** Compact "Category: Condition (80%), ..." summary used as recommender input. */
+export const summarizeAnalysis = (analysis) => (analysis || []).map(cat =>
+    `${cat.category}: ${(cat.conditions || []).map(c => `${c.name} (${Math.round(c.confidence)}%)`).join(', ')}`
+).join('; ');
+
+const describeUsage = (usage) => {
+    const status = usage.currentlyUsing === null ? 'usage status unknown' : usage.currentlyUsing ? 'still using' : 'stopped';
+    const duration = usage.duration ? `, used for ${usage.duration}` : '';
+    const verdict = { keep: 'WORKING - keep', avoid: 'FAILED after a long trial - avoid', neutral: 'inconclusive' }[usage.outcome];
+    return `- ${usage.name} (${status}${duration}) => ${verdict}`;
+};
+
+/** Past-usage block for the skincare prompt; `productUsage` is normalizeProductUsage() output. */
+const productUsageForPrompt = (productUsage) => (productUsage || []).length > 0
+    ? productUsage.map(describeUsage).join('\n    ')
+    : 'None reported';
+
+/** Catalog grouped by routine step ({ cleanser: [...], serum: [...] }), so each step only offers valid products. */
+const catalogForPrompt = (catalog) => {
+    const byStep = {};
+    catalog.forEach(p => {
+        (byStep[p.step || 'other'] ||= []).push({
+            id: p.variantId,
+            name: p.name,
+            tags: p.tags,
+            ...(p.keyIngredients?.length ? { keyIngredients: p.keyIngredients } : {}),
+            ...(p.suitableFor?.length ? { suitableFor: p.suitableFor } : {})
+        });
+    });
+    return JSON.stringify(byStep);
+};
+
+// What each guided-camera angle shows (components/CameraCapture.tsx sequences).
+const CAPTURE_ANGLE_VIEWS = {
+    front: 'front view of the face',
+    left: "left profile: the person's LEFT side of the face faces the camera",
+    right: "right profile: the person's RIGHT side of the face faces the camera",
+    hairline: 'hairline and temples, from the front with the hair pulled back',
+    crown: 'crown (vertex) of the head, from above',
+    part: 'centre part line, from above'
+};
+
+export const CAPTURE_ANGLES = Object.keys(CAPTURE_ANGLE_VIEWS);
+
+/**
+ * Analysis request parts: every image is preceded by an "Image N (view)" label so the model
+ * can tie locations and bounding boxes to the right photo. `angles` runs parallel to the images.
+ */
+export const labeledImageParts = (imageParts, angles = []) => imageParts.flatMap((part, i) => [
+    { text: `Image ${i}${angles[i] ? ` - ${CAPTURE_ANGLE_VIEWS[angles[i]]}` : ''}:` },
+    part
+]);
+
+/**
+ * Output-language rule for prompts whose text the user reads; empty for English. `fields` says
+ * what to translate. Names stay in English so they still match the catalog and triage rules.
+ */
+const languageRule = (language, fields) => (!language || language === DEFAULT_LANGUAGE ? '' : `
+
+    **LANGUAGE:** Write ${fields} in ${LANGUAGES[language].name}, using its native script. Keep product names, condition names, ingredient names and every JSON key, id and enum value exactly as given, in English.`);
+
+const IMAGE_VIEW_RULES = `**IMAGE VIEWS:**
+    Each image is preceded by a label "Image N" (N starts at 0), followed by the view it shows when known.
+    - Use N as the boundingBoxes imageId, and draw each box on the image where the condition is visible, in that image's coordinates.
+    - If a condition is visible in several images, add a box for each of them.
+    - Name locations from the person's own perspective, using the view to orient yourself (e.g. the cheek visible in a left-profile image is the "Left Cheek").`;
+
+// --- Prompts ---
+
+// Analyses stay in English (triage matches their names and descriptions); only the
+// irrelevant-image message is for the user.
+export const buildSkinAnalysisPrompt = ({ language } = {}) => `You are an expert dermatologist. Analyze these facial images VERY CAREFULLY and detect ALL visible skin conditions.
+
+    **IMAGE CHECK:**
+    First, make sure the images clearly show human facial skin. If they don't (objects, animals, scenery, or too dark or blurry to assess), return "analysis": null, "error": "irrelevant_image" and a one-sentence "message" telling the user what to photograph instead.
+
+    ${IMAGE_VIEW_RULES}
+
+    **CRITICAL INSTRUCTIONS:**
+    1. Look at EVERY visible area of the skin - forehead, cheeks, nose, chin, temples, jaw.
+    2. Detect EVERYTHING visible - even minor issues count.
+    3. Do NOT skip or miss any visible skin problems.
+    4. Provide accurate bounding boxes for EVERY condition you detect.
+
+    **Conditions to look for (be thorough):**
+    - Acne, pustules, comedones, whiteheads, blackheads, pimples
+    - Redness, inflammation, irritation, rosacea
+    - Wrinkles, fine lines, crow's feet, forehead lines
+    - Dark circles, under-eye bags, puffiness
+    - Dark spots, hyperpigmentation, sun spots, melasma
+    - Texture issues, rough patches, bumps, enlarged pores
+    - Dryness, flakiness, dehydration, dry patches
+    - Oiliness, shine, sebum buildup
+    - Scarring, post-acne marks, depressed scars
+    - Uneven skin tone, patches of different color
+    - Other visible conditions (BUT EXCLUDE normal facial hair)
+
+    **EXCLUSIONS (Do NOT report these as conditions):**
+    - Normal facial hair, beard, mustache, stubble.
+    - Do NOT tag "Facial Hair" or "Stubble" as a skin condition unless it is specifically folliculitis or ingrown hairs.
+
+    **For EACH condition you find:**
+    1. Create a descriptive name (e.g., "Acne Pustules", "Deep Forehead Wrinkles", "Dark Spots on Cheeks")
+    2. Rate confidence 0-100 (how sure are you)
+    3. Specify exact location (Forehead, Left Cheek, Right Cheek, Nose, Chin, Under Eyes, Temple, Jaw, etc.)
+    4. MANDATORY: A very short, one-sentence description of the problem.
+    5. MANDATORY: Draw a bounding box around EVERY visible instance using normalized coordinates (0.0-1.0)
+       - x1, y1 = top-left corner
+       - x2, y2 = bottom-right corner
+       - Example: if acne is on left cheek, draw box around that area
+
+    **Grouping Strategy:**
+    - Group similar conditions into categories (e.g., "Acne & Blemishes", "Signs of Aging", "Pigmentation Issues", "Texture & Pores")
+    - Create new categories as needed based on what you see
+
+    Provide output in JSON format as { "analysis": [categories], "error": null }. Do NOT return empty arrays for boundingBoxes - every condition MUST have visible boxes.${languageRule(language, 'the "message" field only (categories, names, locations and descriptions stay in English)')}`;
+
+export const buildHairAnalysisPrompt = ({ language } = {}) => `You are an expert AI trichologist. Your task is to analyze images of a person's hair and scalp in detail.
+
+    ${IMAGE_VIEW_RULES}
+
+    **Step 1: Image Validity Check**
+    First, determine if the uploaded image(s) clearly show a human head, hair, or scalp.
+    - If images are NOT relevant (e.g., objects, flowers, blurry, unrecognizable), return a JSON object with "error": "irrelevant_image" and a one-sentence "message" telling the user what to photograph instead.
+    - If images ARE relevant, proceed to Step 2.
+
+    **Step 2: Detailed Analysis**
+    Analyze the relevant images for specific hair and scalp conditions.
+
+    **Reference List of Conditions to Detect:**
+    Use these specific medical/cosmetic terms where applicable, but rely on your vision.
+
+    1. **Hair Loss Types:**
+       - **Androgenetic Alopecia:** Look for receding hairline (M-shape) or vertex thinning in men; widening part line or diffuse thinning in women.
+       - **Telogen Effluvium:** General diffuse thinning without distinct bald patches.
+       - **Alopecia Areata:** Distinct, round, smooth bald patches.
+       - **Traction Alopecia:** Hair loss along the hairline due to tension.
+       - **Cicatricial Alopecia:** Signs of scarring or inflammation associated with hair loss.
+
+    2. **Scalp Conditions:**
+       - **Seborrheic Dermatitis:** Redness, greasy yellow scales/flakes.
+       - **Pityriasis Capitis (Dandruff):** Dry, white flakes, non-inflamed.
+       - **Folliculitis:** Red, inflamed bumps around hair follicles.
+       - **Psoriasis:** Thick, silvery scales on red patches.
+
+    3. **Hair Shaft & Quality:**
+       - **Trichorrhexis Nodosa / Breakage:** Visible snapping or white nodes on the hair shaft.
+       - **Split Ends:** Fraying at the tips.
+       - **Frizz / Dryness:** Lack of definition, rough texture.
+
+    **Dynamic Categorization Strategy:**
+    - Group your findings dynamically based on what you detect (e.g., "Hair Loss Patterns", "Scalp Health", "Hair Quality").
+    - **Male vs Female:** Explicitly look for gender-specific patterns (e.g., Receding Hairline vs Widening Part) and name them accordingly.
+
+    **Output Requirements for each Condition:**
+    1. **Name:** Use specific terms from the reference list above (e.g., "Androgenetic Alopecia (Stage 2)", "Severe Dandruff", "Receding Hairline").
+    2. **Confidence:** 0-100 score.
+    3. **Location:** Specific area (e.g., "Left Temple", "Crown", "Nape", "Part Line").
+    4. **Description:** A very short, one-sentence description of the problem.
+    5. **Bounding Boxes:**
+       - **MANDATORY VISUALIZATION TASK:** If you detect any Hair Loss (including Receding Hairline, Thinning, or Alopecia), you **MUST** return a bounding box.
+       - Draw the box around the entire receding area or bald spot.
+       - Use normalized coordinates (0.0 - 1.0).
+       - Do NOT return empty bounding boxes for visible conditions.
+
+    Provide the output strictly in JSON format according to the provided schema.${languageRule(language, 'the "message" field only (categories, names, locations and descriptions stay in English)')}`;
+
+const ROUTINE_TEXT_FIELDS = '"reason", "when", "howToUse", "frequency" and "duration"';
+
+// The products of the session's other routine (skin or hair), for combined sessions; nothing otherwise.
+const otherRoutineForPrompt = (otherRoutine) => (otherRoutine?.length
+    ? `\n    - **ALREADY IN THEIR OTHER ROUTINE:** ${otherRoutine.join(', ')} (do not repeat these; the steps they cover are left out of the catalog)`
+    : '');
+
+/**
+ * `avoidIngredients` are already removed from the catalog; `safetyRules` are the ingredient
+ * conflict rules (server/ingredientSafety.js promptRules), checked again after generation.
+ */
+export const buildSkinRoutinePrompt = ({ analysis, goals, productUsage, catalog, avoidIngredients, safetyRules, otherRoutine, language }) => `
+    **ROLE:** Expert AI Dermatologist for "Dermatics India".
+    **TASK:** Create a highly effective, personalized skincare routine (Morning & Evening) based on the user's specific analysis and goals.
+
+    **INPUT DATA:**
+    - **USER ANALYSIS (Conditions Detected):** ${summarizeAnalysis(analysis) || 'None provided'}
+    - **USER GOALS:** ${(goals || []).join(', ') || 'None provided'}${otherRoutineForPrompt(otherRoutine)}
+    - **PAST PRODUCT USAGE:**
+    ${productUsageForPrompt(productUsage)}
+
+    **PRODUCT CATALOG:**
+    ${catalogForPrompt(catalog)}
+
+    **MEDICAL LOGIC:**
+    1. AM Routine: Focus on Gentle Cleansing + Antioxidants (e.g. Vit C) + Hydration + Sun Protection.
+    2. PM Routine: Focus on Deep Cleansing + Treatments (Actives like Retinol/Exfoliants) + Repair/Moisturize.
+    3. Match the single best product for each step using only the catalog.
+    4. For each step, you can recommend one "Recommended" product and optionally one "Alternative" product if suitable.
+    5. MANDATORY: For each product, provide a short "reason" (max 10 words) explaining why it's recommended for this specific user.
+    6. For EACH product, suggest:
+       - **When:** (e.g., "Morning", "Night")
+       - **How to Use:** (e.g., "Apply to wet face, massage for 30s, rinse")
+       - **Frequency:** (e.g., "Once daily", "Twice daily", "3-4 times per week")
+       - **Duration:** (e.g., "Ongoing", "8-12 weeks", "Until resolved")
+    7. Use the PAST PRODUCT USAGE:
+       - "avoid": do NOT recommend catalog products of the same type with the same key active; pick a different active for that step.
+       - "keep": keep an equivalent catalog product (same type and active) in the routine if one exists.
+       - When a usage entry changed a pick, say so in that product's "reason" (e.g. "Replaces niacinamide serum that didn't help after 6 months").
+    8. Ingredient safety:
+       ${[
+           ...(avoidIngredients?.length ? [`- Never recommend ${avoidIngredients.join(', ')} for this user (ruled out by their health answers).`] : []),
+           ...(safetyRules || []).map(rule => `- ${rule}`)
+       ].join('\n       ') || '- No extra restrictions.'}
+
+    **CONSTRAINTS:**
+    - Return the exact 'productId' (which is the variantId in the catalog).
+    - The catalog is grouped by routine step. Set 'stepType' to the step key a product is listed under; never use a product for a different step.
+    - No hallucinations. If no product fits, skip that step.
+    - Set 'recommendationType' to either "Recommended" or "Alternative".
+    - Return JSON format only.${languageRule(language, ROUTINE_TEXT_FIELDS)}`;
+
+/**
+ * `profile` is the questionnaire answers as readable lines (see server/hairQuestionnaire.js
+ * describeProfile); `avoidIngredients` (from the questionnaire and the safety answers) are already
+ * removed from the catalog.
+ */
+export const buildHairRoutinePrompt = ({ analysis, profile, avoidIngredients, goals, catalog, otherRoutine, language }) => `
+    **ROLE:** Expert AI Trichologist for "Dermatics India".
+    **TASK:** Create a clinical-grade hair care routine based on the provided analysis.
+
+    **INPUT DATA:**
+    - **ANALYSIS:** ${summarizeAnalysis(analysis) || 'None'}
+    - **GOALS:** ${(goals || []).join(', ') || 'None provided'}${otherRoutineForPrompt(otherRoutine)}
+    - **QUESTIONNAIRE:**
+      ${(profile || []).map(line => `- ${line}`).join('\n      ') || 'Not answered'}
+
+    **PRODUCT CATALOG:** ${catalogForPrompt(catalog)}
+
+    **MEDICAL LOGIC:**
+    1. Identify issues (e.g., Pattern Baldness, Dandruff, Damage).
+    2. Prescribe ingredients:
+       - **Hair Loss:** Minoxidil, Redensyl, Procapil, Capixyl, Anagain, Saw Palmetto, Biotin.
+       - **Dandruff:** Ketoconazole, Zinc Pyrithione (ZPTO), Piroctone Olamine, Salicylic Acid, Coal Tar.
+       - **Damage/Frizz:** Keratin, Argan Oil, Shea Butter, Silk Protein.
+    3. Use the questionnaire to weigh the causes:
+       - Family history with hairline/crown loss points to pattern baldness; long-standing loss needs stronger actives.
+       - Recent illness, weight change, new medication, high stress, poor sleep or low energy point to shedding (telogen effluvium): add supplements and mention the trigger in the reason.
+       - Chemical treatments or breakage point to damage: prioritise repair and conditioning.
+       - Post-pregnancy or menopause loss is hormonal: prefer gentle, well-tolerated actives.
+       ${avoidIngredients?.length ? `- Never recommend ${avoidIngredients.join(', ')} for this user (ruled out by their health answers).` : ''}
+    4. Match the most potent product for each step using only the catalog.
+    5. For each step, you can recommend one "Recommended" product and optionally one "Alternative" product if suitable.
+    6. MANDATORY: For each product, provide a short "reason" (max 10 words) explaining why it's recommended for this specific user.
+    7. For EACH product, suggest:
+       - **When:** (e.g., "Morning", "Night", "During bath")
+       - **How to Use:** (e.g., "Apply to wet scalp, massage gently for 1-2 minutes, then rinse thoroughly")
+       - **Frequency:** (e.g., "3-4 times per week", "Once daily", "Twice daily")
+       - **Duration:** (e.g., "Ongoing", "12-16 weeks", "Until resolved")
+
+    **CONSTRAINTS:**
+    - Return the exact 'productId' (which is the variantId in the catalog).
+    - The catalog is grouped by routine step. Set 'stepType' to the step key a product is listed under; never use a product for a different step.
+    - No hallucinations. If no product fits, skip that step.
+    - Set 'recommendationType' to either "Recommended" or "Alternative".
+    - Return JSON format only.${languageRule(language, ROUTINE_TEXT_FIELDS)}`;
+
+/** Follow-up to a routine prompt whose answer failed validation (see server/routineValidator.js). */
+export const buildRoutineRepairPrompt = ({ originalPrompt, previous, problems }) => `${originalPrompt}
+
+    **YOUR PREVIOUS ANSWER:**
+    ${JSON.stringify(previous)}
+
+    **PROBLEMS TO FIX:**
+    ${problems.map(problem => `- ${problem}`).join('\n    ')}
+
+    Return the complete corrected routine (both "am" and "pm"), keeping every valid product from the previous answer.`;
+
+export const buildDoctorReportPrompt = ({ analysis, type, language }) => `You are a senior dermatologist/trichologist. Based on this ${type} analysis: ${JSON.stringify(analysis)},
+    generate a professional medical report summary. Include Clinical Observations and Professional Recommendations.
+    Format it neatly.${languageRule(language, 'the whole summary')}`;
+
+// Chat history sent back to the model: the last CHAT_HISTORY_LIMIT turns, each capped in length.
+export const CHAT_HISTORY_LIMIT = 12;
+const CHAT_TURN_MAX_CHARS = 2000;
+
+export const buildChatSystemPrompt = ({ context, language }) => `You are the Lead Aesthetic & Scalp Consultant at Dermatics AI, powered by Dermatics India.
+    Your goal is to provide professional, empathetic, and scientifically-grounded advice.
+
+    **USER DATA:**
+    ${JSON.stringify(context)}
+
+    **GUIDELINES:**
+    1. **Tone**: Be professional, warm, and authoritative. Use "we" to represent Dermatics.
+    2. **Structure**:
+       - Start with a brief, friendly acknowledgement.
+       - Use ### Headings for different sections.
+       - Use * Bullet points for lists.
+       - Use **bold text** for important keywords, product names, or skin/hair conditions.
+    3. **Expertise**: Synthesize their analysis data with the products we've recommended.
+    4. **Safety**: If a condition looks severe or requires medical intervention (e.g. deep scarring, severe hair loss), always advise booking a consultation with our in-house dermatologists.
+    5. **Conciseness**: Keep responses under 150 words. Avoid generic fluff.
+    6. **Conversation**: This is an ongoing chat. Read short follow-ups (e.g. "and at night?") in the context of the previous messages, and don't repeat advice you already gave.
+
+    Answer directly and professionally.${languageRule(language, 'every reply, whatever language the user writes in')}`;
+
+/**
+ * Multi-turn `contents` for the chat: prior turns ([{ role: 'user' | 'assistant', content }],
+ * oldest first, bounded by CHAT_HISTORY_LIMIT) followed by the new question.
+ */
+export const buildChatContents = ({ history, query }) => {
+    const turns = (Array.isArray(history) ? history : [])
+        .filter(turn => turn && (turn.role === 'user' || turn.role === 'assistant') && typeof turn.content === 'string' && turn.content.trim())
+        .slice(-CHAT_HISTORY_LIMIT)
+        .map(turn => ({
+            role: turn.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: turn.content.slice(0, CHAT_TURN_MAX_CHARS) }]
+        }));
+    // Gemini expects the conversation to open with a user turn.
+    while (turns[0]?.role === 'model') turns.shift();
+    return [...turns, { role: 'user', parts: [{ text: query }] }];
+};
@@ -0,0 +1,75 @@
+import { GoogleGenAI } from '@google/genai';
+import { createKeyPool } from './keyPool.js';
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+// Token counts from a response's usageMetadata, or null when the response has none.
+const tokenUsage = (usageMetadata) => usageMetadata ? {
+    promptTokens: usageMetadata.promptTokenCount || 0,
+    outputTokens: usageMetadata.candidatesTokenCount || 0,
+    totalTokens: usageMetadata.totalTokenCount || 0
+} : null;
+
+/**
+ * Gemini-backed AI provider. Holds one client per API key in a round-robin pool
+ * (see keyPool.js) and fails over to the next key on errors a key switch can fix
+ * (invalid key, quota, 5xx). `onCall` is told about every attempt: { task, key, ok,
+ * durationMs, errorKind?, usage? }.
+ */
+export function createGeminiProvider({ apiKeys, model = DEFAULT_MODEL, cooldowns, onCall = () => {} }) {
+    const aiInstances = apiKeys.map(apiKey => new GoogleGenAI({ apiKey }));
+    const pool = createKeyPool({ size: aiInstances.length, cooldowns });
+
+    // Runs `call` with each usable client in turn until one succeeds or an error isn't retriable.
+    // Resolves to { result, index, startedAt } so the caller can report usage for the right key.
+    async function withFailover(task, call) {
+        const order = pool.order();
+        if (order.length === 0) {
+            throw new Error(`All ${aiInstances.length} API keys are cooling down. Try again in ${Math.ceil(pool.nextAvailableIn() / 1000)}s.`);
+        }
+        let lastError = null;
+        for (const index of order) {
+            const startedAt = Date.now();
+            try {
+                const result = await call(aiInstances[index]);
+                pool.succeeded(index);
+                return { result, index, startedAt };
+            } catch (error) {
+                lastError = error;
+                const errorKind = pool.failed(index, error);
+                onCall({ task, key: pool.label(index), ok: false, durationMs: Date.now() - startedAt, errorKind });
+                console.warn(`- WARN: API ${pool.label(index)} failed (${task || 'unknown task'}, ${errorKind}): ${error.message}`);
+                if (errorKind === 'request') throw error;
+            }
+        }
+        throw new Error(`All ${order.length} available API keys failed. Last error: ${lastError?.message || 'Unknown error'}`);
+    }
+
+    async function generateContent({ task, meta, ...params }) {
+        const { result, index, startedAt } = await withFailover(task, ai => ai.models.generateContent({ model, ...params }));
+        onCall({ task, key: pool.label(index), ok: true, durationMs: Date.now() - startedAt, usage: tokenUsage(result.usageMetadata) });
+        return result;
+    }
+
+    // Keys only fail over while opening the stream; an error mid-stream reaches the caller.
+    // Usage is reported once the stream ends (the last chunk carries the totals).
+    async function generateContentStream({ task, meta, ...params }) {
+        const { result: stream, index, startedAt } = await withFailover(task, ai => ai.models.generateContentStream({ model, ...params }));
+        const key = pool.label(index);
+        return (async function* () {
+            let usageMetadata = null;
+            try {
+                for await (const chunk of stream) {
+                    if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+                    if (chunk.text) yield chunk.text;
+                }
+            } catch (error) {
+                onCall({ task, key, ok: false, durationMs: Date.now() - startedAt, errorKind: 'stream' });
+                throw error;
+            }
+            onCall({ task, key, ok: true, durationMs: Date.now() - startedAt, usage: tokenUsage(usageMetadata) });
+        })();
+    }
+
+    return { name: 'gemini', model, generateContent, generateContentStream, keyStatus: pool.status };
+}
@@ -0,0 +1,47 @@
+import { createGeminiProvider } from './gemini.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * Picks the AI backend from the environment.
+ *
+ * AI_PROVIDER=gemini|mock selects one explicitly. Without it, Gemini is used when an
+ * API key is configured and the offline mock provider otherwise.
+ *
+ * Every provider exposes `generateContent({ task, meta, model?, contents, config })`,
+ * resolving to an object with a `text` field. `task` names the endpoint making the call
+ * and `meta` carries structured inputs (e.g. the catalog) that only the mock reads.
+ * `generateContentStream` takes the same arguments and resolves to an async iterable of
+ * text chunks. `keyStatus()` lists the API keys by label with their cooldowns.
+ *
+ * `onCall` receives every model call ({ task, key, ok, durationMs, errorKind?, usage? }) for metrics.
+ * AI_KEY_QUOTA_COOLDOWN_SECONDS sets how long a key rests after its first quota error (default 60).
+ */
+export function createAIProvider(env = process.env, { onCall } = {}) {
+    const rawApiKeys = env.GEMINI_API_KEY || env.API_KEY || env.VITE_API_KEY || '';
+    const apiKeys = rawApiKeys.split(',').map(key => key.trim()).filter(key => key);
+    const requested = (env.AI_PROVIDER || '').toLowerCase();
+
+    if (requested === 'mock') {
+        return createMockProvider({ onCall });
+    }
+
+    if (requested && requested !== 'gemini') {
+        throw new Error(`Unknown AI_PROVIDER '${env.AI_PROVIDER}'. Use 'gemini' or 'mock'.`);
+    }
+
+    if (apiKeys.length === 0) {
+        if (requested === 'gemini') {
+            throw new Error('AI_PROVIDER is gemini but no API Key found in .env or environment variables.');
+        }
+        console.warn('WARNING: No API Key found. Falling back to the offline mock AI provider.');
+        return createMockProvider({ onCall });
+    }
+
+    const quotaCooldownSeconds = Number(env.AI_KEY_QUOTA_COOLDOWN_SECONDS);
+    return createGeminiProvider({
+        apiKeys,
+        model: env.GEMINI_MODEL || undefined,
+        cooldowns: quotaCooldownSeconds > 0 ? { quota: quotaCooldownSeconds * 1000 } : undefined,
+        onCall
+    });
+}
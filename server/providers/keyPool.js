@@ -0,0 +1,89 @@
+// How long a key sits out after each kind of failure. A quota error that says when to retry
+// ("retryDelay") uses that instead, and repeated quota errors double the wait up to the maximum.
+const DEFAULT_COOLDOWNS = {
+    auth: 60 * 60 * 1000,
+    quota: 60 * 1000,
+    maxQuota: 15 * 60 * 1000
+};
+
+/**
+ * Sorts a failed call into what a key switch can do about it:
+ * 'auth' (key invalid or not allowed), 'quota' (rate or quota exhausted), 'server' (5xx; another
+ * key may get through) or 'request' (the request itself is bad; every key would fail the same way).
+ * Uses the HTTP status the SDK attaches, and the message for errors that carry none.
+ */
+export function classifyError(error) {
+    const status = Number(error?.status) || 0;
+    const message = String(error?.message || '').toLowerCase();
+    if (status === 401 || status === 403 || message.includes('api key not valid') || message.includes('permission_denied')) return 'auth';
+    if (status === 429 || message.includes('quota') || message.includes('resource_exhausted')) return 'quota';
+    if (status >= 500 || (!status && (message.includes('internal error') || message.includes('unavailable')))) return 'server';
+    return 'request';
+}
+
+// "retryDelay": "37s" in a quota error's details, in milliseconds.
+const retryDelayMs = (error) => {
+    const match = String(error?.message || '').match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+    return match ? Math.ceil(Number(match[1]) * 1000) : null;
+};
+
+/**
+ * Round-robin pool of API keys with cooldowns. Each call starts at the next key in turn and
+ * skips keys that are cooling down after an auth or quota error. Keys are only ever identified
+ * by their label ("key-1", ...), never by value.
+ */
+export function createKeyPool({ size, cooldowns = {}, now = Date.now }) {
+    const limits = { ...DEFAULT_COOLDOWNS, ...cooldowns };
+    const keys = Array.from({ length: size }, (_, i) => ({
+        index: i,
+        label: `key-${i + 1}`,
+        cooldownUntil: 0,
+        quotaStrikes: 0,
+        lastError: null
+    }));
+    let cursor = 0;
+
+    /** Indexes of the keys to try for one call, in order; empty when every key is cooling down. */
+    const order = () => {
+        const start = cursor;
+        cursor = (cursor + 1) % size;
+        const time = now();
+        return keys
+            .map((_, i) => keys[(start + i) % size])
+            .filter(key => key.cooldownUntil <= time)
+            .map(key => key.index);
+    };
+
+    const succeeded = (index) => {
+        keys[index].quotaStrikes = 0;
+    };
+
+    /** Records a failure and returns its kind (see classifyError). */
+    const failed = (index, error) => {
+        const key = keys[index];
+        const kind = classifyError(error);
+        key.lastError = { kind, message: String(error?.message || error).slice(0, 200), at: new Date(now()).toISOString() };
+        if (kind === 'auth') {
+            key.cooldownUntil = now() + limits.auth;
+        } else if (kind === 'quota') {
+            const backoff = Math.min(limits.quota * 2 ** key.quotaStrikes, limits.maxQuota);
+            key.quotaStrikes += 1;
+            key.cooldownUntil = now() + (retryDelayMs(error) ?? backoff);
+        }
+        return kind;
+    };
+
+    /** Milliseconds until the first cooling key is usable again (0 if one already is). */
+    const nextAvailableIn = () => Math.max(0, Math.min(...keys.map(key => key.cooldownUntil)) - now());
+
+    const status = () => keys.map(key => ({
+        key: key.label,
+        available: key.cooldownUntil <= now(),
+        cooldownUntil: key.cooldownUntil > now() ? new Date(key.cooldownUntil).toISOString() : null,
+        lastError: key.lastError
+    }));
+
+    const label = (index) => keys[index].label;
+
+    return { order, succeeded, failed, nextAvailableIn, status, label };
+}
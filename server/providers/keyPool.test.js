@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { classifyError, createKeyPool } from './keyPool.js';
+
+const clock = (start = 1_000_000) => {
+    let time = start;
+    return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+describe('classifyError', () => {
+    it('sorts failures by status, then by message', () => {
+        expect(classifyError({ status: 403 })).toBe('auth');
+        expect(classifyError(new Error('API key not valid. Please pass a valid API key.'))).toBe('auth');
+        expect(classifyError({ status: 429 })).toBe('quota');
+        expect(classifyError(new Error('RESOURCE_EXHAUSTED'))).toBe('quota');
+        expect(classifyError({ status: 503 })).toBe('server');
+        expect(classifyError(new Error('Service Unavailable'))).toBe('server');
+        expect(classifyError({ status: 400, message: 'Invalid argument' })).toBe('request');
+    });
+});
+
+describe('createKeyPool', () => {
+    it('starts each call at the next key in turn', () => {
+        const pool = createKeyPool({ size: 3 });
+        expect(pool.order()).toEqual([0, 1, 2]);
+        expect(pool.order()).toEqual([1, 2, 0]);
+        expect(pool.order()).toEqual([2, 0, 1]);
+        expect(pool.order()).toEqual([0, 1, 2]);
+    });
+
+    it('rests a key after an auth error', () => {
+        const { now, advance } = clock();
+        const pool = createKeyPool({ size: 2, cooldowns: { auth: 1000 }, now });
+        expect(pool.failed(0, { status: 401 })).toBe('auth');
+        expect(pool.order()).toEqual([1]);
+        expect(pool.status()[0]).toMatchObject({ key: 'key-1', available: false, lastError: { kind: 'auth' } });
+        advance(1000);
+        expect(pool.order()).toEqual([1, 0]);
+    });
+
+    it('doubles the quota cooldown on repeated errors up to the maximum, and resets it on success', () => {
+        const { now, advance } = clock();
+        const pool = createKeyPool({ size: 1, cooldowns: { quota: 1000, maxQuota: 3000 }, now });
+        const waits = [];
+        for (let i = 0; i < 3; i++) {
+            pool.failed(0, { status: 429 });
+            waits.push(pool.nextAvailableIn());
+            advance(pool.nextAvailableIn());
+        }
+        expect(waits).toEqual([1000, 2000, 3000]);
+        pool.succeeded(0);
+        pool.failed(0, { status: 429 });
+        expect(pool.nextAvailableIn()).toBe(1000);
+    });
+
+    it('uses the retry delay a quota error asks for', () => {
+        const { now } = clock();
+        const pool = createKeyPool({ size: 1, now });
+        pool.failed(0, new Error('429 quota exceeded {"retryDelay": "37s"}'));
+        expect(pool.nextAvailableIn()).toBe(37000);
+    });
+
+    it('keeps keys in the rotation after server and request errors', () => {
+        const pool = createKeyPool({ size: 2 });
+        expect(pool.failed(0, { status: 500 })).toBe('server');
+        expect(pool.failed(1, { status: 400 })).toBe('request');
+        expect(pool.order()).toEqual([0, 1]);
+        expect(pool.nextAvailableIn()).toBe(0);
+    });
+
+    it('names keys only by label', () => {
+        const pool = createKeyPool({ size: 2 });
+        expect(pool.label(1)).toBe('key-2');
+        expect(pool.status().map(s => s.key)).toEqual(['key-1', 'key-2']);
+    });
+});
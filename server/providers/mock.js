@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'mock');
+
+const readFixture = (fileName) => fs.readFileSync(path.join(fixturesDir, fileName), 'utf-8');
+
+// Routine slots the mock fills from the catalog, in order. Each slot takes products from the
+// first listed catalog step that still has unused products (see productClassification.json):
+// the first becomes "Recommended", the second "Alternative".
+const ROUTINE_STEPS = {
+    skin: {
+        am: [['cleanser'], ['serum'], ['moisturizer'], ['sunscreen']],
+        pm: [['cleanser'], ['treatment', 'serum'], ['moisturizer']]
+    },
+    hair: {
+        am: [['shampoo'], ['supplement']],
+        pm: [['treatment'], ['serum', 'oil']]
+    }
+};
+
+const buildRoutine = (domain, catalog = []) => {
+    const used = new Set();
+    const pickFor = (steps) => {
+        const step = steps.find(s => catalog.some(p => p.step === s && !used.has(p.id)));
+        const matches = catalog.filter(p => p.step === step && !used.has(p.id)).slice(0, 2);
+        matches.forEach(p => used.add(p.id));
+        return matches.map((p, i) => ({
+            productId: p.id,
+            name: p.name,
+            stepType: step,
+            reason: `Mock pick for the ${step} step.`,
+            recommendationType: i === 0 ? 'Recommended' : 'Alternative',
+            when: 'As directed',
+            howToUse: 'Apply as directed on the pack.',
+            frequency: 'Once daily',
+            duration: 'Ongoing'
+        }));
+    };
+    const steps = ROUTINE_STEPS[domain] || ROUTINE_STEPS.skin;
+    return {
+        am: steps.am.flatMap(pickFor),
+        pm: steps.pm.flatMap(pickFor)
+    };
+};
+
+const responders = {
+    'analyze-skin': () => readFixture('analyze-skin.json'),
+    'analyze-hair': () => readFixture('analyze-hair.json'),
+    'recommend-skin': (meta) => JSON.stringify(buildRoutine('skin', meta?.catalog)),
+    'recommend-hair': (meta) => JSON.stringify(buildRoutine('hair', meta?.catalog)),
+    'doctor-report': () => readFixture('doctor-report.txt'),
+    'chat': () => readFixture('chat.txt')
+};
+
+/**
+ * Offline AI provider. Returns deterministic, schema-valid fixture responses so the
+ * whole flow can run without an API key or network access. Calls are reported to
+ * `onCall` like Gemini's, under the key "mock" and without token usage.
+ */
+export function createMockProvider({ onCall = () => {} } = {}) {
+    const respondTo = ({ task, meta }) => {
+        const respond = responders[task];
+        if (!respond) {
+            throw new Error(`Mock provider has no fixture for task '${task}'.`);
+        }
+        return respond(meta);
+    };
+
+    async function generateContent(params) {
+        const text = respondTo(params);
+        onCall({ task: params.task, key: 'mock', ok: true, durationMs: 0, usage: null });
+        return { text };
+    }
+
+    // Replays the same fixture a few words at a time, like a streamed model reply.
+    async function generateContentStream(params) {
+        const startedAt = Date.now();
+        const chunks = respondTo(params).match(/(\S+\s*){1,4}/g) || [];
+        return (async function* () {
+            for (const chunk of chunks) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+                yield chunk;
+            }
+            onCall({ task: params.task, key: 'mock', ok: true, durationMs: Date.now() - startedAt, usage: null });
+        })();
+    }
+
+    return { name: 'mock', model: 'mock', generateContent, generateContentStream, keyStatus: () => [] };
+}
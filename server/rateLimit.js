@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+
+/**
+ * Fixed-window rate limiter middleware: at most `limit` requests per `windowMs` for each key
+ * `keyOf(req)` returns (requests it returns no key for are not limited). Over the limit,
+ * `onLimited(req, res, retryAfterSeconds)` answers instead of the route. Counters live in
+ * memory, so each server process limits on its own.
+ */
+export function createRateLimiter({ limit, windowMs = 60 * 1000, keyOf, onLimited, now = Date.now }) {
+    const windows = new Map();
+
+    // Drop finished windows now and then so one-off clients don't accumulate.
+    const sweep = setInterval(() => {
+        const time = now();
+        windows.forEach((window, key) => { if (window.resetAt <= time) windows.delete(key); });
+    }, windowMs);
+    sweep.unref();
+
+    return (req, res, next) => {
+        const key = keyOf(req);
+        if (!key || !(limit > 0)) return next();
+
+        const time = now();
+        let window = windows.get(key);
+        if (!window || window.resetAt <= time) {
+            window = { count: 0, resetAt: time + windowMs };
+            windows.set(key, window);
+        }
+        window.count += 1;
+
+        res.set('RateLimit-Limit', String(limit));
+        res.set('RateLimit-Remaining', String(Math.max(0, limit - window.count)));
+        if (window.count > limit) {
+            const retryAfterSeconds = Math.ceil((window.resetAt - time) / 1000);
+            res.set('Retry-After', String(retryAfterSeconds));
+            return onLimited(req, res, retryAfterSeconds);
+        }
+        next();
+    };
+}
+
+/**
+ * Session ids the server issues for the per-session limit: `<uuid>.<signature>`, HMAC-signed with
+ * `secret` so a client can't make up a fresh one to get a fresh allowance. The middleware sets
+ * `req.sessionId` when the X-Session-Id header carries a valid id; otherwise it leaves it null
+ * and answers with a new id in the X-Session-Id response header for the client to send from then on.
+ */
+export function createSessionIds({ secret }) {
+    const sign = (id) => crypto.createHmac('sha256', secret).update(id).digest('base64url');
+
+    const issue = () => {
+        const id = crypto.randomUUID();
+        return `${id}.${sign(id)}`;
+    };
+
+    /** The session id if it is one this server issued, null otherwise. */
+    function verify(value) {
+        const [id, signature, ...rest] = String(value || '').split('.');
+        if (rest.length > 0 || !id || !signature) return null;
+        const expected = Buffer.from(sign(id));
+        const given = Buffer.from(signature);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? value : null;
+    }
+
+    const middleware = (req, res, next) => {
+        req.sessionId = verify(req.get('x-session-id'));
+        if (!req.sessionId) res.set('X-Session-Id', issue());
+        next();
+    };
+
+    return { issue, verify, middleware };
+}
@@ -0,0 +1,96 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createRateLimiter, createSessionIds } from './rateLimit.js';
+
+const response = () => {
+    const headers = {};
+    return { headers, set: (name, value) => { headers[name] = value; } };
+};
+
+describe('createRateLimiter', () => {
+    it('lets `limit` requests per key through each window, then calls onLimited', () => {
+        let time = 0;
+        const onLimited = vi.fn();
+        const limiter = createRateLimiter({ limit: 2, windowMs: 10_000, keyOf: req => req.ip, onLimited, now: () => time });
+        const next = vi.fn();
+        const res = response();
+
+        limiter({ ip: 'a' }, res, next);
+        limiter({ ip: 'a' }, res, next);
+        expect(res.headers['RateLimit-Remaining']).toBe('0');
+        time = 2500;
+        limiter({ ip: 'a' }, res, next);
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(onLimited).toHaveBeenCalledWith({ ip: 'a' }, res, 8);
+        expect(res.headers['Retry-After']).toBe('8');
+
+        // Other keys have their own count, and a new window starts afresh.
+        limiter({ ip: 'b' }, response(), next);
+        time = 10_000;
+        limiter({ ip: 'a' }, response(), next);
+        expect(next).toHaveBeenCalledTimes(4);
+    });
+
+    it('does not limit requests without a key, or when the limit is 0', () => {
+        const onLimited = vi.fn();
+        const next = vi.fn();
+        const noKey = createRateLimiter({ limit: 1, keyOf: () => null, onLimited });
+        const off = createRateLimiter({ limit: 0, keyOf: req => req.ip, onLimited });
+        for (let i = 0; i < 3; i++) {
+            noKey({}, response(), next);
+            off({ ip: 'a' }, response(), next);
+        }
+        expect(next).toHaveBeenCalledTimes(6);
+        expect(onLimited).not.toHaveBeenCalled();
+    });
+});
+
+describe('createSessionIds', () => {
+    const request = (sessionId) => ({ get: name => (name === 'x-session-id' ? sessionId : undefined) });
+
+    it('accepts only ids it issued with the same secret', () => {
+        const sessionIds = createSessionIds({ secret: 'secret' });
+        const id = sessionIds.issue();
+        expect(sessionIds.verify(id)).toBe(id);
+        expect(sessionIds.verify(`${id.split('.')[0]}.forged`)).toBeNull();
+        expect(sessionIds.verify('3b241101-e2bb-4255-8caf-4136c566a962')).toBeNull();
+        expect(sessionIds.verify(undefined)).toBeNull();
+        expect(createSessionIds({ secret: 'other' }).verify(id)).toBeNull();
+    });
+
+    it('issues a new id to requests without a valid one', () => {
+        const { issue, middleware } = createSessionIds({ secret: 'secret' });
+        const id = issue();
+        const next = vi.fn();
+
+        const known = request(id);
+        const knownRes = response();
+        middleware(known, knownRes, next);
+        expect(known.sessionId).toBe(id);
+        expect(knownRes.headers['X-Session-Id']).toBeUndefined();
+
+        const madeUp = request('made-up-session');
+        const madeUpRes = response();
+        middleware(madeUp, madeUpRes, next);
+        expect(madeUp.sessionId).toBeNull();
+        expect(madeUpRes.headers['X-Session-Id']).toMatch(/^[0-9a-f-]{36}\./);
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('limits a session however the client changes its id', () => {
+        const { issue, middleware } = createSessionIds({ secret: 'secret' });
+        const onLimited = vi.fn();
+        const limiter = createRateLimiter({ limit: 2, keyOf: req => req.sessionId || `ip:${req.ip}`, onLimited });
+        const send = (sessionId) => {
+            const req = { ...request(sessionId), ip: 'a' };
+            middleware(req, response(), () => limiter(req, response(), () => {}));
+        };
+
+        // Made-up or missing ids share the IP's count; an issued id has its own.
+        send('made-up-1');
+        send('made-up-2');
+        send(undefined);
+        expect(onLimited).toHaveBeenCalledTimes(1);
+        send(issue());
+        expect(onLimited).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,328 @@
+import fs from 'fs';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+import { DEFAULT_LANGUAGE, LANGUAGES } from './languages.js';
+import { REPORT_STRINGS } from './reportStrings.js';
+
+const COLORS = {
+    brand: '#1e3a8a',
+    accent: '#1e40af',
+    text: '#1f2937',
+    muted: '#6b7280',
+    rule: '#d1d5db',
+    tableHeader: '#eff6ff',
+    alternative: '#9ca3af'
+};
+
+// Box colours per finding, cycled in analysis order (matches the in-app overlay's variety).
+const BOX_COLORS = ['#ef4444', '#f59e0b', '#3b82f6', '#10b981', '#8b5cf6', '#ec4899'];
+
+// Prescription table columns; widths add up to the A4 content width (595 - 2 * 50).
+const RX_COLUMNS = [
+    { key: 'step', width: 65 },
+    { key: 'name', width: 125 },
+    { key: 'when', width: 55 },
+    { key: 'howToUse', width: 135 },
+    { key: 'frequency', width: 60 },
+    { key: 'duration', width: 55 }
+];
+const CELL_PADDING = 4;
+
+// Font files per script (Noto Sans, regular and bold) for languages the standard fonts can't draw.
+const SCRIPT_FONTS = { hi: 'NotoSansDevanagari', mr: 'NotoSansDevanagari', ta: 'NotoSansTamil' };
+
+/**
+ * Finds the font files for each non-Latin report language in `dir` (e.g. NotoSansTamil-Regular.ttf
+ * and NotoSansTamil-Bold.ttf). Languages missing from the result are rendered in English.
+ *
+ * @param {string} dir
+ * @returns {Record<string, { regular: string, bold: string }>}
+ */
+export function findReportFonts(dir) {
+    const fonts = {};
+    Object.entries(SCRIPT_FONTS).forEach(([language, family]) => {
+        const regular = path.join(dir, `${family}-Regular.ttf`);
+        const bold = path.join(dir, `${family}-Bold.ttf`);
+        if (fs.existsSync(regular) && fs.existsSync(bold)) fonts[language] = { regular, bold };
+    });
+    return fonts;
+}
+
+/** Languages a report can be drawn in with these fonts. */
+export const reportLanguages = (fonts) => Object.keys(LANGUAGES).filter(code => !SCRIPT_FONTS[code] || fonts[code]);
+
+// Swap common typography for ASCII. The standard PDF fonts only cover Latin-1, so with them the
+// rest is dropped too.
+const cleanText = (latin1Only) => (value) => {
+    const text = String(value ?? '')
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/[–—]/g, '-')
+        .replace(/→/g, '->')
+        .replace(/₹/g, 'INR ');
+    return latin1Only ? text.replace(/[^\x09\x0a\x0d\x20-\x7e\xa0-\xff]/g, '') : text;
+};
+
+const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+
+/**
+ * Registers 'Body', 'Body-Bold' and 'Body-Italic' on `doc` for the language and returns the "pen"
+ * the drawing helpers use: the document, its text cleaner and the report strings.
+ */
+const createPen = (doc, language, fonts) => {
+    const files = fonts[language];
+    if (files) {
+        doc.registerFont('Body', files.regular);
+        doc.registerFont('Body-Bold', files.bold);
+        doc.registerFont('Body-Italic', files.regular); // the Indic Noto families have no italics
+    } else {
+        doc.registerFont('Body', 'Helvetica');
+        doc.registerFont('Body-Bold', 'Helvetica-Bold');
+        doc.registerFont('Body-Italic', 'Helvetica-Oblique');
+    }
+    return { doc, text: cleanText(!files), strings: REPORT_STRINGS[language] };
+};
+
+const decodeImage = (image) => {
+    if (typeof image !== 'string' || !image) return null;
+    return Buffer.from(image.replace(/^data:image\/[a-z]+;base64,/, ''), 'base64');
+};
+
+const sectionTitle = ({ doc, text }, title) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 80) doc.addPage();
+    doc.moveDown(1.2);
+    doc.font('Body-Bold').fontSize(14).fillColor(COLORS.text).text(text(title));
+    const y = doc.y + 2;
+    doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    doc.moveDown(0.6);
+};
+
+const bulletList = ({ doc, text }, items) => {
+    doc.font('Body').fontSize(10).fillColor(COLORS.text);
+    items.forEach(item => doc.text(`- ${text(item)}`, { indent: 6 }));
+};
+
+/** Draws the photo scaled into `maxWidth` x `maxHeight` with each finding's bounding boxes on top. */
+const annotatedPhoto = ({ doc, text }, imageBuffer, analysis, maxWidth, maxHeight) => {
+    let image;
+    try {
+        image = doc.openImage(imageBuffer);
+    } catch (error) {
+        console.warn(`- WARN: Report photo skipped (${error.message})`);
+        return;
+    }
+    const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const x = doc.page.margins.left + (maxWidth - width) / 2;
+    const y = doc.y;
+    doc.image(image, x, y, { width, height });
+
+    const legend = [];
+    analysis.flatMap(cat => cat.conditions || []).forEach((condition, index) => {
+        const boxes = (condition.boundingBoxes || []).filter(b => b.imageId === 0 && b.box);
+        if (boxes.length === 0) return;
+        const color = BOX_COLORS[legend.length % BOX_COLORS.length];
+        legend.push({ color, label: `${condition.name} (${Math.round(condition.confidence)}%)` });
+        boxes.forEach(({ box }) => {
+            doc.rect(x + box.x1 * width, y + box.y1 * height, (box.x2 - box.x1) * width, (box.y2 - box.y1) * height)
+                .lineWidth(2).strokeColor(color).stroke();
+        });
+    });
+
+    doc.y = y + height + 8;
+    legend.forEach(({ color, label }) => {
+        const rowY = doc.y;
+        doc.rect(doc.page.margins.left, rowY + 2, 8, 8).fillColor(color).fill();
+        doc.font('Body').fontSize(9).fillColor(COLORS.text).text(text(label), doc.page.margins.left + 14, rowY);
+    });
+    doc.x = doc.page.margins.left;
+};
+
+const tableRow = ({ doc, text }, cells, { bold = false, color = COLORS.text, fill = null } = {}) => {
+    const left = doc.page.margins.left;
+    doc.font(bold ? 'Body-Bold' : 'Body').fontSize(8.5);
+    const height = Math.max(...RX_COLUMNS.map(col => doc.heightOfString(text(cells[col.key]), { width: col.width - 2 * CELL_PADDING }))) + 2 * CELL_PADDING;
+    const totalWidth = RX_COLUMNS.reduce((sum, col) => sum + col.width, 0);
+    const y = doc.y;
+    if (fill) doc.rect(left, y, totalWidth, height).fillColor(fill).fill();
+    let x = left;
+    RX_COLUMNS.forEach(col => {
+        doc.fillColor(color).text(text(cells[col.key]), x + CELL_PADDING, y + CELL_PADDING, { width: col.width - 2 * CELL_PADDING });
+        x += col.width;
+    });
+    doc.moveTo(left, y + height).lineTo(left + totalWidth, y + height).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    doc.x = left;
+    doc.y = y + height;
+    return height;
+};
+
+/** One routine (AM or PM) as a table, repeating the header row after page breaks. */
+const prescriptionTable = (pen, title, products) => {
+    const { doc, text, strings } = pen;
+    // Keep the title and header row together with at least the first product.
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 100) doc.addPage();
+    doc.font('Body-Bold').fontSize(11).fillColor(COLORS.accent).text(text(title));
+    doc.moveDown(0.3);
+    if (products.length === 0) {
+        doc.font('Body').fontSize(10).fillColor(COLORS.muted).text(strings.noProducts);
+        return;
+    }
+    const header = strings.columns;
+    tableRow(pen, header, { bold: true, fill: COLORS.tableHeader });
+    products.forEach(p => {
+        const isAlternative = p.recommendationType === 'Alternative';
+        const cells = {
+            step: (p.tags || [])[0] || p.step || '',
+            name: isAlternative ? fill(strings.alternative, { name: p.name }) : p.name,
+            when: p.when || '',
+            howToUse: p.howToUse || strings.applyAsDirected,
+            frequency: p.frequency || '',
+            duration: p.duration || ''
+        };
+        // Measure first so a row never splits across pages.
+        doc.font('Body').fontSize(8.5);
+        const rowHeight = Math.max(...RX_COLUMNS.map(col => doc.heightOfString(text(cells[col.key]), { width: col.width - 2 * CELL_PADDING }))) + 2 * CELL_PADDING;
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            tableRow(pen, header, { bold: true, fill: COLORS.tableHeader });
+        }
+        tableRow(pen, cells, { color: isAlternative ? COLORS.alternative : COLORS.text });
+    });
+    doc.moveDown(0.8);
+};
+
+const addPageNumbers = ({ doc, text, strings }) => {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0; // writing inside the margin would otherwise add a page
+        doc.font('Body').fontSize(8).fillColor(COLORS.muted)
+            .text(text(fill(strings.footer, { page: i + 1, count })), doc.page.margins.left, doc.page.height - 30, {
+                width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+                align: 'center'
+            });
+        doc.page.margins.bottom = bottom;
+    }
+};
+
+/**
+ * Renders the personalized report as a PDF and resolves to its bytes. Everything is drawn
+ * locally (PDFKit's built-in fonts, or the script fonts from findReportFonts), so no network
+ * service is involved. A language without its fonts is rendered in English.
+ *
+ * @param {object} report
+ * @param {'skin'|'hair'} report.type
+ * @param {{ name?: string, age?: string }} [report.userInfo]
+ * @param {Array} report.analysis        condition categories (with bounding boxes)
+ * @param {Array} report.recommendations [{ category: 'Morning Routine' | 'Evening Routine', products }]
+ * @param {string[]} [report.goals]
+ * @param {string} [report.image]        base64 JPEG/PNG of the first analyzed photo
+ * @param {Array} [report.safetyNotes]  ingredient safety warnings (server/ingredientSafety.js check)
+ * @param {Array} [report.otherAssessments] the other assessment of a combined skin-and-hair session,
+ *                                        with the same fields from `type` to `safetyNotes`
+ * @param {string} [report.summary]      the AI doctor's summary, when requested
+ * @param {string} [report.language]     language code (server/languages.js)
+ * @param {Record<string, { regular: string, bold: string }>} [fonts] from findReportFonts
+ * @returns {Promise<Buffer>}
+ */
+export function renderReportPdf({ type, userInfo = {}, analysis = [], recommendations = [], goals = [], image, safetyNotes = [], otherAssessments = [], summary, language = DEFAULT_LANGUAGE }, fonts = {}) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: 'Dermatics Personalized Plan', Author: 'Dermatics India' } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const reportLanguage = reportLanguages(fonts).includes(language) ? language : DEFAULT_LANGUAGE;
+        const pen = createPen(doc, reportLanguage, fonts);
+        const { text, strings } = pen;
+        // One section per assessment; a combined session has a skin and a hair section.
+        const sections = [{ type, analysis, recommendations, goals, image, safetyNotes }, ...otherAssessments]
+            .map(section => ({ ...section, isHair: section.type === 'hair' }));
+        const combined = sections.length > 1;
+        const firstName = userInfo.name ? userInfo.name.split(' ')[0] : strings.defaultName;
+        const mainConcern = combined
+            ? strings.concernBoth
+            : analysis.length > 0 ? analysis[0].category : (sections[0].isHair ? strings.concernHair : strings.concernSkin);
+
+        // Header
+        doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.brand).text('DERMATICS INDIA', { align: 'center' });
+        doc.font('Body').fontSize(9).fillColor(COLORS.muted).text(text(strings.subtitle), { align: 'center' });
+        doc.moveDown(0.8);
+        doc.font('Body-Bold').fontSize(16).fillColor(COLORS.text).text(text(fill(strings.planTitle, { name: firstName, concern: mainConcern })), { align: 'center' });
+        doc.font('Body').fontSize(9).fillColor(COLORS.muted)
+            .text(text([
+                userInfo.name && fill(strings.patient, { name: userInfo.name }),
+                userInfo.age && fill(strings.age, { age: userInfo.age }),
+                fill(strings.generated, { date: new Date().toLocaleDateString(LANGUAGES[reportLanguage].locale) })
+            ].filter(Boolean).join('   |   ')), { align: 'center' });
+
+        sections.forEach(section => {
+            // Findings
+            sectionTitle(pen, section.isHair ? strings.findingsHair : strings.findingsSkin);
+            const imageBuffer = decodeImage(section.image);
+            if (imageBuffer) {
+                annotatedPhoto(pen, imageBuffer, section.analysis, 495, 260);
+                doc.moveDown(0.6);
+            }
+            if (section.analysis.length === 0) {
+                doc.font('Body').fontSize(10).fillColor(COLORS.text).text(text(strings.noConditions));
+            }
+            section.analysis.forEach(cat => {
+                doc.font('Body-Bold').fontSize(11).fillColor(COLORS.text).text(text(cat.category));
+                (cat.conditions || []).forEach(c => {
+                    doc.font('Body-Bold').fontSize(10).text(text(`- ${c.name}`), { continued: true })
+                        .font('Body').text(text(` (${Math.round(c.confidence)}%) - ${c.location}`));
+                    if (c.description) doc.fontSize(9).fillColor(COLORS.muted).text(text(c.description), { indent: 10 }).fillColor(COLORS.text);
+                });
+                doc.moveDown(0.4);
+            });
+
+            // Goals
+            sectionTitle(pen, section.isHair ? strings.goalsHair : strings.goalsSkin);
+            bulletList(pen, section.goals.length > 0 ? section.goals : [section.isHair ? strings.defaultGoalHair : strings.defaultGoalSkin]);
+        });
+
+        if (summary) {
+            sectionTitle(pen, strings.doctorSummary);
+            doc.font('Body').fontSize(10).fillColor(COLORS.text)
+                .text(text(summary.replace(/\*\*/g, '').replace(/^#+\s*/gm, '').replace(/^\s*[*-]\s+/gm, '- ')), { lineGap: 2 });
+        }
+
+        // Prescription
+        sectionTitle(pen, strings.prescription);
+        sections.forEach(section => {
+            if (combined) {
+                doc.font('Body-Bold').fontSize(12).fillColor(COLORS.brand).text(text(section.isHair ? strings.concernHair : strings.concernSkin));
+                doc.moveDown(0.3);
+            }
+            prescriptionTable(pen, strings.amRoutine, section.recommendations.find(r => r.category === 'Morning Routine')?.products || []);
+            prescriptionTable(pen, strings.pmRoutine, section.recommendations.find(r => r.category === 'Evening Routine')?.products || []);
+        });
+        const notes = sections.flatMap(section => section.safetyNotes);
+        if (notes.length > 0) {
+            sectionTitle(pen, strings.safetyNotes);
+            bulletList(pen, notes.map(note => (note.products.length > 0 ? `${note.message} (${note.products.join(', ')})` : note.message)));
+        }
+
+        // Advice
+        const ingredients = [...new Set(sections.flatMap(section => section.recommendations).flatMap(r => (r.products || [])
+            .filter(p => p.recommendationType !== 'Alternative')
+            .flatMap(p => p.keyIngredients || [])))];
+        if (ingredients.length > 0) {
+            sectionTitle(pen, strings.keyIngredients);
+            bulletList(pen, ingredients);
+        }
+        sectionTitle(pen, strings.lifestyleTips);
+        bulletList(pen, [...new Set(sections.flatMap(section => strings.tips[section.isHair ? 'hair' : 'skin']))]);
+
+        // Disclaimer
+        doc.moveDown(1.5);
+        doc.font('Body-Italic').fontSize(8.5).fillColor(COLORS.muted).text(text(strings.disclaimer));
+
+        addPageNumbers(pen);
+        doc.end();
+    });
+}
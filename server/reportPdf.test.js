@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { renderReportPdf, reportLanguages } from './reportPdf.js';
+
+const analysis = [{ category: 'Acne', conditions: [{ name: 'Pustules', confidence: 80, location: 'Cheeks', description: 'Inflamed spots.', boundingBoxes: [] }] }];
+const recommendations = [
+    { category: 'Morning Routine', products: [{ name: 'Gentle Face Wash', stepType: 'cleanser', recommendationType: 'Recommended', keyIngredients: ['Ceramides'], howToUse: 'Massage in, rinse.', frequency: 'Daily' }] },
+    { category: 'Evening Routine', products: [] }
+];
+
+// PDFKit compresses page content, so these check the document as a whole rather than its text.
+const pageCount = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+describe('renderReportPdf', () => {
+    it('renders a report', async () => {
+        const pdf = await renderReportPdf({ type: 'skin', userInfo: { name: 'Asha Rao', age: '30' }, analysis, recommendations, goals: ['Clear Acne & Breakouts'] });
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(pageCount(pdf)).toBeGreaterThan(0);
+    });
+
+    it('renders with only the type given', async () => {
+        const pdf = await renderReportPdf({ type: 'hair' });
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('renders both assessments of a combined session', async () => {
+        const hairRecommendations = [{ category: 'Hair Routine', products: [{ name: 'Anti-Dandruff Shampoo', stepType: 'shampoo', recommendationType: 'Recommended', keyIngredients: ['Ketoconazole'], howToUse: 'Lather, rinse.', frequency: 'Twice a week' }] }];
+        const single = await renderReportPdf({ type: 'skin', analysis, recommendations });
+        const combined = await renderReportPdf({
+            type: 'skin', analysis, recommendations,
+            otherAssessments: [{ type: 'hair', analysis: [], recommendations: hairRecommendations, goals: [], safetyNotes: [] }]
+        });
+        expect(combined.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(combined.length).toBeGreaterThan(single.length);
+    });
+
+    it('falls back to English for languages without fonts', async () => {
+        expect(reportLanguages({})).toEqual(['en']);
+        const pdf = await renderReportPdf({ type: 'skin', analysis, recommendations, language: 'hi' });
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+});
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * Private store for generated report PDFs. Files live in `dir` (outside any static root) under
+ * random ids and are reached only through signed links: a token `<id>.<expiresAt>.<signature>`
+ * whose HMAC covers the id and expiry, so it can't be forged or extended. Files older than
+ * `retentionMs` are removed by `purge()`.
+ */
+export function createReportStore({ dir, secret, linkTtlMs, retentionMs, now = Date.now }) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    const filePath = (id) => path.join(dir, `${id}.pdf`);
+
+    /** Saves a PDF and returns a link token for it with its expiry. */
+    async function save(pdf) {
+        const id = crypto.randomUUID();
+        await fs.promises.writeFile(filePath(id), pdf);
+        const expiresAt = Math.floor((now() + linkTtlMs) / 1000);
+        const payload = `${id}.${expiresAt}`;
+        return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt * 1000).toISOString() };
+    }
+
+    /**
+     * Checks a token: { id, expired } when the signature is valid, null otherwise. An expired
+     * token can still delete its report, but not read it.
+     */
+    function verify(token) {
+        const [id, expiresAt, signature, ...rest] = String(token || '').split('.');
+        if (rest.length > 0 || !ID_PATTERN.test(id || '') || !/^\d+$/.test(expiresAt || '') || !signature) return null;
+        const expected = Buffer.from(sign(`${id}.${expiresAt}`));
+        const given = Buffer.from(signature);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+        return { id, expired: Number(expiresAt) * 1000 <= now() };
+    }
+
+    /** The PDF for an id, or null if it was deleted or purged. */
+    async function read(id) {
+        try {
+            return await fs.promises.readFile(filePath(id));
+        } catch {
+            return null;
+        }
+    }
+
+    /** Deletes a report; resolves to false if it was already gone. */
+    async function remove(id) {
+        try {
+            await fs.promises.unlink(filePath(id));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /** Deletes reports older than the retention period; returns how many were removed. */
+    async function purge() {
+        let removed = 0;
+        const files = await fs.promises.readdir(dir).catch(() => []);
+        for (const file of files.filter(name => name.endsWith('.pdf'))) {
+            const stats = await fs.promises.stat(path.join(dir, file)).catch(() => null);
+            if (stats && now() - stats.mtimeMs > retentionMs && await remove(file.slice(0, -'.pdf'.length))) removed += 1;
+        }
+        return removed;
+    }
+
+    return { save, verify, read, remove, purge };
+}
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createReportStore } from './reportStore.js';
+
+const pdf = Buffer.from('%PDF-1.7 test');
+
+describe('reportStore', () => {
+    let dir;
+    let time;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+        time = Date.parse('2026-01-01T00:00:00Z');
+        store = createReportStore({ dir, secret: 'test-secret', linkTtlMs: 60 * 60 * 1000, retentionMs: 24 * 60 * 60 * 1000, now: () => time });
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('saves a report behind a signed link that expires', async () => {
+        const { token, expiresAt } = await store.save(pdf);
+        expect(expiresAt).toBe('2026-01-01T01:00:00.000Z');
+
+        const link = store.verify(token);
+        expect(link.expired).toBe(false);
+        expect(await store.read(link.id)).toEqual(pdf);
+
+        time += 60 * 60 * 1000;
+        expect(store.verify(token)).toEqual({ id: link.id, expired: true });
+    });
+
+    it('rejects forged, extended or malformed tokens', async () => {
+        const { token } = await store.save(pdf);
+        const [id, expiresAt, signature] = token.split('.');
+
+        expect(store.verify(`${id}.${Number(expiresAt) + 3600}.${signature}`)).toBeNull();
+        expect(store.verify(`${id}.${expiresAt}.${signature.slice(1)}`)).toBeNull();
+        expect(store.verify(`${token}.extra`)).toBeNull();
+        expect(store.verify('../../etc/passwd')).toBeNull();
+        expect(store.verify(undefined)).toBeNull();
+
+        const otherSecret = createReportStore({ dir, secret: 'other-secret', linkTtlMs: 1000, retentionMs: 1000, now: () => time });
+        expect(otherSecret.verify(token)).toBeNull();
+    });
+
+    it('deletes a report once', async () => {
+        const { token } = await store.save(pdf);
+        const { id } = store.verify(token);
+        expect(await store.remove(id)).toBe(true);
+        expect(await store.remove(id)).toBe(false);
+        expect(await store.read(id)).toBeNull();
+    });
+
+    it('purges reports older than the retention period', async () => {
+        const old = store.verify((await store.save(pdf)).token).id;
+        const recent = store.verify((await store.save(pdf)).token).id;
+        const dayAgo = new Date(time - 25 * 60 * 60 * 1000);
+        fs.utimesSync(path.join(dir, `${old}.pdf`), dayAgo, dayAgo);
+        fs.utimesSync(path.join(dir, `${recent}.pdf`), new Date(time), new Date(time));
+
+        expect(await store.purge()).toBe(1);
+        expect(await store.read(old)).toBeNull();
+        expect(await store.read(recent)).toEqual(pdf);
+    });
+});
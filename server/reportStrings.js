@@ -0,0 +1,194 @@
+/**
+ * Text of the PDF report (server/reportPdf.js) per language code (server/languages.js).
+ * `{name}`-style placeholders are filled in by the renderer.
+ */
+export const REPORT_STRINGS = {
+    en: {
+        subtitle: 'Advanced AI Dermatology Report',
+        planTitle: "{name}'s Personalized {concern} Plan",
+        defaultName: 'User',
+        concernSkin: 'Skin',
+        concernHair: 'Hair',
+        concernBoth: 'Skin & Hair',
+        patient: 'Patient: {name}',
+        age: 'Age: {age}',
+        generated: 'Date Generated: {date}',
+        findingsSkin: 'AI Skin Analysis Findings',
+        findingsHair: 'AI Hair & Scalp Analysis Findings',
+        noConditions: 'No specific conditions detected.',
+        goalsSkin: 'Your Skincare Goals',
+        goalsHair: 'Your Hair Care Goals',
+        defaultGoalSkin: 'Maintain healthy, balanced skin',
+        defaultGoalHair: 'Maintain a healthy scalp and hair',
+        doctorSummary: "Doctor's Summary",
+        prescription: 'Prescription',
+        amRoutine: 'AM Routine',
+        pmRoutine: 'PM Routine',
+        noProducts: 'No products in this routine.',
+        alternative: '{name} (alternative)',
+        applyAsDirected: 'Apply as directed.',
+        columns: { step: 'Step', name: 'Product', when: 'When', howToUse: 'How to Use', frequency: 'Frequency', duration: 'Duration' },
+        safetyNotes: 'Safety Notes',
+        keyIngredients: 'Key Ingredients',
+        lifestyleTips: 'Lifestyle Tips',
+        tips: {
+            skin: [
+                'Maintain a balanced diet rich in antioxidants.',
+                'Stay hydrated by drinking adequate water daily.',
+                'Manage stress through meditation or exercise.',
+                'Change pillowcases regularly to reduce bacterial buildup.',
+                'Avoid picking active breakouts to prevent scarring.'
+            ],
+            hair: [
+                'Eat enough protein, iron and vitamin D; deficiencies commonly cause hair fall.',
+                'Avoid tight hairstyles and frequent heat styling.',
+                'Wash your scalp regularly; oil build-up worsens dandruff.',
+                'Manage stress and sleep 7-8 hours; both affect the hair cycle.',
+                'Be patient: hair treatments need 3-6 months to show results.'
+            ]
+        },
+        disclaimer: 'This routine is a personalized AI-based recommendation. Individual results may vary. Always perform a patch test before introducing new products. Consult a dermatologist if irritation or adverse reactions occur. This is not a substitute for professional medical advice.',
+        footer: 'Dermatics India - AI report - page {page} of {count}'
+    },
+    hi: {
+        subtitle: 'एडवांस्ड AI डर्मेटोलॉजी रिपोर्ट',
+        planTitle: '{name} का पर्सनलाइज़्ड {concern} प्लान',
+        defaultName: 'यूज़र',
+        concernSkin: 'त्वचा',
+        concernHair: 'बाल',
+        concernBoth: 'त्वचा और बाल',
+        patient: 'मरीज़: {name}',
+        age: 'उम्र: {age}',
+        generated: 'तारीख: {date}',
+        findingsSkin: 'AI त्वचा विश्लेषण के नतीजे',
+        findingsHair: 'AI बाल और स्कैल्प विश्लेषण के नतीजे',
+        noConditions: 'कोई खास समस्या नहीं मिली।',
+        goalsSkin: 'आपके स्किनकेयर लक्ष्य',
+        goalsHair: 'आपके हेयर केयर लक्ष्य',
+        defaultGoalSkin: 'त्वचा को स्वस्थ और संतुलित रखना',
+        defaultGoalHair: 'स्कैल्प और बालों को स्वस्थ रखना',
+        doctorSummary: 'डॉक्टर का सारांश',
+        prescription: 'प्रिस्क्रिप्शन',
+        amRoutine: 'सुबह का रूटीन',
+        pmRoutine: 'रात का रूटीन',
+        noProducts: 'इस रूटीन में कोई प्रोडक्ट नहीं है।',
+        alternative: '{name} (विकल्प)',
+        applyAsDirected: 'निर्देश के अनुसार लगाएँ।',
+        columns: { step: 'चरण', name: 'प्रोडक्ट', when: 'कब', howToUse: 'कैसे इस्तेमाल करें', frequency: 'कितनी बार', duration: 'अवधि' },
+        safetyNotes: 'सुरक्षा संबंधी बातें',
+        keyIngredients: 'मुख्य तत्व',
+        lifestyleTips: 'जीवनशैली सुझाव',
+        tips: {
+            skin: [
+                'एंटीऑक्सीडेंट से भरपूर संतुलित आहार लें।',
+                'रोज़ पर्याप्त पानी पीकर शरीर को हाइड्रेट रखें।',
+                'ध्यान या व्यायाम से तनाव कम करें।',
+                'बैक्टीरिया जमा होने से रोकने के लिए तकिए के कवर नियमित बदलें।',
+                'निशान से बचने के लिए मुंहासों को न छेड़ें।'
+            ],
+            hair: [
+                'पर्याप्त प्रोटीन, आयरन और विटामिन D लें; इनकी कमी से अक्सर बाल झड़ते हैं।',
+                'टाइट हेयरस्टाइल और बार-बार हीट स्टाइलिंग से बचें।',
+                'स्कैल्प नियमित धोएँ; तेल जमा होने से डैंड्रफ बढ़ता है।',
+                'तनाव कम करें और 7-8 घंटे सोएँ; दोनों का असर बालों के चक्र पर पड़ता है।',
+                'धैर्य रखें: बालों के इलाज का असर दिखने में 3-6 महीने लगते हैं।'
+            ]
+        },
+        disclaimer: 'यह रूटीन AI पर आधारित एक पर्सनलाइज़्ड सुझाव है। हर व्यक्ति पर नतीजे अलग हो सकते हैं। नया प्रोडक्ट शुरू करने से पहले हमेशा पैच टेस्ट करें। जलन या कोई प्रतिकूल प्रतिक्रिया होने पर त्वचा रोग विशेषज्ञ से सलाह लें। यह पेशेवर चिकित्सा सलाह का विकल्प नहीं है।',
+        footer: 'Dermatics India - AI रिपोर्ट - पेज {page} / {count}'
+    },
+    ta: {
+        subtitle: 'மேம்பட்ட AI தோல் மருத்துவ அறிக்கை',
+        planTitle: '{name} அவர்களுக்கான தனிப்பயன் {concern} திட்டம்',
+        defaultName: 'பயனர்',
+        concernSkin: 'சருமப் பராமரிப்பு',
+        concernHair: 'முடிப் பராமரிப்பு',
+        concernBoth: 'சரும மற்றும் முடிப் பராமரிப்பு',
+        patient: 'நோயாளர்: {name}',
+        age: 'வயது: {age}',
+        generated: 'தேதி: {date}',
+        findingsSkin: 'AI சரும பகுப்பாய்வு முடிவுகள்',
+        findingsHair: 'AI முடி மற்றும் உச்சந்தலை பகுப்பாய்வு முடிவுகள்',
+        noConditions: 'குறிப்பிட்ட பிரச்சனைகள் எதுவும் கண்டறியப்படவில்லை.',
+        goalsSkin: 'உங்கள் சருமப் பராமரிப்பு இலக்குகள்',
+        goalsHair: 'உங்கள் முடிப் பராமரிப்பு இலக்குகள்',
+        defaultGoalSkin: 'ஆரோக்கியமான, சமநிலையான சருமத்தைப் பராமரித்தல்',
+        defaultGoalHair: 'ஆரோக்கியமான உச்சந்தலை மற்றும் முடியைப் பராமரித்தல்',
+        doctorSummary: 'மருத்துவரின் சுருக்கம்',
+        prescription: 'மருந்துச் சீட்டு',
+        amRoutine: 'காலை வழக்கம்',
+        pmRoutine: 'இரவு வழக்கம்',
+        noProducts: 'இந்த வழக்கத்தில் பொருட்கள் எதுவும் இல்லை.',
+        alternative: '{name} (மாற்று)',
+        applyAsDirected: 'அறிவுறுத்தியபடி பயன்படுத்தவும்.',
+        columns: { step: 'படி', name: 'பொருள்', when: 'எப்போது', howToUse: 'பயன்படுத்தும் முறை', frequency: 'எத்தனை முறை', duration: 'கால அளவு' },
+        safetyNotes: 'பாதுகாப்புக் குறிப்புகள்',
+        keyIngredients: 'முக்கியப் பொருட்கள்',
+        lifestyleTips: 'வாழ்க்கை முறைக் குறிப்புகள்',
+        tips: {
+            skin: [
+                'ஆன்டிஆக்ஸிடன்ட்கள் நிறைந்த சமச்சீர் உணவை உண்ணுங்கள்.',
+                'தினமும் போதுமான தண்ணீர் குடியுங்கள்.',
+                'தியானம் அல்லது உடற்பயிற்சி மூலம் மன அழுத்தத்தைக் குறையுங்கள்.',
+                'பாக்டீரியா சேராமல் இருக்கத் தலையணை உறைகளைத் தவறாமல் மாற்றுங்கள்.',
+                'தழும்புகளைத் தவிர்க்க முகப்பருக்களைக் கிள்ளாதீர்கள்.'
+            ],
+            hair: [
+                'போதுமான புரதம், இரும்புச்சத்து, வைட்டமின் D எடுத்துக்கொள்ளுங்கள்; இவற்றின் குறைபாடு பொதுவாக முடி உதிர்வை ஏற்படுத்தும்.',
+                'இறுக்கமான சிகை அலங்காரங்களையும் அடிக்கடி வெப்ப ஸ்டைலிங்கையும் தவிர்க்கவும்.',
+                'உச்சந்தலையைத் தவறாமல் கழுவுங்கள்; எண்ணெய் படிவு பொடுகை அதிகரிக்கும்.',
+                'மன அழுத்தத்தைக் குறைத்து 7-8 மணி நேரம் தூங்குங்கள்; இரண்டும் முடி வளர்ச்சிச் சுழற்சியைப் பாதிக்கும்.',
+                'பொறுமையாக இருங்கள்: முடி சிகிச்சைகளின் பலன் தெரிய 3-6 மாதங்கள் ஆகும்.'
+            ]
+        },
+        disclaimer: 'இந்த வழக்கம் AI அடிப்படையிலான தனிப்பயன் பரிந்துரை. ஒவ்வொருவருக்கும் பலன்கள் மாறுபடலாம். புதிய பொருளைப் பயன்படுத்தும் முன் எப்போதும் பேட்ச் டெஸ்ட் செய்யுங்கள். எரிச்சல் அல்லது பாதகமான எதிர்வினை ஏற்பட்டால் தோல் மருத்துவரை அணுகுங்கள். இது தொழில்முறை மருத்துவ ஆலோசனைக்கு மாற்றாகாது.',
+        footer: 'Dermatics India - AI அறிக்கை - பக்கம் {page} / {count}'
+    },
+    mr: {
+        subtitle: 'अ‍ॅडव्हान्स्ड AI त्वचारोग अहवाल',
+        planTitle: '{name} यांचा वैयक्तिक {concern} प्लॅन',
+        defaultName: 'युजर',
+        concernSkin: 'त्वचा',
+        concernHair: 'केस',
+        concernBoth: 'त्वचा आणि केस',
+        patient: 'रुग्ण: {name}',
+        age: 'वय: {age}',
+        generated: 'दिनांक: {date}',
+        findingsSkin: 'AI त्वचा विश्लेषणाचे निष्कर्ष',
+        findingsHair: 'AI केस आणि स्कॅल्प विश्लेषणाचे निष्कर्ष',
+        noConditions: 'कोणतीही विशिष्ट समस्या आढळली नाही.',
+        goalsSkin: 'तुमची स्किनकेअर उद्दिष्टे',
+        goalsHair: 'तुमची हेअर केअर उद्दिष्टे',
+        defaultGoalSkin: 'त्वचा निरोगी आणि संतुलित ठेवणे',
+        defaultGoalHair: 'स्कॅल्प आणि केस निरोगी ठेवणे',
+        doctorSummary: 'डॉक्टरांचा सारांश',
+        prescription: 'प्रिस्क्रिप्शन',
+        amRoutine: 'सकाळचे रूटीन',
+        pmRoutine: 'रात्रीचे रूटीन',
+        noProducts: 'या रूटीनमध्ये कोणतेही प्रॉडक्ट नाही.',
+        alternative: '{name} (पर्याय)',
+        applyAsDirected: 'सांगितल्याप्रमाणे लावा.',
+        columns: { step: 'टप्पा', name: 'प्रॉडक्ट', when: 'केव्हा', howToUse: 'कसे वापरावे', frequency: 'किती वेळा', duration: 'कालावधी' },
+        safetyNotes: 'सुरक्षिततेच्या सूचना',
+        keyIngredients: 'मुख्य घटक',
+        lifestyleTips: 'जीवनशैली टिप्स',
+        tips: {
+            skin: [
+                'अँटिऑक्सिडंट्सने समृद्ध संतुलित आहार घ्या.',
+                'रोज पुरेसे पाणी पिऊन शरीर हायड्रेटेड ठेवा.',
+                'ध्यान किंवा व्यायामाने ताण कमी करा.',
+                'जीवाणू साचू नयेत म्हणून उशीचे अभ्रे नियमित बदला.',
+                'व्रण टाळण्यासाठी मुरुमे फोडू नका.'
+            ],
+            hair: [
+                'पुरेसे प्रथिने, लोह आणि व्हिटॅमिन D घ्या; यांच्या कमतरतेमुळे अनेकदा केस गळतात.',
+                'घट्ट हेअरस्टाइल आणि वारंवार हीट स्टायलिंग टाळा.',
+                'स्कॅल्प नियमित धुवा; तेल साचल्याने कोंडा वाढतो.',
+                'ताण कमी करा आणि 7-8 तास झोपा; दोन्हींचा केसांच्या चक्रावर परिणाम होतो.',
+                'संयम ठेवा: केसांच्या उपचारांचा परिणाम दिसायला 3-6 महिने लागतात.'
+            ]
+        },
+        disclaimer: 'हे रूटीन AI वर आधारित वैयक्तिक शिफारस आहे. प्रत्येकाचे परिणाम वेगळे असू शकतात. नवीन प्रॉडक्ट सुरू करण्यापूर्वी नेहमी पॅच टेस्ट करा. जळजळ किंवा कोणतीही प्रतिकूल प्रतिक्रिया आल्यास त्वचारोगतज्ज्ञांचा सल्ला घ्या. हा व्यावसायिक वैद्यकीय सल्ल्याचा पर्याय नाही.',
+        footer: 'Dermatics India - AI अहवाल - पान {page} / {count}'
+    }
+};
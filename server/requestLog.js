@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+
+/**
+ * Middleware writing one JSON line per request: { time, level, msg, requestId, method, path,
+ * route, status, durationMs, ip, sessionId, aborted }, and recording it in `metrics`. `sessionId`
+ * is the verified server-issued id (req.sessionId, see createSessionIds in rateLimit.js), if any. Query strings
+ * are left out of the log because some carry a phone number or email, and a `:token` path
+ * parameter (a report link) is masked. The id is also returned to the client as X-Request-Id.
+ */
+export function requestLogger({ metrics, log = line => console.log(line) }) {
+    return (req, res, next) => {
+        const requestId = crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+        res.set('X-Request-Id', requestId);
+
+        let done = false;
+        const finish = () => {
+            if (done) return;
+            done = true;
+            const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6);
+            // The matched route pattern keeps ids out of the metric names.
+            const status = res.statusCode;
+            const urlPath = req.originalUrl.split('?')[0];
+            const route = `${req.method} ${req.route ? req.baseUrl + req.route.path : status === 429 ? '(rate limited)' : '(unmatched)'}`;
+            metrics.recordRequest({ route, status, durationMs });
+            log(JSON.stringify({
+                time: new Date().toISOString(),
+                level: status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info',
+                msg: 'request',
+                requestId,
+                method: req.method,
+                path: req.params?.token ? urlPath.replace(req.params.token, ':token') : urlPath,
+                route,
+                status,
+                durationMs,
+                ip: req.ip,
+                sessionId: req.sessionId || null,
+                aborted: !res.writableFinished
+            }));
+        };
+        res.on('finish', finish);
+        res.on('close', finish);
+        next();
+    };
+}
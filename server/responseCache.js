@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// JSON with object keys sorted at every level, so equal inputs always serialize (and hash) the same.
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+/** Cache key for a set of inputs: the SHA-256 of their canonical JSON. */
+export const cacheKey = (inputs) => sha256(canonicalJson(inputs));
+
+/**
+ * Content hash of a base64 image. Hashing the decoded bytes ignores a data: URL prefix and
+ * whitespace, so the same photo always gets the same hash however it was sent.
+ */
+export const imageHash = (base64) => sha256(Buffer.from(String(base64).replace(/^data:[^,]*,/, ''), 'base64'));
+
+/**
+ * Disk cache for model responses, one JSON file per entry under `dir/<namespace>/`. Entries
+ * expire after the namespace's TTL (`ttlMs[namespace]`, 0 or missing turns that namespace off).
+ * Identical requests arriving together share one computation.
+ */
+export function createResponseCache({ dir, ttlMs = {}, now = Date.now }) {
+    const inFlight = new Map();
+
+    const entryPath = (namespace, key) => path.join(dir, namespace, `${key}.json`);
+
+    // An expired or corrupt entry is deleted and reads as a miss.
+    const read = async (namespace, key) => {
+        let raw;
+        try {
+            raw = await fs.promises.readFile(entryPath(namespace, key), 'utf-8');
+        } catch {
+            return null;
+        }
+        let entry = null;
+        try {
+            entry = JSON.parse(raw);
+        } catch {
+            // Corrupt entry; removed below.
+        }
+        if (entry && entry.expiresAt > now()) return entry;
+        await fs.promises.rm(entryPath(namespace, key), { force: true });
+        return null;
+    };
+
+    // Write to a temp file and rename, so a crash never leaves a half-written entry behind.
+    const write = async (namespace, key, value) => {
+        const filePath = entryPath(namespace, key);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ createdAt: now(), expiresAt: now() + ttlMs[namespace], value }));
+        await fs.promises.rename(tmpPath, filePath);
+    };
+
+    /**
+     * Returns { value, cache } where `cache` is 'hit', 'miss', 'bypass' or 'off'. On a miss (or with
+     * `bypass`, which skips the lookup) `compute()` runs and its result is stored if
+     * `cacheable(value)` allows it, so a failed or unusable answer is asked for again next time.
+     * A failed write only costs the cache entry.
+     */
+    async function getOrCompute({ namespace, key, bypass = false, compute, cacheable = () => true }) {
+        if (!(ttlMs[namespace] > 0)) return { value: await compute(), cache: 'off' };
+
+        if (!bypass) {
+            const entry = await read(namespace, key);
+            if (entry) return { value: entry.value, cache: 'hit' };
+        }
+
+        const flightKey = `${namespace}/${key}`;
+        if (!bypass && inFlight.has(flightKey)) return { value: await inFlight.get(flightKey), cache: 'hit' };
+
+        const pending = compute();
+        inFlight.set(flightKey, pending);
+        try {
+            const value = await pending;
+            if (cacheable(value)) await write(namespace, key, value).catch(error => console.warn(`- WARN: Could not write cache entry ${flightKey}: ${error.message}`));
+            return { value, cache: bypass ? 'bypass' : 'miss' };
+        } finally {
+            if (inFlight.get(flightKey) === pending) inFlight.delete(flightKey);
+        }
+    }
+
+    /** Deletes expired entries; returns how many were removed. */
+    async function prune() {
+        let removed = 0;
+        for (const namespace of Object.keys(ttlMs)) {
+            const namespaceDir = path.join(dir, namespace);
+            const files = await fs.promises.readdir(namespaceDir).catch(() => []);
+            for (const file of files.filter(name => name.endsWith('.json'))) {
+                if (!(await read(namespace, file.slice(0, -'.json'.length)))) removed += 1;
+            }
+        }
+        return removed;
+    }
+
+    return { getOrCompute, prune };
+}
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cacheKey, createResponseCache, imageHash } from './responseCache.js';
+
+describe('cacheKey', () => {
+    it('ignores key order and undefined fields', () => {
+        expect(cacheKey({ a: 1, b: [{ c: 2, d: 3 }] })).toBe(cacheKey({ b: [{ d: 3, c: 2 }], a: 1, e: undefined }));
+        expect(cacheKey({ a: 1 })).not.toBe(cacheKey({ a: 2 }));
+        expect(cacheKey([1, 2])).not.toBe(cacheKey([2, 1]));
+    });
+});
+
+describe('imageHash', () => {
+    it('hashes the decoded bytes, whatever the prefix', () => {
+        expect(imageHash('data:image/jpeg;base64,aGVsbG8=')).toBe(imageHash('aGVsbG8='));
+        expect(imageHash('aGVs\nbG8=')).toBe(imageHash('aGVsbG8='));
+        expect(imageHash('aGVsbG8=')).not.toBe(imageHash('d29ybGQ='));
+    });
+});
+
+describe('responseCache', () => {
+    let dir;
+    let time;
+    let cache;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+        time = 0;
+        cache = createResponseCache({ dir, ttlMs: { analysis: 1000, routine: 0 }, now: () => time });
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('computes on a miss and serves the stored value until it expires', async () => {
+        const compute = vi.fn(async () => ({ answer: 42 }));
+        expect(await cache.getOrCompute({ namespace: 'analysis', key: 'k', compute })).toEqual({ value: { answer: 42 }, cache: 'miss' });
+        expect(await cache.getOrCompute({ namespace: 'analysis', key: 'k', compute })).toEqual({ value: { answer: 42 }, cache: 'hit' });
+        time = 1000;
+        expect((await cache.getOrCompute({ namespace: 'analysis', key: 'k', compute })).cache).toBe('miss');
+        expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips the lookup on bypass but stores the new value', async () => {
+        await cache.getOrCompute({ namespace: 'analysis', key: 'k', compute: async () => 'old' });
+        expect(await cache.getOrCompute({ namespace: 'analysis', key: 'k', bypass: true, compute: async () => 'new' })).toEqual({ value: 'new', cache: 'bypass' });
+        expect((await cache.getOrCompute({ namespace: 'analysis', key: 'k', compute: async () => 'unused' })).value).toBe('new');
+    });
+
+    it('does not store values that are not cacheable', async () => {
+        const compute = vi.fn(async () => null);
+        const cacheable = value => Array.isArray(value);
+        expect(await cache.getOrCompute({ namespace: 'analysis', key: 'k', compute, cacheable })).toEqual({ value: null, cache: 'miss' });
+        expect(await cache.getOrCompute({ namespace: 'analysis', key: 'k', compute, cacheable })).toEqual({ value: null, cache: 'miss' });
+        expect(compute).toHaveBeenCalledTimes(2);
+
+        compute.mockResolvedValue([]);
+        await cache.getOrCompute({ namespace: 'analysis', key: 'k', compute, cacheable });
+        expect(await cache.getOrCompute({ namespace: 'analysis', key: 'k', compute, cacheable })).toEqual({ value: [], cache: 'hit' });
+    });
+
+    it('does not cache namespaces without a TTL', async () => {
+        const compute = vi.fn(async () => 'fresh');
+        await cache.getOrCompute({ namespace: 'routine', key: 'k', compute });
+        expect(await cache.getOrCompute({ namespace: 'routine', key: 'k', compute })).toEqual({ value: 'fresh', cache: 'off' });
+        expect(compute).toHaveBeenCalledTimes(2);
+        expect(fs.existsSync(path.join(dir, 'routine'))).toBe(false);
+    });
+
+    it('shares one computation between identical requests in flight', async () => {
+        let finish;
+        const compute = vi.fn(() => new Promise(resolve => { finish = resolve; }));
+        const first = cache.getOrCompute({ namespace: 'analysis', key: 'k', compute });
+        const second = cache.getOrCompute({ namespace: 'analysis', key: 'k', compute });
+        await vi.waitFor(() => expect(compute).toHaveBeenCalled());
+        finish('shared');
+        expect(await first).toEqual({ value: 'shared', cache: 'miss' });
+        expect(await second).toEqual({ value: 'shared', cache: 'hit' });
+        expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not store failed computations', async () => {
+        await expect(cache.getOrCompute({ namespace: 'analysis', key: 'k', compute: async () => { throw new Error('model down'); } })).rejects.toThrow('model down');
+        expect((await cache.getOrCompute({ namespace: 'analysis', key: 'k', compute: async () => 'ok' })).cache).toBe('miss');
+    });
+
+    it('treats a corrupt entry as a miss and prunes expired ones', async () => {
+        await cache.getOrCompute({ namespace: 'analysis', key: 'a', compute: async () => 1 });
+        fs.writeFileSync(path.join(dir, 'analysis', 'b.json'), '{not json');
+        time = 500;
+        await cache.getOrCompute({ namespace: 'analysis', key: 'c', compute: async () => 3 });
+
+        time = 1200;
+        expect(await cache.prune()).toBe(2);
+        expect(fs.readdirSync(path.join(dir, 'analysis'))).toEqual(['c.json']);
+    });
+});
@@ -0,0 +1,40 @@
+import fs from 'fs';
+
+const MAX_OTHER_PRODUCTS = 50;
+
+/**
+ * The `otherRoutineProducts` request field: variant ids of the products recommended in the
+ * session's other routine, or [] when left out. Returns undefined when it is invalid.
+ */
+export const normalizeOtherRoutineProducts = (raw) => {
+    if (raw === undefined || raw === null) return [];
+    return Array.isArray(raw) && raw.length <= MAX_OTHER_PRODUCTS && raw.every(id => typeof id === 'string') ? raw : undefined;
+};
+
+/**
+ * Keeps the second routine of a combined skin-and-hair session from overlapping the first, with
+ * rules from `rulesPath` (server/config/combinedRoutines.json).
+ */
+export function createRoutineOverlap({ rulesPath }) {
+    const { sharedSteps } = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+
+    /**
+     * `catalog` without the other routine's products (any variant of them) and without products
+     * for the shared steps that routine already covers. `products` is the full catalog, to look
+     * the other routine's variant ids up in. Returns { catalog, other: [names], overlaps:
+     * [{ step, product }] }, where `overlaps` are the other routine's products that cover a step
+     * left out.
+     */
+    function exclude(catalog, products, otherVariantIds) {
+        const other = products.filter(p => p.variantId && (otherVariantIds.includes(p.variantId)
+            || (p.variants || []).some(v => otherVariantIds.includes(v.id))));
+        const covered = other.filter(p => sharedSteps.includes(p.step));
+        return {
+            catalog: catalog.filter(p => !other.some(o => o.handle === p.handle) && !covered.some(o => o.step === p.step)),
+            other: other.map(p => p.name),
+            overlaps: covered.map(p => ({ step: p.step, product: p.name }))
+        };
+    }
+
+    return { exclude };
+}
@@ -0,0 +1,51 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, expect, it } from 'vitest';
+import { createRoutineOverlap, normalizeOtherRoutineProducts } from './routineOverlap.js';
+
+const rulesPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'config', 'combinedRoutines.json');
+const { exclude } = createRoutineOverlap({ rulesPath });
+
+const product = (handle, step, variantIds) => ({
+    handle, name: handle, step, variantId: variantIds[0], variants: variantIds.map(id => ({ id }))
+});
+
+// A skin routine (the first of the session) and the hair catalog the second one is made from.
+const products = [
+    product('vitamin-c-serum', 'serum', ['v-vitc']),
+    product('biotin-tablets', 'supplement', ['v-biotin-30', 'v-biotin-60']),
+    product('gentle-face-wash', 'cleanser', ['v-wash']),
+    product('hair-growth-serum', 'serum', ['v-hair-serum']),
+    product('anti-dandruff-shampoo', 'shampoo', ['v-shampoo']),
+    product('hair-vitamins', 'supplement', ['v-hair-vitamins'])
+];
+const hairCatalog = products.filter(p => ['biotin-tablets', 'hair-growth-serum', 'anti-dandruff-shampoo', 'hair-vitamins'].includes(p.handle));
+
+describe('exclude', () => {
+    it("leaves out the other routine's products and the shared steps it covers", () => {
+        const result = exclude(hairCatalog, products, ['v-vitc', 'v-biotin-60', 'v-wash']);
+        expect(result.catalog.map(p => p.handle)).toEqual(['anti-dandruff-shampoo']);
+        expect(result.other).toEqual(['vitamin-c-serum', 'biotin-tablets', 'gentle-face-wash']);
+        expect(result.overlaps).toEqual([{ step: 'serum', product: 'vitamin-c-serum' }, { step: 'supplement', product: 'biotin-tablets' }]);
+    });
+
+    it('keeps shared steps the other routine does not cover', () => {
+        const result = exclude(hairCatalog, products, ['v-wash']);
+        expect(result.catalog).toEqual(hairCatalog);
+        expect(result.overlaps).toEqual([]);
+    });
+
+    it('changes nothing without another routine', () => {
+        expect(exclude(hairCatalog, products, [])).toEqual({ catalog: hairCatalog, other: [], overlaps: [] });
+    });
+});
+
+describe('normalizeOtherRoutineProducts', () => {
+    it('accepts a list of variant ids and treats a missing one as empty', () => {
+        expect(normalizeOtherRoutineProducts(['v-1'])).toEqual(['v-1']);
+        expect(normalizeOtherRoutineProducts(undefined)).toEqual([]);
+        expect(normalizeOtherRoutineProducts([1])).toBeUndefined();
+        expect(normalizeOtherRoutineProducts('v-1')).toBeUndefined();
+        expect(normalizeOtherRoutineProducts(Array.from({ length: 51 }, (_, i) => `v-${i}`))).toBeUndefined();
+    });
+});
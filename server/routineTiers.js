@@ -0,0 +1,146 @@
+import fs from 'fs';
+
+const DAYS_PER_MONTH = 30;
+
+// "100 ml", "1 L", "50 g", "60 tablets": the amount in ml, g or units.
+const SIZE_PATTERN = /(\d+(?:\.\d+)?)\s*(ml|l|g|gm|kg|tablets?|tabs|capsules?|caps)\b/i;
+const UNIT_FACTORS = { l: 1000, kg: 1000 };
+
+const sizeOf = (text) => {
+    const match = SIZE_PATTERN.exec(text || '');
+    return match ? Number(match[1]) * (UNIT_FACTORS[match[2].toLowerCase()] || 1) : null;
+};
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// Recommended items of a validated routine ({ am, pm }, see server/routineValidator.js).
+const picked = (routine) => [...routine.am, ...routine.pm].filter(item => item.recommendationType === 'Recommended');
+
+/**
+ * Budget tiers for routines, with rules from `rulesPath` (server/config/routineTiers.json). A tier
+ * is the model's routine cut down to the tier's steps, so every tier keeps the model's picks and
+ * usage instructions. Prices are the catalog's { amount, currencyCode }; a monthly `budget` is a
+ * plain amount in the store's currency.
+ */
+export function createRoutineTiers({ rulesPath }) {
+    const { tiers, usage, defaultDays } = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+
+    /**
+     * Days one bottle of `variant` lasts when the product is used in `halves` routine halves
+     * (1 or 2). Falls back to the step's `defaultDays` when no size is known.
+     */
+    function lastsDays(product, variant, halves = 1) {
+        const rule = usage[product.domain]?.[product.step];
+        const size = sizeOf(variant?.title) || sizeOf(product.name);
+        if (!rule || !size) return rule?.defaultDays || defaultDays;
+        const perDay = rule.perUse * rule.perWeek * Math.max(halves, 1) / 7;
+        return Math.max(1, Math.floor(size / perDay));
+    }
+
+    // The routine's products, once each, with the number of halves they are used in.
+    const productsOf = (routine, catalog) => {
+        const counts = new Map();
+        picked(routine).forEach(item => counts.set(item.productId, (counts.get(item.productId) || 0) + 1));
+        return [...counts].map(([variantId, halves]) => ({ product: catalog.find(p => p.variantId === variantId), halves }))
+            .filter(({ product }) => product);
+    };
+
+    /**
+     * Costs of a validated routine: `total` to buy one of each product, `monthlyCost` to keep it
+     * going (each price spread over the days the product lasts), `lastsDays` until the first
+     * product runs out, and whether the monthly cost fits `budget` (null without one). Unpriced
+     * products are left out of both sums.
+     */
+    function summarize(routine, catalog, { budget = null } = {}) {
+        const products = productsOf(routine, catalog).map(({ product, halves }) => ({
+            product,
+            days: lastsDays(product, product.variants?.find(v => v.id === product.variantId), halves)
+        }));
+        const priced = products.filter(({ product }) => product.price);
+        const currencyCode = priced[0]?.product.price.currencyCode;
+        const total = priced.reduce((sum, { product }) => sum + product.price.amount, 0);
+        const monthly = priced.reduce((sum, { product, days }) => sum + product.price.amount * DAYS_PER_MONTH / days, 0);
+        return {
+            productCount: products.length,
+            total: currencyCode ? { amount: round2(total), currencyCode } : null,
+            monthlyCost: currencyCode ? { amount: round2(monthly), currencyCode } : null,
+            lastsDays: products.length > 0 ? Math.min(...products.map(({ days }) => days)) : null,
+            withinBudget: budget === null ? null : round2(monthly) <= budget
+        };
+    }
+
+    const monthlyOf = (routine, catalog) => summarize(routine, catalog).monthlyCost?.amount || 0;
+
+    // Makes the alternative `productId` its step's pick in every routine half that offers it; the
+    // pick it replaces becomes an alternative.
+    const swapped = (routine, productId) => {
+        const swapSlot = (items) => {
+            const alternative = items.find(item => item.productId === productId && item.recommendationType === 'Alternative');
+            if (!alternative) return items;
+            return items.map(item => {
+                if (item === alternative) return { ...item, recommendationType: 'Recommended' };
+                return item.stepType === alternative.stepType && item.recommendationType === 'Recommended' ? { ...item, recommendationType: 'Alternative' } : item;
+            });
+        };
+        return { am: swapSlot(routine.am), pm: swapSlot(routine.pm) };
+    };
+
+    /**
+     * While the routine costs more than `budget` a month, swaps in the step alternative that saves
+     * the most. Stops when it fits or no swap saves anything.
+     */
+    const fitBudget = (routine, catalog, budget) => {
+        let result = routine;
+        let monthly = monthlyOf(result, catalog);
+        while (monthly > budget) {
+            const alternatives = new Set([...result.am, ...result.pm].filter(item => item.recommendationType === 'Alternative').map(item => item.productId));
+            const best = [...alternatives]
+                .map(productId => swapped(result, productId))
+                .map(candidate => ({ candidate, monthly: monthlyOf(candidate, catalog) }))
+                .sort((a, b) => a.monthly - b.monthly)[0];
+            if (!best || best.monthly >= monthly) break;
+            result = best.candidate;
+            monthly = best.monthly;
+        }
+        return result;
+    };
+
+    const sameProducts = (a, b) => picked(a).map(item => item.productId).sort().join() === picked(b).map(item => item.productId).sort().join();
+
+    /**
+     * The routine as tiers [{ id, routine }], smallest first. A tier that leaves nothing out of
+     * the one before it is dropped, so a short routine may come back as a single tier. With a
+     * `budget`, each tier swaps in cheaper step alternatives until it fits (see fitBudget).
+     */
+    function build(routine, catalog, { domain, budget = null }) {
+        const result = [];
+        tiers.forEach(tier => {
+            const steps = tier.steps?.[domain];
+            const cut = steps ? {
+                am: routine.am.filter(item => steps.includes(item.stepType)),
+                pm: routine.pm.filter(item => steps.includes(item.stepType))
+            } : routine;
+            const fitted = budget === null ? cut : fitBudget(cut, catalog, budget);
+            if (picked(fitted).length === 0) return;
+            const previous = result[result.length - 1];
+            if (previous && sameProducts(previous.routine, fitted)) return;
+            result.push({ id: tier.id, routine: fitted });
+        });
+        return result;
+    }
+
+    /** The tier to show first: the largest that fits the budget, or the smallest when none does. Without a budget, the largest. */
+    const choose = (summaries, budget = null) => {
+        if (summaries.length === 0) return null;
+        const fitting = budget === null ? summaries : summaries.filter(tier => tier.withinBudget);
+        return (fitting.length > 0 ? fitting[fitting.length - 1] : summaries[0]).id;
+    };
+
+    return { lastsDays, summarize, build, choose };
+}
+
+/** The `budget` request field: a positive amount, or null when left out. Returns undefined when it is invalid. */
+export const normalizeBudget = (raw) => {
+    if (raw === undefined || raw === null) return null;
+    return typeof raw === 'number' && Number.isFinite(raw) && raw > 0 ? raw : undefined;
+};
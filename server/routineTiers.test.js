@@ -0,0 +1,93 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, expect, it } from 'vitest';
+import { createRoutineTiers, normalizeBudget } from './routineTiers.js';
+
+const rulesPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'config', 'routineTiers.json');
+const tiers = createRoutineTiers({ rulesPath });
+
+const inr = (amount) => ({ amount, currencyCode: 'INR' });
+const product = (variantId, name, step, amount) => ({ variantId, name, step, domain: 'skin', price: amount === null ? null : inr(amount) });
+
+const catalog = [
+    product('v-wash', 'Gentle Face Wash 150 ml', 'cleanser', 300),
+    product('v-vitc', 'Vitamin C Serum 30 ml', 'serum', 600),
+    product('v-niacinamide', 'Niacinamide Serum 30 ml', 'serum', 300),
+    product('v-moisturizer', 'Daily Moisturizer 50 g', 'moisturizer', 400),
+    product('v-spf', 'Daily Sunscreen', 'sunscreen', 450),
+    product('v-toner', 'Hydrating Toner 100 ml', 'toner', null)
+];
+
+const item = (productId, stepType, recommendationType = 'Recommended') => ({ productId, stepType, recommendationType });
+
+const routine = {
+    am: [item('v-wash', 'cleanser'), item('v-vitc', 'serum'), item('v-niacinamide', 'serum', 'Alternative'), item('v-spf', 'sunscreen')],
+    pm: [item('v-wash', 'cleanser'), item('v-toner', 'toner'), item('v-moisturizer', 'moisturizer')]
+};
+
+const pickedIds = ({ am, pm }) => [...am, ...pm].filter(i => i.recommendationType === 'Recommended').map(i => i.productId);
+
+describe('lastsDays', () => {
+    it('spreads the size over the step usage, for each routine half', () => {
+        expect(tiers.lastsDays(catalog[0], null, 1)).toBe(100);
+        expect(tiers.lastsDays(catalog[0], null, 2)).toBe(50);
+        expect(tiers.lastsDays(catalog[0], { title: '1 L' }, 1)).toBe(666);
+    });
+
+    it("falls back to the step's default without a size", () => {
+        expect(tiers.lastsDays(catalog[4])).toBe(45);
+        expect(tiers.lastsDays({ name: 'Mystery', domain: 'skin', step: 'unknown' })).toBe(30);
+    });
+});
+
+describe('summarize', () => {
+    it('adds up what the routine costs to buy and to keep going', () => {
+        expect(tiers.summarize(routine, catalog, { budget: 1000 })).toEqual({
+            productCount: 5,
+            total: inr(1750),
+            // 180 (wash, both halves) + 180 (serum) + 300 (sunscreen) + 193.55 (moisturizer); the toner has no price.
+            monthlyCost: inr(853.55),
+            lastsDays: 45,
+            withinBudget: true
+        });
+        expect(tiers.summarize({ am: [], pm: [] }, catalog)).toEqual({ productCount: 0, total: null, monthlyCost: null, lastsDays: null, withinBudget: null });
+    });
+});
+
+describe('build and choose', () => {
+    it('cuts the routine down to each tier, smallest first', () => {
+        const built = tiers.build(routine, catalog, { domain: 'skin' });
+        expect(built.map(t => t.id)).toEqual(['essentials', 'standard', 'complete']);
+        expect(pickedIds(built[0].routine)).toEqual(['v-wash', 'v-spf', 'v-wash', 'v-moisturizer']);
+        expect(pickedIds(built[2].routine)).toEqual(pickedIds(routine));
+        expect(tiers.choose(built.map(t => ({ id: t.id, withinBudget: null })))).toBe('complete');
+    });
+
+    it('drops a tier that adds nothing to the one before', () => {
+        const short = { am: [item('v-wash', 'cleanser'), item('v-spf', 'sunscreen')], pm: [] };
+        expect(tiers.build(short, catalog, { domain: 'skin' }).map(t => t.id)).toEqual(['essentials']);
+    });
+
+    it('swaps in cheaper alternatives to fit a budget and starts on the largest tier that fits', () => {
+        const built = tiers.build(routine, catalog, { domain: 'skin', budget: 780 });
+        expect(pickedIds(built[1].routine)).toContain('v-niacinamide');
+        expect(pickedIds(built[1].routine)).not.toContain('v-vitc');
+
+        const summaries = built.map(t => ({ id: t.id, ...tiers.summarize(t.routine, catalog, { budget: 780 }) }));
+        expect(summaries.map(s => s.monthlyCost.amount)).toEqual([673.55, 763.55, 763.55]);
+        expect(tiers.choose(summaries, 780)).toBe('complete');
+        expect(tiers.choose(summaries.map(s => ({ ...s, withinBudget: s.id === 'essentials' })), 700)).toBe('essentials');
+        expect(tiers.choose(summaries.map(s => ({ ...s, withinBudget: false })), 100)).toBe('essentials');
+    });
+});
+
+describe('normalizeBudget', () => {
+    it('accepts positive amounts and treats a missing one as no budget', () => {
+        expect(normalizeBudget(1500)).toBe(1500);
+        expect(normalizeBudget(undefined)).toBeNull();
+        expect(normalizeBudget(null)).toBeNull();
+        expect(normalizeBudget(0)).toBeUndefined();
+        expect(normalizeBudget('1500')).toBeUndefined();
+        expect(normalizeBudget(Infinity)).toBeUndefined();
+    });
+});
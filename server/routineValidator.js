@@ -0,0 +1,122 @@
+// Steps every routine half must contain, per recommender. Only enforced when the catalog
+// actually has a product for the step.
+const REQUIRED_STEPS = {
+    skin: { am: ['cleanser', 'sunscreen'], pm: ['cleanser'] },
+    hair: { am: [], pm: [] }
+};
+
+const SLOT_NAMES = { am: 'morning', pm: 'evening' };
+
+// Usage text for items added deterministically when the model leaves a required step out.
+const FILL_USAGE = {
+    cleanser: { howToUse: 'Massage onto damp skin for 30 seconds, then rinse.', frequency: 'Twice daily' },
+    sunscreen: { howToUse: 'Apply two finger-lengths as the last morning step; reapply every 2-3 hours outdoors.', frequency: 'Daily' }
+};
+
+const correction = (type, slot, step, name, message) => ({ type, slot, step, name, message });
+
+const findProduct = (catalog, item) => catalog.find(p => p.variantId === item.productId)
+    || catalog.find(p => p.name.toLowerCase() === String(item.name || '').toLowerCase());
+
+/** Cleans one routine half; returns the kept items, in order. */
+const validateSlot = (items, slot, catalog, corrections) => {
+    const seen = new Set();
+    const kept = [];
+    (Array.isArray(items) ? items : []).forEach(item => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            corrections.push(correction('removed', slot, null, null, `Removed an item from the ${SLOT_NAMES[slot]} routine that was not a product.`));
+            return;
+        }
+        const product = findProduct(catalog, item);
+        if (!product) {
+            corrections.push(correction('removed', slot, item.stepType, item.name, `Removed "${item.name}": not in the catalog.`));
+            return;
+        }
+        if (product.step && product.step !== item.stepType) {
+            corrections.push(correction('removed', slot, item.stepType, product.name, `Removed "${product.name}" from the ${item.stepType} step: it is a ${product.step} product.`));
+            return;
+        }
+        if (seen.has(product.variantId)) {
+            corrections.push(correction('removed', slot, item.stepType, product.name, `Removed duplicate "${product.name}" from the ${SLOT_NAMES[slot]} routine.`));
+            return;
+        }
+        seen.add(product.variantId);
+        kept.push({
+            ...item,
+            productId: product.variantId,
+            name: product.name,
+            recommendationType: item.recommendationType === 'Alternative' ? 'Alternative' : 'Recommended'
+        });
+    });
+
+    // Exactly one "Recommended" product per step: demote extras, promote a lone alternative.
+    [...new Set(kept.map(item => item.stepType))].forEach(step => {
+        const inStep = kept.filter(item => item.stepType === step);
+        const recommended = inStep.filter(item => item.recommendationType === 'Recommended');
+        recommended.slice(1).forEach(item => {
+            item.recommendationType = 'Alternative';
+            corrections.push(correction('demoted', slot, step, item.name, `"${item.name}" is now the alternative; only one product per step is recommended.`));
+        });
+        if (recommended.length === 0) {
+            inStep[0].recommendationType = 'Recommended';
+            corrections.push(correction('promoted', slot, step, inStep[0].name, `"${inStep[0].name}" is now the recommended ${step}.`));
+        }
+    });
+    return kept;
+};
+
+/**
+ * Checks a model-generated routine ({ am, pm } items) against the catalog and the clinical
+ * structure rules. Returns { routine, corrections, gaps }: `routine` has every fixable problem
+ * (unknown, misplaced or duplicate products, Recommended/Alternative mix-ups) corrected,
+ * `corrections` describes each change, and `gaps` lists required steps that are still missing
+ * ([{ slot, step }]) for a repair prompt or fillGaps().
+ */
+export const validateRoutine = (recommendations, catalog, { domain }) => {
+    const corrections = [];
+    const routine = {
+        am: validateSlot(recommendations?.am, 'am', catalog, corrections),
+        pm: validateSlot(recommendations?.pm, 'pm', catalog, corrections)
+    };
+    const required = REQUIRED_STEPS[domain] || { am: [], pm: [] };
+    const gaps = ['am', 'pm'].flatMap(slot => required[slot]
+        .filter(step => !routine[slot].some(item => item.stepType === step) && catalog.some(p => p.step === step))
+        .map(step => ({ slot, step })));
+    return { routine, corrections, gaps };
+};
+
+/** Problem list for the repair prompt. */
+export const describeRoutineProblems = ({ corrections, gaps }) => [
+    ...gaps.map(({ slot, step }) => `The ${SLOT_NAMES[slot]} routine has no ${step} step. Add one from the catalog.`),
+    ...corrections.filter(c => c.type === 'removed').map(c => c.message)
+];
+
+/**
+ * Fills remaining gaps without the model: reuses the product already recommended for that step
+ * in the other half of the routine, otherwise the first catalog product for the step that is in
+ * stock (or the first one, when none is).
+ */
+export const fillGaps = ({ routine, corrections, gaps }, catalog) => {
+    gaps.forEach(({ slot, step }) => {
+        const other = routine[slot === 'am' ? 'pm' : 'am'].find(item => item.stepType === step && item.recommendationType === 'Recommended');
+        const product = (other && findProduct(catalog, other))
+            || catalog.find(p => p.step === step && p.available !== false)
+            || catalog.find(p => p.step === step);
+        const usage = FILL_USAGE[step] || { howToUse: 'Use as directed on the pack.', frequency: 'Once daily' };
+        // Cleansing comes first; everything else is appended.
+        const insert = step === 'cleanser' ? 'unshift' : 'push';
+        routine[slot][insert]({
+            stepType: step,
+            productId: product.variantId,
+            name: product.name,
+            reason: `Added: every ${SLOT_NAMES[slot]} routine needs a ${step}.`,
+            recommendationType: 'Recommended',
+            when: slot === 'am' ? 'Morning' : 'Night',
+            howToUse: usage.howToUse,
+            frequency: usage.frequency,
+            duration: 'Ongoing'
+        });
+        corrections.push(correction('added', slot, step, product.name, `Added "${product.name}": the ${SLOT_NAMES[slot]} routine was missing a ${step}.`));
+    });
+    return { routine, corrections, gaps: [] };
+};
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { describeRoutineProblems, fillGaps, validateRoutine } from './routineValidator.js';
+
+const catalog = [
+    { variantId: 'v-wash', name: 'Gentle Face Wash', step: 'cleanser', available: true },
+    { variantId: 'v-wash-2', name: 'Salicylic Face Wash', step: 'cleanser', available: true },
+    { variantId: 'v-serum', name: 'Vitamin C Serum', step: 'serum', available: true },
+    { variantId: 'v-spf-out', name: 'Sold Out Sunscreen', step: 'sunscreen', available: false },
+    { variantId: 'v-spf', name: 'Daily Sunscreen', step: 'sunscreen', available: true }
+];
+
+const item = (productId, stepType, extra = {}) => ({ productId, stepType, name: extra.name || productId, recommendationType: 'Recommended', ...extra });
+
+describe('validateRoutine', () => {
+    it('keeps a valid routine as it is', () => {
+        const { routine, corrections, gaps } = validateRoutine({
+            am: [item('v-wash', 'cleanser'), item('v-serum', 'serum'), item('v-spf', 'sunscreen')],
+            pm: [item('v-wash', 'cleanser')]
+        }, catalog, { domain: 'skin' });
+        expect(routine.am.map(i => i.name)).toEqual(['Gentle Face Wash', 'Vitamin C Serum', 'Daily Sunscreen']);
+        expect(corrections).toEqual([]);
+        expect(gaps).toEqual([]);
+    });
+
+    it('removes unknown, misplaced and duplicate products', () => {
+        const { routine, corrections } = validateRoutine({
+            am: [item('v-wash', 'cleanser'), item('v-made-up', 'serum'), item('v-serum', 'cleanser'), item('v-wash', 'cleanser'), item('v-spf', 'sunscreen')],
+            pm: [item('v-wash', 'cleanser')]
+        }, catalog, { domain: 'skin' });
+        expect(routine.am.map(i => i.productId)).toEqual(['v-wash', 'v-spf']);
+        expect(corrections.map(c => c.type)).toEqual(['removed', 'removed', 'removed']);
+    });
+
+    it('skips items that are not products instead of failing', () => {
+        const { routine, corrections } = validateRoutine({
+            am: [null, 'cleanser', item('v-wash', 'cleanser'), item('v-spf', 'sunscreen')],
+            pm: [item('v-wash', 'cleanser'), [1]]
+        }, catalog, { domain: 'skin' });
+        expect(routine.am).toHaveLength(2);
+        expect(routine.pm).toHaveLength(1);
+        expect(corrections).toEqual([
+            expect.objectContaining({ type: 'removed', slot: 'am', step: null, name: null }),
+            expect.objectContaining({ type: 'removed', slot: 'am' }),
+            expect.objectContaining({ type: 'removed', slot: 'pm' })
+        ]);
+    });
+
+    it('keeps exactly one recommended product per step', () => {
+        const { routine, corrections } = validateRoutine({
+            am: [item('v-wash', 'cleanser'), item('v-wash-2', 'cleanser'), item('v-serum', 'serum', { recommendationType: 'Alternative' }), item('v-spf', 'sunscreen')],
+            pm: [item('v-wash', 'cleanser')]
+        }, catalog, { domain: 'skin' });
+        expect(routine.am.map(i => i.recommendationType)).toEqual(['Recommended', 'Alternative', 'Recommended', 'Recommended']);
+        expect(corrections.map(c => c.type)).toEqual(['demoted', 'promoted']);
+    });
+
+    it('reports the required steps that are missing', () => {
+        const result = validateRoutine({ am: [item('v-serum', 'serum')], pm: [] }, catalog, { domain: 'skin' });
+        expect(result.gaps).toEqual([{ slot: 'am', step: 'cleanser' }, { slot: 'am', step: 'sunscreen' }, { slot: 'pm', step: 'cleanser' }]);
+        expect(describeRoutineProblems(result)).toHaveLength(3);
+        expect(validateRoutine({ am: [], pm: [] }, catalog, { domain: 'hair' }).gaps).toEqual([]);
+    });
+});
+
+describe('fillGaps', () => {
+    it('reuses the other half of the routine, else an in-stock catalog product', () => {
+        const result = fillGaps(validateRoutine({
+            am: [item('v-serum', 'serum')],
+            pm: [item('v-wash-2', 'cleanser')]
+        }, catalog, { domain: 'skin' }), catalog);
+        expect(result.routine.am.map(i => i.productId)).toEqual(['v-wash-2', 'v-serum', 'v-spf']);
+        expect(result.corrections.map(c => c.type)).toEqual(['added', 'added']);
+        expect(result.gaps).toEqual([]);
+    });
+
+    it('falls back to an out-of-stock product when the step has nothing else', () => {
+        const soldOut = catalog.filter(p => p.variantId !== 'v-spf');
+        const result = fillGaps(validateRoutine({ am: [item('v-wash', 'cleanser')], pm: [item('v-wash', 'cleanser')] }, soldOut, { domain: 'skin' }), soldOut);
+        expect(result.routine.am.map(i => i.productId)).toEqual(['v-wash', 'v-spf-out']);
+    });
+});
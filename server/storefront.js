@@ -0,0 +1,55 @@
+export const STOREFRONT_API_VERSION = '2024-01';
+
+/**
+ * Minimal Shopify Storefront GraphQL client shared by the catalog and checkout. `endpoint`
+ * overrides the store's own URL, e.g. to point at the local mock (server/mockStorefront.js).
+ * `request()` resolves to the response's `data` and rejects on HTTP or GraphQL errors.
+ */
+export function createStorefrontClient({ shopDomain, accessToken, endpoint, fetchImpl = fetch }) {
+    const url = endpoint || `https://${shopDomain}/api/${STOREFRONT_API_VERSION}/graphql.json`;
+    const configured = Boolean((shopDomain || endpoint) && accessToken);
+
+    async function request(query, variables = {}) {
+        const response = await fetchImpl(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Shopify-Storefront-Access-Token': accessToken,
+            },
+            body: JSON.stringify({ query, variables }),
+        });
+        if (!response.ok) {
+            throw new Error(`Shopify responded with status ${response.status}`);
+        }
+        const json = await response.json();
+        if (json.errors) {
+            throw new Error(`Shopify GraphQL errors: ${JSON.stringify(json.errors)}`);
+        }
+        return json.data;
+    }
+
+    return { configured, request };
+}
+
+const CART_CREATE_MUTATION = `
+mutation CartCreate($input: CartInput!) {
+  cartCreate(input: $input) {
+    cart { id, checkoutUrl }
+    userErrors { field, message }
+  }
+}
+`;
+
+/**
+ * Creates a Storefront cart and returns { id, checkoutUrl }. `lines` are { merchandiseId, quantity,
+ * attributes }, and `attributes` ([{ key, value }]) are stored on the cart and copied to the order.
+ * Shopify's user errors (e.g. a sold-out variant) reject with their messages.
+ */
+export async function createCart(storefront, { lines, attributes = [] }) {
+    const data = await storefront.request(CART_CREATE_MUTATION, { input: { lines, attributes } });
+    const { cart, userErrors = [] } = data?.cartCreate || {};
+    if (userErrors.length > 0 || !cart?.checkoutUrl) {
+        throw new Error(`Shopify could not create the cart: ${userErrors.map(e => e.message).join(' ') || 'no cart returned'}`);
+    }
+    return cart;
+}
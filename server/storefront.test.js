@@ -0,0 +1,87 @@
+import http from 'http';
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+import { createMockStorefront } from './mockStorefront.js';
+import { createCart, createStorefrontClient, STOREFRONT_API_VERSION } from './storefront.js';
+
+const products = [
+    {
+        productId: 'gid://shopify/Product/1', name: 'Face Wash', handle: 'face-wash', description: '', productType: 'Face Wash',
+        url: 'https://example.com/products/face-wash', imageUrl: 'https://example.com/face-wash.png', tags: [],
+        variants: [{ id: 'gid://shopify/ProductVariant/11', title: '100 ml', available: true, price: { amount: 349, currencyCode: 'INR' }, compareAtPrice: null }]
+    },
+    {
+        productId: 'gid://shopify/Product/2', name: 'Sunscreen', handle: 'sunscreen', description: '', productType: 'Sunscreen',
+        url: 'https://example.com/products/sunscreen', imageUrl: 'https://example.com/sunscreen.png', tags: [],
+        variants: [{ id: 'gid://shopify/ProductVariant/21', title: '50 ml', available: false, price: { amount: 499, currencyCode: 'INR' }, compareAtPrice: null }]
+    }
+];
+
+// The mock Storefront on a free local port.
+let server;
+let origin;
+let carts;
+let storefront;
+
+beforeAll(async () => {
+    server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+    const mock = createMockStorefront({ products, origin });
+    carts = mock.carts;
+    server.on('request', mock.app);
+    storefront = createStorefrontClient({ accessToken: 'token', endpoint: `${origin}/api/${STOREFRONT_API_VERSION}/graphql.json` });
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+describe('createStorefrontClient', () => {
+    it('is configured with a shop domain or endpoint and an access token', () => {
+        expect(createStorefrontClient({ shopDomain: 'shop.myshopify.com', accessToken: 'token' }).configured).toBe(true);
+        expect(createStorefrontClient({ shopDomain: 'shop.myshopify.com' }).configured).toBe(false);
+        expect(createStorefrontClient({ accessToken: 'token' }).configured).toBe(false);
+    });
+
+    it('resolves to the response data', async () => {
+        const data = await storefront.request('query { products(first: 100) { edges { node { id } } } }');
+        expect(data.products.edges.map(edge => edge.node.id)).toEqual(['gid://shopify/Product/1', 'gid://shopify/Product/2']);
+    });
+
+    it('rejects on HTTP and GraphQL errors', async () => {
+        const withoutToken = createStorefrontClient({ accessToken: '', endpoint: `${origin}/api/${STOREFRONT_API_VERSION}/graphql.json` });
+        await expect(withoutToken.request('query { products(first: 1) { edges { node { id } } } }')).rejects.toThrow('status 401');
+        await expect(storefront.request('query { shop { name } }')).rejects.toThrow('GraphQL errors');
+    });
+
+    it('rejects when the store cannot be reached', async () => {
+        const fetchImpl = vi.fn().mockRejectedValue(new TypeError('fetch failed'));
+        const unreachable = createStorefrontClient({ shopDomain: 'shop.myshopify.com', accessToken: 'token', fetchImpl });
+        await expect(unreachable.request('query { shop { name } }')).rejects.toThrow('fetch failed');
+        expect(fetchImpl).toHaveBeenCalledWith(`https://shop.myshopify.com/api/${STOREFRONT_API_VERSION}/graphql.json`, expect.anything());
+    });
+});
+
+describe('createCart', () => {
+    it('creates a cart with its lines and attributes', async () => {
+        const lines = [{ merchandiseId: 'gid://shopify/ProductVariant/11', quantity: 2, attributes: [{ key: '_assessment_type', value: 'skin' }] }];
+        const attributes = [{ key: '_assessment_type', value: 'skin,hair' }];
+        const cart = await createCart(storefront, { lines, attributes });
+
+        expect(cart.checkoutUrl).toMatch(new RegExp(`^${origin}/checkout/`));
+        expect(carts.at(-1)).toMatchObject({ id: cart.id, lines, attributes });
+        const checkout = await fetch(cart.checkoutUrl);
+        expect(checkout.status).toBe(200);
+    });
+
+    it("rejects with Shopify's messages for unknown and sold-out variants", async () => {
+        await expect(createCart(storefront, { lines: [{ merchandiseId: 'gid://shopify/ProductVariant/99', quantity: 1 }] }))
+            .rejects.toThrow('The merchandise with id gid://shopify/ProductVariant/99 does not exist.');
+        await expect(createCart(storefront, { lines: [{ merchandiseId: 'gid://shopify/ProductVariant/21', quantity: 1 }] }))
+            .rejects.toThrow("The product '50 ml' is already sold out.");
+        await expect(createCart(storefront, { lines: [] })).rejects.toThrow('A cart needs at least one line.');
+    });
+
+    it('rejects when no cart comes back', async () => {
+        const empty = { request: async () => ({ cartCreate: { cart: null, userErrors: [] } }) };
+        await expect(createCart(empty, { lines: [] })).rejects.toThrow('no cart returned');
+    });
+});
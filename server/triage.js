@@ -0,0 +1,55 @@
+import fs from 'fs';
+
+const SEVERITY_RANK = { consult: 1, urgent: 2 };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const startsWord = (phrase, text) => new RegExp(`\\b${escapeRegExp(phrase)}`).test(text);
+
+/**
+ * Red-flag triage for analysis results. Rules come from `rulesPath` (see
+ * server/config/triageRules.json) and are read once, at creation; `bookingUrl` is where the
+ * app sends users to book a dermatologist consultation.
+ */
+export function createTriage({ rulesPath, bookingUrl }) {
+    const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf-8')).rules.map(rule => ({
+        ...rule,
+        match: rule.match.map(p => p.toLowerCase()),
+        withAny: (rule.withAny || []).map(p => p.toLowerCase())
+    }));
+
+    const ruleFor = (category, condition, domain) => {
+        const text = `${category} ${condition.name || ''} ${condition.description || ''}`.toLowerCase();
+        return rules.find(rule => (!rule.domains || rule.domains.includes(domain))
+            && (Number(condition.confidence) || 0) >= rule.minConfidence
+            && rule.match.some(phrase => startsWord(phrase, text))
+            && (rule.withAny.length === 0 || rule.withAny.some(phrase => startsWord(phrase, text))));
+    };
+
+    /**
+     * Checks every condition of a SkinConditionCategory[] result. Returns
+     * { level: 'none' | 'consult' | 'urgent', findings: [{ ruleId, condition, location,
+     * confidence, severity, reason }], bookingUrl }; `level` is the most severe finding and
+     * `reason` is in `language` when the rule has a translation.
+     */
+    function assess(analysis, { domain, language }) {
+        const findings = [];
+        (Array.isArray(analysis) ? analysis : []).forEach(cat => (cat.conditions || []).forEach(condition => {
+            const rule = ruleFor(cat.category || '', condition, domain);
+            if (!rule) return;
+            findings.push({
+                ruleId: rule.id,
+                condition: condition.name,
+                location: condition.location,
+                confidence: Math.round(condition.confidence),
+                severity: rule.severity,
+                reason: rule.reasonTranslations?.[language] || rule.reason
+            });
+        }));
+        findings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+        const level = findings[0]?.severity || 'none';
+        return { level, findings, bookingUrl: level === 'none' ? null : bookingUrl };
+    }
+
+    return { assess };
+}
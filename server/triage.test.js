@@ -0,0 +1,63 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, expect, it } from 'vitest';
+import { createTriage } from './triage.js';
+
+const rulesPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'config', 'triageRules.json');
+const bookingUrl = 'https://example.com/book';
+const { assess } = createTriage({ rulesPath, bookingUrl });
+
+const analysis = (...conditions) => [{ category: 'Skin Concerns', conditions }];
+
+describe('assess', () => {
+    it('returns no findings and no booking link for ordinary concerns', () => {
+        const result = assess(analysis({ name: 'Mild Acne', confidence: 80, location: 'Forehead' }), { domain: 'skin' });
+        expect(result).toEqual({ level: 'none', findings: [], bookingUrl: null });
+    });
+
+    it('needs a qualifying word alongside the match when the rule has withAny', () => {
+        const plain = assess(analysis({ name: 'Mole', confidence: 90 }), { domain: 'skin' });
+        expect(plain.level).toBe('none');
+
+        const irregular = assess(analysis({ name: 'Mole', description: 'Irregular border, changing colour', confidence: 90, location: 'Cheek' }), { domain: 'skin' });
+        expect(irregular.level).toBe('urgent');
+        expect(irregular.findings[0]).toMatchObject({ ruleId: 'changing-mole', condition: 'Mole', location: 'Cheek', confidence: 90 });
+        expect(irregular.bookingUrl).toBe(bookingUrl);
+    });
+
+    it('ignores findings below the rule confidence', () => {
+        expect(assess(analysis({ name: 'Cystic Acne', confidence: 40 }), { domain: 'skin' }).level).toBe('none');
+        expect(assess(analysis({ name: 'Cystic Acne', confidence: 60 }), { domain: 'skin' }).level).toBe('consult');
+    });
+
+    it('matches phrases only at the start of a word', () => {
+        // "ulcer" must not match inside another word.
+        expect(assess(analysis({ name: 'Nonulcerative redness', confidence: 90 }), { domain: 'skin' }).level).toBe('none');
+    });
+
+    it('applies rules only to their domains', () => {
+        const patchy = analysis({ name: 'Patchy hair loss', confidence: 70 });
+        expect(assess(patchy, { domain: 'skin' }).level).toBe('none');
+        expect(assess(patchy, { domain: 'hair' }).findings[0].ruleId).toBe('patchy-alopecia');
+    });
+
+    it('puts the most severe finding first and reports its level', () => {
+        const result = assess(analysis(
+            { name: 'Cystic Acne', confidence: 70 },
+            { name: 'Suspected Melanoma', confidence: 25 }
+        ), { domain: 'skin' });
+        expect(result.level).toBe('urgent');
+        expect(result.findings.map(f => f.severity)).toEqual(['urgent', 'consult']);
+    });
+
+    it('translates the reason when the rule has the language, else falls back to English', () => {
+        const cystic = analysis({ name: 'Cystic Acne', confidence: 70 });
+        const english = assess(cystic, { domain: 'skin', language: 'en' }).findings[0].reason;
+        expect(assess(cystic, { domain: 'skin', language: 'hi' }).findings[0].reason).not.toBe(english);
+        expect(assess(cystic, { domain: 'skin', language: 'xx' }).findings[0].reason).toBe(english);
+    });
+
+    it('treats a missing analysis as clear', () => {
+        expect(assess(null, { domain: 'skin' }).level).toBe('none');
+    });
+});
@@ -0,0 +1,169 @@
+// All AI and data calls go through the Express API (server.js); no model keys live in the browser.
+// Leave VITE_API_BASE_URL unset to call the same origin (the Vite dev server proxies /api).
+export const API_BASE_URL = (import.meta.env?.VITE_API_BASE_URL || '').replace(/\/$/, '');
+
+// Session id for this browser tab, sent as X-Session-Id. The server issues it (in the X-Session-Id
+// response header of a request sent without a valid one) and signs it; it logs and rate-limits
+// requests by it.
+const SESSION_ID_KEY = 'dermatics.clientSession';
+let fallbackSessionId: string | null = null;
+const storedSessionId = (): string | null => {
+    try {
+        return sessionStorage.getItem(SESSION_ID_KEY);
+    } catch {
+        // Storage unavailable: keep the id for this page load instead.
+        return fallbackSessionId;
+    }
+};
+const keepSessionId = (response: Response) => {
+    const issued = response.headers.get('X-Session-Id');
+    if (!issued) return;
+    fallbackSessionId = issued;
+    try {
+        sessionStorage.setItem(SESSION_ID_KEY, issued);
+    } catch {
+        // Kept in fallbackSessionId only.
+    }
+};
+
+const withSession = (headers: HeadersInit = {}): Headers => {
+    const result = new Headers(headers);
+    const id = storedSessionId();
+    if (id) result.set('X-Session-Id', id);
+    return result;
+};
+
+/**
+ * Error thrown by every API client function. `status` is the HTTP status (0 for network
+ * failures) and `details` carries the server's underlying error message when it sent one.
+ */
+export class ApiError extends Error {
+    status: number;
+    details?: string;
+
+    constructor(message: string, status: number, details?: string) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Calls an API endpoint and returns the parsed JSON body, normalising every failure
+ * (network, non-2xx status, invalid JSON) into an ApiError.
+ */
+export async function requestJson<T>(endpoint: string, init: RequestInit = {}): Promise<T> {
+    let response: Response;
+    try {
+        response = await fetch(`${API_BASE_URL}${endpoint}`, { ...init, headers: withSession(init.headers) });
+        keepSessionId(response);
+    } catch (error) {
+        throw new ApiError('Could not reach the server. Please check your connection and try again.', 0, (error as Error).message);
+    }
+
+    let data: any = null;
+    try {
+        data = await response.json();
+    } catch {
+        // Non-JSON body; handled below.
+    }
+
+    if (!response.ok) {
+        throw new ApiError(data?.error || `Request failed with status ${response.status}`, response.status, data?.details);
+    }
+    if (data === null) {
+        throw new ApiError('The server returned an invalid response.', response.status);
+    }
+    return data as T;
+}
+
+export const postJson = <T>(endpoint: string, body: unknown): Promise<T> =>
+    requestJson<T>(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+
+/**
+ * POSTs JSON and returns the response body as a Blob (e.g. a generated PDF). Error responses
+ * are JSON and reject with an ApiError like requestJson.
+ */
+export async function postForBlob(endpoint: string, body: unknown): Promise<Blob> {
+    let response: Response;
+    try {
+        response = await fetch(`${API_BASE_URL}${endpoint}`, {
+            method: 'POST',
+            headers: withSession({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(body),
+        });
+        keepSessionId(response);
+    } catch (error) {
+        throw new ApiError('Could not reach the server. Please check your connection and try again.', 0, (error as Error).message);
+    }
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => null);
+        throw new ApiError(data?.error || `Request failed with status ${response.status}`, response.status, data?.details);
+    }
+    return response.blob();
+}
+
+export const getJson = <T>(endpoint: string, params: Record<string, string | undefined> = {}, headers?: HeadersInit): Promise<T> => {
+    const query = new URLSearchParams(
+        Object.entries(params).filter((entry): entry is [string, string] => !!entry[1])
+    ).toString();
+    return requestJson<T>(query ? `${endpoint}?${query}` : endpoint, { headers });
+};
+
+/**
+ * POSTs to a Server-Sent Events endpoint and calls `onEvent(event, data)` for every event
+ * as it arrives (`event` is 'message' for unnamed events, `data` is the parsed JSON).
+ * Resolves when the stream ends. Non-2xx responses reject with an ApiError like requestJson.
+ */
+export async function postEventStream(
+    endpoint: string,
+    body: unknown,
+    onEvent: (event: string, data: any) => void
+): Promise<void> {
+    let response: Response;
+    try {
+        response = await fetch(`${API_BASE_URL}${endpoint}`, {
+            method: 'POST',
+            headers: withSession({ 'Content-Type': 'application/json', 'Accept': 'text/event-stream' }),
+            body: JSON.stringify(body),
+        });
+        keepSessionId(response);
+    } catch (error) {
+        throw new ApiError('Could not reach the server. Please check your connection and try again.', 0, (error as Error).message);
+    }
+
+    if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => null);
+        throw new ApiError(data?.error || `Request failed with status ${response.status}`, response.status, data?.details);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const dispatch = (block: string) => {
+        let event = 'message';
+        const dataLines: string[] = [];
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+        });
+        if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        // Events are separated by a blank line; keep any incomplete tail for the next chunk.
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop() || '';
+        blocks.forEach(dispatch);
+    }
+    if (buffer.trim()) dispatch(buffer);
+}
@@ -0,0 +1,49 @@
+import { AssessmentRecord, AssessmentSummary, AssessmentType, ProductRecommendation, SkinConditionCategory, UserInfo } from '../types';
+import { getJson, requestJson } from './apiClient';
+
+export interface SaveAssessmentInput {
+    userInfo: UserInfo;
+    type: AssessmentType;
+    analysis: SkinConditionCategory[];
+    images: string[];
+    goals: string[];
+    recommendations: ProductRecommendation[];
+}
+
+// The server hands out an owner token with the first saved assessment; history is only readable
+// with it. It outlives the session (Restart keeps it), so this browser keeps seeing its history.
+const OWNER_TOKEN_KEY = 'dermatics.assessmentOwner';
+
+const readOwnerToken = (): string | null => {
+    try {
+        return localStorage.getItem(OWNER_TOKEN_KEY);
+    } catch {
+        return null;
+    }
+};
+
+const ownerHeaders = (token: string): HeadersInit => ({ Authorization: `Bearer ${token}` });
+
+export const saveAssessment = async (input: SaveAssessmentInput): Promise<AssessmentSummary> => {
+    const token = readOwnerToken();
+    const { ownerToken, ...saved } = await requestJson<AssessmentSummary & { ownerToken: string }>('/api/assessments', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? ownerHeaders(token) : {}) },
+        body: JSON.stringify(input),
+    });
+    try {
+        localStorage.setItem(OWNER_TOKEN_KEY, ownerToken);
+    } catch {
+        // Storage unavailable: the history just can't be read back later.
+    }
+    return saved;
+};
+
+/** The user's saved assessments; none when this browser has never saved one. */
+export const listAssessments = async (user: Pick<UserInfo, 'phone' | 'email'>): Promise<AssessmentSummary[]> => {
+    const token = readOwnerToken();
+    return token ? getJson<AssessmentSummary[]>('/api/assessments', { phone: user.phone, email: user.email }, ownerHeaders(token)) : [];
+};
+
+export const getAssessment = (id: string, user: Pick<UserInfo, 'phone' | 'email'>): Promise<AssessmentRecord> =>
+    getJson<AssessmentRecord>(`/api/assessments/${encodeURIComponent(id)}`, { phone: user.phone, email: user.email }, ownerHeaders(readOwnerToken() || ''));
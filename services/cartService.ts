@@ -0,0 +1,14 @@
+import { AssessmentType } from '../types';
+import { postJson } from './apiClient';
+
+export interface CheckoutInput {
+    lines: { variantId: string; quantity: number; recommendationType?: 'Recommended' | 'Alternative'; assessmentType?: AssessmentType }[];
+    /** The saved assessment the products were recommended in; it is attached to the order. */
+    assessmentId?: string;
+    /** The session's assessments, both in a combined skin-and-hair session. */
+    assessmentTypes?: AssessmentType[];
+}
+
+/** Creates a Shopify cart on the server and returns the store's checkout URL for it. */
+export const createCheckout = (input: CheckoutInput): Promise<{ checkoutUrl: string }> =>
+    postJson<{ checkoutUrl: string }>('/api/cart', input);
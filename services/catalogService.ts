@@ -0,0 +1,6 @@
+import { AssessmentType, Product } from '../types';
+import { getJson } from './apiClient';
+
+/** Catalog products the given routine may use for a step (e.g. every skin "serum"). */
+export const getStepProducts = (routine: AssessmentType, step: string): Promise<Product[]> =>
+    getJson<Product[]>('/api/catalog/products', { routine, step });
@@ -0,0 +1,18 @@
+import { AnalysisCorrection, AssessmentType, CaptureAngle, Language, SkinConditionCategory } from '../types';
+import { postJson } from './apiClient';
+
+/** The model's analysis with the user's corrections, for evaluating the analysis prompts later. */
+export interface AnalysisFeedbackInput {
+    type: AssessmentType;
+    analysis: SkinConditionCategory[];
+    corrections: AnalysisCorrection[];
+    images: string[];
+    angles: (CaptureAngle | null)[];
+    // The photos are sent only with the user's consent; the server refuses them without it.
+    photoConsent: boolean;
+    language: Language;
+}
+
+// Sending corrections for the same photos and analysis again updates the stored feedback.
+export const submitAnalysisFeedback = (input: AnalysisFeedbackInput): Promise<{ id: string; createdAt: string; updatedAt: string }> =>
+    postJson('/api/analysis-feedback', input);
@@ -0,0 +1,9 @@
+import { HairQuestionnaire, Language } from '../types';
+import { getJson } from './apiClient';
+
+/**
+ * The current hair questionnaire, with question texts and option labels in `language`; its
+ * `version` goes back with the answers to /api/recommend-hair. Answer values are the same in every language.
+ */
+export const getHairQuestionnaire = (language: Language): Promise<HairQuestionnaire> =>
+    getJson<HairQuestionnaire>(`/api/hair-questionnaire?language=${language}`);
@@ -0,0 +1,43 @@
+import { AssessmentType, Language, ProductRecommendation, SafetyProfile, SkinConditionCategory } from '../types';
+import { postForBlob, postJson, requestJson } from './apiClient';
+
+/** One assessment of the report. */
+export interface ReportSection {
+    type: AssessmentType;
+    analysis: SkinConditionCategory[];
+    recommendations: ProductRecommendation[];
+    goals: string[];
+    /** Base64 of the first analyzed photo; its bounding boxes are drawn onto it. */
+    image?: string;
+}
+
+export interface ReportInput extends ReportSection {
+    userInfo?: { name?: string; age?: string };
+    /** The session's other assessment when it covered both skin and hair; the report covers both. */
+    otherAssessments?: ReportSection[];
+    /** The user's safety answers; the PDF notes what they rule out and any ingredient conflicts. */
+    safety?: SafetyProfile;
+    /** Falls back to English on the server if its fonts for this language are not installed. */
+    language?: Language;
+}
+
+export interface DoctorReport {
+    /** Private link to the PDF; it stops working at `expiresAt` (ISO date). */
+    url: string;
+    summary: string;
+    /** Signs the link; also authorises deleting the report. */
+    token: string;
+    expiresAt: string;
+}
+
+/** Renders the report as a PDF on the server. */
+export const getReportPdf = (input: ReportInput): Promise<Blob> =>
+    postForBlob('/api/report', input);
+
+/** Same report with an AI doctor's summary, saved on the server; returns its link and the summary. */
+export const createDoctorReport = (input: ReportInput): Promise<DoctorReport> =>
+    postJson<DoctorReport>('/api/doctor-report', input);
+
+/** Deletes a saved doctor's report from the server right away instead of waiting for it to be purged. */
+export const deleteReport = (token: string): Promise<{ deleted: boolean }> =>
+    requestJson<{ deleted: boolean }>(`/api/reports/${encodeURIComponent(token)}`, { method: 'DELETE' });
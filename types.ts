@@ -8,6 +8,7 @@ export enum Sender {
 export enum MessageType {
   // Common
   Text = 'text',
+  StepIntro = 'stepIntro', // "Step N:" heading with a short explanation
   YesNo = 'yesNo',
   NextStep = 'nextStep',
   Final = 'final',
@@ -26,6 +27,9 @@ export enum MessageType {
   GoalSelection = 'goalSelection',
   ProductRecommendation = 'productRecommendation',
   DoctorReport = 'doctorReport',
+  Consultation = 'consultation', // Red-flag triage: book a dermatologist
+  SafetyNotes = 'safetyNotes', // Ingredient conflicts and contraindications found in the routine
+  NextAssessment = 'nextAssessment', // Offer to go on to the other assessment in the same session
 
   // Hair Flow
   HairAssessmentStart = 'hairAssessmentStart', // New: For the blue card
@@ -33,6 +37,7 @@ export enum MessageType {
   HairQuestionRadio = 'hairQuestionRadio',
   HairQuestionImageGrid = 'hairQuestionImageGrid',
   HairQuestionCheckbox = 'hairQuestionCheckbox', // New: For Q8
+  BudgetInput = 'budgetInput', // Optional monthly budget before the hair routine
   ChatInput = 'chatInput',
 }
 
@@ -55,6 +60,8 @@ export enum ConversationStep {
   Hair_Gender,
   Hair_Questioning,
   Hair_Analysis,
+  Hair_Analysis_Complete,
+  Hair_Budget,
   Hair_Recommendations,
   // End State
   Done,
@@ -86,6 +93,9 @@ export interface SkinCondition {
   location: string;
   description?: string;
   boundingBoxes: BoundingBox[];
+  /** Set by the user's corrections (utils/analysisCorrections.ts): the model's name for a relabelled condition, or that the user added it. */
+  originalName?: string;
+  userAdded?: boolean;
 }
 
 export interface SkinConditionCategory {
@@ -93,6 +103,15 @@ export interface SkinConditionCategory {
   conditions: SkinCondition[];
 }
 
+/**
+ * A user's correction to an analysis. Dismissed and relabelled conditions are named as the model
+ * named them; an added condition may come with boxes the user drew.
+ */
+export type AnalysisCorrection =
+  | { action: 'dismiss'; condition: string }
+  | { action: 'relabel'; condition: string; name: string }
+  | { action: 'add'; name: string; category: string; location: string; boundingBoxes: BoundingBox[] };
+
 export interface Goal {
   id: string;
   text: string;
@@ -100,13 +119,31 @@ export interface Goal {
   isSuggestion?: boolean;
 }
 
+/** A price in the store's currency; format it with utils/pricing.ts. */
+export interface Money {
+  amount: number;
+  currencyCode: string;
+}
+
+/** A purchasable size or option of a product (server/catalog.js). */
+export interface ProductVariant {
+  id: string;
+  title: string; // "Default Title" when the product has no options
+  available: boolean;
+  price: Money | null;
+  compareAtPrice?: Money | null;
+  lastsDays?: number; // Estimated days this size lasts in the routine (server/routineTiers.js)
+}
+
 export interface Product {
   id?: string; // Standard Shopify GraphQL ID
   productId?: string; // Product ID (e.g. gid://shopify/Product/...)
-  variantId?: string;
+  variantId?: string; // The chosen variant; price and compareAtPrice are its own
+  variants?: ProductVariant[];
   name: string;
-  price: string;
-  compareAtPrice?: string;
+  price: Money | null;
+  compareAtPrice?: Money | null;
+  lastsDays?: number; // The chosen variant's
   tags: string[];
   image: string;
   url?: string;
@@ -116,6 +153,9 @@ export interface Product {
   frequency?: string;
   duration?: string;
   purpose?: string;
+  reason?: string;
+  keyIngredients?: string[];
+  step?: string; // Catalog routine step key (cleanser, serum...); tags[0] holds its display label
 }
 
 export interface ProductRecommendation {
@@ -123,12 +163,98 @@ export interface ProductRecommendation {
   products: Product[];
 }
 
+// A change the server made to the model's routine before returning it (see server/routineValidator.js).
+export interface RoutineCorrection {
+  type: 'removed' | 'demoted' | 'promoted' | 'added' | 'reprompted';
+  slot: 'am' | 'pm' | null;
+  step: string | null;
+  name: string | null;
+  message: string;
+}
+
+export type TriageLevel = 'none' | 'consult' | 'urgent';
+
+/** A finding that matched a red-flag rule (server/config/triageRules.json). */
+export interface TriageFinding {
+  ruleId: string;
+  condition: string;
+  location: string;
+  confidence: number;
+  severity: Exclude<TriageLevel, 'none'>;
+  reason: string;
+}
+
+/** 'consult' adds a consultation prompt next to the routine; 'urgent' replaces the routine with it. */
+export interface TriageResult {
+  level: TriageLevel;
+  findings: TriageFinding[];
+  bookingUrl: string | null;
+}
+
+/**
+ * One ingredient safety check on a routine (server/config/ingredientRules.json): 'excluded' notes
+ * products left out because of the safety answers, 'replaced' a product swapped for `replacement`,
+ * 'flagged' products to use with care. `message` is in the assessment language.
+ */
+export interface SafetyWarning {
+  ruleId: string;
+  action: 'excluded' | 'replaced' | 'flagged';
+  message: string;
+  products: string[];
+  replacement?: string;
+}
+
+export type RoutineTierId = 'essentials' | 'standard' | 'complete';
+
+/**
+ * A cut of the routine down to fewer steps (server/config/routineTiers.json). `total` buys one of
+ * each product, `monthlyCost` keeps the routine going and `lastsDays` is when the first product
+ * runs out. `withinBudget` is null when no budget was given.
+ */
+export interface RoutineTier {
+  id: RoutineTierId;
+  routine: ProductRecommendation[];
+  warnings: SafetyWarning[];
+  productCount: number;
+  total: Money | null;
+  monthlyCost: Money | null;
+  lastsDays: number | null;
+  withinBudget: boolean | null;
+}
+
+export interface RoutineResponse {
+  routine: ProductRecommendation[];
+  corrections: RoutineCorrection[];
+  warnings: SafetyWarning[];
+  /** Smallest first; `routine` and `warnings` are those of `tier`. */
+  tiers: RoutineTier[];
+  tier: RoutineTierId | null;
+  /** Products of the session's other routine that cover a step this routine left out (a combined session). */
+  overlaps?: RoutineOverlap[];
+  triage: TriageResult;
+}
+
+export interface RoutineOverlap {
+  step: string;
+  product: string;
+}
+
+/** One question of the served hair questionnaire (server/config/hairQuestionnaire.json). */
 export interface HairQuestion {
-  id: number;
-  question: string;
-  totalQuestions?: number; // To show "Question X of Y"
-  type: MessageType.HairQuestionRadio | MessageType.HairQuestionImageGrid | MessageType.HairQuestionCheckbox;
-  options: { label: string; image?: string }[];
+  id: string;
+  /** The HairProfileData field the answer is stored under; several questions may share one. */
+  field: Exclude<keyof HairProfileData, 'gender'>;
+  type: 'radio' | 'imageGrid' | 'checkbox';
+  /** Shown only when each listed field, answered earlier, has one of the listed values. */
+  when?: Partial<Record<keyof HairProfileData, string[]>>;
+  text: string;
+  options: { value: string; label: string; image?: string; exclusive?: boolean }[];
+}
+
+export interface HairQuestionnaire {
+  version: number;
+  genders: HairProfileData['gender'][];
+  questions: HairQuestion[];
 }
 
 export interface RoutineProduct {
@@ -155,9 +281,47 @@ export interface SkincareRoutine {
   disclaimer?: string;
 }
 
+/** Hair questionnaire answers, as option values; which fields are present depends on the branching. */
 export interface HairProfileData {
-  gender: string;
-  [key: string]: any;
+  gender: 'Male' | 'Female';
+  hairFallSeverity?: 'normal' | 'moderate' | 'severe' | 'extreme';
+  hairFallDuration?: 'under-6-months' | '6-months-to-2-years' | '2-to-5-years' | 'over-5-years';
+  hairLossStage?: 'stage-1' | 'stage-2' | 'stage-3' | 'stage-4' | 'stage-5' | 'stage-6' | 'coin-patch' | 'heavy-hair-fall';
+  hairLossArea?: 'hairline' | 'crown' | 'diffuse' | 'all';
+  familyHistory?: 'yes' | 'no' | 'unsure';
+  hairTexture?: ('frizzy' | 'breaks-easily' | 'smooth' | 'limp')[];
+  chemicalTreatments?: ('none' | 'smoothening' | 'repair' | 'chemical-color' | 'natural-color' | 'other')[];
+  dandruff?: 'none' | 'occasional' | 'frequent' | 'itchy-sticky' | 'red-patches';
+  scalpType?: 'oily' | 'dry' | 'normal' | 'sensitive';
+  lifeStage?: 'none' | 'planning-pregnancy' | 'pregnant' | 'postpartum' | 'menopause';
+  sleep?: 'good' | 'trouble-falling-asleep' | 'disturbed' | 'under-5-hours' | 'varies';
+  stress?: 'low' | 'moderate' | 'high' | 'very-high';
+  energy?: 'energetic' | 'tired-evenings' | 'tired-mornings' | 'occasionally-low' | 'always-tired';
+  recentTriggers?: ('illness-or-surgery' | 'weight-change' | 'medication-change' | 'none')[];
+  diet?: 'high-protein' | 'balanced' | 'vegetarian' | 'processed' | 'skips-meals';
+  washFrequency?: 'daily' | 'every-2-3-days' | 'weekly' | 'less-than-weekly';
+  scalpItching?: 'never' | 'occasional' | 'frequent' | 'daily';
+  scalpBuildup?: 'none' | 'mild' | 'frequent' | 'heavy';
+  scalpDryness?: 'never' | 'seasonal' | 'always';
+}
+
+export interface ProductUsage {
+  name: string;
+  currentlyUsing?: boolean;
+  duration?: string; // Duration chip label, e.g. "3 Months"
+}
+
+export interface ChatTurn {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+/** Optional health answers from the user-info step; they rule ingredients out of the routine. */
+export interface SafetyProfile {
+  pregnant?: boolean;
+  breastfeeding?: boolean;
+  sensitiveSkin?: boolean;
+  allergies?: string[];
 }
 
 export interface UserInfo {
@@ -165,4 +329,47 @@ export interface UserInfo {
   age: string;
   phone: string;
   email: string;
+  safety?: SafetyProfile;
+}
+
+export type AssessmentType = 'skin' | 'hair';
+
+/** Language of the assessment (server/languages.js): UI text, AI replies and the report. */
+export type Language = 'en' | 'hi' | 'ta' | 'mr';
+
+/** View a photo was taken from in the guided camera sequence (front/left/right for skin, hairline/crown/part for hair). */
+export type CaptureAngle = 'front' | 'left' | 'right' | 'hairline' | 'crown' | 'part';
+
+/** A photo sent for analysis; `angle` is unset for uploaded files. */
+export interface AnalysisImage {
+  base64: string;
+  angle?: CaptureAngle;
+}
+
+/** A photo that passed the quality gate; `url` previews it and `warning` marks a 'warn' verdict. */
+export interface UploadedImage extends AnalysisImage {
+  name: string;
+  url: string;
+  warning?: boolean;
+}
+
+export interface CartItem extends Product {
+  quantity: number;
+  /** The routine it was added from; checkout tags its line with it. */
+  assessmentType?: AssessmentType;
+}
+
+export interface AssessmentSummary {
+  id: string;
+  createdAt: string;
+  type: AssessmentType;
+  conditionCount: number;
+}
+
+export interface AssessmentRecord extends AssessmentSummary {
+  userInfo: UserInfo;
+  analysis: SkinConditionCategory[];
+  images: string[]; // base64, no data: prefix
+  goals: string[];
+  recommendations: ProductRecommendation[];
 }
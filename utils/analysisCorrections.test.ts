@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { AnalysisCorrection, SkinConditionCategory } from '../types';
+import { addCondition, applyCorrections, dismissCondition, hasCondition, renameCondition } from './analysisCorrections';
+
+const condition = (name: string) => ({ name, confidence: 70, location: 'Cheek', description: '', boundingBoxes: [] });
+
+const analysis: SkinConditionCategory[] = [
+    { category: 'Acne & Blemishes', conditions: [condition('Acne Pustules'), condition('Blackheads')] },
+    { category: 'Pigmentation', conditions: [condition('Dark Spots')] },
+];
+
+const shown = (corrections: AnalysisCorrection[]) => applyCorrections(analysis, corrections);
+const find = (corrections: AnalysisCorrection[], name: string) =>
+    shown(corrections).flatMap(c => c.conditions).find(c => c.name === name)!;
+
+describe('applyCorrections', () => {
+    it('returns the analysis as it is without corrections', () => {
+        expect(applyCorrections(analysis)).toEqual(analysis);
+    });
+
+    it('applies corrections like the server does', () => {
+        const corrected = shown([
+            { action: 'dismiss', condition: 'dark spots' },
+            { action: 'relabel', condition: 'Blackheads', name: 'Comedones' },
+            { action: 'add', name: 'Redness', category: 'Sensitivity', location: '', boundingBoxes: [] },
+        ]);
+        expect(corrected.map(c => [c.category, c.conditions.map(x => x.name)])).toEqual([
+            ['Acne & Blemishes', ['Acne Pustules', 'Comedones']],
+            ['Sensitivity', ['Redness']],
+        ]);
+    });
+});
+
+describe('editing corrections', () => {
+    it("dismisses the model's conditions and takes back the user's own", () => {
+        const added = addCondition([], { name: ' Melasma ', category: 'Pigmentation', location: ' Forehead ', boundingBoxes: [] });
+        expect(added).toEqual([{ action: 'add', name: 'Melasma', category: 'Pigmentation', location: 'Forehead', boundingBoxes: [] }]);
+        expect(dismissCondition(added, find(added, 'Melasma'))).toEqual([]);
+        expect(dismissCondition([], find([], 'Blackheads'))).toEqual([{ action: 'dismiss', condition: 'Blackheads' }]);
+    });
+
+    it('renames by the model name, and renaming back undoes the relabel', () => {
+        const relabelled = renameCondition([], find([], 'Blackheads'), ' Comedones ');
+        expect(relabelled).toEqual([{ action: 'relabel', condition: 'Blackheads', name: 'Comedones' }]);
+
+        const twice = renameCondition(relabelled, find(relabelled, 'Comedones'), 'Closed Comedones');
+        expect(twice).toEqual([{ action: 'relabel', condition: 'Blackheads', name: 'Closed Comedones' }]);
+        expect(renameCondition(twice, find(twice, 'Closed Comedones'), 'Blackheads')).toEqual([]);
+    });
+
+    it('dismissing a relabelled condition replaces its relabel', () => {
+        const relabelled = renameCondition([], find([], 'Dark Spots'), 'Freckles');
+        expect(dismissCondition(relabelled, find(relabelled, 'Freckles'))).toEqual([{ action: 'dismiss', condition: 'Dark Spots' }]);
+    });
+
+    it('renames an added condition in place', () => {
+        const added = addCondition([], { name: 'Melasma', category: 'Pigmentation', location: '', boundingBoxes: [] });
+        expect(renameCondition(added, find(added, 'Melasma'), 'Sun Spots')).toEqual([{ ...added[0], name: 'Sun Spots' }]);
+    });
+});
+
+describe('hasCondition', () => {
+    it('compares names without case', () => {
+        expect(hasCondition(analysis, 'dark spots')).toBe(true);
+        expect(hasCondition(analysis, 'Melasma')).toBe(false);
+    });
+});
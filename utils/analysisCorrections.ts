@@ -0,0 +1,61 @@
+import { AnalysisCorrection, BoundingBox, SkinCondition, SkinConditionCategory } from '../types';
+
+// Matches server/analysisCorrections.js, which applies the same corrections to the stored feedback.
+const sameName = (a: string, b: string) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * The analysis as the user corrected it: dismissed conditions removed, relabelled ones renamed
+ * (keeping the model's name in `originalName`), and added ones put in their category, which is
+ * created after the model's when it is new. Categories left empty are dropped.
+ */
+export const applyCorrections = (analysis: SkinConditionCategory[], corrections: AnalysisCorrection[] = []): SkinConditionCategory[] => {
+    const dismissed = corrections.flatMap(c => (c.action === 'dismiss' ? [c.condition] : []));
+    const relabels = corrections.flatMap(c => (c.action === 'relabel' ? [c] : []));
+    const corrected = analysis.map(category => ({
+        ...category,
+        conditions: category.conditions
+            .filter(condition => !dismissed.some(name => sameName(name, condition.name)))
+            .map(condition => {
+                const relabel = relabels.find(r => sameName(r.condition, condition.name));
+                return relabel ? { ...condition, name: relabel.name, originalName: condition.name } : condition;
+            }),
+    }));
+    corrections.forEach(c => {
+        if (c.action !== 'add') return;
+        const added: SkinCondition = { name: c.name, confidence: 100, location: c.location, description: '', boundingBoxes: c.boundingBoxes, userAdded: true };
+        const category = corrected.find(cat => sameName(cat.category, c.category));
+        if (category) category.conditions.push(added);
+        else corrected.push({ category: c.category, conditions: [added] });
+    });
+    return corrected.filter(category => category.conditions.length > 0);
+};
+
+// The model's name for a condition shown in the corrected analysis.
+const modelName = (condition: SkinCondition) => condition.originalName ?? condition.name;
+
+const withoutCorrectionsOf = (corrections: AnalysisCorrection[], condition: SkinCondition) =>
+    corrections.filter(c => c.action === 'add' || !sameName(c.condition, modelName(condition)));
+
+/** Removes a shown condition: the model's are dismissed, the user's own additions taken back. */
+export const dismissCondition = (corrections: AnalysisCorrection[], condition: SkinCondition): AnalysisCorrection[] => (condition.userAdded
+    ? corrections.filter(c => !(c.action === 'add' && sameName(c.name, condition.name)))
+    : [...withoutCorrectionsOf(corrections, condition), { action: 'dismiss', condition: modelName(condition) }]);
+
+/** Renames a shown condition. Renaming one of the model's back to its own name undoes the relabel. */
+export const renameCondition = (corrections: AnalysisCorrection[], condition: SkinCondition, name: string): AnalysisCorrection[] => {
+    const newName = name.trim();
+    if (condition.userAdded) {
+        return corrections.map(c => (c.action === 'add' && sameName(c.name, condition.name) ? { ...c, name: newName } : c));
+    }
+    const rest = withoutCorrectionsOf(corrections, condition);
+    return newName === modelName(condition) ? rest : [...rest, { action: 'relabel', condition: modelName(condition), name: newName }];
+};
+
+export const addCondition = (
+    corrections: AnalysisCorrection[],
+    condition: { name: string; category: string; location: string; boundingBoxes: BoundingBox[] }
+): AnalysisCorrection[] => [...corrections, { action: 'add', ...condition, name: condition.name.trim(), location: condition.location.trim() }];
+
+/** Whether the corrected analysis already shows a condition called `name`. */
+export const hasCondition = (analysis: SkinConditionCategory[], name: string) =>
+    analysis.some(category => category.conditions.some(condition => sameName(condition.name, name)));
@@ -0,0 +1,13 @@
+import { AssessmentType, CaptureAngle } from '../types';
+import { Translate } from './i18n';
+
+/** Guided camera sequence per assessment, in capture order. */
+export const CAPTURE_SEQUENCES: Record<AssessmentType, CaptureAngle[]> = {
+    skin: ['front', 'left', 'right'],
+    hair: ['hairline', 'crown', 'part']
+};
+
+// Label and framing instruction per angle live in the string tables (locales/*.ts).
+export const angleLabel = (angle: CaptureAngle | undefined, t: Translate) => (angle ? t(`angle.${angle}`) : undefined);
+
+export const angleInstruction = (angle: CaptureAngle, t: Translate) => t(`angleHint.${angle}`);
@@ -0,0 +1,167 @@
+import { describe, expect, it } from 'vitest';
+import { ConversationStep, HairQuestionnaire, TriageResult } from '../types';
+import { ConversationEvent, INITIAL_STATE, MachineContext, isEditable, nextAssessmentType, normalize, replaceEvent, settle, transition } from './conversationMachine';
+
+const clear: TriageResult = { level: 'none', findings: [], bookingUrl: null };
+
+const questionnaire: HairQuestionnaire = {
+    version: 1,
+    genders: ['Male', 'Female'],
+    questions: [
+        { id: 'male-hair-fall', field: 'hairFallSeverity', type: 'radio', when: { gender: ['Male'] }, text: 'Hair fall?', options: [{ value: 'normal', label: 'Normal' }, { value: 'extreme', label: 'Extreme' }] },
+        { id: 'female-hair-fall', field: 'hairFallSeverity', type: 'radio', when: { gender: ['Female'] }, text: 'Hair fall?', options: [{ value: 'normal', label: 'Normal' }] },
+        { id: 'wash-frequency', field: 'washFrequency', type: 'radio', text: 'Washes?', options: [{ value: 'daily', label: 'Daily' }] },
+    ],
+};
+const ctx: MachineContext = { hairQuestionnaire: questionnaire };
+
+const userInfo: ConversationEvent = { type: 'submitUserInfo', userInfo: { name: 'Asha', age: '30', phone: '9876543210', email: 'asha@example.com' } };
+const analysisReady = (assessmentType: 'skin' | 'hair'): ConversationEvent => ({
+    type: 'analysisReady', assessmentType, photos: [], triage: clear,
+    analysis: [{ category: 'Acne', conditions: [{ name: 'Mild Acne', confidence: 80, location: 'Forehead', boundingBoxes: [] }] }],
+});
+const routineReady: ConversationEvent = { type: 'routineReady', recommendations: [], triage: clear };
+
+const skinFlow: ConversationEvent[] = [
+    userInfo,
+    { type: 'chooseAssessment', assessmentType: 'skin' },
+    { type: 'pickProduct', product: 'Vitamin C Serum' },
+    { type: 'answerCurrentlyUsing', currentlyUsing: false },
+    { type: 'answerDuration', duration: '3 Months' },
+    { type: 'answerAnotherProduct', another: false },
+    analysisReady('skin'),
+    { type: 'proceed' },
+    { type: 'chooseGoals', goals: ['Clear skin'], budget: 1500 },
+];
+
+const hairFlow: ConversationEvent[] = [
+    userInfo,
+    { type: 'chooseAssessment', assessmentType: 'hair' },
+    { type: 'pickGender', gender: 'Male' },
+    { type: 'answerHairQuestion', field: 'hairFallSeverity', answer: 'extreme' },
+    { type: 'answerHairQuestion', field: 'washFrequency', answer: 'daily' },
+];
+
+describe('transition', () => {
+    it('walks the skin flow to the recommendations', () => {
+        const { state, pending } = settle(skinFlow, ctx);
+        expect(pending).toEqual([]);
+        expect(state.step).toBe(ConversationStep.Skin_Recommendations);
+        expect(state.skinProducts).toEqual([{ name: 'Vitamin C Serum', currentlyUsing: false, duration: '3 Months' }]);
+        expect(state.skinGoals).toEqual(['Clear skin']);
+        expect(state.budget).toBe(1500);
+        expect(state.analysis?.[0].conditions[0].name).toBe('Mild Acne');
+    });
+
+    it('skips the product questions when the user picks "None of these"', () => {
+        const state = settle([userInfo, { type: 'chooseAssessment', assessmentType: 'skin' }, { type: 'pickProduct', product: null }], ctx).state;
+        expect(state.step).toBe(ConversationStep.Skin_Analysis);
+        expect(state.skinProducts).toEqual([]);
+    });
+
+    it('rejects events the current step does not accept', () => {
+        expect(transition(INITIAL_STATE, { type: 'proceed' }, ctx)).toBeNull();
+        const analysing = settle(skinFlow.slice(0, 6), ctx).state;
+        expect(transition(analysing, analysisReady('hair'), ctx)).toBeNull();
+    });
+
+    it('asks hair questions until the questionnaire is done', () => {
+        const afterGender = settle(hairFlow.slice(0, 3), ctx).state;
+        expect(afterGender.step).toBe(ConversationStep.Hair_Questioning);
+        // Only the question currently asked, with one of its values, is accepted.
+        expect(transition(afterGender, { type: 'answerHairQuestion', field: 'washFrequency', answer: 'daily' }, ctx)).toBeNull();
+        expect(transition(afterGender, { type: 'answerHairQuestion', field: 'hairFallSeverity', answer: 'severe' }, ctx)).toBeNull();
+
+        const done = settle(hairFlow, ctx).state;
+        expect(done.step).toBe(ConversationStep.Hair_Analysis);
+        expect(done.hairAnswers).toEqual({ gender: 'Male', hairFallSeverity: 'extreme', washFrequency: 'daily' });
+    });
+
+    it('asks the hair flow for a budget before the routine', () => {
+        const budgetStep = settle([...hairFlow, { type: 'skipPhotos' }], ctx).state;
+        expect(budgetStep.step).toBe(ConversationStep.Hair_Budget);
+        expect(settle([...hairFlow, analysisReady('hair'), { type: 'proceed' }], ctx).state.step).toBe(ConversationStep.Hair_Budget);
+
+        const recommending = transition(budgetStep, { type: 'chooseBudget', budget: 800 }, ctx)!;
+        expect(recommending.step).toBe(ConversationStep.Hair_Recommendations);
+        expect(recommending.budget).toBe(800);
+        expect(isEditable({ type: 'chooseBudget', budget: null })).toBe(true);
+    });
+
+    it('keeps the first routine and opens the report once it is ready', () => {
+        const recommending = settle(skinFlow, ctx).state;
+        expect(transition(recommending, { type: 'openReport' }, ctx)).toBeNull();
+        const ready = transition(recommending, routineReady, ctx)!;
+        expect(transition(ready, routineReady, ctx)).toBeNull();
+        expect(transition(ready, { type: 'openReport' }, ctx)?.step).toBe(ConversationStep.Skin_Report);
+    });
+
+    it('goes on to the other assessment once the routine is ready and keeps the first', () => {
+        const recommending = settle(skinFlow, ctx).state;
+        expect(nextAssessmentType(recommending)).toBeNull();
+        expect(transition(recommending, { type: 'chooseAssessment', assessmentType: 'hair' }, ctx)).toBeNull();
+
+        const report = transition(transition(recommending, routineReady, ctx)!, { type: 'openReport' }, ctx)!;
+        expect(nextAssessmentType(report)).toBe('hair');
+        expect(transition(report, { type: 'chooseAssessment', assessmentType: 'skin' }, ctx)).toBeNull();
+
+        const hair = transition(report, { type: 'chooseAssessment', assessmentType: 'hair' }, ctx)!;
+        expect(hair.step).toBe(ConversationStep.Hair_Gender);
+        expect(hair.assessmentType).toBe('hair');
+        expect(hair.routine).toBeNull();
+        expect(hair.completed).toHaveLength(1);
+        expect(hair.completed[0].assessmentType).toBe('skin');
+        expect(hair.completed[0].routine).toEqual(report.routine);
+    });
+
+    it('offers no third assessment', () => {
+        const hairReport = settle([
+            ...skinFlow, routineReady, { type: 'openReport' },
+            ...hairFlow.slice(1), { type: 'skipPhotos' }, { type: 'chooseBudget', budget: null }, routineReady, { type: 'openReport' },
+        ], ctx).state;
+        expect(hairReport.completed.map(c => c.assessmentType)).toEqual(['skin']);
+        expect(hairReport.step).toBe(ConversationStep.Skin_Report);
+        expect(nextAssessmentType(hairReport)).toBeNull();
+        expect(transition(hairReport, { type: 'chooseAssessment', assessmentType: 'skin' }, ctx)).toBeNull();
+    });
+});
+
+describe('settle', () => {
+    it('holds back answers until the flow gets back to them', () => {
+        // An answer given ahead of its question (as after an edit) waits until the question comes up.
+        const events: ConversationEvent[] = [
+            ...hairFlow.slice(0, 2),
+            { type: 'pickGender', gender: 'Male' },
+            { type: 'answerHairQuestion', field: 'washFrequency', answer: 'daily' },
+            { type: 'answerHairQuestion', field: 'hairFallSeverity', answer: 'normal' },
+        ];
+        const { state, pending } = settle(events, ctx);
+        expect(pending).toEqual([]);
+        expect(state.step).toBe(ConversationStep.Hair_Analysis);
+        expect(normalize(events, ctx).map(e => (e.type === 'answerHairQuestion' ? e.field : e.type)))
+            .toEqual(['submitUserInfo', 'chooseAssessment', 'pickGender', 'hairFallSeverity', 'washFrequency']);
+    });
+
+    it('drops product-loop answers that no longer fit', () => {
+        const events = [...skinFlow.slice(0, 2), { type: 'answerDuration', duration: '3 Months' } as ConversationEvent];
+        expect(settle(events, ctx).pending).toEqual([]);
+    });
+});
+
+describe('replaceEvent', () => {
+    it('swaps the edited answer and drops routines generated from the old ones', () => {
+        const events = [...skinFlow, routineReady, { type: 'openReport' } as ConversationEvent];
+        const edited = replaceEvent(events, 8, { type: 'chooseGoals', goals: ['Even tone'], budget: null });
+        expect(edited.some(e => e.type === 'routineReady')).toBe(false);
+        const { state, pending } = settle(edited, ctx);
+        expect(state.skinGoals).toEqual(['Even tone']);
+        expect(state.routine).toBeNull();
+        expect(pending).toEqual([{ type: 'openReport' }]);
+    });
+
+    it('only offers answers for editing', () => {
+        expect(isEditable(skinFlow[8])).toBe(true);
+        expect(isEditable(routineReady)).toBe(false);
+        expect(isEditable({ type: 'proceed' })).toBe(false);
+    });
+});
@@ -0,0 +1,276 @@
+import {
+    AnalysisCorrection, AssessmentType, CaptureAngle, ConversationStep, HairProfileData, HairQuestion, HairQuestionnaire,
+    ProductRecommendation, ProductUsage, RoutineOverlap, RoutineTier, RoutineTierId, SafetyWarning, SkinConditionCategory, TriageResult, UserInfo
+} from '../types';
+import { applyCorrections } from './analysisCorrections';
+import { HairAnswer, isValidAnswer, nextHairQuestion } from './hairQuestionnaire';
+
+/** An analysed photo as kept in the session: the JPEG sent to the model (base64, no data: prefix). */
+export interface SessionPhoto {
+    name: string;
+    base64: string;
+    angle?: CaptureAngle;
+    warning?: boolean;
+}
+
+/**
+ * Everything that moves the conversation forward: the user's answers, plus the results of the
+ * analysis and routine calls so a replay never repeats them.
+ */
+export type ConversationEvent =
+    | { type: 'submitUserInfo'; userInfo: UserInfo }
+    | { type: 'chooseAssessment'; assessmentType: AssessmentType }
+    | { type: 'pickProduct'; product: string | null } // null: "None of these"
+    | { type: 'answerCurrentlyUsing'; currentlyUsing: boolean }
+    | { type: 'answerDuration'; duration: string }
+    | { type: 'answerAnotherProduct'; another: boolean }
+    | { type: 'pickGender'; gender: HairProfileData['gender'] }
+    | { type: 'answerHairQuestion'; field: HairQuestion['field']; answer: HairAnswer }
+    | { type: 'analysisReady'; assessmentType: AssessmentType; photos: SessionPhoto[]; analysis: SkinConditionCategory[]; triage: TriageResult; corrections?: AnalysisCorrection[] } // `analysis` as the model returned it
+    | { type: 'skipPhotos' }
+    | { type: 'proceed' }
+    | { type: 'chooseGoals'; goals: string[]; budget?: number | null } // Monthly, in the store's currency
+    | { type: 'chooseBudget'; budget: number | null } // The hair flow's budget; it has no goals step
+    | { type: 'routineReady'; recommendations: ProductRecommendation[]; triage: TriageResult; warnings?: SafetyWarning[]; tiers?: RoutineTier[]; tier?: RoutineTierId | null; overlaps?: RoutineOverlap[] }
+    | { type: 'openReport' };
+
+export type ConversationEventType = ConversationEvent['type'];
+
+/** An assessment finished earlier in the session, kept while the user goes through the other one. */
+export interface CompletedAssessment {
+    assessmentType: AssessmentType;
+    photos: SessionPhoto[];
+    analysis: SkinConditionCategory[] | null;
+    analysisTriage: TriageResult | null;
+    goals: string[];
+    routine: { recommendations: ProductRecommendation[]; triage: TriageResult };
+}
+
+export interface SessionState {
+    step: ConversationStep;
+    userInfo: UserInfo | null;
+    assessmentType: AssessmentType | null;
+    skinProducts: ProductUsage[];
+    skinGoals: string[];
+    budget: number | null;
+    hairAnswers: Partial<HairProfileData>;
+    photos: SessionPhoto[];
+    analysis: SkinConditionCategory[] | null;
+    analysisTriage: TriageResult | null;
+    routine: { recommendations: ProductRecommendation[]; triage: TriageResult } | null;
+    /** Earlier assessments of a combined skin-and-hair session; the fields above are the current one's. */
+    completed: CompletedAssessment[];
+}
+
+/** What transitions need besides the state: the hair questions decide when questioning ends. */
+export interface MachineContext {
+    hairQuestionnaire: HairQuestionnaire | null;
+}
+
+export const INITIAL_STATE: SessionState = {
+    step: ConversationStep.UserDetails,
+    userInfo: null,
+    assessmentType: null,
+    skinProducts: [],
+    skinGoals: [],
+    budget: null,
+    hairAnswers: {},
+    photos: [],
+    analysis: null,
+    analysisTriage: null,
+    routine: null,
+    completed: [],
+};
+
+type EventOf<T extends ConversationEventType> = Extract<ConversationEvent, { type: T }>;
+
+// A handler returns the next state, or null when the event doesn't fit (e.g. a stale button).
+type Handlers = { [T in ConversationEventType]?: (state: SessionState, event: EventOf<T>, ctx: MachineContext) => SessionState | null };
+
+const updateLastProduct = (products: ProductUsage[], update: Partial<ProductUsage>): ProductUsage[] =>
+    products.map((p, i) => (i === products.length - 1 ? { ...p, ...update } : p));
+
+const pickProduct: Handlers['pickProduct'] = (s, e) => (e.product === null
+    ? { ...s, step: ConversationStep.Skin_Analysis }
+    : { ...s, step: ConversationStep.Skin_ProductUsage_AskCurrentlyUsing, skinProducts: [...s.skinProducts, { name: e.product }] });
+
+// The session's analysis is the corrected one, so goals, routines and reports all use the user's corrections.
+const analysisReady = (next: ConversationStep): Handlers['analysisReady'] => (s, e) => (e.assessmentType !== s.assessmentType ? null : {
+    ...s, step: next, photos: e.photos, analysis: applyCorrections(e.analysis, e.corrections), analysisTriage: e.triage
+});
+
+const startAssessment = (s: SessionState, assessmentType: AssessmentType): SessionState => ({
+    ...s,
+    assessmentType,
+    step: assessmentType === 'skin' ? ConversationStep.Skin_ProductUsage_Start : ConversationStep.Hair_Gender,
+});
+
+/** The assessment the user can go on to once the current routine is ready, if one is left. */
+export const nextAssessmentType = (s: SessionState): AssessmentType | null => {
+    if (!s.routine || !s.assessmentType) return null;
+    const other: AssessmentType = s.assessmentType === 'skin' ? 'hair' : 'skin';
+    return s.completed.some(c => c.assessmentType === other) ? null : other;
+};
+
+// Going on to the other assessment files the current one under `completed`; its photos, analysis
+// and routine make way for the new one's, and the report then covers both.
+const chooseNextAssessment: Handlers['chooseAssessment'] = (s, e) => (e.assessmentType !== nextAssessmentType(s) ? null : {
+    ...startAssessment(s, e.assessmentType),
+    completed: [...s.completed, {
+        assessmentType: s.assessmentType!,
+        photos: s.photos,
+        analysis: s.analysis,
+        analysisTriage: s.analysisTriage,
+        goals: s.assessmentType === 'skin' ? s.skinGoals : [],
+        routine: s.routine!,
+    }],
+    photos: [],
+    analysis: null,
+    analysisTriage: null,
+    routine: null,
+});
+
+const routineSteps: Handlers = {
+    routineReady: (s, e) => (s.routine ? null : { ...s, routine: { recommendations: e.recommendations, triage: e.triage } }),
+    openReport: s => (s.routine ? { ...s, step: ConversationStep.Skin_Report } : null),
+    chooseAssessment: chooseNextAssessment,
+};
+
+/** Accepts an answer only for the question currently asked, with one of its option values. */
+const answerHairQuestion: Handlers['answerHairQuestion'] = (s, e, { hairQuestionnaire }) => {
+    const current = hairQuestionnaire && nextHairQuestion(hairQuestionnaire, s.hairAnswers);
+    if (!current || current.question.field !== e.field || !isValidAnswer(current.question, e.answer)) return null;
+    const hairAnswers = { ...s.hairAnswers, [e.field]: e.answer };
+    const done = !nextHairQuestion(hairQuestionnaire!, hairAnswers);
+    return { ...s, hairAnswers, step: done ? ConversationStep.Hair_Analysis : ConversationStep.Hair_Questioning };
+};
+
+/** The flow: for each step, the events it accepts and where each one leads. */
+const MACHINE: { [S in ConversationStep]?: Handlers } = {
+    [ConversationStep.UserDetails]: {
+        submitUserInfo: (s, e) => ({ ...s, step: ConversationStep.Initial, userInfo: e.userInfo }),
+    },
+    [ConversationStep.Initial]: {
+        chooseAssessment: (s, e) => startAssessment(s, e.assessmentType),
+    },
+    // Skin Flow
+    [ConversationStep.Skin_ProductUsage_Start]: { pickProduct },
+    [ConversationStep.Skin_ProductUsage_Loop]: { pickProduct },
+    [ConversationStep.Skin_ProductUsage_AskCurrentlyUsing]: {
+        // The duration is asked either way: a product stopped after a long trial is one to avoid.
+        answerCurrentlyUsing: (s, e) => ({
+            ...s,
+            step: ConversationStep.Skin_ProductUsage_AskDuration,
+            skinProducts: updateLastProduct(s.skinProducts, { currentlyUsing: e.currentlyUsing }),
+        }),
+    },
+    [ConversationStep.Skin_ProductUsage_AskDuration]: {
+        answerDuration: (s, e) => ({
+            ...s,
+            step: ConversationStep.Skin_ProductUsage_AskOther,
+            skinProducts: updateLastProduct(s.skinProducts, { duration: e.duration }),
+        }),
+    },
+    [ConversationStep.Skin_ProductUsage_AskOther]: {
+        answerAnotherProduct: (s, e) => ({ ...s, step: e.another ? ConversationStep.Skin_ProductUsage_Loop : ConversationStep.Skin_Analysis }),
+    },
+    [ConversationStep.Skin_Analysis]: { analysisReady: analysisReady(ConversationStep.Skin_Analysis_Complete) },
+    [ConversationStep.Skin_Analysis_Complete]: { proceed: s => ({ ...s, step: ConversationStep.Skin_Goals }) },
+    [ConversationStep.Skin_Goals]: {
+        chooseGoals: (s, e) => ({ ...s, step: ConversationStep.Skin_Recommendations, skinGoals: e.goals, budget: e.budget ?? null }),
+    },
+    [ConversationStep.Skin_Recommendations]: routineSteps,
+    // Hair Flow
+    [ConversationStep.Hair_Gender]: {
+        pickGender: (s, e) => ({ ...s, step: ConversationStep.Hair_Questioning, hairAnswers: { gender: e.gender } }),
+    },
+    [ConversationStep.Hair_Questioning]: { answerHairQuestion },
+    [ConversationStep.Hair_Analysis]: {
+        analysisReady: analysisReady(ConversationStep.Hair_Analysis_Complete),
+        skipPhotos: s => ({ ...s, step: ConversationStep.Hair_Budget }),
+    },
+    [ConversationStep.Hair_Analysis_Complete]: { proceed: s => ({ ...s, step: ConversationStep.Hair_Budget }) },
+    [ConversationStep.Hair_Budget]: {
+        chooseBudget: (s, e) => ({ ...s, step: ConversationStep.Hair_Recommendations, budget: e.budget }),
+    },
+    [ConversationStep.Hair_Recommendations]: routineSteps,
+    [ConversationStep.Skin_Report]: { chooseAssessment: chooseNextAssessment },
+};
+
+/** The state after `event`, or null if the current step doesn't accept it. */
+export const transition = (state: SessionState, event: ConversationEvent, ctx: MachineContext): SessionState | null => {
+    const handler = MACHINE[state.step]?.[event.type] as ((s: SessionState, e: ConversationEvent, c: MachineContext) => SessionState | null) | undefined;
+    return handler ? handler(state, event, ctx) : null;
+};
+
+// Answers to the product-usage loop only make sense in their original position, so they are
+// dropped rather than held back when an edit moves the flow elsewhere.
+const POSITIONAL: ConversationEventType[] = ['pickProduct', 'answerCurrentlyUsing', 'answerDuration', 'answerAnotherProduct'];
+
+// Answers the user can go back and change; the rest are navigation or results.
+const EDITABLE: ConversationEventType[] = [
+    'submitUserInfo', 'chooseAssessment', 'pickProduct', 'answerCurrentlyUsing', 'answerDuration', 'answerAnotherProduct',
+    'pickGender', 'answerHairQuestion', 'analysisReady', 'skipPhotos', 'chooseGoals', 'chooseBudget'
+];
+
+export const isEditable = (event: ConversationEvent): boolean => EDITABLE.includes(event.type);
+
+export interface SettledEntry {
+    event: ConversationEvent;
+    before: SessionState;
+    after: SessionState;
+}
+
+export interface Settled {
+    state: SessionState;
+    /** The applied events in order, each with the states around it. */
+    entries: SettledEntry[];
+    /** Events held back because no step so far accepted them. */
+    pending: ConversationEvent[];
+}
+
+/**
+ * Replays `events` from the start. An event the current step doesn't accept is held back and
+ * retried after every later event that applies, so answers given further down the flow are
+ * reused once the flow gets back to them (e.g. a hair answer after the gender was changed).
+ */
+export const settle = (events: ConversationEvent[], ctx: MachineContext): Settled => {
+    let state = INITIAL_STATE;
+    const entries: SettledEntry[] = [];
+    const pending: ConversationEvent[] = [];
+
+    const apply = (event: ConversationEvent): boolean => {
+        const next = transition(state, event, ctx);
+        if (!next) return false;
+        entries.push({ event, before: state, after: next });
+        state = next;
+        return true;
+    };
+
+    events.forEach(event => {
+        if (!apply(event)) {
+            if (!POSITIONAL.includes(event.type)) pending.push(event);
+            return;
+        }
+        for (let i = 0; i < pending.length; i++) {
+            if (apply(pending[i])) {
+                pending.splice(i, 1);
+                i = -1;
+            }
+        }
+    });
+    return { state, entries, pending };
+};
+
+/** The event log in settled order: applied events first, then the held-back ones. */
+export const normalize = (events: ConversationEvent[], ctx: MachineContext): ConversationEvent[] => {
+    const { entries, pending } = settle(events, ctx);
+    return [...entries.map(entry => entry.event), ...pending];
+};
+
+/**
+ * The log after the user changes the answer at `index`. Later routines are dropped because they
+ * were generated from the old answers; everything else is replayed (see settle).
+ */
+export const replaceEvent = (events: ConversationEvent[], index: number, event: ConversationEvent): ConversationEvent[] =>
+    [...events.slice(0, index), event, ...events.slice(index + 1).filter(e => e.type !== 'routineReady')];
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { HairQuestion, HairQuestionnaire } from '../types';
+import { answerLabels, isValidAnswer, nextHairQuestion } from './hairQuestionnaire';
+
+const options = (...values: string[]) => values.map(value => ({ value, label: value.toUpperCase() }));
+
+const maleFall: HairQuestion = { id: 'male-hair-fall', field: 'hairFallSeverity', type: 'radio', when: { gender: ['Male'] }, text: 'Hair fall?', options: options('normal', 'severe', 'extreme') };
+const femaleFall: HairQuestion = { id: 'female-hair-fall', field: 'hairFallSeverity', type: 'radio', when: { gender: ['Female'] }, text: 'Hair fall?', options: options('normal', 'severe') };
+const duration: HairQuestion = { id: 'hair-fall-duration', field: 'hairFallDuration', type: 'radio', when: { hairFallSeverity: ['severe', 'extreme'] }, text: 'Since when?', options: options('months', 'years') };
+const treatments: HairQuestion = {
+    id: 'chemical-treatments', field: 'chemicalTreatments', type: 'checkbox', text: 'Treatments?',
+    options: [{ value: 'none', label: 'None', exclusive: true }, { value: 'color', label: 'Colour' }, { value: 'smoothening', label: 'Smoothening' }]
+};
+
+const questionnaire: HairQuestionnaire = { version: 1, genders: ['Male', 'Female'], questions: [maleFall, femaleFall, duration, treatments] };
+
+describe('nextHairQuestion', () => {
+    it('asks the question for the chosen gender', () => {
+        expect(nextHairQuestion(questionnaire, { gender: 'Female' })).toEqual({ question: femaleFall, position: 1, total: 2 });
+    });
+
+    it('adds the follow-up question when an answer opens it', () => {
+        expect(nextHairQuestion(questionnaire, { gender: 'Male', hairFallSeverity: 'normal' })?.question).toBe(treatments);
+        expect(nextHairQuestion(questionnaire, { gender: 'Male', hairFallSeverity: 'severe' })).toEqual({ question: duration, position: 2, total: 3 });
+    });
+
+    it('returns null once every shown question is answered', () => {
+        expect(nextHairQuestion(questionnaire, { gender: 'Male', hairFallSeverity: 'normal', chemicalTreatments: ['none'] })).toBeNull();
+    });
+});
+
+describe('isValidAnswer', () => {
+    it('takes one listed value for radio questions', () => {
+        expect(isValidAnswer(maleFall, 'extreme')).toBe(true);
+        expect(isValidAnswer(femaleFall, 'extreme')).toBe(false);
+        expect(isValidAnswer(maleFall, ['normal'])).toBe(false);
+    });
+
+    it('takes a non-empty list for checkboxes and keeps exclusive options alone', () => {
+        expect(isValidAnswer(treatments, ['color', 'smoothening'])).toBe(true);
+        expect(isValidAnswer(treatments, [])).toBe(false);
+        expect(isValidAnswer(treatments, ['perm'])).toBe(false);
+        expect(isValidAnswer(treatments, ['none'])).toBe(true);
+        expect(isValidAnswer(treatments, ['none', 'color'])).toBe(false);
+    });
+});
+
+describe('answerLabels', () => {
+    it('joins the option labels', () => {
+        expect(answerLabels(treatments, ['color', 'smoothening'])).toBe('Colour, Smoothening');
+        expect(answerLabels(maleFall, 'unknown')).toBe('unknown');
+    });
+});
@@ -0,0 +1,59 @@
+import { HairProfileData, HairQuestion, HairQuestionnaire, MessageType } from '../types';
+
+export type HairAnswer = string | string[];
+
+/** A question as posted in the chat, with its place in the questionnaire for these answers. */
+export interface HairQuestionStep {
+    question: HairQuestion;
+    position: number;
+    total: number;
+}
+
+const answerValues = (answer: HairAnswer): string[] => (Array.isArray(answer) ? answer : [answer]);
+
+// Same rule as server/hairQuestionnaire.js: every `when` field must hold one of the listed values.
+const isVisible = (question: HairQuestion, answers: Partial<HairProfileData>): boolean =>
+    Object.entries(question.when || {}).every(([field, values]) => {
+        const answer = answers[field as keyof HairProfileData] as HairAnswer | undefined;
+        return answer !== undefined && answerValues(answer).some(v => values!.includes(v));
+    });
+
+// Several questions may write one field (one per gender); only the first visible one is asked.
+const visibleQuestions = (questionnaire: HairQuestionnaire, answers: Partial<HairProfileData>): HairQuestion[] => {
+    const seen = new Set<string>();
+    return questionnaire.questions.filter(q => {
+        if (seen.has(q.field) || !isVisible(q, answers)) return false;
+        seen.add(q.field);
+        return true;
+    });
+};
+
+/**
+ * The next unanswered question for these answers, or null when the questionnaire is done.
+ * `total` counts the questions shown so far plus those still ahead; it can grow when an answer
+ * opens a follow-up question.
+ */
+export const nextHairQuestion = (questionnaire: HairQuestionnaire, answers: Partial<HairProfileData>): HairQuestionStep | null => {
+    const visible = visibleQuestions(questionnaire, answers);
+    const index = visible.findIndex(q => answers[q.field] === undefined);
+    return index === -1 ? null : { question: visible[index], position: index + 1, total: visible.length };
+};
+
+/** Whether `answer` uses the question's option values (one for radio and image grids, a non-empty list for checkboxes). */
+export const isValidAnswer = (question: HairQuestion, answer: HairAnswer): boolean => {
+    const values = question.options.map(o => o.value);
+    if (question.type !== 'checkbox') return typeof answer === 'string' && values.includes(answer);
+    if (!Array.isArray(answer) || answer.length === 0 || !answer.every(v => values.includes(v))) return false;
+    const exclusive = question.options.some(o => o.exclusive && answer.includes(o.value));
+    return !exclusive || answer.length === 1;
+};
+
+/** Labels of the chosen options, for the user's chat bubble. */
+export const answerLabels = (question: HairQuestion, answer: HairAnswer): string =>
+    answerValues(answer).map(v => question.options.find(o => o.value === v)?.label || v).join(', ');
+
+export const HAIR_QUESTION_MESSAGE_TYPES: Record<HairQuestion['type'], MessageType> = {
+    radio: MessageType.HairQuestionRadio,
+    imageGrid: MessageType.HairQuestionImageGrid,
+    checkbox: MessageType.HairQuestionCheckbox
+};
@@ -0,0 +1,63 @@
+import { Language } from '../types';
+import { en, StringKey, Strings } from '../locales/en';
+import { hi } from '../locales/hi';
+import { mr } from '../locales/mr';
+import { ta } from '../locales/ta';
+
+export type { StringKey };
+
+export const DEFAULT_LANGUAGE: Language = 'en';
+
+/** Languages offered in the picker, each named in its own script; `locale` formats dates. */
+export const LANGUAGES: Record<Language, { name: string; locale: string }> = {
+    en: { name: 'English', locale: 'en-IN' },
+    hi: { name: 'हिन्दी', locale: 'hi-IN' },
+    ta: { name: 'தமிழ்', locale: 'ta-IN' },
+    mr: { name: 'मराठी', locale: 'mr-IN' },
+};
+
+const STRINGS: Record<Language, Strings> = { en, hi, ta, mr };
+
+export const isLanguage = (value: unknown): value is Language => typeof value === 'string' && value in STRINGS;
+
+export type Translate = (key: StringKey, params?: Record<string, string | number>) => string;
+
+/** The string lookup for a language; `{name}` placeholders are replaced from `params`. */
+export const translator = (language: Language): Translate => {
+    const strings = STRINGS[language] || en;
+    return (key, params) => (strings[key] || en[key]).replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? String(params[name]) : match));
+};
+
+// Answers are stored (and sent to the server) as these English values whatever the language,
+// so replays, triage and prompts never depend on it; only their labels are translated.
+const VALUE_KEYS: Record<string, StringKey> = {
+    'Yes': 'value.yes',
+    'No': 'value.no',
+    'Male': 'value.male',
+    'Female': 'value.female',
+    'None of these': 'value.noneOfThese',
+    'Morning Routine': 'value.morningRoutine',
+    'Evening Routine': 'value.eveningRoutine',
+    '1 Week': 'duration.1week',
+    '2 Weeks': 'duration.2weeks',
+    '1 Month': 'duration.1month',
+    '3 Months': 'duration.3months',
+    '6 Months': 'duration.6months',
+    '1 Year': 'duration.1year',
+    '2 Years': 'duration.2years',
+    'More than 2 years': 'duration.more',
+    'Clear Acne & Breakouts': 'goal.acne',
+    'Control Oil & Shine': 'goal.oil',
+    'Refine Skin Texture': 'goal.texture',
+    'Minimize Pore Appearance': 'goal.pores',
+    'Even Skin tone & Brighten': 'goal.tone',
+    'Boost Hydration': 'goal.hydration',
+    'Reduce Fine Lines & Wrinkles': 'goal.aging',
+    'Improve Firmness & Elasticity': 'goal.firmness',
+    'Soothe Redness & Irritation': 'goal.redness',
+    'Strengthen Skin Barrier': 'goal.barrier',
+    'Maintain Healthy Skin': 'goal.healthy',
+};
+
+/** Label for a stored English value; values without a translation (e.g. product names) are shown as they are. */
+export const valueLabel = (value: string, t: Translate): string => (VALUE_KEYS[value] ? t(VALUE_KEYS[value]) : value);
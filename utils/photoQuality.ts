@@ -0,0 +1,173 @@
+import { AssessmentType, CaptureAngle } from '../types';
+
+// Longest edge sent for analysis; plenty for the model and keeps each photo to a few hundred KB.
+const MAX_EDGE = 1280;
+const JPEG_QUALITY = 0.85;
+// Scoring runs on a smaller copy so thresholds don't depend on the camera's resolution.
+const SCORE_EDGE = 512;
+const MIN_SHORT_EDGE = 480;
+
+// Heuristic thresholds, measured on the SCORE_EDGE copy: variance of the Laplacian (sharpness),
+// mean luminance 0-255 and share of clipped highlights (exposure). Reject only clear failures.
+const BLUR_REJECT = 25;
+const BLUR_WARN = 60;
+const DARK_REJECT = 45;
+const DARK_WARN = 70;
+const BRIGHT_WARN = 205;
+const CLIPPED_WARN = 0.2;
+
+export type PhotoVerdict = 'ok' | 'warn' | 'reject';
+
+/** A problem with a photo; the retake advice shown for it is the `photoIssue.<code>` locale string. */
+export interface PhotoIssue {
+    code: 'blurry' | 'dark' | 'overexposed' | 'low-resolution' | 'no-face' | 'unreadable';
+    severity: Exclude<PhotoVerdict, 'ok'>;
+}
+
+export interface PhotoQuality {
+    verdict: PhotoVerdict;
+    issues: PhotoIssue[];
+    sharpness: number;
+    brightness: number;
+}
+
+export interface PreparedPhoto {
+    quality: PhotoQuality;
+    /** The re-encoded JPEG (base64 without the data: prefix, plus an object URL for previews); null when rejected. */
+    image: { base64: string; url: string } | null;
+}
+
+interface PrepareOptions {
+    mode: AssessmentType;
+    angle?: CaptureAngle;
+}
+
+const issue = (code: PhotoIssue['code'], severity: PhotoIssue['severity']): PhotoIssue => ({ code, severity });
+
+/** Decodes with EXIF orientation applied, so dropping the metadata doesn't rotate the photo. */
+const decode = async (file: Blob): Promise<ImageBitmap | HTMLImageElement> => {
+    if (typeof createImageBitmap === 'function') {
+        return createImageBitmap(file, { imageOrientation: 'from-image' });
+    }
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+const drawScaled = (source: CanvasImageSource, width: number, height: number, maxEdge: number) => {
+    const scale = Math.min(1, maxEdge / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })!;
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return { canvas, ctx };
+};
+
+const toJpeg = (canvas: HTMLCanvasElement): Promise<Blob> =>
+    new Promise((resolve, reject) => canvas.toBlob(
+        blob => (blob ? resolve(blob) : reject(new Error('Could not encode the photo.'))),
+        'image/jpeg',
+        JPEG_QUALITY
+    ));
+
+const blobToBase64 = (blob: Blob): Promise<string> =>
+    new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve((reader.result as string).split(',')[1]);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+
+/** Mean luminance, share of clipped pixels and variance of the 4-neighbour Laplacian. */
+const measure = ({ data, width, height }: ImageData) => {
+    const gray = new Float32Array(width * height);
+    let sum = 0;
+    let clipped = 0;
+    for (let i = 0; i < gray.length; i++) {
+        const y = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        gray[i] = y;
+        sum += y;
+        if (y > 250) clipped++;
+    }
+
+    let lapSum = 0;
+    let lapSq = 0;
+    let n = 0;
+    for (let row = 1; row < height - 1; row++) {
+        for (let col = 1; col < width - 1; col++) {
+            const i = row * width + col;
+            const lap = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+            lapSum += lap;
+            lapSq += lap * lap;
+            n++;
+        }
+    }
+    const mean = n > 0 ? lapSum / n : 0;
+    return {
+        brightness: sum / gray.length,
+        clippedShare: clipped / gray.length,
+        sharpness: n > 0 ? lapSq / n - mean * mean : 0
+    };
+};
+
+/** Uses the browser's FaceDetector where available (Chromium); elsewhere the check is skipped. */
+const hasFace = async (source: ImageBitmap | HTMLImageElement): Promise<boolean | null> => {
+    const Detector = (window as any).FaceDetector;
+    if (!Detector) return null;
+    try {
+        const faces = await new Detector({ fastMode: true, maxDetectedFaces: 1 }).detect(source);
+        return faces.length > 0;
+    } catch {
+        return null;
+    }
+};
+
+const grade = (issues: PhotoIssue[]): PhotoVerdict =>
+    issues.some(i => i.severity === 'reject') ? 'reject' : issues.length > 0 ? 'warn' : 'ok';
+
+/**
+ * Prepares a photo for analysis before any AI call: downscales it to MAX_EDGE, re-encodes it
+ * as JPEG (dropping EXIF, including GPS), and scores blur and exposure locally. Photos with a
+ * 'reject' verdict shouldn't be sent; 'warn' ones may be, with the advice shown to the user.
+ * Front-facing skin photos are also checked for a face where the browser supports it.
+ */
+export async function preparePhoto(file: Blob, { mode, angle }: PrepareOptions): Promise<PreparedPhoto> {
+    let source: ImageBitmap | HTMLImageElement;
+    try {
+        source = await decode(file);
+    } catch {
+        const issues = [issue('unreadable', 'reject')];
+        return { quality: { verdict: 'reject', issues, sharpness: 0, brightness: 0 }, image: null };
+    }
+    const width = 'naturalWidth' in source ? source.naturalWidth : source.width;
+    const height = 'naturalHeight' in source ? source.naturalHeight : source.height;
+
+    const { canvas } = drawScaled(source, width, height, MAX_EDGE);
+    const scoring = drawScaled(source, width, height, SCORE_EDGE);
+    const { brightness, clippedShare, sharpness } = measure(scoring.ctx.getImageData(0, 0, scoring.canvas.width, scoring.canvas.height));
+
+    const issues: PhotoIssue[] = [];
+    if (sharpness < BLUR_REJECT) issues.push(issue('blurry', 'reject'));
+    else if (sharpness < BLUR_WARN) issues.push(issue('blurry', 'warn'));
+    if (brightness < DARK_REJECT) issues.push(issue('dark', 'reject'));
+    else if (brightness < DARK_WARN) issues.push(issue('dark', 'warn'));
+    else if (brightness > BRIGHT_WARN || clippedShare > CLIPPED_WARN) issues.push(issue('overexposed', 'warn'));
+    if (Math.min(width, height) < MIN_SHORT_EDGE) issues.push(issue('low-resolution', 'warn'));
+    if (mode === 'skin' && (angle === undefined || angle === 'front') && (await hasFace(source)) === false) {
+        issues.push(issue('no-face', 'reject'));
+    }
+    if ('close' in source) source.close();
+
+    const quality: PhotoQuality = { verdict: grade(issues), issues, sharpness: Math.round(sharpness), brightness: Math.round(brightness) };
+    if (quality.verdict === 'reject') return { quality, image: null };
+
+    const jpeg = await toJpeg(canvas);
+    return { quality, image: { base64: await blobToBase64(jpeg), url: URL.createObjectURL(jpeg) } };
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { Product, ProductRecommendation } from '../types';
+import { formatPrice, routineCost } from './pricing';
+
+const product = (variantId: string, step: string, amount: number | null, lastsDays?: number, extra: Partial<Product> = {}): Product => ({
+    variantId, name: variantId, step, tags: [step], image: '', price: amount === null ? null : { amount, currencyCode: 'INR' }, lastsDays, recommendationType: 'Recommended', ...extra,
+});
+
+describe('formatPrice', () => {
+    it('formats amounts and keeps strings from older sessions', () => {
+        expect(formatPrice({ amount: 349, currencyCode: 'INR' })).toBe('INR 349.00');
+        expect(formatPrice('INR 349.00')).toBe('INR 349.00');
+        expect(formatPrice(null)).toBe('N/A');
+    });
+});
+
+describe('routineCost', () => {
+    it('counts each recommended product once, per month over the days it lasts', () => {
+        const wash = product('wash', 'cleanser', 300, 50);
+        const recommendations: ProductRecommendation[] = [
+            { category: 'Morning Routine', products: [wash, product('serum', 'serum', 600, 100), product('cheap-serum', 'serum', 100, 100, { recommendationType: 'Alternative' })] },
+            { category: 'Evening Routine', products: [wash, product('cream', 'moisturizer', 400), product('oil', 'oil', null, 20)] },
+        ];
+        expect(routineCost(recommendations)).toEqual({
+            total: { amount: 1300, currencyCode: 'INR' },
+            // 180 + 180 + 400 (no estimate: lasts a month); the oil has no price but still runs out first.
+            monthlyCost: { amount: 760, currencyCode: 'INR' },
+            lastsDays: 20,
+        });
+    });
+
+    it('has no cost without priced products', () => {
+        expect(routineCost([{ category: 'Morning Routine', products: [product('oil', 'oil', null)] }])).toEqual({ total: null, monthlyCost: null, lastsDays: null });
+    });
+});
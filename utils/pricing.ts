@@ -0,0 +1,40 @@
+import { Money, ProductRecommendation } from '../types';
+import { routineProducts } from './routineEditing';
+
+// Matches server/routineTiers.js: monthly costs are over 30 days, and products without an
+// estimate are assumed to last that long.
+const DAYS_PER_MONTH = 30;
+
+/**
+ * "INR 349.00", or "N/A" without a price. Sessions saved before prices were numeric hold the
+ * formatted string, which is shown as it is.
+ */
+export const formatPrice = (price: Money | string | null | undefined): string => {
+    if (typeof price === 'string') return price;
+    return price ? `${price.currencyCode} ${price.amount.toFixed(2)}` : 'N/A';
+};
+
+export interface RoutineCost {
+    total: Money | null;
+    monthlyCost: Money | null;
+    lastsDays: number | null;
+}
+
+/**
+ * What the routine as shown (with the user's edits) costs: one of each recommended product, per
+ * month, and the days until the first product runs out. Unpriced products are left out.
+ */
+export const routineCost = (recommendations: ProductRecommendation[]): RoutineCost => {
+    const products = routineProducts(recommendations);
+    const priced = products.filter(p => p.price && typeof p.price === 'object');
+    const currencyCode = priced[0]?.price!.currencyCode;
+    const round2 = (amount: number) => Math.round(amount * 100) / 100;
+    const total = priced.reduce((sum, p) => sum + p.price!.amount, 0);
+    const monthly = priced.reduce((sum, p) => sum + p.price!.amount * DAYS_PER_MONTH / (p.lastsDays || DAYS_PER_MONTH), 0);
+    const days = products.map(p => p.lastsDays).filter((d): d is number => typeof d === 'number');
+    return {
+        total: currencyCode ? { amount: round2(total), currencyCode } : null,
+        monthlyCost: currencyCode ? { amount: round2(monthly), currencyCode } : null,
+        lastsDays: days.length > 0 ? Math.min(...days) : null,
+    };
+};
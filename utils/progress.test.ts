@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { SkinConditionCategory } from '../types';
+import { compareAnalyses } from './progress';
+
+const condition = (name: string, confidence: number) => ({ name, confidence, location: 'Cheek', description: '', boundingBoxes: [] });
+
+const earlier: SkinConditionCategory[] = [
+    { category: 'Acne', conditions: [condition('Pustules', 80), condition('Blackheads', 60)] },
+    { category: 'Pigmentation', conditions: [condition('Dark Spots', 50), condition('Freckles', 40)] },
+];
+
+describe('compareAnalyses', () => {
+    it('sorts worse conditions first, then new, unchanged, improved and resolved ones', () => {
+        const later: SkinConditionCategory[] = [
+            { category: 'Acne', conditions: [condition('Pustules', 55), condition('Blackheads', 62)] },
+            { category: 'Pigmentation', conditions: [condition('Dark Spots', 70), condition('Melasma', 30)] },
+        ];
+        expect(compareAnalyses(earlier, later)).toEqual([
+            { name: 'Dark Spots', category: 'Pigmentation', before: 50, after: 70, delta: 20, trend: 'worsened' },
+            { name: 'Melasma', category: 'Pigmentation', before: null, after: 30, delta: null, trend: 'new' },
+            { name: 'Blackheads', category: 'Acne', before: 60, after: 62, delta: 2, trend: 'unchanged' },
+            { name: 'Pustules', category: 'Acne', before: 80, after: 55, delta: -25, trend: 'improved' },
+            { name: 'Freckles', category: 'Pigmentation', before: 40, after: null, delta: null, trend: 'resolved' },
+        ]);
+    });
+
+    it('matches names across categories, case and stage notes', () => {
+        const hairEarlier: SkinConditionCategory[] = [{ category: 'Hair Loss', conditions: [condition('Androgenetic Alopecia (Stage 2)', 70)] }];
+        const hairLater: SkinConditionCategory[] = [{ category: 'Thinning', conditions: [condition('androgenetic alopecia', 60)] }];
+        expect(compareAnalyses(hairEarlier, hairLater)).toEqual([
+            { name: 'androgenetic alopecia', category: 'Thinning', before: 70, after: 60, delta: -10, trend: 'improved' },
+        ]);
+    });
+
+    it('keeps the most visible of repeated conditions and rounds confidences', () => {
+        const repeated: SkinConditionCategory[] = [
+            { category: 'Acne', conditions: [condition('Pustules', 40.4)] },
+            { category: 'Breakouts', conditions: [condition('Pustules', 79.6)] },
+        ];
+        expect(compareAnalyses(repeated, [])).toEqual([
+            { name: 'Pustules', category: 'Breakouts', before: 80, after: null, delta: null, trend: 'resolved' },
+        ]);
+    });
+
+    it('treats a category without conditions as empty', () => {
+        expect(compareAnalyses([{ category: 'Acne' } as SkinConditionCategory], [])).toEqual([]);
+    });
+});
@@ -0,0 +1,53 @@
+import { SkinConditionCategory } from '../types';
+
+export type ConditionTrend = 'improved' | 'worsened' | 'unchanged' | 'new' | 'resolved';
+
+export interface ConditionChange {
+    name: string;
+    category: string;
+    before: number | null; // confidence in the earlier assessment
+    after: number | null;  // confidence in the later assessment
+    delta: number | null;  // after - before; negative means the condition is less visible
+    trend: ConditionTrend;
+}
+
+// Changes smaller than this many confidence points are treated as noise.
+const UNCHANGED_THRESHOLD = 5;
+
+// "Androgenetic Alopecia (Stage 2)" and "androgenetic alopecia" should line up across runs.
+const conditionKey = (name: string) => name.toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+const flatten = (analysis: SkinConditionCategory[]) => {
+    const byKey = new Map<string, { name: string; category: string; confidence: number }>();
+    analysis.forEach(cat => (cat.conditions || []).forEach(c => {
+        const key = conditionKey(c.name);
+        const existing = byKey.get(key);
+        if (!existing || c.confidence > existing.confidence) {
+            byKey.set(key, { name: c.name, category: cat.category, confidence: Math.round(c.confidence) });
+        }
+    }));
+    return byKey;
+};
+
+/**
+ * Compares two analyses condition by condition. Conditions are matched by name across
+ * categories; the result lists the worst regressions first, then improvements.
+ */
+export const compareAnalyses = (earlier: SkinConditionCategory[], later: SkinConditionCategory[]): ConditionChange[] => {
+    const before = flatten(earlier);
+    const after = flatten(later);
+    const keys = Array.from(new Set([...before.keys(), ...after.keys()]));
+
+    const changes = keys.map((key): ConditionChange => {
+        const b = before.get(key);
+        const a = after.get(key);
+        if (b && !a) return { name: b.name, category: b.category, before: b.confidence, after: null, delta: null, trend: 'resolved' };
+        if (a && !b) return { name: a.name, category: a.category, before: null, after: a.confidence, delta: null, trend: 'new' };
+        const delta = a!.confidence - b!.confidence;
+        const trend: ConditionTrend = Math.abs(delta) < UNCHANGED_THRESHOLD ? 'unchanged' : delta < 0 ? 'improved' : 'worsened';
+        return { name: a!.name, category: a!.category, before: b!.confidence, after: a!.confidence, delta, trend };
+    });
+
+    const order: Record<ConditionTrend, number> = { worsened: 0, new: 1, unchanged: 2, improved: 3, resolved: 4 };
+    return changes.sort((x, y) => order[x.trend] - order[y.trend] || x.name.localeCompare(y.name));
+};
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { Product, ProductRecommendation } from '../types';
+import {
+    groupSteps, isAvailable, moveStep, removeStep, routineProducts, setStepProduct, setStepVariant, stepKey, variantLabel
+} from './routineEditing';
+
+const inr = (amount: number) => ({ amount, currencyCode: 'INR' });
+const product = (name: string, step: string, extra: Partial<Product> = {}): Product => ({
+    name, step, variantId: `v-${name}`, price: inr(300), tags: [step === 'cleanser' ? 'Cleanser' : 'Serum'], image: '', ...extra
+});
+
+const wash = product('Face Wash', 'cleanser', { recommendationType: 'Recommended', howToUse: 'Massage in, rinse.', when: 'AM' });
+const gel = product('Gel Wash', 'cleanser', { recommendationType: 'Alternative', howToUse: 'Lather, rinse.' });
+const serum = product('Vitamin C Serum', 'serum', {
+    recommendationType: 'Recommended',
+    variantId: 'v-15',
+    variants: [
+        { id: 'v-15', title: '15 ml', available: true, price: inr(499) },
+        { id: 'v-30', title: '30 ml', available: false, price: inr(899), lastsDays: 120 }
+    ]
+});
+const routine: ProductRecommendation[] = [
+    { category: 'Morning Routine', products: [wash, gel, serum] },
+    { category: 'Evening Routine', products: [wash] }
+];
+const morning = (recommendations: ProductRecommendation[]) => recommendations.find(r => r.category === 'Morning Routine')!.products;
+
+describe('groupSteps', () => {
+    it('groups products into steps in the order they first appear', () => {
+        expect(groupSteps([wash, serum, gel])).toEqual([
+            { key: 'cleanser', label: 'Cleanser', recommended: wash, alternatives: [gel] },
+            { key: 'serum', label: 'Serum', recommended: serum, alternatives: [] }
+        ]);
+    });
+
+    it('uses the first tag for routines saved without steps', () => {
+        const { step, ...old } = wash;
+        expect(stepKey(old)).toBe('Cleanser');
+        expect(stepKey({ ...old, tags: [] })).toBe('other');
+    });
+});
+
+describe('setStepProduct', () => {
+    it('swaps an alternative with the current pick', () => {
+        expect(morning(setStepProduct(routine, 'Morning Routine', 'cleanser', gel))).toEqual([
+            { ...gel, recommendationType: 'Recommended' },
+            { ...wash, recommendationType: 'Alternative' },
+            serum
+        ]);
+    });
+
+    it("gives another catalog product the replaced pick's instructions", () => {
+        const foam = product('Foam Wash', 'cleanser', { howToUse: 'Pump twice.' });
+        const [chosen, ...rest] = morning(setStepProduct(routine, 'Morning Routine', 'cleanser', foam));
+        expect(chosen).toMatchObject({ name: 'Foam Wash', recommendationType: 'Recommended', howToUse: 'Massage in, rinse.', when: 'AM', reason: 'Chosen by you.' });
+        expect(rest).toEqual([gel, serum]);
+    });
+
+    it('leaves the other routines alone', () => {
+        expect(setStepProduct(routine, 'Morning Routine', 'cleanser', gel)[1]).toBe(routine[1]);
+    });
+});
+
+describe('variants', () => {
+    it('switches the pick to another size with its price', () => {
+        const [, switched] = groupSteps(morning(setStepVariant(routine, 'Morning Routine', 'serum', 'v-30')));
+        expect(switched.recommended).toMatchObject({ variantId: 'v-30', price: inr(899), lastsDays: 120 });
+        expect(variantLabel(switched.recommended!)).toBe('30 ml');
+        expect(isAvailable(switched.recommended!)).toBe(false);
+    });
+
+    it('ignores unknown variants and treats products without variants as available', () => {
+        expect(morning(setStepVariant(routine, 'Morning Routine', 'serum', 'v-99'))).toEqual(morning(routine));
+        expect(variantLabel(wash)).toBeNull();
+        expect(isAvailable(wash)).toBe(true);
+        expect(variantLabel(serum)).toBe('15 ml');
+    });
+});
+
+describe('removeStep and moveStep', () => {
+    it('removes a step with its alternatives and drops routines left empty', () => {
+        expect(morning(removeStep(routine, 'Morning Routine', 'cleanser'))).toEqual([serum]);
+        expect(removeStep(routine, 'Evening Routine', 'cleanser').map(r => r.category)).toEqual(['Morning Routine']);
+    });
+
+    it('moves a step within its routine but not past the ends', () => {
+        expect(morning(moveStep(routine, 'Morning Routine', 'serum', -1))).toEqual([serum, wash, gel]);
+        expect(morning(moveStep(routine, 'Morning Routine', 'serum', 1))).toEqual([wash, gel, serum]);
+    });
+});
+
+describe('routineProducts', () => {
+    it("lists each step's pick once across routines", () => {
+        expect(routineProducts(routine)).toEqual([wash, serum]);
+    });
+});
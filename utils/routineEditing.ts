@@ -0,0 +1,124 @@
+import { Product, ProductRecommendation, ProductVariant } from '../types';
+
+export interface RoutineStep {
+    key: string;
+    label: string;
+    recommended: Product | null;
+    alternatives: Product[];
+}
+
+// Older saved routines have no `step`; their first tag is the step label.
+export const stepKey = (product: Product) => product.step || product.tags[0] || 'other';
+
+/** Groups a routine category's products into steps, in the order the steps first appear. */
+export const groupSteps = (products: Product[]): RoutineStep[] => {
+    const steps: RoutineStep[] = [];
+    products.forEach(product => {
+        const key = stepKey(product);
+        let step = steps.find(s => s.key === key);
+        if (!step) {
+            step = { key, label: product.tags[0] || key, recommended: null, alternatives: [] };
+            steps.push(step);
+        }
+        if (product.recommendationType === 'Alternative' || step.recommended) step.alternatives.push(product);
+        else step.recommended = product;
+    });
+    return steps;
+};
+
+const flattenSteps = (steps: RoutineStep[]): Product[] =>
+    steps.flatMap(step => [...(step.recommended ? [step.recommended] : []), ...step.alternatives]);
+
+const updateCategory = (
+    recommendations: ProductRecommendation[],
+    category: string,
+    update: (steps: RoutineStep[]) => RoutineStep[]
+): ProductRecommendation[] => recommendations
+    .map(rec => (rec.category === category ? { ...rec, products: flattenSteps(update(groupSteps(rec.products))) } : rec))
+    .filter(rec => rec.products.length > 0);
+
+const updateStep = (steps: RoutineStep[], key: string, update: (step: RoutineStep) => RoutineStep) =>
+    steps.map(step => (step.key === key ? update(step) : step));
+
+const sameProduct = (a: Product, b: Product) => (a.variantId && a.variantId === b.variantId) || a.name === b.name;
+
+/**
+ * Makes `product` the recommended product for a step. An existing alternative swaps places with
+ * the current pick; any other catalog product replaces it and takes over its usage instructions.
+ */
+export const setStepProduct = (
+    recommendations: ProductRecommendation[],
+    category: string,
+    key: string,
+    product: Product
+): ProductRecommendation[] => updateCategory(recommendations, category, steps => updateStep(steps, key, step => {
+    const current = step.recommended;
+    const isAlternative = step.alternatives.some(alt => sameProduct(alt, product));
+    const chosen: Product = isAlternative ? product : {
+        ...product,
+        when: current?.when,
+        howToUse: current?.howToUse,
+        frequency: current?.frequency,
+        duration: current?.duration,
+        reason: 'Chosen by you.',
+        tags: current?.tags || product.tags
+    };
+    const alternatives = step.alternatives.filter(alt => !sameProduct(alt, product));
+    return {
+        ...step,
+        recommended: { ...chosen, recommendationType: 'Recommended' },
+        alternatives: isAlternative && current ? [{ ...current, recommendationType: 'Alternative' }, ...alternatives] : alternatives
+    };
+}));
+
+/** The product's chosen variant; products saved before variants were loaded have none. */
+export const selectedVariant = (product: Product): ProductVariant | undefined =>
+    product.variants?.find(variant => variant.id === product.variantId);
+
+/** The chosen variant's title ("100 ml"), or null for products without options. */
+export const variantLabel = (product: Product): string | null => {
+    const variant = selectedVariant(product);
+    return variant && product.variants!.length > 1 ? variant.title : null;
+};
+
+/** False only when the chosen variant is known to be sold out. */
+export const isAvailable = (product: Product): boolean => selectedVariant(product)?.available !== false;
+
+/** Switches a step's recommended product to another of its variants (size or option). */
+export const setStepVariant = (
+    recommendations: ProductRecommendation[],
+    category: string,
+    key: string,
+    variantId: string
+): ProductRecommendation[] => updateCategory(recommendations, category, steps => updateStep(steps, key, step => {
+    const variant = step.recommended?.variants?.find(v => v.id === variantId);
+    if (!step.recommended || !variant) return step;
+    return { ...step, recommended: { ...step.recommended, variantId: variant.id, price: variant.price, compareAtPrice: variant.compareAtPrice, lastsDays: variant.lastsDays } };
+}));
+
+export const removeStep = (recommendations: ProductRecommendation[], category: string, key: string): ProductRecommendation[] =>
+    updateCategory(recommendations, category, steps => steps.filter(step => step.key !== key));
+
+/** Moves a step up (-1) or down (+1) within its routine. */
+export const moveStep = (
+    recommendations: ProductRecommendation[],
+    category: string,
+    key: string,
+    offset: -1 | 1
+): ProductRecommendation[] => updateCategory(recommendations, category, steps => {
+    const from = steps.findIndex(step => step.key === key);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= steps.length) return steps;
+    const reordered = [...steps];
+    [reordered[from], reordered[to]] = [reordered[to], reordered[from]];
+    return reordered;
+});
+
+/** The products the user will actually use: each step's recommended pick, once per product. */
+export const routineProducts = (recommendations: ProductRecommendation[]): Product[] => {
+    const picked: Product[] = [];
+    recommendations.forEach(rec => groupSteps(rec.products).forEach(step => {
+        if (step.recommended && !picked.some(p => sameProduct(p, step.recommended!))) picked.push(step.recommended);
+    }));
+    return picked;
+};
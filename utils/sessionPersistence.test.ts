@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Sender } from '../types';
+import { EMPTY_SESSION, StoredSession, clearSession, loadSession, saveSession } from './sessionPersistence';
+
+const STORAGE_KEY = 'dermatics.session';
+const STORAGE_VERSION = 2;
+
+/** An in-memory localStorage; `quota` makes writes longer than it throw, like a full browser store. */
+const memoryStorage = (quota = Infinity) => {
+    const items = new Map<string, string>();
+    return {
+        getItem: (key: string) => items.get(key) ?? null,
+        setItem: (key: string, value: string) => {
+            if (value.length > quota) throw new Error('QuotaExceededError');
+            items.set(key, value);
+        },
+        removeItem: (key: string) => { items.delete(key); },
+    };
+};
+
+const photo = { name: 'front.jpg', base64: 'A'.repeat(2000) };
+
+const session: StoredSession = {
+    ...EMPTY_SESSION,
+    events: [
+        { type: 'chooseAssessment', assessmentType: 'skin' },
+        { type: 'analysisReady', assessmentType: 'skin', photos: [photo], analysis: [], triage: { level: 'none', findings: [], bookingUrl: null } },
+    ],
+    notes: [{ id: 1, afterEvent: 2, sender: Sender.Bot, text: 'Half a reply', streaming: true }],
+    language: 'hi',
+    assessmentId: 'a1',
+};
+
+beforeEach(() => {
+    vi.stubGlobal('localStorage', memoryStorage());
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('saveSession and loadSession', () => {
+    it('round-trips a session, ending replies cut off by the reload', () => {
+        saveSession(session);
+        expect(loadSession()).toEqual({ ...session, notes: [{ ...session.notes[0], streaming: false }] });
+    });
+
+    it('saves without photos when the full session does not fit', () => {
+        vi.stubGlobal('localStorage', memoryStorage(1500));
+        saveSession(session);
+        const loaded = loadSession()!;
+        expect(loaded.events[1]).toMatchObject({ type: 'analysisReady', photos: [], analysis: [] });
+        expect(loaded.assessmentId).toBe('a1');
+    });
+
+    it('keeps going when nothing can be saved', () => {
+        vi.stubGlobal('localStorage', memoryStorage(10));
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        saveSession(session);
+        expect(warn).toHaveBeenCalled();
+        expect(loadSession()).toBeNull();
+        warn.mockRestore();
+    });
+});
+
+describe('loadSession', () => {
+    it('discards sessions from another version or with a broken shape', () => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...session, version: STORAGE_VERSION - 1 }));
+        expect(loadSession()).toBeNull();
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, events: [], notes: null, cart: [] }));
+        expect(loadSession()).toBeNull();
+        localStorage.setItem(STORAGE_KEY, '{not json');
+        expect(loadSession()).toBeNull();
+    });
+
+    it('fills in fields older sessions did not have', () => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, events: [], notes: [], cart: [] }));
+        expect(loadSession()).toEqual(EMPTY_SESSION);
+    });
+});
+
+describe('clearSession', () => {
+    it('removes the saved session', () => {
+        saveSession(session);
+        clearSession();
+        expect(loadSession()).toBeNull();
+    });
+});
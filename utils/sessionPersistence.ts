@@ -0,0 +1,92 @@
+import { CartItem, Language, Sender } from '../types';
+import { ConversationEvent } from './conversationMachine';
+import { DEFAULT_LANGUAGE, isLanguage } from './i18n';
+
+// Bump when the stored shape or the meaning of events changes; older sessions are discarded.
+const STORAGE_KEY = 'dermatics.session';
+const STORAGE_VERSION = 2;
+
+/**
+ * A chat bubble outside the scripted flow (chat turns, errors, the doctor's summary), shown after
+ * the first `afterEvent` events of the log. `chat` marks turns sent back as chat history.
+ */
+export interface SessionNote {
+    id: number;
+    afterEvent: number;
+    sender: Sender;
+    text: string;
+    chat?: boolean;
+    streaming?: boolean;
+}
+
+/** A doctor's report saved on the server; the token lets the user delete it. */
+export interface SavedReport {
+    token: string;
+    expiresAt: string;
+}
+
+export interface StoredSession {
+    events: ConversationEvent[];
+    notes: SessionNote[];
+    chatOpen: boolean;
+    cart: CartItem[];
+    language: Language;
+    reports: SavedReport[];
+    /** Id of the assessment saved to the user's history, sent with checkout to attribute the order. */
+    assessmentId: string | null;
+}
+
+export const EMPTY_SESSION: StoredSession = { events: [], notes: [], chatOpen: false, cart: [], language: DEFAULT_LANGUAGE, reports: [], assessmentId: null };
+
+/** The saved session, or null if there is none or it was saved by an incompatible version. */
+export function loadSession(): StoredSession | null {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (!raw) return null;
+        const saved = JSON.parse(raw);
+        if (saved?.version !== STORAGE_VERSION || !Array.isArray(saved.events) || !Array.isArray(saved.notes) || !Array.isArray(saved.cart)) {
+            return null;
+        }
+        return {
+            events: saved.events,
+            // A reply cut off by the refresh stays as far as it got.
+            notes: saved.notes.map((note: SessionNote) => ({ ...note, streaming: false })),
+            chatOpen: saved.chatOpen === true,
+            cart: saved.cart,
+            // Sessions saved before the language picker existed were in English.
+            language: isLanguage(saved.language) ? saved.language : DEFAULT_LANGUAGE,
+            reports: Array.isArray(saved.reports) ? saved.reports : [],
+            assessmentId: typeof saved.assessmentId === 'string' ? saved.assessmentId : null,
+        };
+    } catch {
+        return null;
+    }
+}
+
+const withoutPhotos = (events: ConversationEvent[]): ConversationEvent[] =>
+    events.map(event => (event.type === 'analysisReady' ? { ...event, photos: [] } : event));
+
+/**
+ * Saves the session to this browser. Photos are the bulk of it: if the storage quota is exceeded,
+ * the session is saved without them (the analysis itself is kept).
+ */
+export function saveSession(session: StoredSession): void {
+    const write = (value: StoredSession) => localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, ...value }));
+    try {
+        write(session);
+    } catch {
+        try {
+            write({ ...session, events: withoutPhotos(session.events) });
+        } catch (error) {
+            console.warn('Could not save the session:', error);
+        }
+    }
+}
+
+export function clearSession(): void {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch {
+        // Storage unavailable (e.g. disabled cookies): nothing was saved either.
+    }
+}
@@ -0,0 +1,205 @@
+import { ConversationStep, Message, MessageType, Sender, UploadedImage } from '../types';
+import { ConversationEvent, isEditable, MachineContext, nextAssessmentType, SessionPhoto, SessionState, Settled } from './conversationMachine';
+import { answerLabels, HAIR_QUESTION_MESSAGE_TYPES, nextHairQuestion } from './hairQuestionnaire';
+import { Translate, valueLabel } from './i18n';
+import { SessionNote } from './sessionPersistence';
+
+export const NO_PRODUCT = 'None of these';
+
+/** What is going on outside the event log: calls in progress, failures to retry, the chat box. */
+export interface TranscriptStatus {
+    busy: string | null;
+    routineError: string | null;
+    questionnaireError: string | null;
+    chatOpen: boolean;
+}
+
+type Draft = Omit<Message, 'id'>;
+
+const bot = (type: MessageType, content: any, payload?: any): Draft => ({ sender: Sender.Bot, type, content, payload });
+const user = (type: MessageType, content: any, payload?: any): Draft => ({ sender: Sender.User, type, content, payload });
+
+// Once a routine is ready, the user is offered the other assessment until they pick it or move on.
+const nextAssessmentOffer = (state: SessionState, answered: boolean): Draft[] => {
+    const next = nextAssessmentType(state);
+    return next && !answered ? [bot(MessageType.NextAssessment, next)] : [];
+};
+
+export const photoToImage = (photo: SessionPhoto): UploadedImage => ({ ...photo, url: `data:image/jpeg;base64,${photo.base64}` });
+
+/**
+ * The bot's side of a step. `answer` is the event that completed it; interactive widgets are
+ * dropped or frozen once answered, and only the unanswered (current) step can be used.
+ */
+const prompt = (state: SessionState, ctx: MachineContext, t: Translate, answer?: ConversationEvent): Draft[] => {
+    const answered = answer !== undefined;
+    switch (state.step) {
+        case ConversationStep.UserDetails:
+            return [
+                bot(MessageType.Text, t('chat.greeting')),
+                ...(answered ? [] : [bot(MessageType.UserInfo, null)]),
+            ];
+        case ConversationStep.Initial:
+            return [
+                bot(MessageType.Text, t('chat.thanksSelectConcern', { name: state.userInfo?.name.split(' ')[0] ?? '' })),
+                ...(answered ? [] : [bot(MessageType.AssessmentOptions, null)]),
+            ];
+        case ConversationStep.Skin_ProductUsage_Start:
+        case ConversationStep.Skin_ProductUsage_Loop: {
+            const selectedProduct = answer?.type === 'pickProduct' ? answer.product ?? NO_PRODUCT : undefined;
+            const options = user(MessageType.ProductOptions,
+                state.step === ConversationStep.Skin_ProductUsage_Start ? t('chat.productsPrompt') : t('chat.productsPromptMore'),
+                { disabled: answered, selectedProduct });
+            return state.step === ConversationStep.Skin_ProductUsage_Start
+                ? [bot(MessageType.StepIntro, { step: t('chat.step', { number: 1 }), title: t('chat.productsTitle'), text: t('chat.productsIntro') }), options]
+                : [options];
+        }
+        case ConversationStep.Skin_ProductUsage_AskCurrentlyUsing:
+            return [bot(answered ? MessageType.Text : MessageType.YesNo, t('chat.askCurrentlyUsing'))];
+        case ConversationStep.Skin_ProductUsage_AskDuration: {
+            const stopped = state.skinProducts[state.skinProducts.length - 1]?.currentlyUsing === false;
+            return [bot(answered ? MessageType.Text : MessageType.DurationOptions, stopped ? t('chat.askDurationStopped') : t('chat.askDuration'))];
+        }
+        case ConversationStep.Skin_ProductUsage_AskOther:
+            return [bot(answered ? MessageType.Text : MessageType.YesNo, t('chat.askOtherProducts'))];
+        case ConversationStep.Skin_Analysis:
+        case ConversationStep.Hair_Analysis:
+            return answer?.type === 'skipPhotos'
+                ? []
+                : [bot(MessageType.ImageUpload, null, { isHair: state.step === ConversationStep.Hair_Analysis, submitted: answered })];
+        case ConversationStep.Skin_Goals:
+            return answered ? [] : [bot(MessageType.GoalSelection, null)];
+        case ConversationStep.Hair_Budget:
+            return [bot(MessageType.Text, t('budget.hairIntro')), ...(answered ? [] : [bot(MessageType.BudgetInput, null)])];
+        case ConversationStep.Skin_Report:
+            return [bot(MessageType.DoctorReport, null), ...nextAssessmentOffer(state, answered)];
+        case ConversationStep.Hair_Gender:
+            return [
+                bot(MessageType.Text, t('chat.hairFinderTitle')),
+                bot(MessageType.Text, t('chat.askGender')),
+                ...(answered ? [] : [bot(MessageType.GenderOptions, t('chat.selectGender'))]),
+            ];
+        case ConversationStep.Hair_Questioning: {
+            const next = ctx.hairQuestionnaire && nextHairQuestion(ctx.hairQuestionnaire, state.hairAnswers);
+            return next ? [bot(HAIR_QUESTION_MESSAGE_TYPES[next.question.type], next, { answered })] : [];
+        }
+        case ConversationStep.Skin_Recommendations:
+        case ConversationStep.Hair_Recommendations:
+            // The routine carries its own buttons (see echo).
+            return nextAssessmentOffer(state, answered);
+        default:
+            // Analysis results carry their own buttons (see echo).
+            return [];
+    }
+};
+
+/** What an event adds to the chat: the user's answer, or the result it brought in. */
+const echo = (event: ConversationEvent, before: SessionState, ctx: MachineContext, index: number, t: Translate): Draft[] => {
+    switch (event.type) {
+        case 'submitUserInfo':
+            return [user(MessageType.UserInfo, event.userInfo)];
+        case 'chooseAssessment':
+            return event.assessmentType === 'hair'
+                ? [user(MessageType.HairAssessmentStart, null)]
+                : [user(MessageType.AssessmentOptions, { content: t('assessment.skin'), image: '/skin_assessment.png' })];
+        case 'pickProduct':
+            return []; // The product picker shows the choice itself.
+        case 'answerCurrentlyUsing':
+            return [user(MessageType.Text, t(event.currentlyUsing ? 'value.yes' : 'value.no'))];
+        case 'answerDuration':
+            return [user(MessageType.Text, valueLabel(event.duration, t))];
+        case 'answerAnotherProduct':
+            return [user(MessageType.Text, t(event.another ? 'value.yes' : 'value.no'))];
+        case 'pickGender':
+            return [user(MessageType.Text, valueLabel(event.gender, t))];
+        case 'answerHairQuestion': {
+            const question = ctx.hairQuestionnaire && nextHairQuestion(ctx.hairQuestionnaire, before.hairAnswers)?.question;
+            return [user(MessageType.Text, question ? answerLabels(question, event.answer) : String(event.answer))];
+        }
+        case 'analysisReady': {
+            const images = event.photos.map(photoToImage);
+            return [
+                ...(images.length > 0 ? [user(MessageType.Image, images)] : []),
+                bot(MessageType.AnalysisResult, { images, analysis: event.analysis, corrections: event.corrections || [], triage: event.triage }, { eventIndex: index }),
+                ...(event.triage.level !== 'none' ? [bot(MessageType.Consultation, event.triage)] : []),
+            ];
+        }
+        case 'skipPhotos':
+            return [user(MessageType.Text, t('chat.continueWithoutPhotos'))];
+        case 'proceed':
+            return before.step === ConversationStep.Skin_Analysis_Complete ? [user(MessageType.Text, t('chat.setMyGoals'))] : [];
+        case 'chooseGoals': {
+            const goals = event.goals.filter(g => g !== NO_PRODUCT);
+            return [
+                user(MessageType.Text, goals.length > 0 ? t('chat.myGoals', { goals: goals.map(goal => valueLabel(goal, t)).join(', ') }) : t('chat.noGoals')),
+                ...(event.budget ? [user(MessageType.Text, t('chat.myBudget', { budget: event.budget }))] : []),
+            ];
+        }
+        case 'chooseBudget':
+            return [user(MessageType.Text, event.budget ? t('chat.myBudget', { budget: event.budget }) : t('chat.noBudget'))];
+        case 'routineReady':
+            // A flagged routine is never shown on its own: the consultation card comes first, and an
+            // 'urgent' result (empty routine from the server) shows only the card. Ingredient safety
+            // notes sit right above the routine they are about.
+            return [
+                ...(event.triage.level !== 'none' ? [bot(MessageType.Consultation, event.triage, { withRoutine: event.recommendations.length > 0 })] : []),
+                ...(event.recommendations.length > 0 && event.warnings?.length ? [bot(MessageType.SafetyNotes, event.warnings)] : []),
+                ...(event.recommendations.length > 0
+                    ? [bot(MessageType.ProductRecommendation, event.recommendations, { routineType: before.assessmentType, eventIndex: index, tiers: event.tiers || [], tier: event.tier ?? null, overlaps: event.overlaps || [] })]
+                    : []),
+            ];
+        case 'openReport':
+            return [user(MessageType.Text, t('chat.doctorReport'))];
+    }
+};
+
+const noteMessage = (note: SessionNote): Draft => ({ sender: note.sender, type: MessageType.Text, content: note.text, payload: { streaming: note.streaming } });
+
+/** Loading and retry bubbles for the current step while it waits on the server. */
+const waiting = (state: SessionState, ctx: MachineContext, status: TranscriptStatus, t: Translate): Draft[] => {
+    const isRoutineStep = state.step === ConversationStep.Skin_Recommendations || state.step === ConversationStep.Hair_Recommendations;
+    if (isRoutineStep && !state.routine) {
+        return status.routineError
+            ? [bot(MessageType.Text, t('chat.routineFailed', { error: status.routineError })), bot(MessageType.NextStep, null, { buttonText: t('chat.tryAgain'), action: 'retryRoutine' })]
+            : [bot(MessageType.Loading, t(state.assessmentType === 'hair' ? 'chat.generatingHair' : 'chat.generatingSkin'))];
+    }
+    if (state.step === ConversationStep.Hair_Questioning && !ctx.hairQuestionnaire) {
+        return status.questionnaireError
+            ? [bot(MessageType.Text, t('chat.questionnaireFailed', { error: status.questionnaireError })), bot(MessageType.NextStep, null, { buttonText: t('chat.tryAgain'), action: 'retryQuestionnaire' })]
+            : [bot(MessageType.Loading, t('chat.loadingQuestions'))];
+    }
+    return [];
+};
+
+/**
+ * Builds the chat from the settled event log: for every applied event, the prompt it answered
+ * and what it added, with notes placed after the event they followed; then the current step's
+ * prompt. User answers that can be changed carry `payload.editIndex` (their index in the log).
+ * Everything is worded with `t`, so switching language re-renders the whole conversation.
+ */
+export const buildTranscript = (settled: Settled, notes: SessionNote[], ctx: MachineContext, status: TranscriptStatus, t: Translate): Message[] => {
+    const drafts: Draft[] = [];
+    const notesAfter = (count: number, last: boolean) => notes
+        .filter(note => (last ? note.afterEvent >= count : note.afterEvent === count))
+        .forEach(note => drafts.push(noteMessage(note)));
+
+    settled.entries.forEach(({ event, before }, index) => {
+        const asked = prompt(before, ctx, t, event);
+        const step = [...asked, ...echo(event, before, ctx, index, t)];
+        if (isEditable(event)) {
+            const answerIndex = step.map(d => d.sender).lastIndexOf(Sender.User);
+            if (answerIndex > -1) step[answerIndex] = { ...step[answerIndex], payload: { ...step[answerIndex].payload, editIndex: index } };
+        }
+        drafts.push(...step.slice(0, asked.length));
+        notesAfter(index, false);
+        drafts.push(...step.slice(asked.length));
+    });
+
+    drafts.push(...prompt(settled.state, ctx, t));
+    notesAfter(settled.entries.length, true);
+    drafts.push(...waiting(settled.state, ctx, status, t));
+    if (status.busy) drafts.push(bot(MessageType.Loading, status.busy));
+    else if (status.chatOpen) drafts.push(bot(MessageType.ChatInput, null));
+
+    return drafts.map((draft, id) => ({ ...draft, id }));
+};